@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * 🕯️  OHLC HISTORY DOWNLOADER
+ *
+ * Companion to download-usdt-pairs.js: downloads daily price history per
+ * coin from CoinGecko /coins/{id}/market_chart/range and stores it in the
+ * candle storage (src/storage/candle-storage.js) with:
+ * - The same rate limiting, retry/backoff and batch-state resume pattern
+ * - Incremental, append-only updates (only days after the last stored candle)
+ * - Gap detection recorded per symbol
+ * - Complete UTC days only (today's partial candle is never stored)
+ *
+ * History is requested in windows of at most 90 days, where CoinGecko
+ * returns hourly points, and aggregated to daily open/high/low/close.
+ *
+ * Usage: node download-ohlc-history.js [--coins=bitcoin,ethereum] [--top=N] [--days=N] [--resume]
+ */
+
+import {
+  requestCoinGecko,
+  fetchCoinsBatch,
+  loadBatchState,
+  saveBatchState,
+  clearBatchState,
+  delay,
+  DEFAULT_CONFIG as MARKETS_CONFIG
+} from './download-usdt-pairs.js';
+import { CandleStorage, DAY_MS } from './src/storage/candle-storage.js';
+
+// ============================================================================
+// CONFIGURATION - RESPECTING FREE API LIMITS
+// ============================================================================
+
+const DEFAULT_CONFIG = {
+  baseUrl: MARKETS_CONFIG.baseUrl,
+  apiKey: MARKETS_CONFIG.apiKey,
+  timeoutMs: MARKETS_CONFIG.timeoutMs,
+  maxRetries: MARKETS_CONFIG.maxRetries,
+  delayBetweenRequestsMs: 15000, // ~4 calls/minute stays well inside the free tier
+  historyDays: 365, // Backfill depth for symbols with no stored candles (free API limit)
+  windowDays: 90, // <= 90 days per request keeps hourly granularity
+  topCoins: 100,
+  outputDir: process.env.OHLC_DATA_DIR || './data/ohlc',
+  batchStateFile: 'ohlc-batch-state.json' // Same resume pattern as batch-state.json
+};
+
+// ============================================================================
+// CANDLE AGGREGATION
+// ============================================================================
+
+/**
+ * Aggregate market_chart points into daily UTC candles
+ * @param {Array<[number, number]>} prices - [timestampMs, price]
+ * @param {Array<[number, number]>} volumes - [timestampMs, 24h volume]
+ * @param {number} beforeMs - Only days that end at or before this time are complete
+ * @returns {Array<Object>} Daily candles
+ */
+const aggregateDailyCandles = (prices, volumes = [], beforeMs = Date.now()) => {
+  const days = new Map();
+  prices.forEach(([timestamp, price]) => {
+    const day = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    if (day + DAY_MS > beforeMs || !Number.isFinite(price)) return;
+    const candle = days.get(day);
+    if (!candle) {
+      days.set(day, { timestamp: day, open: price, high: price, low: price, close: price, volume: null, lastTs: timestamp, firstTs: timestamp });
+      return;
+    }
+    if (timestamp < candle.firstTs) {
+      candle.open = price;
+      candle.firstTs = timestamp;
+    }
+    if (timestamp >= candle.lastTs) {
+      candle.close = price;
+      candle.lastTs = timestamp;
+    }
+    candle.high = Math.max(candle.high, price);
+    candle.low = Math.min(candle.low, price);
+  });
+
+  // CoinGecko volumes are rolling 24h totals; keep the last one of each day
+  volumes.forEach(([timestamp, volume]) => {
+    const candle = days.get(Math.floor(timestamp / DAY_MS) * DAY_MS);
+    if (candle && timestamp >= (candle.volumeTs ?? -Infinity)) {
+      candle.volume = volume;
+      candle.volumeTs = timestamp;
+    }
+  });
+
+  return [...days.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ timestamp, open, high, low, close, volume }) => ({ timestamp, open, high, low, close, volume }));
+};
+
+/**
+ * Fetch one coin's history window
+ */
+const fetchMarketChartRange = async (config, coinId, fromMs, toMs) => {
+  const path = `/coins/${encodeURIComponent(coinId)}/market_chart/range?vs_currency=usd&from=${Math.floor(fromMs / 1000)}&to=${Math.floor(toMs / 1000)}`;
+  const label = `${coinId} ${new Date(fromMs).toISOString().slice(0, 10)} → ${new Date(toMs).toISOString().slice(0, 10)}`;
+  const data = await requestCoinGecko(config, path, label);
+  if (!data || !Array.isArray(data.prices)) {
+    throw new Error(`Invalid market_chart response for ${coinId}`);
+  }
+  return data;
+};
+
+/**
+ * Download and append missing daily candles for one coin
+ * @param {Object} config - Downloader config
+ * @param {CandleStorage} storage - Candle store
+ * @param {Object} coin - { id, symbol }
+ * @returns {Object} { symbol, coinId, appended, requests, newGaps }
+ */
+const updateCoinHistory = async (config, storage, coin) => {
+  const symbol = coin.symbol.toUpperCase();
+  const todayStart = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  const lastTimestamp = storage.getLastTimestamp(symbol);
+  const startMs = lastTimestamp ? lastTimestamp + DAY_MS : todayStart - config.historyDays * DAY_MS;
+
+  if (startMs >= todayStart) {
+    console.log(`✅ ${symbol}: up to date`);
+    return { symbol, coinId: coin.id, appended: 0, requests: 0, newGaps: [] };
+  }
+
+  let appended = 0;
+  let requests = 0;
+  const newGaps = [];
+  for (let windowStart = startMs; windowStart < todayStart; windowStart += config.windowDays * DAY_MS) {
+    const windowEnd = Math.min(windowStart + config.windowDays * DAY_MS, todayStart);
+    if (requests > 0) {
+      await delay(config.delayBetweenRequestsMs);
+    }
+    const data = await fetchMarketChartRange(config, coin.id, windowStart, windowEnd);
+    requests++;
+
+    const candles = aggregateDailyCandles(data.prices, data.total_volumes, todayStart);
+    const result = storage.appendCandles(symbol, candles, { coinId: coin.id, source: 'coingecko-market-chart' });
+    if (!result.success) {
+      throw new Error(`Storage error for ${symbol}: ${result.error}`);
+    }
+    appended += result.appended;
+    newGaps.push(...result.newGaps);
+  }
+
+  console.log(`✅ ${symbol}: ${appended} new daily candles${newGaps.length > 0 ? ` (⚠️  ${newGaps.length} gap(s))` : ''}`);
+  return { symbol, coinId: coin.id, appended, requests, newGaps };
+};
+
+/**
+ * Update every coin, saving resume state after each one
+ * @param {Array<Object>} coins - [{ id, symbol }]
+ * @param {Object} config - Downloader config
+ * @returns {Array<Object>} Per-coin results
+ */
+const downloadOhlcHistory = async (coins, config = DEFAULT_CONFIG) => {
+  const storage = new CandleStorage(config.outputDir);
+  const savedState = loadBatchState(config);
+  const completed = new Set(savedState ? savedState.completedCoins || [] : []);
+  const results = [];
+
+  console.log(`🚀 Updating OHLC history for ${coins.length} coins (${completed.size} already done)...`);
+  console.log(`⏰ Will wait ${config.delayBetweenRequestsMs / 1000}s between requests to respect API limits`);
+
+  for (let i = 0; i < coins.length; i++) {
+    const coin = coins[i];
+    if (completed.has(coin.id)) continue;
+
+    console.log(`\n🔄 ${i + 1}/${coins.length}: ${coin.symbol.toUpperCase()} (${coin.id})`);
+    try {
+      const result = await updateCoinHistory(config, storage, coin);
+      results.push(result);
+      completed.add(coin.id);
+
+      saveBatchState(config, {
+        completedCoins: [...completed],
+        completedBatches: completed.size,
+        totalCoins: coins.length,
+        timestamp: new Date().toISOString(),
+        coins
+      });
+
+      if (result.requests > 0 && i < coins.length - 1) {
+        await delay(config.delayBetweenRequestsMs);
+      }
+    } catch (error) {
+      console.error(`❌ ${coin.id}: ${error.message}`);
+
+      // Save error state so --resume picks up at this coin
+      saveBatchState(config, {
+        completedCoins: [...completed],
+        completedBatches: completed.size,
+        totalCoins: coins.length,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        coins
+      });
+
+      if (error.message.includes('Rate limit')) {
+        console.error('⏸️  Rate limited - rerun with --resume once the limit resets');
+        throw error;
+      }
+      results.push({ symbol: coin.symbol.toUpperCase(), coinId: coin.id, error: error.message });
+    }
+  }
+
+  clearBatchState(config);
+  return results;
+};
+
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+const main = async () => {
+  try {
+    console.log('🕯️  OHLC HISTORY DOWNLOADER');
+    console.log('===========================');
+
+    const args = process.argv.slice(2);
+    const coinsArg = args.find(arg => arg.startsWith('--coins='));
+    const topArg = args.find(arg => arg.startsWith('--top='));
+    const daysArg = args.find(arg => arg.startsWith('--days='));
+    const resumeArg = args.includes('--resume');
+
+    const config = {
+      ...DEFAULT_CONFIG,
+      topCoins: topArg ? parseInt(topArg.split('=')[1]) : DEFAULT_CONFIG.topCoins,
+      historyDays: daysArg ? parseInt(daysArg.split('=')[1]) : DEFAULT_CONFIG.historyDays
+    };
+
+    // Clear batch state if not resuming
+    if (!resumeArg) {
+      clearBatchState(config);
+    }
+
+    let coins;
+    const savedState = resumeArg ? loadBatchState(config) : null;
+    if (savedState?.coins) {
+      coins = savedState.coins;
+    } else if (coinsArg) {
+      // --coins takes CoinGecko ids; the symbol is looked up from the id's market entry
+      const ids = coinsArg.split('=')[1].split(',').map(id => id.trim()).filter(Boolean);
+      const markets = await requestCoinGecko(config, `/coins/markets?vs_currency=usd&ids=${ids.join(',')}`, `${ids.length} coin ids`);
+      coins = markets.map(m => ({ id: m.id, symbol: m.symbol }));
+    } else {
+      const markets = await fetchCoinsBatch(config, 1, config.topCoins);
+      coins = markets.map(m => ({ id: m.id, symbol: m.symbol }));
+    }
+
+    console.log(`📋 Configuration:`);
+    console.log(`   Coins: ${coins.length}`);
+    console.log(`   Backfill: ${config.historyDays} days`);
+    console.log(`   Output: ${config.outputDir}`);
+    console.log(`   Resume: ${resumeArg ? 'Enabled' : 'Disabled'}`);
+
+    const results = await downloadOhlcHistory(coins, config);
+    const failed = results.filter(r => r.error);
+    const withGaps = results.filter(r => r.newGaps?.length > 0);
+
+    console.log('');
+    console.log('📊 OHLC SUMMARY');
+    console.log('===============');
+    console.log(`Coins updated: ${results.length - failed.length}`);
+    console.log(`Candles appended: ${results.reduce((sum, r) => sum + (r.appended || 0), 0)}`);
+    if (withGaps.length > 0) {
+      console.log(`⚠️  Gaps detected: ${withGaps.map(r => `${r.symbol} (${r.newGaps.reduce((s, g) => s + g.missing, 0)} days)`).join(', ')}`);
+    }
+    if (failed.length > 0) {
+      console.log(`❌ Failed: ${failed.map(r => r.coinId).join(', ')}`);
+    }
+    console.log(`📁 Candles stored in ${config.outputDir}`);
+  } catch (error) {
+    console.error('');
+    console.error('❌ CRITICAL ERROR');
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  aggregateDailyCandles,
+  updateCoinHistory,
+  downloadOhlcHistory,
+  DEFAULT_CONFIG
+};
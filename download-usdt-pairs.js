@@ -3,7 +3,10 @@
 /**
  * 🚀 BULLETPROOF USDT PAIRS DOWNLOADER (TOP 100)
  * 
- * Downloads top 100 USDT trading pairs from CoinGecko API with:
+ * Downloads the top 100 coins by market cap from CoinGecko API with:
+ * - USDT market verification (src/market/pair-discovery.js): the summary
+ *   reports verified / missing / lookup-error counts instead of assuming
+ *   every coin trades as SYMBOLUSDT
  * - Rate limiting (respects free API limits)
  * - Single batch download (100 pairs total)
  * - Proper delays between batches
@@ -14,6 +17,7 @@
  * - Node.js CLI focused (no web application)
  * 
  * Usage: node download-usdt-pairs.js [--test] [--max-pages=N] [--resume]
+ * Verified pairs are cached in WF_PAIR_MAP (default ./usdt-pair-map.json), shared with run-workflow.ts
  */
 
 import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
@@ -88,8 +92,8 @@ const DEFAULT_CONFIG = {
   timeoutMs: 30000,
   delayBetweenBatchesMs: 120000, // 2 minutes between batches (respects free limits)
   maxRetries: 3,
-  maxPages: 1, // Single page for top 100 pairs only
-  perPage: 100, // Top 100 USDT pairs only (reduced from 1000)
+  maxPages: 1, // Single page for the top 100 coins only
+  perPage: 100, // Top 100 coins by market cap (reduced from 1000)
   batchStateFile: 'batch-state.json' // For resume functionality
 };
 
@@ -194,18 +198,18 @@ const getMemoryUsage = () => {
 // ============================================================================
 
 /**
- * Fetch a single batch of coins from CoinGecko with API key and retry logic
- * This gets the top 250 coins by market cap - most will have USDT pairs
+ * GET a CoinGecko endpoint with API key, timeout and retry logic
+ * Shared by the markets snapshot and the OHLC history downloader
  */
-const fetchCoinsBatch = async (config, page, perPage, retryCount = 0) => {
+const requestCoinGecko = async (config, path, label, retryCount = 0) => {
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
     
-    // Use the API key in the request - get top coins by market cap
-    const url = `${config.baseUrl}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${perPage}&page=${page}&price_change_percentage=24h&x_cg_demo_api_key=${config.apiKey}`;
+    const separator = path.includes('?') ? '&' : '?';
+    const url = `${config.baseUrl}${path}${separator}x_cg_demo_api_key=${config.apiKey}`;
     
-    console.log(`📥 Fetching batch ${page} (${perPage} top coins by market cap)...${retryCount > 0 ? ` (Retry ${retryCount}/${config.maxRetries})` : ''}`);
+    console.log(`📥 Fetching ${label}...${retryCount > 0 ? ` (Retry ${retryCount}/${config.maxRetries})` : ''}`);
     
     const response = await fetch(url, {
       signal: controller.signal,
@@ -234,14 +238,7 @@ const fetchCoinsBatch = async (config, page, perPage, retryCount = 0) => {
       throw new Error(errorMsg);
     }
     
-    const data = await response.json();
-    
-    if (!validateRawResponse(data)) {
-      throw new Error('Invalid API response format - data structure unexpected');
-    }
-    
-    console.log(`✅ Batch ${page}: ${data.length} coins received`);
-    return data;
+    return await response.json();
     
   } catch (error) {
     if (error.name === 'AbortError') {
@@ -257,13 +254,30 @@ const fetchCoinsBatch = async (config, page, perPage, retryCount = 0) => {
       const delayMs = Math.pow(2, retryCount) * 1000; // Exponential backoff
       console.log(`⏳ Retrying in ${delayMs}ms...`);
       await delay(delayMs);
-      return fetchCoinsBatch(config, page, perPage, retryCount + 1);
+      return requestCoinGecko(config, path, label, retryCount + 1);
     }
     
     throw error;
   }
 };
 
+/**
+ * Fetch a single batch of coins from CoinGecko with API key and retry logic
+ * This gets the top 250 coins by market cap; USDT markets are verified separately
+ */
+const fetchCoinsBatch = async (config, page, perPage) => {
+  // Use the API key in the request - get top coins by market cap
+  const path = `/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${perPage}&page=${page}&price_change_percentage=24h`;
+  const data = await requestCoinGecko(config, path, `batch ${page} (${perPage} top coins by market cap)`);
+  
+  if (!validateRawResponse(data)) {
+    throw new Error('Invalid API response format - data structure unexpected');
+  }
+  
+  console.log(`✅ Batch ${page}: ${data.length} coins received`);
+  return data;
+};
+
 /**
  * Fetch all coin batches with proper delays, resume functionality, and memory monitoring
  * This approach respects the free API limits by making minimal requests
@@ -295,7 +309,7 @@ const fetchAllCoinBatches = async (config = DEFAULT_CONFIG) => {
           break;
         }
         
-        // Add all coins from this batch (most top coins have USDT pairs)
+        // Add all coins from this batch; USDT markets are verified after the download
         allCoins.push(...batchData);
         completedBatches++;
         
@@ -354,7 +368,6 @@ const fetchAllCoinBatches = async (config = DEFAULT_CONFIG) => {
     const finalMemory = getMemoryUsage();
     console.log(`🎉 Batch download complete! Total coins: ${allCoins.length}`);
     console.log(`💾 Final memory usage: ${finalMemory.heapUsed}MB heap, ${finalMemory.rss}MB RSS`);
-    console.log(`💡 Note: Most top coins by market cap have USDT trading pairs available`);
     
     return allCoins;
     
@@ -376,7 +389,7 @@ const main = async () => {
     console.log('🚀 BULLETPROOF USDT PAIRS DOWNLOADER (TOP 100)');
     console.log('===============================================');
     console.log('🎯 Using CoinGecko API with your API key');
-    console.log('📊 Scope: Top 100 USDT pairs only (Node.js CLI)');
+    console.log('📊 Scope: Top 100 coins by market cap, USDT markets verified (Node.js CLI)');
     
     // Check if using environment variable or fallback
     const apiKeySource = process.env.COINGECKO_API_KEY ? 'Environment Variable' : 'Fallback';
@@ -410,7 +423,7 @@ const main = async () => {
     }
     
     console.log(`📋 Configuration:`);
-    console.log(`   Scope: Top 100 USDT pairs only`);
+    console.log(`   Scope: Top 100 coins by market cap`);
     console.log(`   Max batches: ${DEFAULT_CONFIG.maxPages}`);
     console.log(`   Coins per batch: ${DEFAULT_CONFIG.perPage}`);
     console.log(`   Delay between batches: ${DEFAULT_CONFIG.delayBetweenBatchesMs / 1000}s`);
@@ -451,6 +464,21 @@ const main = async () => {
     
     saveToCSV(pairs, fullPath);
     
+    // Verify which coins really have a USDT market (cached across runs)
+    let discovery = null;
+    const pairMapPath = process.env.WF_PAIR_MAP || join(process.cwd(), 'usdt-pair-map.json');
+    try {
+      const { discoverUsdtPairs, createAdapters, loadPairMap, savePairMap, DEFAULT_ADAPTERS } = await import('./src/market/pair-discovery.js');
+      console.log(`🔎 Verifying USDT markets for ${filteredCoins.length} coins...`);
+      discovery = await discoverUsdtPairs(filteredCoins, {
+        adapters: createAdapters(process.env.WF_PAIR_ADAPTERS || DEFAULT_ADAPTERS),
+        cached: loadPairMap(pairMapPath)
+      });
+      savePairMap(pairMapPath, discovery);
+    } catch (error) {
+      console.log(`⚠️  USDT market verification failed: ${error.message}`);
+    }
+    
     // Also save to local storage system
     try {
       const { SimpleCryptoStorage } = await import('./src/storage/simple-storage.js');
@@ -482,7 +510,14 @@ const main = async () => {
     console.log(`Saved to: ${fullPath}`);
     console.log(`Timestamp: ${new Date().toISOString()}`);
     console.log('');
-    console.log('💡 IMPORTANT: Top 100 coins by market cap have USDT trading pairs');
+    if (discovery) {
+      console.log(`USDT markets verified: ${Object.keys(discovery.pairs).length}`);
+      console.log(`No USDT market: ${discovery.missing.length}${discovery.missing.length > 0 ? ` (${discovery.missing.map(m => m.symbol).join(', ')})` : ''}`);
+      console.log(`Lookup errors: ${discovery.errors.length}${discovery.errors.length > 0 ? ` (${discovery.errors.map(e => e.symbol).join(', ')})` : ''}`);
+      console.log(`Pair map: ${pairMapPath}`);
+    } else {
+      console.log('USDT markets: not verified (run node src/market/pair-discovery.js)');
+    }
     console.log('💡 This approach respects API limits while getting focused data for Node.js CLI');
     
     // Sample data
@@ -577,7 +612,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
 export {
   USDTPair,
+  requestCoinGecko,
+  fetchCoinsBatch,
   fetchAllCoinBatches,
+  loadBatchState,
+  saveBatchState,
+  clearBatchState,
+  delay,
   saveToCSV,
   generateFilename,
   DEFAULT_CONFIG
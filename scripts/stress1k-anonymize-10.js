@@ -1,13 +1,10 @@
 // scripts/stress1k-anonymize-10.js
-// Pick 10 random originals and run Python cropper to produce *_cropped.png in-place; copy to anonymized dir
+// Pick 10 random originals and anonymize them to *_cropped.png in-place; copy to anonymized dir
 
 import { homedir } from 'os';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
 import { readdirSync, existsSync, mkdirSync, copyFileSync } from 'fs';
-import { join } from 'path';
-
-const execFileAsync = promisify(execFile);
+import { join, basename } from 'path';
+import { Anonymizer } from '../src/anonymization/anonymizer.js';
 
 function sample(array, n) {
   const arr = [...array];
@@ -31,23 +28,15 @@ async function main() {
   const chosen = sample(originals, Math.min(10, originals.length));
   console.log(`Anonymizing ${chosen.length} of ${originals.length} originals`);
 
-  // Run cropper for the whole directory; it will produce *_cropped.png for all files present
-  // To limit to 10, temporarily copy the chosen files into a temp dir
-  const tempDir = join(originalsDir, '..', 'temp_anon');
-  mkdirSync(tempDir, { recursive: true });
-  for (const f of chosen) {
-    copyFileSync(join(originalsDir, f), join(tempDir, f));
+  // Only the chosen files are targeted; crops land next to the originals.
+  // These originals have no capture metadata, so the fixed margins are used explicitly
+  const anonymizer = new Anonymizer({ profile: 'tradingview-1920' });
+  const result = await anonymizer.anonymize(chosen.map(f => join(originalsDir, f)));
+  for (const r of result.results.filter(r => r.success)) {
+    copyFileSync(r.output, join(anonymizedDir, basename(r.output)));
   }
-  await execFileAsync('python3', ['src/batch-crop-usdt-pairs-v2.py', tempDir], { cwd: process.cwd() });
-
-  // Copy cropped results back next to originals and to anonymizedDir
-  const cropped = readdirSync(tempDir).filter(f => f.toLowerCase().includes('_cropped'));
-  for (const f of cropped) {
-    const from = join(tempDir, f);
-    const toMain = join(originalsDir, f);
-    const toAnon = join(anonymizedDir, f);
-    copyFileSync(from, toMain);
-    copyFileSync(from, toAnon);
+  if (result.failed > 0) {
+    console.warn(`${result.failed} file(s) failed to anonymize`);
   }
   console.log('Done.');
 }
@@ -0,0 +1,231 @@
+/**
+ * Confidence calibration and normalization
+ *
+ * The trend prompt asks for three independent confidences, so up + down +
+ * sideways rarely sums to 1 and raw values drift between runs. This stage
+ * optionally applies per-trend isotonic calibration (fit from a labeled
+ * history file), then temperature scaling and sum-to-one / softmax
+ * normalization across the three trends.
+ *
+ * Usage: node src/analysis/calibration.js <labeled-history.json> [model-out.json]
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { TRENDS } from './ensemble.js';
+
+export const NORMALIZATION_METHODS = ['none', 'sum', 'softmax'];
+
+// Floor for confidences before taking their log (a zero would be -Infinity)
+const SOFTMAX_EPSILON = 1e-6;
+
+/**
+ * Fit an increasing step function with pool-adjacent-violators
+ * @param {Array<{x: number, y: number}>} points - Confidence / outcome pairs
+ * @returns {{x: Array<number>, y: Array<number>}} Block centers and calibrated values
+ */
+export function fitIsotonic(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  const blocks = [];
+
+  sorted.forEach(({ x, y }) => {
+    blocks.push({ sumX: x, sumY: y, count: 1 });
+    // Merge backwards while the sequence of block means decreases
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.count <= last.sumY / last.count) break;
+      blocks.splice(-2, 2, {
+        sumX: prev.sumX + last.sumX,
+        sumY: prev.sumY + last.sumY,
+        count: prev.count + last.count
+      });
+    }
+  });
+
+  return {
+    x: blocks.map(b => b.sumX / b.count),
+    y: blocks.map(b => b.sumY / b.count)
+  };
+}
+
+/**
+ * Evaluate an isotonic model, interpolating linearly between block centers
+ * @param {{x: Array<number>, y: Array<number>}} model - Fitted model
+ * @param {number} value - Raw confidence
+ * @returns {number} Calibrated confidence
+ */
+export function applyIsotonic(model, value) {
+  const { x, y } = model;
+  if (!x || x.length === 0) return value;
+  if (value <= x[0]) return y[0];
+  if (value >= x[x.length - 1]) return y[y.length - 1];
+
+  let i = 1;
+  while (x[i] < value) i++;
+  const t = (value - x[i - 1]) / (x[i] - x[i - 1]);
+  return y[i - 1] + t * (y[i] - y[i - 1]);
+}
+
+/**
+ * Read a labeled history file
+ *
+ * Expected format: JSON array of { trend: 'up' | 'down' | 'sideways',
+ * confidence: 0..1, outcome: 0 | 1 } where outcome is 1 when that trend
+ * was realised. A { records: [...] } wrapper is also accepted.
+ * @param {string} filePath - History file path
+ * @returns {Array<Object>} History records
+ */
+export function loadCalibrationHistory(filePath) {
+  const parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  const records = Array.isArray(parsed) ? parsed : parsed.records;
+  if (!Array.isArray(records)) {
+    throw new Error(`Calibration history ${filePath} must be an array or { records: [...] }`);
+  }
+  return records;
+}
+
+/**
+ * Fit per-trend isotonic models from labeled history
+ * @param {Array<Object>} history - Records from loadCalibrationHistory
+ * @returns {Object} Calibration model
+ */
+export function fitCalibrationModel(history) {
+  const trends = {};
+  TRENDS.forEach(trend => {
+    const points = history
+      .filter(r => String(r.trend).toLowerCase() === trend)
+      .filter(r => typeof r.confidence === 'number' && (r.outcome === 0 || r.outcome === 1))
+      .map(r => ({ x: r.confidence, y: r.outcome }));
+    if (points.length > 0) {
+      trends[trend] = { ...fitIsotonic(points), samples: points.length };
+    }
+  });
+
+  if (Object.keys(trends).length === 0) {
+    throw new Error('Calibration history contains no usable { trend, confidence, outcome } records');
+  }
+
+  return {
+    type: 'isotonic',
+    fittedAt: new Date().toISOString(),
+    samples: history.length,
+    trends
+  };
+}
+
+/**
+ * Load a calibration model saved by fitCalibrationModel
+ * @param {string} filePath - Model file path
+ * @returns {Object} Calibration model
+ */
+export function loadCalibrationModel(filePath) {
+  const model = JSON.parse(readFileSync(filePath, 'utf8'));
+  if (model.type !== 'isotonic' || !model.trends) {
+    throw new Error(`Unsupported calibration model in ${filePath}`);
+  }
+  return model;
+}
+
+/**
+ * Normalize the three trend confidences
+ * @param {Array<number>} values - [up, down, sideways]
+ * @param {string} method - 'none' | 'sum' | 'softmax'
+ * @param {number} temperature - >1 flattens, <1 sharpens
+ * @returns {Array<number>} Normalized values
+ */
+export function normalizeConfidences(values, method = 'none', temperature = 1) {
+  if (!NORMALIZATION_METHODS.includes(method)) {
+    throw new Error(`Unknown normalization method: ${method} (expected ${NORMALIZATION_METHODS.join(', ')})`);
+  }
+  if (!(temperature > 0)) {
+    throw new Error(`Temperature must be positive, got ${temperature}`);
+  }
+
+  if (method === 'softmax') {
+    // Logits are log-probabilities, so T=1 reproduces sum-normalization
+    const logits = values.map(v => Math.log(Math.max(v, SOFTMAX_EPSILON)) / temperature);
+    const max = Math.max(...logits);
+    const exps = logits.map(v => Math.exp(v - max));
+    const total = exps.reduce((sum, v) => sum + v, 0);
+    return exps.map(v => v / total);
+  }
+
+  // Temperature on probabilities: p^(1/T), i.e. scaling log-odds by 1/T
+  const scaled = temperature === 1 ? values : values.map(v => Math.pow(v, 1 / temperature));
+  if (method === 'none') {
+    return scaled.map(v => Math.min(1, Math.max(0, v)));
+  }
+
+  const total = scaled.reduce((sum, v) => sum + v, 0);
+  return total > 0 ? scaled.map(v => v / total) : scaled.map(() => 1 / scaled.length);
+}
+
+/**
+ * Calibrate one trend analysis
+ *
+ * Isotonic models apply to the raw confidences (the space they were fit
+ * in); temperature and normalization follow. counter_conf is untouched.
+ * @param {Object} analysis - Validated trend analysis
+ * @param {Object} config - { normalize, temperature, model }
+ * @returns {Object} Calibrated analysis (same schema)
+ */
+export function calibrateAnalysis(analysis, config = {}) {
+  const { normalize = 'none', temperature = 1, model = null } = config;
+
+  const calibrated = TRENDS.map(trend => {
+    const raw = analysis[trend].confidence;
+    const trendModel = model?.trends?.[trend];
+    return trendModel ? applyIsotonic(trendModel, raw) : raw;
+  });
+  const normalized = normalizeConfidences(calibrated, normalize, temperature);
+
+  // Extended-schema fields (patterns, levels, ...) pass through untouched
+  const result = { ...analysis };
+  TRENDS.forEach((trend, i) => {
+    result[trend] = { ...analysis[trend], confidence: normalized[i] };
+  });
+  return result;
+}
+
+/**
+ * Resolve calibration options into a ready-to-use config
+ * @param {Object} options - { normalize, temperature, model, modelPath, historyPath }
+ * @returns {Object|null} Config for calibrateAnalysis, or null when disabled
+ */
+export function resolveCalibration(options = {}) {
+  const { normalize = 'none', temperature = 1, modelPath, historyPath } = options;
+  let { model = null } = options;
+
+  if (!model && modelPath) {
+    model = loadCalibrationModel(modelPath);
+  } else if (!model && historyPath) {
+    model = fitCalibrationModel(loadCalibrationHistory(historyPath));
+  }
+
+  if (normalize === 'none' && temperature === 1 && !model) {
+    return null;
+  }
+  return { normalize, temperature, model };
+}
+
+// CLI usage: fit a model from labeled history
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const historyPath = process.argv[2];
+  const outputPath = process.argv[3] || 'calibration-model.json';
+  if (!historyPath) {
+    console.error('Usage: node src/analysis/calibration.js <labeled-history.json> [model-out.json]');
+    process.exit(1);
+  }
+
+  try {
+    const model = fitCalibrationModel(loadCalibrationHistory(historyPath));
+    writeFileSync(outputPath, JSON.stringify(model, null, 2), 'utf8');
+    Object.entries(model.trends).forEach(([trend, m]) => {
+      console.log(`📐 ${trend.padEnd(8)} | ${m.samples} samples | ${m.x.length} blocks`);
+    });
+    console.log(`💾 Calibration model saved to ${outputPath}`);
+  } catch (error) {
+    console.error('❌ Calibration failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitIsotonic, applyIsotonic, fitCalibrationModel, normalizeConfidences, calibrateAnalysis } from './calibration.js';
+
+const close = (actual, expected, message) => {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${message}: ${actual} vs ${expected}`));
+};
+
+test('softmax at T=1 equals sum-normalization', () => {
+  const values = [0.6, 0.3, 0.1];
+  close(normalizeConfidences(values, 'softmax', 1), normalizeConfidences(values, 'sum', 1), 'softmax T=1');
+  close(normalizeConfidences([0.8, 0.4, 0.2], 'softmax', 1), [0.8 / 1.4, 0.4 / 1.4, 0.2 / 1.4], 'unnormalized input');
+});
+
+test('softmax temperature sharpens below 1 and flattens above 1', () => {
+  const values = [0.6, 0.3, 0.1];
+  const base = normalizeConfidences(values, 'softmax', 1);
+  const sharp = normalizeConfidences(values, 'softmax', 0.5);
+  const flat = normalizeConfidences(values, 'softmax', 2);
+  assert.ok(sharp[0] > base[0] && flat[0] < base[0]);
+  close(sharp, [0.36 / 0.46, 0.09 / 0.46, 0.01 / 0.46], 'T=0.5 squares the probabilities');
+  close([sharp.reduce((a, b) => a + b, 0), flat.reduce((a, b) => a + b, 0)], [1, 1], 'sums');
+});
+
+test('softmax tolerates zero confidences', () => {
+  const result = normalizeConfidences([1, 0, 0], 'softmax', 1);
+  assert.ok(result.every(Number.isFinite));
+  assert.ok(result[0] > 0.999);
+});
+
+test('sum and none normalization', () => {
+  close(normalizeConfidences([0.5, 0.5, 1], 'sum'), [0.25, 0.25, 0.5], 'sum');
+  close(normalizeConfidences([0, 0, 0], 'sum'), [1 / 3, 1 / 3, 1 / 3], 'all-zero sum');
+  close(normalizeConfidences([0.25, 0.5, 1], 'none', 0.5), [0.0625, 0.25, 1], 'temperature without normalization');
+});
+
+test('normalizeConfidences rejects unknown methods and non-positive temperatures', () => {
+  assert.throws(() => normalizeConfidences([0.5, 0.3, 0.2], 'max'), /Unknown normalization method/);
+  assert.throws(() => normalizeConfidences([0.5, 0.3, 0.2], 'sum', 0), /Temperature must be positive/);
+});
+
+test('isotonic fit pools violators into a non-decreasing step function', () => {
+  const model = fitIsotonic([{ x: 0.1, y: 0 }, { x: 0.2, y: 1 }, { x: 0.3, y: 0 }, { x: 0.4, y: 1 }]);
+  assert.deepEqual(model.y, [0, 0.5, 1]);
+  model.y.slice(1).forEach((value, i) => assert.ok(value >= model.y[i]));
+  assert.equal(applyIsotonic(model, 0), 0);
+  assert.equal(applyIsotonic(model, 1), 1);
+  assert.ok(Math.abs(applyIsotonic(model, 0.25) - 0.5) < 1e-9);
+});
+
+test('fitCalibrationModel needs usable records', () => {
+  assert.throws(() => fitCalibrationModel([{ trend: 'up', confidence: 'high', outcome: 1 }]), /no usable/);
+  const model = fitCalibrationModel([{ trend: 'UP', confidence: 0.7, outcome: 1 }, { trend: 'down', confidence: 0.2, outcome: 0 }]);
+  assert.deepEqual(Object.keys(model.trends).sort(), ['down', 'up']);
+});
+
+test('calibrateAnalysis keeps extra fields and reasoning', () => {
+  const analysis = {
+    up: { confidence: 0.6, reasoning: 'higher highs' },
+    down: { confidence: 0.3, reasoning: 'none' },
+    sideways: { confidence: 0.1, reasoning: 'none' },
+    counter_conf: 0.2,
+    patterns: [{ name: 'double_bottom', confidence: 0.5 }]
+  };
+  const result = calibrateAnalysis(analysis, { normalize: 'softmax', temperature: 1 });
+  close([result.up.confidence, result.down.confidence, result.sideways.confidence], [0.6, 0.3, 0.1], 'already normalized');
+  assert.equal(result.up.reasoning, 'higher highs');
+  assert.equal(result.counter_conf, 0.2);
+  assert.deepEqual(result.patterns, analysis.patterns);
+});
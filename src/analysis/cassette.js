@@ -0,0 +1,119 @@
+/**
+ * Record/replay cassettes for AI providers
+ *
+ * Record mode stores every request's image hash, prompt and raw model
+ * response as a JSON cassette; replay mode serves those responses back so
+ * ranking, CSV export and resume logic can be exercised offline.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { VisionProvider, FallbackProvider, hashImage } from './providers.js';
+
+/**
+ * Build the cassette file name for a request
+ * @param {string} providerName - Provider that answered
+ * @param {string} imageHash - SHA-256 of the image
+ * @param {string} prompt - Prompt text
+ * @returns {string} File name
+ */
+const cassetteFileName = (providerName, imageHash, prompt) => {
+  const promptHash = createHash('sha256').update(prompt).digest('hex');
+  return `${providerName}_${imageHash.slice(0, 16)}_${promptHash.slice(0, 12)}.json`;
+};
+
+/**
+ * Wraps a provider and saves each raw response to the cassette directory
+ */
+export class RecordingProvider extends VisionProvider {
+  constructor(inner, config = {}) {
+    super({ cassetteDir: 'cassettes', ...config });
+    if (typeof inner.complete !== 'function') {
+      throw new Error(`Provider ${inner.name} cannot be recorded (no complete())`);
+    }
+    this.inner = inner;
+    this.name = inner.name;
+    this.offline = inner.offline;
+  }
+
+  async complete(prompt, base64Data, options = {}) {
+    const rawResponse = await this.inner.complete(prompt, base64Data, options);
+    const imageHash = hashImage(base64Data);
+
+    if (!existsSync(this.config.cassetteDir)) {
+      mkdirSync(this.config.cassetteDir, { recursive: true });
+    }
+
+    const cassette = {
+      provider: this.inner.name,
+      model: this.inner.config?.model || null,
+      imageHash,
+      prompt,
+      rawResponse,
+      recordedAt: new Date().toISOString()
+    };
+    const filePath = join(this.config.cassetteDir, cassetteFileName(this.inner.name, imageHash, prompt));
+    writeFileSync(filePath, JSON.stringify(cassette, null, 2), 'utf8');
+
+    return rawResponse;
+  }
+}
+
+/**
+ * Serves recorded responses instead of calling the network
+ *
+ * When `provider` is set only that provider's cassettes are matched,
+ * otherwise any cassette for the same image and prompt is used.
+ */
+export class ReplayProvider extends VisionProvider {
+  constructor(config = {}) {
+    super({ cassetteDir: 'cassettes', provider: null, ...config });
+    this.name = this.config.provider || 'replay';
+    this.offline = true;
+  }
+
+  async complete(prompt, base64Data) {
+    const imageHash = hashImage(base64Data);
+
+    if (this.config.provider) {
+      const filePath = join(this.config.cassetteDir, cassetteFileName(this.config.provider, imageHash, prompt));
+      if (existsSync(filePath)) {
+        return JSON.parse(readFileSync(filePath, 'utf8')).rawResponse;
+      }
+    } else if (existsSync(this.config.cassetteDir)) {
+      const suffix = cassetteFileName('', imageHash, prompt);
+      const match = readdirSync(this.config.cassetteDir).sort().find(f => f.endsWith(suffix));
+      if (match) {
+        return JSON.parse(readFileSync(join(this.config.cassetteDir, match), 'utf8')).rawResponse;
+      }
+    }
+
+    throw new Error(`No cassette recorded for image ${imageHash.slice(0, 16)} (${this.name}) in ${this.config.cassetteDir}`);
+  }
+}
+
+/**
+ * Apply a cassette mode to a provider (recursing into failover chains)
+ * @param {Object} provider - Provider instance
+ * @param {Object} cassette - { mode: 'record' | 'replay' | 'off', dir }
+ * @returns {Object} Wrapped provider (or the original when mode is off)
+ */
+export function applyCassette(provider, cassette = {}) {
+  const { mode = 'off', dir = 'cassettes' } = cassette;
+
+  if (!mode || mode === 'off') {
+    return provider;
+  }
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Unknown cassette mode: ${mode} (expected record, replay or off)`);
+  }
+
+  if (provider instanceof FallbackProvider) {
+    return new FallbackProvider(provider.providers.map(p => applyCassette(p, cassette)));
+  }
+
+  return mode === 'record'
+    ? new RecordingProvider(provider, { cassetteDir: dir })
+    : new ReplayProvider({ cassetteDir: dir, provider: provider.name });
+}
@@ -0,0 +1,192 @@
+/**
+ * Multi-model ensemble scoring
+ *
+ * Sends one chart to several providers / prompt variants and aggregates the
+ * answers into a consensus TREND_ANALYSIS_SCHEMA object, keeping per-trend
+ * disagreement statistics so unreliable rankings can be flagged.
+ */
+
+import { EXTENDED_FIELDS } from './trend-schema.js';
+
+export const TRENDS = ['up', 'down', 'sideways'];
+
+export const AGGREGATION_METHODS = ['mean', 'median', 'trimmed'];
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+// Drop floor(n * trimRatio) values from each end; falls back to the median when nothing is left
+const trimmedMean = (values, trimRatio) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const cut = Math.floor(sorted.length * trimRatio);
+  const kept = sorted.slice(cut, sorted.length - cut);
+  return kept.length > 0 ? mean(kept) : median(sorted);
+};
+
+const standardDeviation = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+/**
+ * Aggregate a list of numbers with the chosen method
+ * @param {Array<number>} values - Values to aggregate
+ * @param {string} method - 'mean' | 'median' | 'trimmed'
+ * @param {number} trimRatio - Fraction trimmed from each end for 'trimmed'
+ * @returns {number} Aggregated value
+ */
+export function aggregateValues(values, method = 'mean', trimRatio = 0.2) {
+  if (values.length === 0) {
+    throw new Error('Cannot aggregate an empty list');
+  }
+  switch (method) {
+    case 'mean':
+      return mean(values);
+    case 'median':
+      return median(values);
+    case 'trimmed':
+      return trimmedMean(values, trimRatio);
+    default:
+      throw new Error(`Unknown aggregation method: ${method} (expected ${AGGREGATION_METHODS.join(', ')})`);
+  }
+}
+
+// Majority vote; ties go to the label whose voters reported the highest counter_conf
+const voteCountertrend = (blocks) => {
+  const tally = new Map();
+  blocks.forEach(block => {
+    const entry = tally.get(block.countertrend) || { votes: 0, maxConf: 0 };
+    entry.votes++;
+    entry.maxConf = Math.max(entry.maxConf, block.counter_conf);
+    tally.set(block.countertrend, entry);
+  });
+  return [...tally.entries()].sort((a, b) => (b[1].votes - a[1].votes) || (b[1].maxConf - a[1].maxConf))[0][0];
+};
+
+/**
+ * Aggregate several trend analyses into a consensus analysis
+ * @param {Array<Object>} analyses - Validated trend analyses
+ * @param {Object} options - { method, trimRatio }
+ * @returns {Object} { analysis, stats } where stats holds model_count and per-trend std/spread
+ */
+export function aggregateAnalyses(analyses, options = {}) {
+  const { method = 'mean', trimRatio = 0.2 } = options;
+
+  if (analyses.length === 0) {
+    throw new Error('No analyses to aggregate');
+  }
+
+  const analysis = {};
+  const stats = { method, model_count: analyses.length };
+
+  TRENDS.forEach(trend => {
+    const blocks = analyses.map(a => a[trend]);
+    const confidences = blocks.map(b => b.confidence);
+    const counterConfs = blocks.map(b => b.counter_conf);
+
+    analysis[trend] = {
+      confidence: aggregateValues(confidences, method, trimRatio),
+      countertrend: voteCountertrend(blocks),
+      counter_conf: aggregateValues(counterConfs, method, trimRatio)
+    };
+    stats[trend] = {
+      std: standardDeviation(confidences),
+      spread: Math.max(...confidences) - Math.min(...confidences)
+    };
+  });
+
+  return { analysis, stats };
+}
+
+/**
+ * Runs every member on the same image and aggregates the results
+ *
+ * Members are { label, provider, prompt?, promptVersion?, promptHash? };
+ * failed members are recorded but do not sink the image as long as
+ * `minMembers` answers come back.
+ */
+export class EnsembleProvider {
+  constructor(members, config = {}) {
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new Error('EnsembleProvider requires at least one member');
+    }
+    this.members = members;
+    this.config = {
+      method: 'mean',
+      trimRatio: 0.2,
+      minMembers: 1,
+      ...config
+    };
+    if (!AGGREGATION_METHODS.includes(this.config.method)) {
+      throw new Error(`Unknown aggregation method: ${this.config.method} (expected ${AGGREGATION_METHODS.join(', ')})`);
+    }
+    // A quorum of 0 would aggregate nothing; one above the member count can never be met
+    const { minMembers } = this.config;
+    if (!Number.isInteger(minMembers) || minMembers < 1 || minMembers > members.length) {
+      throw new Error(`minMembers must be an integer from 1 to ${members.length} (got ${minMembers})`);
+    }
+    this.name = `ensemble(${members.map(m => m.label).join(',')})`;
+    this.offline = members.every(m => m.provider.offline);
+    this.lastMemberResults = [];
+    this.lastStats = null;
+  }
+
+  async analyze(imageBase64, options = {}) {
+    const memberResults = [];
+    for (const member of this.members) {
+      try {
+        const analysis = await member.provider.analyze(imageBase64, {
+          ...options,
+          ...(member.prompt ? { prompt: member.prompt } : {})
+        });
+        memberResults.push({
+          label: member.label,
+          provider: member.provider.lastProviderName || member.provider.name,
+          ...(member.promptVersion ? { prompt_version: member.promptVersion, prompt_hash: member.promptHash } : {}),
+          analysis
+        });
+      } catch (error) {
+        memberResults.push({ label: member.label, provider: member.provider.name, error: error.message });
+        console.warn(`⚠️  Ensemble member ${member.label} failed: ${error.message}`);
+      }
+    }
+
+    const successful = memberResults.filter(r => r.analysis);
+    if (successful.length < this.config.minMembers) {
+      throw new Error(`Only ${successful.length}/${this.members.length} ensemble members succeeded (need ${this.config.minMembers})`);
+    }
+
+    const { analysis, stats } = aggregateAnalyses(successful.map(r => r.analysis), this.config);
+    this.lastMemberResults = memberResults;
+    this.lastStats = stats;
+    // Extended-schema detail is not averaged: it comes from the first member that returned it
+    const detailed = successful.find(r => EXTENDED_FIELDS.some(field => field in r.analysis));
+    if (detailed) {
+      EXTENDED_FIELDS.forEach(field => {
+        if (field in detailed.analysis) analysis[field] = detailed.analysis[field];
+      });
+    }
+    return analysis;
+  }
+}
+
+/**
+ * Find coins whose ensemble members disagree strongly on any trend
+ * @param {Array<Object>} tableData - Rows from buildTrendTable
+ * @param {number} threshold - Max-min spread at or above which a coin is flagged
+ * @returns {Set<string>} Flagged pair symbols
+ */
+export function findHighDisagreementPairs(tableData, threshold = 0.25) {
+  const flagged = new Set();
+  tableData.forEach(row => {
+    if (row.model_count > 1 && row.trend_spread >= threshold) {
+      flagged.add(row.pair);
+    }
+  });
+  return flagged;
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnsembleProvider, aggregateAnalyses, aggregateValues, findHighDisagreementPairs } from './ensemble.js';
+
+const analysis = (up, down, sideways, countertrend = 'No') => ({
+  up: { confidence: up, countertrend, counter_conf: 0.1 },
+  down: { confidence: down, countertrend, counter_conf: 0.1 },
+  sideways: { confidence: sideways, countertrend, counter_conf: 0.1 }
+});
+
+const member = (label, answer) => ({
+  label,
+  provider: {
+    name: label,
+    async analyze() {
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  }
+});
+
+const quietly = async (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('minMembers must be reachable', () => {
+  const members = [member('a', analysis(0.6, 0.3, 0.1)), member('b', analysis(0.4, 0.4, 0.2))];
+  assert.throws(() => new EnsembleProvider(members, { minMembers: 0 }), /minMembers must be an integer from 1 to 2/);
+  assert.throws(() => new EnsembleProvider(members, { minMembers: 3 }), /minMembers must be an integer from 1 to 2/);
+  assert.throws(() => new EnsembleProvider(members, { minMembers: 1.5 }), /minMembers/);
+  assert.throws(() => new EnsembleProvider([]), /at least one member/);
+  assert.equal(new EnsembleProvider(members, { minMembers: 2 }).config.minMembers, 2);
+});
+
+test('failed members are recorded and the rest are aggregated', async () => {
+  const ensemble = new EnsembleProvider([
+    member('a', analysis(0.6, 0.3, 0.1)),
+    member('b', new Error('HTTP 500')),
+    member('c', analysis(0.4, 0.5, 0.1))
+  ], { minMembers: 2 });
+  const result = await quietly(() => ensemble.analyze('b64'));
+  assert.ok(Math.abs(result.up.confidence - 0.5) < 1e-12);
+  assert.equal(ensemble.lastStats.model_count, 2);
+  assert.deepEqual(ensemble.lastMemberResults.map(r => r.error || 'ok'), ['ok', 'HTTP 500', 'ok']);
+});
+
+test('analysis fails when fewer than minMembers answer', async () => {
+  const ensemble = new EnsembleProvider([member('a', analysis(0.6, 0.3, 0.1)), member('b', new Error('timeout'))], { minMembers: 2 });
+  await assert.rejects(quietly(() => ensemble.analyze('b64')), /Only 1\/2 ensemble members succeeded \(need 2\)/);
+});
+
+test('aggregation methods and disagreement stats', () => {
+  assert.equal(aggregateValues([0.1, 0.2, 0.9], 'median'), 0.2);
+  assert.ok(Math.abs(aggregateValues([0, 0.2, 0.4, 0.6, 10], 'trimmed') - 0.4) < 1e-12);
+  assert.throws(() => aggregateValues([1], 'mode'), /Unknown aggregation method/);
+  assert.throws(() => aggregateValues([]), /empty list/);
+
+  const { analysis: consensus, stats } = aggregateAnalyses([analysis(0.8, 0.1, 0.1, 'Yes'), analysis(0.2, 0.7, 0.1), analysis(0.5, 0.4, 0.1, 'Yes')]);
+  assert.ok(Math.abs(consensus.up.confidence - 0.5) < 1e-12);
+  assert.equal(consensus.up.countertrend, 'Yes');
+  assert.ok(Math.abs(stats.up.spread - 0.6) < 1e-12);
+  assert.deepEqual([...findHighDisagreementPairs([{ pair: 'BTC', model_count: 3, trend_spread: 0.6 }, { pair: 'ETH', model_count: 1, trend_spread: 0.9 }])], ['BTC']);
+});
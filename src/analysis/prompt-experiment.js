@@ -0,0 +1,129 @@
+/**
+ * Prompt A/B experiments
+ *
+ * Splits the images of a run across several prompt versions and compares
+ * what each version produced: per-trend confidence distributions, variance,
+ * dominant-trend shares and how often the model fell back to coarse values.
+ * Analyses are matched to versions through their prompt_version field.
+ */
+
+import { TRENDS } from './ensemble.js';
+
+export const SPLIT_METHODS = ['alternate', 'hash'];
+
+const HISTOGRAM_BINS = 10;
+
+/**
+ * Pick the prompt variant for one image
+ *
+ * 'alternate' deals images round-robin by index (balanced groups);
+ * 'hash' uses the image content hash, so an image keeps its variant
+ * across resumed or repeated runs.
+ * @param {Array<Object>} variants - Resolved prompts
+ * @param {Object} image - { index, imageHash }
+ * @param {string} split - 'alternate' | 'hash'
+ * @returns {Object} The chosen variant
+ */
+export function assignPromptVariant(variants, { index = 0, imageHash = '' } = {}, split = 'alternate') {
+  if (!SPLIT_METHODS.includes(split)) {
+    throw new Error(`Unknown experiment split: ${split} (expected ${SPLIT_METHODS.join(', ')})`);
+  }
+  const slot = split === 'hash' ? parseInt(imageHash.slice(0, 8) || '0', 16) : index;
+  return variants[slot % variants.length];
+}
+
+/**
+ * Distribution summary of a list of confidences
+ * @param {Array<number>} values - Confidences in [0, 1]
+ * @returns {Object} { mean, variance, std, min, max, histogram }
+ */
+export function describeConfidences(values) {
+  if (values.length === 0) {
+    return { mean: null, variance: null, std: null, min: null, max: null, histogram: new Array(HISTOGRAM_BINS).fill(0) };
+  }
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  values.forEach(v => {
+    histogram[Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.floor(v * HISTOGRAM_BINS)))]++;
+  });
+  return { mean, variance, std: Math.sqrt(variance), min: Math.min(...values), max: Math.max(...values), histogram };
+}
+
+// Values with at most one decimal (0.6, 0.3) - the coarse answers the prompts ask the model to avoid
+const isCoarse = (value) => Math.abs(value * 10 - Math.round(value * 10)) < 1e-9;
+
+/**
+ * Compare analyses grouped by prompt version
+ *
+ * The first version (in order of appearance, or `baseline`) is the
+ * reference for delta_mean.
+ * @param {Array<Object>} analyses - Entries with prompt_version, prompt_hash and analysis
+ * @param {Object} options - { baseline }
+ * @returns {Object} { generatedAt, baseline, versions: [...] }
+ */
+export function comparePromptVersions(analyses, options = {}) {
+  const groups = new Map();
+  analyses.filter(a => a.analysis).forEach(a => {
+    const version = a.prompt_version || 'default';
+    if (!groups.has(version)) groups.set(version, { hashes: new Set(), entries: [] });
+    const group = groups.get(version);
+    if (a.prompt_hash) group.hashes.add(a.prompt_hash);
+    group.entries.push(a.analysis);
+  });
+
+  const versions = [...groups.entries()].map(([promptVersion, { hashes, entries }]) => {
+    const trends = Object.fromEntries(TRENDS.map(trend => [
+      trend,
+      describeConfidences(entries.map(analysis => Number(analysis[trend]?.confidence ?? 0)))
+    ]));
+
+    const dominant = Object.fromEntries(TRENDS.map(trend => [trend, 0]));
+    let coarse = 0;
+    let marginSum = 0;
+    entries.forEach(analysis => {
+      const confidences = TRENDS.map(trend => Number(analysis[trend]?.confidence ?? 0));
+      const sorted = [...confidences].sort((a, b) => b - a);
+      dominant[TRENDS[confidences.indexOf(sorted[0])]]++;
+      marginSum += sorted[0] - sorted[1];
+      coarse += confidences.filter(isCoarse).length;
+    });
+
+    return {
+      prompt_version: promptVersion,
+      prompt_hashes: [...hashes],
+      count: entries.length,
+      trends,
+      dominant_share: Object.fromEntries(TRENDS.map(trend => [trend, dominant[trend] / entries.length])),
+      coarse_share: coarse / (entries.length * TRENDS.length),
+      mean_margin: marginSum / entries.length
+    };
+  });
+
+  const baseline = versions.find(v => v.prompt_version === options.baseline) || versions[0] || null;
+  versions.forEach(version => {
+    version.delta_mean = Object.fromEntries(TRENDS.map(trend => {
+      const own = version.trends[trend].mean;
+      const reference = baseline?.trends[trend].mean;
+      return [trend, own === null || reference === null || reference === undefined ? null : own - reference];
+    }));
+  });
+
+  return { generatedAt: new Date().toISOString(), baseline: baseline?.prompt_version ?? null, versions };
+}
+
+/**
+ * Console lines for an experiment report
+ * @param {Object} report - Output of comparePromptVersions
+ * @returns {Array<string>} Lines
+ */
+export function formatExperimentReport(report) {
+  const fixed = (value) => (value === null ? '  n/a' : value.toFixed(3));
+  return report.versions.flatMap(version => [
+    `${version.prompt_version}${version.prompt_version === report.baseline ? ' (baseline)' : ''} | n=${version.count} | coarse ${(version.coarse_share * 100).toFixed(1)}% | margin ${fixed(version.mean_margin)}`,
+    ...TRENDS.map(trend => {
+      const stats = version.trends[trend];
+      return `  ${trend.padEnd(8)} mean ${fixed(stats.mean)} | std ${fixed(stats.std)} | var ${fixed(stats.variance)} | Δ ${fixed(version.delta_mean[trend])} | dominant ${(version.dominant_share[trend] * 100).toFixed(1)}%`;
+    })
+  ]);
+}
@@ -0,0 +1,282 @@
+/**
+ * Prompt template registry
+ *
+ * Trend prompts live as versioned template files in src/analysis/prompts
+ * (<id>.v<version>.txt): a small front-matter header followed by the prompt
+ * body with {{variable}} placeholders. Every rendered prompt carries its ref
+ * (id@version) and the sha256 of the exact text sent, which analysis results
+ * store as prompt_version / prompt_hash.
+ *
+ * prompts.lock pins the file hash of every published version. Editing a
+ * locked template makes the registry refuse to load, so a prompt change has
+ * to ship as a new version file instead of a silent edit.
+ *
+ * Usage: node src/analysis/prompt-registry.js [list|lock|render <ref>]
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+export const PROMPTS_DIR = fileURLToPath(new URL('./prompts/', import.meta.url));
+
+// Default trend prompt for providers that are not given one
+export const DEFAULT_PROMPT = 'trend-detailed@1';
+
+/**
+ * Registry configuration
+ */
+const REGISTRY_CONFIG = {
+  dir: PROMPTS_DIR,
+  lockFile: 'prompts.lock', // JSON { "id@version": sha256 of the template file }
+  strict: true // Throw (instead of warn) when a locked template was edited
+};
+
+const TEMPLATE_FILE = /^([a-z0-9][\w-]*)\.v(\d+)\.txt$/i;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * sha256 hex digest of a prompt (or template file)
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+export function hashPrompt(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Parse a template file: front matter between `---` lines, then the body
+ *
+ * Header keys are id, version, description and variables
+ * ("name=default, other=default"). The file's final newline is not part of
+ * the prompt.
+ * @param {string} source - File content
+ * @param {string} fileName - File name, for error messages
+ * @returns {Object} { id, version, description, defaults, body }
+ */
+export function parseTemplate(source, fileName = 'template') {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template ${fileName} has no front matter`);
+  }
+
+  const header = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+
+  const version = Number(header.version);
+  if (!header.id || !Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt template ${fileName} needs an id and a positive integer version`);
+  }
+
+  const defaults = {};
+  (header.variables || '').split(',').map(v => v.trim()).filter(Boolean).forEach(entry => {
+    const [name, ...rest] = entry.split('=');
+    defaults[name.trim()] = rest.join('=').trim();
+  });
+
+  return {
+    id: header.id,
+    version,
+    description: header.description || '',
+    defaults,
+    body: match[2].replace(/\r?\n$/, '')
+  };
+}
+
+/**
+ * Substitute {{variable}} placeholders
+ * @param {string} body - Template body
+ * @param {Object} variables - Values by name
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(body, variables = {}) {
+  return body.replace(PLACEHOLDER, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Prompt variable '${name}' has no value`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Versioned prompt templates loaded from a directory
+ */
+export class PromptRegistry {
+  constructor(config = {}) {
+    this.config = { ...REGISTRY_CONFIG, ...config };
+    this.templates = new Map(); // "id@version" -> template
+    this.locks = {};
+    this.loaded = false;
+  }
+
+  get lockPath() {
+    return join(this.config.dir, this.config.lockFile);
+  }
+
+  /**
+   * Read every template file and check it against the lock file
+   * @returns {PromptRegistry} this
+   */
+  load() {
+    this.templates.clear();
+    this.locks = existsSync(this.lockPath) ? JSON.parse(readFileSync(this.lockPath, 'utf8')) : {};
+
+    readdirSync(this.config.dir).filter(f => TEMPLATE_FILE.test(f)).sort().forEach(fileName => {
+      const source = readFileSync(join(this.config.dir, fileName), 'utf8');
+      const template = parseTemplate(source, fileName);
+      const [, fileId, fileVersion] = fileName.match(TEMPLATE_FILE);
+      if (template.id !== fileId || template.version !== Number(fileVersion)) {
+        throw new Error(`Prompt template ${fileName} declares ${template.id}@${template.version}; file name and header must agree`);
+      }
+
+      const ref = `${template.id}@${template.version}`;
+      const fileHash = hashPrompt(source);
+      const lockedHash = this.locks[ref];
+      if (lockedHash && lockedHash !== fileHash) {
+        const message = `Prompt template ${ref} was edited after it was locked; publish the change as ${template.id}.v${template.version + 1}.txt instead`;
+        if (this.config.strict) throw new Error(message);
+        console.warn(`⚠️  ${message}`);
+      }
+
+      this.templates.set(ref, { ...template, ref, fileName, fileHash, locked: lockedHash === fileHash });
+    });
+
+    this.loaded = true;
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  /**
+   * All templates, sorted by id and version
+   * @returns {Array<Object>} { ref, id, version, description, locked, variables }
+   */
+  list() {
+    this.ensureLoaded();
+    return [...this.templates.values()]
+      .sort((a, b) => a.id.localeCompare(b.id) || a.version - b.version)
+      .map(t => ({ ref: t.ref, id: t.id, version: t.version, description: t.description, locked: t.locked, variables: t.defaults }));
+  }
+
+  /**
+   * Whether a ref names a known template
+   * @param {string} ref - "id@version" or "id"
+   * @returns {boolean}
+   */
+  has(ref) {
+    this.ensureLoaded();
+    return typeof ref === 'string' && Boolean(this.lookup(ref));
+  }
+
+  // "id@version" exactly, or the latest version of "id"
+  lookup(ref) {
+    if (ref.includes('@')) return this.templates.get(ref) || null;
+    const versions = [...this.templates.values()].filter(t => t.id === ref);
+    return versions.sort((a, b) => b.version - a.version)[0] || null;
+  }
+
+  /**
+   * Template for a ref
+   * @param {string} ref - "id@version" or "id" (latest version)
+   * @returns {Object} Template
+   */
+  get(ref) {
+    this.ensureLoaded();
+    const template = this.lookup(ref);
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${ref} (available: ${[...this.templates.keys()].join(', ')})`);
+    }
+    return template;
+  }
+
+  /**
+   * Render a template with its defaults overridden by `variables`
+   * @param {string} ref - "id@version" or "id"
+   * @param {Object} variables - Placeholder values
+   * @returns {Object} { ref, id, version, text, hash, locked }
+   */
+  render(ref, variables = {}) {
+    const template = this.get(ref);
+    const text = renderTemplate(template.body, { ...template.defaults, ...variables });
+    return { ref: template.ref, id: template.id, version: template.version, text, hash: hashPrompt(text), locked: template.locked };
+  }
+
+  /**
+   * Pin every unlocked template in the lock file; locked hashes never change here
+   * @returns {Array<string>} Newly locked refs
+   */
+  lock() {
+    this.ensureLoaded();
+    const added = [];
+    this.templates.forEach(template => {
+      if (!this.locks[template.ref]) {
+        this.locks[template.ref] = template.fileHash;
+        template.locked = true;
+        added.push(template.ref);
+      }
+    });
+    if (added.length > 0) {
+      const sorted = Object.fromEntries(Object.entries(this.locks).sort(([a], [b]) => a.localeCompare(b)));
+      writeFileSync(this.lockPath, `${JSON.stringify(sorted, null, 2)}\n`);
+    }
+    return added;
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Shared registry over PROMPTS_DIR (loaded on first use)
+ * @returns {PromptRegistry}
+ */
+export function getPromptRegistry() {
+  if (!defaultRegistry) defaultRegistry = new PromptRegistry().load();
+  return defaultRegistry;
+}
+
+/**
+ * Resolve a prompt ref or literal prompt text into a traceable prompt
+ *
+ * Registry refs render their template; any other string is used verbatim
+ * and versioned as "inline:<hash prefix>" so ad-hoc prompts stay traceable.
+ * @param {string} promptOrRef - Template ref or prompt text (default DEFAULT_PROMPT)
+ * @param {Object} variables - Placeholder values for templates
+ * @param {PromptRegistry} registry - Registry to resolve refs against
+ * @returns {Object} { ref, text, hash, locked }
+ */
+export function resolvePrompt(promptOrRef = DEFAULT_PROMPT, variables = {}, registry = getPromptRegistry()) {
+  if (registry.has(promptOrRef)) {
+    return registry.render(promptOrRef, variables);
+  }
+  const hash = hashPrompt(promptOrRef);
+  return { ref: `inline:${hash.slice(0, 12)}`, id: 'inline', version: null, text: promptOrRef, hash, locked: false };
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command = 'list', ref] = process.argv.slice(2);
+  try {
+    const registry = new PromptRegistry().load();
+    if (command === 'lock') {
+      const added = registry.lock();
+      console.log(added.length > 0 ? `🔒 Locked ${added.join(', ')} in ${registry.lockPath}` : '✅ All templates already locked');
+    } else if (command === 'render') {
+      const prompt = registry.render(ref || DEFAULT_PROMPT);
+      console.log(`# ${prompt.ref} sha256:${prompt.hash}`);
+      console.log(prompt.text);
+    } else {
+      registry.list().forEach(t => {
+        console.log(`${t.locked ? '🔒' : '📝'} ${t.ref.padEnd(20)} ${t.description}`);
+      });
+    }
+  } catch (error) {
+    console.error('❌ Prompt registry error:', error.message);
+    process.exit(1);
+  }
+}
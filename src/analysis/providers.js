@@ -0,0 +1,450 @@
+/**
+ * AI Vision Providers
+ *
+ * Common provider interface plus a name-based registry so trend analysis
+ * can switch vendors (or chain them for failover) without code changes.
+ * Every adapter returns the same validated TREND_ANALYSIS_SCHEMA object.
+ */
+
+import { createHash } from 'crypto';
+import { createTrendAnalysisPrompt, parseTrendAnalysisResponse, resolveSchemaVersion, CHART_PATTERNS, PATTERN_BIASES, TREND_STRENGTHS, VOLATILITY_REGIMES } from './trend-schema.js';
+
+/**
+ * Strip a data URL prefix, returning plain base64
+ * @param {string} imageBase64 - Base64 image, optionally as a data URL
+ * @returns {string} Plain base64 data
+ */
+const stripDataUrl = (imageBase64) => {
+  if (imageBase64.startsWith('data:')) {
+    return imageBase64.split(',')[1];
+  }
+  return imageBase64;
+};
+
+/**
+ * SHA-256 of the decoded image bytes
+ * @param {string} imageBase64 - Base64 image, optionally as a data URL
+ * @returns {string} Hex digest
+ */
+export const hashImage = (imageBase64) => {
+  return createHash('sha256').update(Buffer.from(stripDataUrl(imageBase64), 'base64')).digest('hex');
+};
+
+/**
+ * Base class for vision providers
+ *
+ * Subclasses implement complete(prompt, base64Data, options) and return the
+ * raw model text; parsing and strict validation happen here so every vendor
+ * is held to the same schema.
+ */
+export class VisionProvider {
+  constructor(config = {}) {
+    this.name = 'base';
+    this.config = {
+      timeoutMs: 60000,
+      temperature: 0.1,
+      maxOutputTokens: 1000,
+      ...config
+    };
+  }
+
+  /**
+   * Send the prompt and image to the model
+   * @param {string} prompt - Analysis prompt
+   * @param {string} base64Data - PNG image as plain base64
+   * @param {Object} options - analyze() options ({ schema })
+   * @returns {Promise<string>} Raw model text
+   */
+  async complete(prompt, base64Data, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Analyze a chart image
+   * @param {string} imageBase64 - PNG image as base64 or data URL
+   * @param {Object} options - Optional overrides ({ prompt, schema: 'basic' | 'extended', repair: true to fix formatting slips })
+   * @returns {Promise<Object>} Validated trend analysis
+   */
+  async analyze(imageBase64, options = {}) {
+    const { schema } = resolveSchemaVersion(options.schema);
+    const prompt = options.prompt || createTrendAnalysisPrompt({}, options.schema);
+    const content = await this.complete(prompt, stripDataUrl(imageBase64), options);
+    return parseTrendAnalysisResponse(content, schema, { repair: options.repair === true });
+  }
+
+  /**
+   * POST a JSON payload with timeout handling
+   * @param {string} url - Endpoint URL
+   * @param {Object} headers - Extra request headers
+   * @param {Object} payload - JSON body
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async postJson(url, headers, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.name} request timeout after ${this.config.timeoutMs}ms`);
+      }
+      throw new Error(`${this.name} request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${this.name} API error ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Google Gemini provider
+ */
+export class GeminiProvider extends VisionProvider {
+  constructor(config = {}) {
+    super({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: 'gemini-2.0-flash',
+      ...config
+    });
+    this.name = 'gemini';
+    this.baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.config.model}:generateContent`;
+  }
+
+  async complete(prompt, base64Data) {
+    const payload = {
+      contents: [{
+        parts: [
+          { text: prompt },
+          {
+            inline_data: {
+              mime_type: 'image/png',
+              data: base64Data
+            }
+          }
+        ]
+      }],
+      generationConfig: {
+        temperature: this.config.temperature,
+        topP: 0.8,
+        topK: 10,
+        maxOutputTokens: this.config.maxOutputTokens,
+        response_mime_type: 'application/json'
+      }
+    };
+
+    const data = await this.postJson(this.baseUrl, { 'X-goog-api-key': this.config.apiKey }, payload);
+
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      throw new Error('Invalid response structure from Gemini API');
+    }
+
+    return data.candidates[0].content.parts[0].text;
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions provider
+ *
+ * Works with OpenAI and any server exposing /chat/completions with image
+ * inputs (llama.cpp server, vLLM, LM Studio, OpenRouter)
+ */
+export class OpenAICompatibleProvider extends VisionProvider {
+  constructor(config = {}) {
+    super({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      jsonMode: true,
+      ...config
+    });
+    this.name = config.name || 'openai';
+  }
+
+  async complete(prompt, base64Data) {
+    const payload = {
+      model: this.config.model,
+      temperature: this.config.temperature,
+      max_tokens: this.config.maxOutputTokens,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:image/png;base64,${base64Data}` } }
+        ]
+      }]
+    };
+    if (this.config.jsonMode) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    const headers = this.config.apiKey ? { 'Authorization': `Bearer ${this.config.apiKey}` } : {};
+    const url = `${this.config.baseUrl.replace(/\/$/, '')}/chat/completions`;
+    const data = await this.postJson(url, headers, payload);
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error(`Invalid response structure from ${this.name} API`);
+    }
+
+    return content;
+  }
+}
+
+/**
+ * Anthropic Messages API provider
+ */
+export class AnthropicProvider extends VisionProvider {
+  constructor(config = {}) {
+    super({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+      apiVersion: '2023-06-01',
+      ...config
+    });
+    this.name = 'anthropic';
+  }
+
+  async complete(prompt, base64Data) {
+    const payload = {
+      model: this.config.model,
+      max_tokens: this.config.maxOutputTokens,
+      temperature: this.config.temperature,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: base64Data } },
+          { type: 'text', text: prompt }
+        ]
+      }]
+    };
+
+    const url = `${this.config.baseUrl.replace(/\/$/, '')}/v1/messages`;
+    const data = await this.postJson(url, {
+      'x-api-key': this.config.apiKey,
+      'anthropic-version': this.config.apiVersion
+    }, payload);
+
+    const textBlock = Array.isArray(data?.content) ? data.content.find(block => block.type === 'text') : null;
+    if (!textBlock) {
+      throw new Error('Invalid response structure from Anthropic API');
+    }
+
+    return textBlock.text;
+  }
+}
+
+/**
+ * Local Ollama provider (llava, llama3.2-vision, qwen2.5vl, ...)
+ */
+export class OllamaProvider extends VisionProvider {
+  constructor(config = {}) {
+    super({
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
+      model: process.env.OLLAMA_MODEL || 'llava',
+      timeoutMs: 180000, // Local models on CPU are slow
+      ...config
+    });
+    this.name = 'ollama';
+  }
+
+  async complete(prompt, base64Data) {
+    const payload = {
+      model: this.config.model,
+      stream: false,
+      format: 'json',
+      options: {
+        temperature: this.config.temperature,
+        num_predict: this.config.maxOutputTokens
+      },
+      messages: [{ role: 'user', content: prompt, images: [base64Data] }]
+    };
+
+    const url = `${this.config.baseUrl.replace(/\/$/, '')}/api/chat`;
+    const data = await this.postJson(url, {}, payload);
+
+    const content = data?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response structure from Ollama API');
+    }
+
+    return content;
+  }
+}
+
+/**
+ * Deterministic offline provider
+ *
+ * Derives schema-valid confidences from the image hash (and a seed), so the
+ * same image always scores the same and CI runs need no network or key.
+ */
+export class SyntheticProvider extends VisionProvider {
+  constructor(config = {}) {
+    super({
+      seed: process.env.SYNTHETIC_SEED || 'synthetic',
+      ...config
+    });
+    this.name = 'synthetic';
+    this.offline = true;
+  }
+
+  async complete(prompt, base64Data, options = {}) {
+    const digest = createHash('sha256')
+      .update(`${this.config.seed}:${hashImage(base64Data)}`)
+      .digest();
+
+    // Two bytes per value -> 0..1 with 6 decimals; 3 bytes pick the countertrend labels
+    const unit = (offset) => Number((digest.readUInt16BE(offset) / 0xffff).toFixed(6));
+    const labels = ['Yes', 'No', 'Low'];
+    const block = (offset, labelByte) => ({
+      confidence: unit(offset),
+      countertrend: labels[digest[labelByte] % labels.length],
+      counter_conf: unit(offset + 2)
+    });
+
+    const analysis = {
+      up: block(0, 12),
+      down: block(4, 13),
+      sideways: block(8, 14)
+    };
+    if (options.schema === 'extended') {
+      // Remaining bytes: one pattern, one level each side, regime labels
+      const pick = (list, byte) => list[digest[byte] % list.length];
+      const pattern = pick(CHART_PATTERNS, 15);
+      const strength = pick(TREND_STRENGTHS, 20);
+      Object.assign(analysis, {
+        patterns: [{ name: pattern, bias: pick(PATTERN_BIASES, 16), confidence: unit(17) }],
+        levels: {
+          support: [Number((unit(21) / 2).toFixed(6))],
+          resistance: [Number((0.5 + unit(23) / 2).toFixed(6))]
+        },
+        strength,
+        volatility: pick(VOLATILITY_REGIMES, 19),
+        rationale: `Synthetic ${pattern.replace(/_/g, ' ')} with a ${strength} trend`
+      });
+    }
+    return JSON.stringify(analysis);
+  }
+}
+
+/**
+ * Tries each provider in order until one returns a valid analysis
+ *
+ * Keeps the run alive when a single vendor is down or rate limited.
+ */
+export class FallbackProvider {
+  constructor(providers) {
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error('FallbackProvider requires at least one provider');
+    }
+    this.providers = providers;
+    this.name = providers.map(p => p.name).join('>');
+    this.offline = providers.every(p => p.offline);
+    this.lastProviderName = null;
+  }
+
+  async analyze(imageBase64, options = {}) {
+    const errors = [];
+    for (const provider of this.providers) {
+      try {
+        const analysis = await provider.analyze(imageBase64, options);
+        this.lastProviderName = provider.name;
+        return analysis;
+      } catch (error) {
+        errors.push(`${provider.name}: ${error.message}`);
+        console.warn(`⚠️  Provider ${provider.name} failed, trying next: ${error.message}`);
+      }
+    }
+    throw new Error(`All providers failed (${errors.join(' | ')})`);
+  }
+}
+
+// Provider registry: name -> factory(config)
+const PROVIDER_REGISTRY = new Map();
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Provider name (case-insensitive)
+ * @param {Function} factory - (config) => provider with analyze(imageBase64, options)
+ */
+export function registerProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider factory for '${name}' must be a function`);
+  }
+  PROVIDER_REGISTRY.set(name.toLowerCase(), factory);
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return [...PROVIDER_REGISTRY.keys()];
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Registered provider name
+ * @param {Object} config - Provider configuration
+ * @returns {Object} Provider instance
+ */
+export function createProvider(name, config = {}) {
+  const factory = PROVIDER_REGISTRY.get(String(name).toLowerCase());
+  if (!factory) {
+    throw new Error(`Unsupported provider: ${name} (registered: ${listProviders().join(', ')})`);
+  }
+  return factory(config);
+}
+
+/**
+ * Resolve a provider spec into a provider instance
+ *
+ * Accepts a provider instance, a registered name, a comma-separated chain
+ * ("gemini,openai") or an array of names; chains become a FallbackProvider.
+ * @param {string|Array|Object} spec - Provider spec
+ * @param {Object} providerOptions - Per-provider config keyed by name
+ * @returns {Object} Provider instance
+ */
+export function resolveProvider(spec, providerOptions = {}) {
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    return spec;
+  }
+
+  const names = (Array.isArray(spec) ? spec : String(spec).split(','))
+    .map(n => (typeof n === 'string' ? n.trim() : n))
+    .filter(Boolean);
+
+  const providers = names.map(n => (
+    typeof n === 'object' ? n : createProvider(n, providerOptions[n.toLowerCase()] || {})
+  ));
+
+  return providers.length === 1 ? providers[0] : new FallbackProvider(providers);
+}
+
+registerProvider('gemini', config => new GeminiProvider(config));
+registerProvider('openai', config => new OpenAICompatibleProvider(config));
+registerProvider('anthropic', config => new AnthropicProvider(config));
+registerProvider('ollama', config => new OllamaProvider(config));
+registerProvider('synthetic', config => new SyntheticProvider(config));
+registerProvider('llamacpp', config => new OpenAICompatibleProvider({
+  name: 'llamacpp',
+  apiKey: process.env.LLAMACPP_API_KEY,
+  baseUrl: process.env.LLAMACPP_BASE_URL || 'http://127.0.0.1:8080/v1',
+  model: process.env.LLAMACPP_MODEL || 'local',
+  timeoutMs: 180000,
+  jsonMode: false,
+  ...config
+}));
@@ -0,0 +1,184 @@
+/**
+ * Trend analysis schema, prompt and response parsing
+ *
+ * Shared by every AI provider so they all return the same strictly
+ * validated TREND_ANALYSIS_SCHEMA object. The optional 'extended' schema
+ * version adds chart patterns, support/resistance levels, strength and
+ * volatility labels and a short rationale on top of the three trends.
+ */
+
+import { getPromptRegistry, DEFAULT_PROMPT } from './prompt-registry.js';
+import { validateJsonSchema, formatErrors } from '../validation/json-schema-validator.js';
+
+// JSON Schema for strict validation (non-negotiable format)
+export const TREND_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['up', 'down', 'sideways'],
+  properties: {
+    up: {
+      type: 'object',
+      required: ['confidence', 'countertrend', 'counter_conf'],
+      properties: {
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        countertrend: { type: 'string', enum: ['Yes', 'No', 'Low'] },
+        counter_conf: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    down: {
+      type: 'object',
+      required: ['confidence', 'countertrend', 'counter_conf'],
+      properties: {
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        countertrend: { type: 'string', enum: ['Yes', 'No', 'Low'] },
+        counter_conf: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    sideways: {
+      type: 'object',
+      required: ['confidence', 'countertrend', 'counter_conf'],
+      properties: {
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        countertrend: { type: 'string', enum: ['Yes', 'No', 'Low'] },
+        counter_conf: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+// Named chart patterns the extended schema accepts
+export const CHART_PATTERNS = [
+  'head_and_shoulders',
+  'inverse_head_and_shoulders',
+  'double_top',
+  'double_bottom',
+  'ascending_triangle',
+  'descending_triangle',
+  'symmetrical_triangle',
+  'rising_wedge',
+  'falling_wedge',
+  'bull_flag',
+  'bear_flag',
+  'channel_up',
+  'channel_down',
+  'range'
+];
+
+export const PATTERN_BIASES = ['bullish', 'bearish', 'neutral'];
+
+export const TREND_STRENGTHS = ['weak', 'moderate', 'strong'];
+
+export const VOLATILITY_REGIMES = ['low', 'normal', 'high'];
+
+// Fields the extended schema adds to TREND_ANALYSIS_SCHEMA
+export const EXTENDED_FIELDS = ['patterns', 'levels', 'strength', 'volatility', 'rationale'];
+
+// Price levels as fractions of the plot height (0 = bottom edge, 1 = top edge)
+const LEVEL_LIST = {
+  type: 'array',
+  maxItems: 5,
+  items: { type: 'number', minimum: 0, maximum: 1 }
+};
+
+// Extended schema: the three trends plus pattern / level / regime detail
+export const TREND_ANALYSIS_SCHEMA_EXTENDED = {
+  type: 'object',
+  required: ['up', 'down', 'sideways', ...EXTENDED_FIELDS],
+  properties: {
+    ...TREND_ANALYSIS_SCHEMA.properties,
+    patterns: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['name', 'bias', 'confidence'],
+        properties: {
+          name: { type: 'string', enum: CHART_PATTERNS },
+          bias: { type: 'string', enum: PATTERN_BIASES },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        additionalProperties: false
+      }
+    },
+    levels: {
+      type: 'object',
+      required: ['support', 'resistance'],
+      properties: {
+        support: LEVEL_LIST,
+        resistance: LEVEL_LIST
+      },
+      additionalProperties: false
+    },
+    strength: { type: 'string', enum: TREND_STRENGTHS },
+    volatility: { type: 'string', enum: VOLATILITY_REGIMES },
+    rationale: { type: 'string', maxLength: 300 }
+  },
+  additionalProperties: false
+};
+
+// Schema versions and the registry prompt that asks for each
+export const SCHEMA_VERSIONS = {
+  basic: { schema: TREND_ANALYSIS_SCHEMA, prompt: DEFAULT_PROMPT },
+  extended: { schema: TREND_ANALYSIS_SCHEMA_EXTENDED, prompt: 'trend-extended@1' }
+};
+
+/**
+ * Look up a schema version
+ * @param {string} version - 'basic' | 'extended'
+ * @returns {Object} { schema, prompt }
+ */
+export function resolveSchemaVersion(version = 'basic') {
+  const resolved = SCHEMA_VERSIONS[version || 'basic'];
+  if (!resolved) {
+    throw new Error(`Unknown trend schema version: ${version} (expected ${Object.keys(SCHEMA_VERSIONS).join(', ')})`);
+  }
+  return resolved;
+}
+
+// Strict validation against a JSON Schema (src/validation/json-schema-validator.js);
+// throws one error listing every violation with its JSON pointer
+export function validateSchema(data, schema) {
+  const result = validateJsonSchema(data, schema);
+  if (!result.isValid) {
+    throw new Error(formatErrors(result.errors));
+  }
+  return true;
+}
+
+// Default prompt text for a schema version; the templates live in the prompt
+// registry (src/analysis/prompts/trend-detailed.v1.txt, trend-extended.v1.txt)
+export const createTrendAnalysisPrompt = (variables = {}, schemaVersion = 'basic') =>
+  getPromptRegistry().render(resolveSchemaVersion(schemaVersion).prompt, variables).text;
+
+// Parse raw model text into a validated trend analysis object. Strict by default;
+// callers opt into `repair` to have trivial formatting slips - numeric strings,
+// "yes" for "Yes", wrapper or extra keys - fixed and logged instead of rejected
+export function parseTrendAnalysisResponse(rawContent, schema = TREND_ANALYSIS_SCHEMA, options = {}) {
+  const { repair = false } = options;
+  // Clean up markdown formatting if present
+  let content = String(rawContent ?? '').trim();
+  if (content.startsWith('```json')) {
+    content = content.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (content.startsWith('```')) {
+    content = content.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+
+  // Parse JSON and validate strictly
+  let parsedJson;
+  try {
+    parsedJson = JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Invalid JSON response from AI: ${e.message}. Raw content: ${content.substring(0, 200)}...`);
+  }
+
+  // Strict schema validation - reject anything repair mode cannot fix
+  const result = validateJsonSchema(parsedJson, schema, { repair });
+  if (!result.isValid) {
+    throw new Error(`Schema validation failed: ${formatErrors(result.errors)}`);
+  }
+
+  return result.data;
+}
@@ -0,0 +1,354 @@
+/**
+ * Chart Anonymizer
+ *
+ * Crops TradingView screenshots down to the bare chart with sharp, replacing
+ * the Python cropper (src/batch-crop-usdt-pairs-v2.py) so the pipeline runs
+ * on one runtime. Targets can be single files, directories or glob patterns;
+ * every file yields a structured result instead of a stdout line.
+ *
+ * Crop profiles:
+ * - 'tradingview-1920' (default): the cropper's fixed margins (left 40,
+ *   top 130, right 440, bottom 100) on a 1920x1080 screenshot -> 1440x850
+ * - 'plot-area': the plot area recorded at capture time
+ *   (metadata/<name>.json, see src/screenshot/plot-area.js), else one
+ *   detected from the pixels, else 'tradingview-1920'; boxes outside the
+ *   image or below minAreaRatio of it are discarded for the next source
+ * - 'local-render': copy as-is (local renders carry no UI to remove)
+ */
+
+import sharp from 'sharp';
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, copyFileSync } from 'fs';
+import { join, basename, dirname, extname, resolve, relative, sep } from 'path';
+import { detectPlotArea } from '../screenshot/plot-area.js';
+
+// Screenshot size the fixed-margin profile is designed for
+export const EXPECTED_SIZE = { width: 1920, height: 1080 };
+
+export const CROP_PROFILES = {
+  'tradingview-1920': {
+    type: 'margins',
+    margins: { left: 40, top: 130, right: 440, bottom: 100 },
+    expectedSize: EXPECTED_SIZE
+  },
+  'plot-area': {
+    type: 'plot-area',
+    detectPixels: true, // Search the screenshot when no plot area was recorded
+    minAreaRatio: 0.3, // Smallest share of the image a plot box may cover
+    expectedSize: EXPECTED_SIZE, // Full-page captures; 'plot' captures expect their own box size
+    fallback: 'tradingview-1920'
+  },
+  'local-render': {
+    type: 'copy'
+  }
+};
+
+/**
+ * Anonymizer configuration
+ */
+const ANONYMIZER_CONFIG = {
+  profile: 'tradingview-1920', // Name in CROP_PROFILES / config.profiles, or a profile object
+  profiles: {}, // Extra or overriding named profiles
+  suffix: '_cropped', // Output name: <name><suffix>.png
+  outputDir: null, // Default: next to each input
+  overwrite: true, // Re-crop when the output already exists
+  strictSize: false, // Fail (instead of warn) when the input is not the profile's expectedSize
+  metadataDir: null // Default: ../metadata relative to each input (BatchProcessor session layout)
+};
+
+/**
+ * Glob pattern -> RegExp over '/'-separated relative paths (*, ?, **)
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+};
+
+const walk = (dir) => readdirSync(dir).flatMap(name => {
+  const fullPath = join(dir, name);
+  return statSync(fullPath).isDirectory() ? walk(fullPath) : [fullPath];
+});
+
+/**
+ * Expand files, directories (their direct entries) and glob patterns
+ * @param {string|Array<string>} targets - Targets in order
+ * @returns {Array<string>} Unique absolute paths, in target order
+ */
+export function expandTargets(targets) {
+  const files = [];
+  (Array.isArray(targets) ? targets : [targets]).forEach(target => {
+    if (existsSync(target) && statSync(target).isDirectory()) {
+      readdirSync(target).sort().forEach(name => files.push(join(target, name)));
+    } else if (existsSync(target)) {
+      files.push(target);
+    } else if (/[*?]/.test(target)) {
+      // Walk from the last directory before the first wildcard
+      const parts = target.split(/[\\/]/);
+      const firstWild = parts.findIndex(part => /[*?]/.test(part));
+      const base = parts.slice(0, firstWild).join(sep) || '.';
+      const matcher = globToRegExp(parts.slice(firstWild).join('/'));
+      if (existsSync(base)) {
+        walk(base).sort()
+          .filter(file => matcher.test(relative(base, file).split(sep).join('/')))
+          .forEach(file => files.push(file));
+      }
+    } else {
+      console.warn(`⚠️  No such file, directory or pattern match: ${target}`);
+    }
+  });
+  return [...new Set(files.map(file => resolve(file)))];
+}
+
+/**
+ * Anonymizer Class
+ */
+export class Anonymizer {
+  constructor(config = {}) {
+    this.config = { ...ANONYMIZER_CONFIG, ...config };
+    this.profiles = { ...CROP_PROFILES, ...this.config.profiles };
+  }
+
+  /**
+   * Look up a crop profile
+   * @param {string|Object} profile - Profile name or object
+   * @returns {Object} Profile with its name
+   */
+  resolveProfile(profile = this.config.profile) {
+    if (typeof profile === 'object') {
+      return { name: profile.name || 'custom', ...profile };
+    }
+    const found = this.profiles[profile];
+    if (!found) {
+      throw new Error(`Unknown crop profile: ${profile} (available: ${Object.keys(this.profiles).join(', ')})`);
+    }
+    return { name: profile, ...found };
+  }
+
+  /**
+   * Whether a file is an anonymizer output or derived from one (augmentation
+   * controls: <name>_cropped_control.png), with this run's or the default suffix
+   */
+  isOutput(filePath) {
+    const name = basename(filePath, extname(filePath)).toLowerCase();
+    return [this.config.suffix, ANONYMIZER_CONFIG.suffix].some(suffix => name.includes(suffix.toLowerCase()));
+  }
+
+  /**
+   * Expand targets into PNG files to anonymize
+   * @param {string|Array<string>} targets - Files, directories (their PNGs) or glob patterns
+   * @returns {Array<string>} Unique absolute paths, in target order
+   */
+  resolveTargets(targets) {
+    return expandTargets(targets)
+      .filter(file => extname(file).toLowerCase() === '.png' && !this.isOutput(file));
+  }
+
+  /**
+   * Output path for an input file
+   * @param {string} inputPath - Original screenshot
+   * @returns {string} <outputDir or input dir>/<name><suffix>.png
+   */
+  outputPathFor(inputPath) {
+    const name = `${basename(inputPath, extname(inputPath))}${this.config.suffix}.png`;
+    return join(this.config.outputDir || dirname(inputPath), name);
+  }
+
+  /**
+   * Plot area recorded for a screenshot at capture time
+   * @param {string} inputPath - Original screenshot
+   * @returns {Object|null} { x, y, width, height, source }
+   */
+  recordedPlotArea(inputPath) {
+    const metadataDir = this.config.metadataDir || join(dirname(inputPath), '..', 'metadata');
+    const metadataPath = join(metadataDir, `${basename(inputPath, extname(inputPath))}.json`);
+    if (!existsSync(metadataPath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(readFileSync(metadataPath, 'utf8')).plotArea || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Why a plot box cannot be used on an image, or null when it can
+   * @param {Object} box - { x, y, width, height }
+   * @param {Object} size - { width, height } of the image
+   * @param {Object} profile - Resolved 'plot-area' profile
+   * @returns {string|null} Problem description
+   */
+  plotBoxProblem(box, size, profile) {
+    const { x, y, width, height } = box;
+    if (![x, y, width, height].every(Number.isInteger) || width <= 0 || height <= 0) {
+      return `invalid plot box ${width}x${height} at (${x}, ${y})`;
+    }
+    if (x < 0 || y < 0 || x + width > size.width || y + height > size.height) {
+      return `plot box ${width}x${height} at (${x}, ${y}) is outside the ${size.width}x${size.height} image`;
+    }
+    if (width * height < size.width * size.height * (profile.minAreaRatio || 0)) {
+      return `plot box ${width}x${height} covers less than ${Math.round(profile.minAreaRatio * 100)}% of the image`;
+    }
+    return null;
+  }
+
+  /**
+   * Work out the crop rectangle for one image
+   * @param {string} inputPath - Original screenshot
+   * @param {Object} size - { width, height } of the image
+   * @param {Object} profile - Resolved crop profile
+   * @param {Array<string>} warnings - Receives why recorded or detected boxes were discarded
+   * @returns {Promise<Object|null>} { x, y, width, height, source, profile, expectedSize? } (null: copy as-is)
+   */
+  async cropFor(inputPath, size, profile, warnings = []) {
+    if (profile.type === 'copy') {
+      return null;
+    }
+    if (profile.type === 'margins') {
+      const { left, top, right, bottom } = profile.margins;
+      return { x: left, y: top, width: size.width - left - right, height: size.height - top - bottom, source: 'margins', profile: profile.name };
+    }
+    if (profile.type === 'plot-area') {
+      const recorded = this.recordedPlotArea(inputPath);
+      if (recorded) {
+        // 'plot' captures saved only the box (pageX/pageY hold its page position)
+        const expectedSize = recorded.pageX !== undefined ? { width: recorded.width, height: recorded.height } : profile.expectedSize;
+        const problem = this.plotBoxProblem(recorded, size, profile);
+        if (!problem) {
+          return { ...recorded, source: `metadata:${recorded.source || 'unknown'}`, profile: profile.name, expectedSize };
+        }
+        warnings.push(`Recorded ${problem}`);
+      }
+      const detected = profile.detectPixels ? await detectPlotArea(inputPath).catch(() => null) : null;
+      if (detected) {
+        const problem = this.plotBoxProblem(detected, size, profile);
+        if (!problem) {
+          return { ...detected, profile: profile.name, expectedSize: profile.expectedSize };
+        }
+        warnings.push(`Detected ${problem}`);
+      }
+      if (profile.fallback) {
+        return this.cropFor(inputPath, size, this.resolveProfile(profile.fallback), warnings);
+      }
+      throw new Error('No plot area recorded or detected and no fallback profile');
+    }
+    throw new Error(`Unsupported crop profile type: ${profile.type}`);
+  }
+
+  /**
+   * Anonymize one screenshot
+   * @param {string} inputPath - Original screenshot
+   * @param {Object} options - { profile } override for this file
+   * @returns {Promise<Object>} { success, input, output, profile, crop, inputSize, outputSize, warnings, skipped?, error? }
+   */
+  async anonymizeFile(inputPath, options = {}) {
+    const outputPath = this.outputPathFor(inputPath);
+    const result = { success: false, input: inputPath, output: outputPath, profile: null, crop: null, inputSize: null, outputSize: null, warnings: [] };
+
+    try {
+      const profile = this.resolveProfile(options.profile || this.config.profile);
+      result.profile = profile.name;
+
+      if (!this.config.overwrite && existsSync(outputPath)) {
+        return { ...result, success: true, skipped: true };
+      }
+
+      const { width, height } = await sharp(inputPath).metadata();
+      result.inputSize = { width, height };
+
+      const crop = await this.cropFor(inputPath, result.inputSize, profile, result.warnings);
+      const expected = crop?.expectedSize || (crop?.profile ? this.resolveProfile(crop.profile).expectedSize : profile.expectedSize);
+      if (expected && (width !== expected.width || height !== expected.height)) {
+        const message = `Expected ${expected.width}x${expected.height}, got ${width}x${height}`;
+        if (this.config.strictSize) {
+          throw new Error(message);
+        }
+        result.warnings.push(message);
+      }
+
+      mkdirSync(dirname(outputPath), { recursive: true });
+      if (!crop) {
+        copyFileSync(inputPath, outputPath);
+        result.outputSize = { width, height };
+      } else {
+        if (crop.width <= 0 || crop.height <= 0 || crop.x < 0 || crop.y < 0 || crop.x + crop.width > width || crop.y + crop.height > height) {
+          throw new Error(`Crop ${crop.width}x${crop.height} at (${crop.x}, ${crop.y}) is outside the ${width}x${height} image`);
+        }
+        await sharp(inputPath)
+          .extract({ left: crop.x, top: crop.y, width: crop.width, height: crop.height })
+          .png()
+          .toFile(outputPath);
+        result.crop = { x: crop.x, y: crop.y, width: crop.width, height: crop.height, source: crop.source };
+        result.outputSize = { width: crop.width, height: crop.height };
+      }
+
+      return { ...result, success: true };
+    } catch (error) {
+      return { ...result, error: error.message };
+    }
+  }
+
+  /**
+   * Anonymize every targeted screenshot
+   * @param {string|Array<string>} targets - Files, directories or glob patterns
+   * @param {Object} options - { profile } override for this call
+   * @returns {Promise<Object>} { success, processed, failed, skipped, results }
+   */
+  async anonymize(targets, options = {}) {
+    const files = this.resolveTargets(targets);
+    console.log(`🕶️  Anonymizing ${files.length} screenshot(s) (profile: ${options.profile || this.config.profile})`);
+
+    const results = [];
+    for (const file of files) {
+      const result = await this.anonymizeFile(file, options);
+      results.push(result);
+      if (!result.success) {
+        console.log(`❌ ${basename(file)}: ${result.error}`);
+      } else if (!result.skipped) {
+        const via = result.crop ? result.crop.source : 'copy';
+        console.log(`✅ ${basename(file)} -> ${basename(result.output)} (${result.outputSize.width}x${result.outputSize.height}, ${via})${result.warnings.length > 0 ? ` ⚠️  ${result.warnings.join('; ')}` : ''}`);
+      }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    const skipped = results.filter(r => r.skipped).length;
+    return {
+      success: failed === 0,
+      processed: results.length - failed - skipped,
+      failed,
+      skipped,
+      results
+    };
+  }
+}
+
+// CLI usage: node src/anonymization/anonymizer.js <file|dir|glob>...
+// ANON_PROFILE, ANON_OUTPUT_DIR, ANON_SUFFIX and ANON_STRICT_SIZE=1 adjust the run
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const targets = process.argv.slice(2);
+  if (targets.length === 0) {
+    console.error('Usage: node src/anonymization/anonymizer.js <file|dir|glob>...');
+    process.exit(1);
+  }
+  const anonymizer = new Anonymizer({
+    profile: process.env.ANON_PROFILE || ANONYMIZER_CONFIG.profile,
+    outputDir: process.env.ANON_OUTPUT_DIR || null,
+    suffix: process.env.ANON_SUFFIX || ANONYMIZER_CONFIG.suffix,
+    strictSize: process.env.ANON_STRICT_SIZE === '1'
+  });
+  const summary = await anonymizer.anonymize(targets);
+  console.log(`\n📊 Anonymized ${summary.processed}, skipped ${summary.skipped}, failed ${summary.failed}`);
+  process.exit(summary.success ? 0 : 1);
+}
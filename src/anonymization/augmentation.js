@@ -0,0 +1,345 @@
+/**
+ * Anonymized-Chart Augmentation
+ *
+ * Cropping removes labels but keeps each chart's absolute shape and the
+ * TradingView theme, so a model may still recognise a famous move. The
+ * augmenter disguises anonymized charts further:
+ * - time jitter: random horizontal stretch/squeeze of the time axis
+ * - vertical scale: random stretch/squeeze of the price axis
+ * - palette: background, up and down candles and everything else mapped
+ *   to a neutral palette, whatever the source theme
+ * - mirrored controls (optional): an extra copy flipped on the price axis
+ *   with up/down colours swapped, so an uptrend reads as a downtrend. Scoring
+ *   the pair exposes directional model bias; the control's analysis is
+ *   inverted back with invertAnalysis() before it is compared.
+ *
+ * Every applied transform is returned as a record ({ type, ... }) for the
+ * caller's mapping — the pseudonym vault, or augmentations.json next to the
+ * images (see AUGMENTATION_MAPPING_FILE).
+ */
+
+import sharp from 'sharp';
+import { randomInt } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { expandTargets } from './anonymizer.js';
+
+export const AUGMENTATION_MAPPING_FILE = 'augmentations.json';
+export const CONTROL_SUFFIX = '_control';
+
+export const NEUTRAL_PALETTE = {
+  background: '#ffffff',
+  up: '#1e1e1e',
+  down: '#8c8c8c',
+  neutral: '#d2d2d2' // Grid, wicks of unclassified colour, indicators
+};
+
+/**
+ * Augmentation configuration
+ */
+const AUGMENT_CONFIG = {
+  timeJitter: 0.08, // Max relative horizontal stretch (0 disables)
+  verticalScale: [0.85, 1.15], // Price-axis scale range (null disables)
+  normalizePalette: true,
+  palette: NEUTRAL_PALETTE,
+  mirrorControls: false, // Also write a price-mirrored control per image
+  backgroundTolerance: 24, // RGB distance that still counts as background
+  minSaturation: 0.25, // Below this a pixel is neutral, not an up/down candle
+  suffix: '_cropped' // Which files are anonymized images
+};
+
+// Uniform draw in [min, max], from crypto so the jitter cannot be predicted
+const uniform = (min, max) => min + (max - min) * randomInt(0, 1000001) / 1000000;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Chart patterns as they read on a price-mirrored chart (unlisted ones are symmetric)
+const MIRRORED_PATTERNS = {
+  head_and_shoulders: 'inverse_head_and_shoulders',
+  inverse_head_and_shoulders: 'head_and_shoulders',
+  double_top: 'double_bottom',
+  double_bottom: 'double_top',
+  ascending_triangle: 'descending_triangle',
+  descending_triangle: 'ascending_triangle',
+  rising_wedge: 'falling_wedge',
+  falling_wedge: 'rising_wedge',
+  bull_flag: 'bear_flag',
+  bear_flag: 'bull_flag',
+  channel_up: 'channel_down',
+  channel_down: 'channel_up'
+};
+
+const MIRRORED_BIAS = { bullish: 'bearish', bearish: 'bullish', neutral: 'neutral' };
+
+/**
+ * Swap the up and down blocks of a trend analysis (a price-mirrored chart
+ * reads the other way round; sideways is unchanged). Extended-schema detail
+ * is mirrored too: patterns and biases flip, support and resistance trade
+ * places at 1 - level.
+ * @param {Object} analysis - { up, down, sideways, patterns?, levels? }
+ * @returns {Object} Analysis as it applies to the unmirrored chart
+ */
+export function invertAnalysis(analysis) {
+  const inverted = { ...analysis, up: analysis.down, down: analysis.up };
+  if (Array.isArray(analysis.patterns)) {
+    inverted.patterns = analysis.patterns.map(pattern => ({
+      ...pattern,
+      name: MIRRORED_PATTERNS[pattern.name] || pattern.name,
+      bias: MIRRORED_BIAS[pattern.bias] || pattern.bias
+    }));
+  }
+  if (analysis.levels) {
+    const flip = (levels = []) => levels.map(level => Number((1 - level).toFixed(6)));
+    inverted.levels = { support: flip(analysis.levels.resistance), resistance: flip(analysis.levels.support) };
+  }
+  return inverted;
+}
+
+/**
+ * Whether a transform list includes a price mirror
+ */
+export function isMirrored(transforms = []) {
+  return transforms.some(transform => transform.type === 'mirror');
+}
+
+/**
+ * Most frequent colour along the image border (the chart background)
+ */
+const borderColor = (data, width, height, channels) => {
+  const counts = new Map();
+  const sample = (x, y) => {
+    const i = (y * width + x) * channels;
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  };
+  for (let x = 0; x < width; x += 2) {
+    sample(x, 0);
+    sample(x, height - 1);
+  }
+  for (let y = 0; y < height; y += 2) {
+    sample(0, y);
+    sample(width - 1, y);
+  }
+  const [key] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return [((key >> 10) & 31) << 3 | 4, ((key >> 5) & 31) << 3 | 4, (key & 31) << 3 | 4];
+};
+
+/**
+ * Map raw RGB pixels onto the palette in place
+ * @param {Buffer} data - Raw pixels
+ * @param {Object} info - { width, height, channels }
+ * @param {Object} config - palette, backgroundTolerance, minSaturation
+ * @param {boolean} swapUpDown - Paint up candles with the down colour and vice versa
+ */
+const applyPalette = (data, info, config, swapUpDown) => {
+  const { width, height, channels } = info;
+  const background = borderColor(data, width, height, channels);
+  const target = {
+    background: hexToRgb(config.palette.background),
+    up: hexToRgb(swapUpDown ? config.palette.down : config.palette.up),
+    down: hexToRgb(swapUpDown ? config.palette.up : config.palette.down),
+    neutral: hexToRgb(config.palette.neutral)
+  };
+
+  for (let i = 0; i < data.length; i += channels) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const distance = Math.hypot(r - background[0], g - background[1], b - background[2]);
+    if (distance < config.backgroundTolerance) {
+      [data[i], data[i + 1], data[i + 2]] = target.background;
+      continue;
+    }
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    let colour = target.neutral;
+    if (max > 60 && (max - min) / max >= config.minSaturation) {
+      const hue = max === r ? (60 * (g - b) / (max - min) + 360) % 360
+        : max === g ? 60 * (b - r) / (max - min) + 120
+          : 60 * (r - g) / (max - min) + 240;
+      if (hue >= 70 && hue <= 200) colour = target.up;
+      else if (hue <= 25 || hue >= 320) colour = target.down;
+    }
+
+    // Blend towards the background with distance, so anti-aliased edges stay soft
+    const weight = Math.min(1, distance / 128);
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = Math.round(target.background[c] + (colour[c] - target.background[c]) * weight);
+    }
+  }
+};
+
+/**
+ * Augmenter Class
+ */
+export class Augmenter {
+  constructor(config = {}) {
+    this.config = { ...AUGMENT_CONFIG, ...config };
+  }
+
+  /**
+   * Draw this image's geometric transforms
+   * @returns {Array<Object>} Transform records
+   */
+  drawTransforms() {
+    const transforms = [];
+    if (this.config.timeJitter > 0) {
+      transforms.push({ type: 'time-jitter', scaleX: round3(uniform(1 - this.config.timeJitter, 1 + this.config.timeJitter)) });
+    }
+    if (this.config.verticalScale) {
+      const [min, max] = this.config.verticalScale;
+      transforms.push({ type: 'vertical-scale', scaleY: round3(uniform(min, max)) });
+    }
+    if (this.config.normalizePalette) {
+      transforms.push({ type: 'palette', palette: this.config.palette === NEUTRAL_PALETTE ? 'neutral' : 'custom' });
+    }
+    return transforms;
+  }
+
+  /**
+   * Render an image with a transform list
+   * @param {string} inputPath - Source image
+   * @param {Array<Object>} transforms - Records from drawTransforms (+ optional mirror)
+   * @returns {Promise<Buffer>} PNG
+   */
+  async render(inputPath, transforms) {
+    const { width, height } = await sharp(inputPath).metadata();
+    const scaleX = transforms.find(t => t.type === 'time-jitter')?.scaleX ?? 1;
+    const scaleY = transforms.find(t => t.type === 'vertical-scale')?.scaleY ?? 1;
+    const mirrored = isMirrored(transforms);
+
+    let image = sharp(inputPath).removeAlpha();
+    if (scaleX !== 1 || scaleY !== 1) {
+      image = image.resize({ width: Math.round(width * scaleX), height: Math.round(height * scaleY), fit: 'fill' });
+    }
+    if (mirrored) {
+      image = image.flip(); // Top-bottom: rising prices now fall
+    }
+
+    if (!transforms.some(t => t.type === 'palette')) {
+      return image.png().toBuffer();
+    }
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    applyPalette(data, info, this.config, mirrored);
+    return sharp(data, { raw: info }).png().toBuffer();
+  }
+
+  /**
+   * Augment one anonymized image
+   * @param {string} inputPath - Anonymized image
+   * @param {Object} options - { output (default: in place), controlOutput (default: <name>_control.png) }
+   * @returns {Promise<Object>} { success, input, output, transforms, control?: { output, transforms }, error? }
+   */
+  async augmentFile(inputPath, options = {}) {
+    const output = options.output || inputPath;
+    const result = { success: false, input: inputPath, output, transforms: [] };
+    try {
+      const transforms = this.drawTransforms();
+      const primary = await this.render(inputPath, transforms);
+
+      if (this.config.mirrorControls) {
+        const controlOutput = options.controlOutput
+          || join(dirname(output), `${basename(output, extname(output))}${CONTROL_SUFFIX}.png`);
+        // Same geometry as the primary; the palette is required to swap the candle colours
+        const controlTransforms = [
+          ...transforms,
+          ...(transforms.some(t => t.type === 'palette') ? [] : [{ type: 'palette', palette: 'neutral' }]),
+          { type: 'mirror', axis: 'price' }
+        ];
+        writeFileSync(controlOutput, await this.render(inputPath, controlTransforms));
+        result.control = { output: controlOutput, transforms: controlTransforms };
+      }
+
+      writeFileSync(output, primary);
+      return { ...result, transforms, success: true };
+    } catch (error) {
+      return { ...result, error: error.message };
+    }
+  }
+
+  /**
+   * Augment anonymized images in place and record the transforms in
+   * <dir>/augmentations.json (keyed by file name; controls carry controlOf)
+   * @param {string|Array<string>} targets - Files, directories or glob patterns
+   * @returns {Promise<Object>} { success, augmented, controls, skipped, failed, results }
+   */
+  async augment(targets) {
+    const suffix = `${this.config.suffix}.png`.toLowerCase();
+    const files = expandTargets(targets).filter(file => basename(file).toLowerCase().endsWith(suffix));
+    console.log(`🎛️  Augmenting ${files.length} anonymized chart(s)${this.config.mirrorControls ? ' with mirrored controls' : ''}`);
+
+    const results = [];
+    for (const file of files) {
+      if (loadAugmentationMapping(dirname(file)).images[basename(file)]) {
+        results.push({ success: true, input: file, output: file, skipped: true });
+        continue; // Already augmented; transforms would compound
+      }
+      const result = await this.augmentFile(file);
+      results.push(result);
+      if (!result.success) {
+        console.log(`❌ ${basename(file)}: ${result.error}`);
+        continue;
+      }
+      const mapping = loadAugmentationMapping(dirname(file));
+      mapping.images[basename(file)] = { transforms: result.transforms, controlOf: null, augmentedAt: new Date().toISOString() };
+      if (result.control) {
+        mapping.images[basename(result.control.output)] = { transforms: result.control.transforms, controlOf: basename(file), augmentedAt: new Date().toISOString() };
+      }
+      saveAugmentationMapping(dirname(file), mapping);
+      console.log(`✅ ${basename(file)}: ${result.transforms.map(t => t.type).join(', ')}${result.control ? ` (+ ${basename(result.control.output)})` : ''}`);
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    const skipped = results.filter(r => r.skipped).length;
+    return {
+      success: failed === 0,
+      augmented: results.length - failed - skipped,
+      controls: results.filter(r => r.control).length,
+      skipped,
+      failed,
+      results
+    };
+  }
+}
+
+/**
+ * Read <dir>/augmentations.json ({ version, images: { <file>: { transforms, controlOf } } })
+ */
+export function loadAugmentationMapping(dir) {
+  const mappingPath = join(dir, AUGMENTATION_MAPPING_FILE);
+  if (!existsSync(mappingPath)) {
+    return { version: 1, images: {} };
+  }
+  try {
+    return JSON.parse(readFileSync(mappingPath, 'utf8'));
+  } catch {
+    return { version: 1, images: {} };
+  }
+}
+
+function saveAugmentationMapping(dir, mapping) {
+  const mappingPath = join(dir, AUGMENTATION_MAPPING_FILE);
+  writeFileSync(`${mappingPath}.tmp`, JSON.stringify(mapping, null, 2));
+  renameSync(`${mappingPath}.tmp`, mappingPath);
+}
+
+// CLI usage: node src/anonymization/augmentation.js <file|dir|glob>...
+// AUGMENT_CONTROLS=1 adds mirrored controls; AUGMENT_JITTER=0.1 and AUGMENT_PALETTE=0 adjust the run
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const targets = process.argv.slice(2);
+  if (targets.length === 0) {
+    console.error('Usage: node src/anonymization/augmentation.js <file|dir|glob>...');
+    process.exit(1);
+  }
+  const augmenter = new Augmenter({
+    mirrorControls: process.env.AUGMENT_CONTROLS === '1',
+    timeJitter: Number(process.env.AUGMENT_JITTER ?? AUGMENT_CONFIG.timeJitter),
+    normalizePalette: process.env.AUGMENT_PALETTE !== '0'
+  });
+  const summary = await augmenter.augment(targets);
+  console.log(`\n📊 Augmented ${summary.augmented} (controls ${summary.controls}), failed ${summary.failed}`);
+  process.exit(summary.success ? 0 : 1);
+}
@@ -0,0 +1,335 @@
+/**
+ * Anonymization Leakage Auditor
+ *
+ * Step 3 only works if the AI cannot tell which asset it is looking at. The
+ * auditor OCRs every anonymized (*_cropped) chart with tesseract.js and local
+ * traineddata, and flags any text that survived the crop: ticker or pair
+ * names, numbers that look like price labels, dates, and TradingView or
+ * exchange branding. Leaking images are moved into the session's `failed`
+ * subdirectory (FolderOrganizer layout) so Step 4 never sees them, and each
+ * run writes a leakage report to the session's `logs` subdirectory.
+ *
+ * The audit fails closed: an image that could not be OCR'd is quarantined
+ * like a leaking one, and when OCR cannot start at all every targeted image
+ * is quarantined and the summary carries an error.
+ */
+
+import sharp from 'sharp';
+import { createWorker } from 'tesseract.js';
+import { existsSync, renameSync, writeFileSync } from 'fs';
+import { join, basename, dirname } from 'path';
+import { expandTargets } from './anonymizer.js';
+import { FolderOrganizer } from '../screenshot/folder-organizer.js';
+import { parseChartFileName } from '../screenshot/timeframes.js';
+import { DEFAULT_EXCHANGE_PRIORITY } from '../market/pair-discovery.js';
+
+export const LEAK_TYPES = {
+  SYMBOL: 'SYMBOL', // Ticker or pair name (BTC, ETHUSDT, ...)
+  PRICE: 'PRICE', // Price-like number (64,250.5  0.00042  1.2K)
+  DATE: 'DATE', // Year, date, month name or time of day
+  BRANDING: 'BRANDING' // TradingView or exchange names
+};
+
+const QUOTE_PAIR_PATTERN = /^[A-Z0-9]{2,12}(?:USDT|USDC|BUSD|USD|PERP)$/;
+const PRICE_PATTERNS = [
+  /^[$€£]?\d{1,3}(?:[,\s]\d{3})+(?:\.\d+)?$/, // 64,250 / 64,250.50
+  /^[$€£]?\d+\.\d{1,8}$/, // 0.00042 / 1.25
+  /^[$€£]?\d+(?:\.\d+)?[KMB]$/i, // 1.2K / 45M
+  /^[$€£]\d+$/ // $64250
+];
+const DATE_PATTERNS = [
+  /^(?:19|20)\d{2}$/, // 2024
+  /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/, // 2024-03-01 / 01/03/24
+  /^\d{1,2}:\d{2}(?::\d{2})?$/, // 14:30
+  /^(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?$/i
+];
+const BRAND_PATTERN = new RegExp(`trading\\s*view|${DEFAULT_EXCHANGE_PRIORITY.filter(name => name.length > 3 && name !== 'CRYPTO').join('|')}`, 'i');
+
+/**
+ * Auditor configuration
+ */
+const AUDITOR_CONFIG = {
+  lang: 'eng',
+  langPath: process.env.TESSDATA_DIR || './tessdata', // Local <lang>.traineddata, no download at run time
+  gzip: false, // Whether the local traineddata is <lang>.traineddata.gz
+  upscale: 2, // OCR reads small axis labels far better after upscaling
+  minConfidence: 60, // Ignore OCR words below this confidence (0-100)
+  minWordLength: 2, // Single characters are mostly candle-shaped noise
+  symbols: [], // Extra tickers to flag (the file's own symbol is always included)
+  suffix: '_cropped', // Which files are anonymizer outputs
+  quarantine: true, // Move leaking and unreadable images into the session's failed subdirectory
+  sessionDir: null, // Default: parent of each image's directory (<session>/originals/x.png)
+  reportDir: null, // Default: <session>/logs
+  organizer: {} // FolderOrganizer config (subdirectory names)
+};
+
+/**
+ * Classify one OCR word
+ * @param {string} text - Word text
+ * @param {Set<string>} symbols - Upper-case tickers to flag
+ * @returns {string|null} LEAK_TYPES value, or null for harmless text
+ */
+export function classifyText(text, symbols) {
+  const token = text.trim().replace(/^[^\w$€£]+|[^\w%]+$/g, '');
+  if (!token) return null;
+  const upper = token.toUpperCase();
+
+  if (BRAND_PATTERN.test(token)) return LEAK_TYPES.BRANDING;
+  if (symbols.has(upper) || symbols.has(upper.replace(/USDT$/, '')) || (/[A-Z]/.test(upper) && QUOTE_PAIR_PATTERN.test(upper))) {
+    return LEAK_TYPES.SYMBOL;
+  }
+  if (DATE_PATTERNS.some(pattern => pattern.test(token))) return LEAK_TYPES.DATE;
+  if (PRICE_PATTERNS.some(pattern => pattern.test(token))) return LEAK_TYPES.PRICE;
+  return null;
+}
+
+/**
+ * Words from a tesseract.js result (v5 exposes data.words, later versions nest them in blocks)
+ */
+const ocrWords = (data) => data.words || (data.blocks || [])
+  .flatMap(block => block.paragraphs || [])
+  .flatMap(paragraph => paragraph.lines || [])
+  .flatMap(line => line.words || []);
+
+/**
+ * Leakage Auditor Class
+ */
+export class LeakageAuditor {
+  constructor(config = {}) {
+    this.config = { ...AUDITOR_CONFIG, ...config };
+    this.organizer = new FolderOrganizer(this.config.organizer);
+    this.worker = null;
+  }
+
+  /**
+   * Start the OCR worker from local traineddata
+   * @returns {Promise<boolean>} Whether OCR is available
+   */
+  async initialize() {
+    if (this.worker) return true;
+    if (!existsSync(this.config.langPath)) {
+      console.error(`❌ Traineddata directory not found: ${this.config.langPath} (set TESSDATA_DIR to the folder with ${this.config.lang}.traineddata)`);
+      return false;
+    }
+    try {
+      this.worker = await createWorker(this.config.lang, 1, {
+        langPath: this.config.langPath,
+        gzip: this.config.gzip,
+        cacheMethod: 'none'
+      });
+    } catch (error) {
+      console.error(`❌ OCR worker failed to start: ${error.message}`);
+      return false;
+    }
+    console.log(`✅ OCR ready (${this.config.lang}, traineddata from ${this.config.langPath})`);
+    return true;
+  }
+
+  /**
+   * Stop the OCR worker
+   */
+  async close() {
+    if (this.worker) {
+      await this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Expand targets into anonymized images to audit
+   * @param {string|Array<string>} targets - Files, directories or glob patterns
+   * @returns {Array<string>} Absolute paths of *<suffix>.png files
+   */
+  resolveTargets(targets) {
+    const suffix = `${this.config.suffix}.png`.toLowerCase();
+    return expandTargets(targets).filter(file => basename(file).toLowerCase().endsWith(suffix));
+  }
+
+  /**
+   * Session directory an image belongs to
+   */
+  sessionDirFor(imagePath) {
+    return this.config.sessionDir || dirname(dirname(imagePath));
+  }
+
+  /**
+   * OCR one image and collect leaking words
+   * @param {string} imagePath - Anonymized chart
+   * @returns {Promise<Object>} { success, file, symbol, timeframe, leaking, findings, text, error? }
+   */
+  async auditFile(imagePath) {
+    const { symbol, timeframe } = parseChartFileName(basename(imagePath));
+    const result = { success: false, file: imagePath, symbol, timeframe, leaking: false, findings: [], text: '' };
+
+    try {
+      const symbols = new Set([symbol, ...this.config.symbols].filter(Boolean).map(s => s.toUpperCase()));
+      const { width } = await sharp(imagePath).metadata();
+      const image = await sharp(imagePath)
+        .resize({ width: Math.round(width * this.config.upscale) })
+        .greyscale()
+        .png()
+        .toBuffer();
+
+      const { data } = await this.worker.recognize(image);
+      result.text = (data.text || '').trim();
+
+      ocrWords(data).forEach(word => {
+        const text = (word.text || '').trim();
+        if (text.length < this.config.minWordLength || word.confidence < this.config.minConfidence) return;
+        const type = classifyText(text, symbols);
+        if (type) {
+          const scale = this.config.upscale;
+          const bbox = word.bbox
+            ? { x0: Math.round(word.bbox.x0 / scale), y0: Math.round(word.bbox.y0 / scale), x1: Math.round(word.bbox.x1 / scale), y1: Math.round(word.bbox.y1 / scale) }
+            : null;
+          result.findings.push({ type, text, confidence: Math.round(word.confidence), bbox });
+        }
+      });
+
+      // Branding split across words ("Trading View") only shows up in the full text
+      const brand = result.text.match(BRAND_PATTERN);
+      if (brand && !result.findings.some(f => f.type === LEAK_TYPES.BRANDING)) {
+        result.findings.push({ type: LEAK_TYPES.BRANDING, text: brand[0], confidence: null, bbox: null });
+      }
+
+      result.leaking = result.findings.length > 0;
+      return { ...result, success: true };
+    } catch (error) {
+      return { ...result, error: error.message };
+    }
+  }
+
+  /**
+   * Move a leaking or unreadable image into its session's failed subdirectory
+   * @param {string} imagePath - Anonymized chart
+   * @returns {string} New path
+   */
+  quarantine(imagePath) {
+    const failedDir = join(this.sessionDirFor(imagePath), this.organizer.config.subdirectories.failed);
+    this.organizer.ensureDirectoryExists(failedDir);
+    const target = join(failedDir, basename(imagePath));
+    renameSync(imagePath, target);
+    return target;
+  }
+
+  /**
+   * Write the run's leakage report
+   * @param {Object} summary - Audit summary
+   * @param {string} sessionDir - Session the report belongs to
+   * @returns {string} Report path
+   */
+  writeReport(summary, sessionDir) {
+    const reportDir = this.config.reportDir || join(sessionDir, this.organizer.config.subdirectories.logs);
+    this.organizer.ensureDirectoryExists(reportDir);
+    const timestamp = this.organizer.generateTimestamp();
+    const reportPath = join(reportDir, `leakage_report_${timestamp}.json`);
+    writeFileSync(reportPath, JSON.stringify(summary, null, 2));
+    return reportPath;
+  }
+
+  /**
+   * Audit every targeted anonymized chart
+   *
+   * Images that fail OCR are quarantined with the leaking ones; when OCR is
+   * unavailable the whole batch is quarantined and `error` is set.
+   * @param {string|Array<string>} targets - Files, directories or glob patterns
+   * @returns {Promise<Object>} { success, audited, clean, leaking, quarantined, failed, byType, results, reportPath, error? }
+   */
+  async audit(targets) {
+    const files = this.resolveTargets(targets);
+    console.log(`🔎 Auditing ${files.length} anonymized chart(s) for residual text`);
+
+    const results = [];
+    let error = null;
+    if (files.length > 0 && !(await this.initialize())) {
+      error = 'OCR unavailable';
+      files.forEach(file => {
+        const { symbol, timeframe } = parseChartFileName(basename(file));
+        const result = { success: false, file, symbol, timeframe, leaking: false, findings: [], text: '', error };
+        if (this.config.quarantine) {
+          result.quarantinedTo = this.quarantine(file);
+        }
+        results.push(result);
+      });
+      console.log(`❌ ${error}: ${this.config.quarantine ? `quarantined all ${files.length} chart(s)` : 'no chart was audited'}`);
+    } else if (files.length > 0) {
+      try {
+        for (const file of files) {
+          const result = await this.auditFile(file);
+          if (!result.success) {
+            if (this.config.quarantine) {
+              result.quarantinedTo = this.quarantine(file);
+            }
+            console.log(`❌ ${basename(file)}: ${result.error}${result.quarantinedTo ? ' -> quarantined' : ''}`);
+          } else if (result.leaking) {
+            if (this.config.quarantine) {
+              result.quarantinedTo = this.quarantine(file);
+            }
+            console.log(`🚨 ${basename(file)}: ${result.findings.map(f => `${f.type} "${f.text}"`).join(', ')}${result.quarantinedTo ? ' -> quarantined' : ''}`);
+          } else {
+            console.log(`✅ ${basename(file)}: no residual text`);
+          }
+          results.push(result);
+        }
+      } finally {
+        await this.close();
+      }
+    }
+
+    const leaking = results.filter(r => r.leaking);
+    const byType = {};
+    leaking.forEach(r => new Set(r.findings.map(f => f.type)).forEach(type => {
+      byType[type] = (byType[type] || 0) + 1;
+    }));
+    const summary = {
+      success: results.every(r => r.success) && leaking.length === 0,
+      audited: results.length,
+      clean: results.filter(r => r.success && !r.leaking).length,
+      leaking: leaking.length,
+      quarantined: results.filter(r => r.quarantinedTo).length,
+      failed: results.filter(r => !r.success).length,
+      byType,
+      results,
+      ...(error ? { error } : {})
+    };
+
+    summary.reportPath = files.length > 0
+      ? this.writeReport({
+        generatedAt: new Date().toISOString(),
+        config: {
+          lang: this.config.lang,
+          minConfidence: this.config.minConfidence,
+          symbols: this.config.symbols.length,
+          quarantine: this.config.quarantine
+        },
+        ...summary,
+        results: results.map(r => (r.leaking ? r : { ...r, text: undefined }))
+      }, this.sessionDirFor(files[0]))
+      : null;
+    return summary;
+  }
+}
+
+// CLI usage: node src/anonymization/leakage-auditor.js <file|dir|glob>...
+// TESSDATA_DIR points at local traineddata; LEAK_SYMBOLS=BTC,ETH,... adds tickers;
+// LEAK_QUARANTINE=0 reports without moving files
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const targets = process.argv.slice(2);
+  if (targets.length === 0) {
+    console.error('Usage: node src/anonymization/leakage-auditor.js <file|dir|glob>...');
+    process.exit(1);
+  }
+  const auditor = new LeakageAuditor({
+    symbols: (process.env.LEAK_SYMBOLS || '').split(',').map(s => s.trim()).filter(Boolean),
+    quarantine: process.env.LEAK_QUARANTINE !== '0'
+  });
+  const summary = await auditor.audit(targets);
+  if (summary.error) {
+    console.error(`❌ Leakage audit unavailable: ${summary.error}`);
+  }
+  console.log(`\n📊 Audited ${summary.audited}: clean ${summary.clean}, leaking ${summary.leaking}, failed ${summary.failed} (quarantined ${summary.quarantined})`);
+  if (summary.reportPath) {
+    console.log(`📝 Leakage report: ${summary.reportPath}`);
+  }
+  process.exit(summary.success ? 0 : 1);
+}
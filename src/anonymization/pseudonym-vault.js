@@ -0,0 +1,300 @@
+/**
+ * Pseudonym Vault
+ *
+ * Gives every anonymized chart a crypto-random pseudonym and keeps the
+ * pseudonym -> symbol pairing encrypted at rest (AES-256-GCM) under a local
+ * key that lives outside the image folders. The pairing stays sealed while
+ * the AI analyses the charts: the analysis step only ever sees pseudonyms and
+ * anonymized file paths, and de-anonymization goes through reveal(), which
+ * refuses to run until completeAnalysis() has been called and logs every use.
+ *
+ * Vault file: { version, algorithm, iv, tag, data } (base64), where data
+ * decrypts to { entries: [...], reveals: [...] }.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, randomInt } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, chmodSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const VAULT_VERSION = 1;
+
+export const DEFAULT_WORD_LISTS = {
+  adjectives: [
+    'amber', 'ivory', 'crimson', 'jade', 'onyx', 'brisk', 'lunar', 'raven', 'atlas', 'ember',
+    'azure', 'cobalt', 'copper', 'dusky', 'fable', 'gilded', 'hollow', 'indigo', 'keen', 'lucid',
+    'misty', 'noble', 'opal', 'pale', 'quiet', 'rustic', 'silver', 'tidal', 'umber', 'vivid',
+    'willow', 'zephyr'
+  ],
+  nouns: [
+    'harbor', 'ridge', 'sparrow', 'citadel', 'prairie', 'constellation', 'horizon', 'mesa', 'voyager', 'solstice',
+    'anchor', 'beacon', 'canyon', 'delta', 'estuary', 'falcon', 'glacier', 'heron', 'island', 'juniper',
+    'kestrel', 'lagoon', 'meadow', 'nebula', 'orchard', 'pinnacle', 'quarry', 'reef', 'summit', 'tundra',
+    'valley', 'wharf'
+  ]
+};
+
+/**
+ * Vault configuration
+ */
+const VAULT_CONFIG = {
+  vaultPath: './pseudonym-vault.enc',
+  keyPath: process.env.PSEUDONYM_VAULT_KEY_FILE || join(homedir(), '.crypto-strategy-builder', 'vault.key'),
+  key: process.env.PSEUDONYM_VAULT_KEY || null, // 64 hex chars; takes precedence over keyPath
+  createKey: true, // Generate keyPath (mode 600) when it does not exist yet
+  wordLists: DEFAULT_WORD_LISTS, // { adjectives, nouns }
+  digits: 4, // Numeric suffix length (amber-harbor-4821)
+  maxAttempts: 100 // Random draws before giving up on a free pseudonym
+};
+
+// Decrypted vault contents, kept off the instance so logging or serializing a vault never prints them
+const SECRETS = new WeakMap();
+
+/**
+ * Load word lists from a JSON file ({ "adjectives": [...], "nouns": [...] })
+ * @param {string} filePath - Word list file
+ * @returns {Object} Word lists
+ */
+export function loadWordLists(filePath) {
+  const lists = JSON.parse(readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(lists.adjectives) || !Array.isArray(lists.nouns)) {
+    throw new Error(`Word list file ${filePath} needs "adjectives" and "nouns" arrays`);
+  }
+  return lists;
+}
+
+/**
+ * Pseudonym Vault Class
+ */
+export class PseudonymVault {
+  constructor(config = {}) {
+    this.config = { ...VAULT_CONFIG, ...config };
+    const { adjectives, nouns } = this.config.wordLists;
+    this.adjectives = [...new Set(adjectives.map(word => word.toLowerCase()))];
+    this.nouns = [...new Set(nouns.map(word => word.toLowerCase()))];
+    if (this.adjectives.length === 0 || this.nouns.length === 0) {
+      throw new Error('Pseudonym word lists must not be empty');
+    }
+    this.analysisComplete = false;
+    this.opened = false;
+    SECRETS.set(this, { key: null, entries: [], reveals: [] });
+  }
+
+  /**
+   * Number of distinct pseudonyms the word lists and suffix can produce
+   */
+  capacity() {
+    return this.adjectives.length * this.nouns.length * 9 * 10 ** (this.config.digits - 1);
+  }
+
+  /**
+   * Read the key (env, key file or a newly generated key file)
+   * @returns {Buffer} 32-byte key
+   */
+  loadKey() {
+    if (this.config.key) {
+      const key = Buffer.from(this.config.key, 'hex');
+      if (key.length !== KEY_BYTES) {
+        throw new Error(`Vault key must be ${KEY_BYTES * 2} hex characters`);
+      }
+      return key;
+    }
+    if (!existsSync(this.config.keyPath)) {
+      if (!this.config.createKey) {
+        throw new Error(`Vault key not found: ${this.config.keyPath}`);
+      }
+      mkdirSync(dirname(this.config.keyPath), { recursive: true });
+      writeFileSync(this.config.keyPath, randomBytes(KEY_BYTES).toString('hex'), { mode: 0o600 });
+      console.log(`🔑 Created vault key: ${this.config.keyPath} (keep it out of the image folders)`);
+    }
+    const key = Buffer.from(readFileSync(this.config.keyPath, 'utf8').trim(), 'hex');
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Vault key file ${this.config.keyPath} is not a ${KEY_BYTES}-byte hex key`);
+    }
+    return key;
+  }
+
+  /**
+   * Decrypt the vault file (an absent file is an empty vault)
+   * @returns {PseudonymVault} this
+   */
+  open() {
+    const secrets = SECRETS.get(this);
+    secrets.key = this.loadKey();
+
+    if (existsSync(this.config.vaultPath)) {
+      const envelope = JSON.parse(readFileSync(this.config.vaultPath, 'utf8'));
+      if (envelope.version !== VAULT_VERSION || envelope.algorithm !== ALGORITHM) {
+        throw new Error(`Unsupported vault format: version ${envelope.version}, ${envelope.algorithm}`);
+      }
+      try {
+        const decipher = createDecipheriv(ALGORITHM, secrets.key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        const contents = JSON.parse(plain.toString('utf8'));
+        secrets.entries = contents.entries || [];
+        secrets.reveals = contents.reveals || [];
+      } catch {
+        throw new Error(`Could not decrypt ${this.config.vaultPath}: wrong key or corrupted file`);
+      }
+    }
+
+    this.opened = true;
+    return this;
+  }
+
+  /**
+   * Encrypt and write the vault (fresh IV per save, atomic rename)
+   */
+  save() {
+    this.assertOpen();
+    const secrets = SECRETS.get(this);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, secrets.key, iv);
+    const plain = Buffer.from(JSON.stringify({ entries: secrets.entries, reveals: secrets.reveals }), 'utf8');
+    const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+    const envelope = {
+      version: VAULT_VERSION,
+      algorithm: ALGORITHM,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    mkdirSync(dirname(this.config.vaultPath), { recursive: true });
+    const tmpPath = `${this.config.vaultPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(envelope), { mode: 0o600 });
+    renameSync(tmpPath, this.config.vaultPath);
+    chmodSync(this.config.vaultPath, 0o600);
+  }
+
+  assertOpen() {
+    if (!this.opened) {
+      throw new Error('Vault is not open. Call open() first.');
+    }
+  }
+
+  /**
+   * Draw a crypto-random pseudonym that is not in the vault yet
+   * @returns {string} e.g. 'amber-harbor-4821'
+   */
+  generatePseudonym() {
+    const taken = new Set(SECRETS.get(this).entries.map(entry => entry.pseudonym));
+    if (taken.size >= this.capacity()) {
+      throw new Error(`Pseudonym space exhausted (${this.capacity()}); add words or digits`);
+    }
+    const low = 10 ** (this.config.digits - 1);
+    for (let attempt = 0; attempt < this.config.maxAttempts; attempt++) {
+      const adjective = this.adjectives[randomInt(this.adjectives.length)];
+      const noun = this.nouns[randomInt(this.nouns.length)];
+      const pseudonym = `${adjective}-${noun}-${randomInt(low, low * 10)}`;
+      if (!taken.has(pseudonym)) {
+        return pseudonym;
+      }
+    }
+    throw new Error(`No free pseudonym after ${this.config.maxAttempts} attempts; the space is nearly full`);
+  }
+
+  /**
+   * Pseudonym for a source file, assigning a new one when needed
+   * @param {Object} item - { source, symbol, ...details } (source: the identifying original path)
+   * @returns {Object} { pseudonym, created } — never the symbol
+   */
+  assign({ source, symbol, ...details }) {
+    this.assertOpen();
+    const secrets = SECRETS.get(this);
+    const existing = secrets.entries.find(entry => entry.source === source);
+    if (existing) {
+      return { pseudonym: existing.pseudonym, created: false };
+    }
+    const pseudonym = this.generatePseudonym();
+    secrets.entries.push({ pseudonym, symbol, source, ...details, createdAt: new Date().toISOString() });
+    return { pseudonym, created: true };
+  }
+
+  /**
+   * Pseudonym already assigned to a source file, without assigning one
+   * @returns {string|null} Pseudonym
+   */
+  pseudonymFor(source) {
+    this.assertOpen();
+    return SECRETS.get(this).entries.find(entry => entry.source === source)?.pseudonym ?? null;
+  }
+
+  /**
+   * Record the augmentation transforms applied to a pseudonym's image
+   * (src/anonymization/augmentation.js); revealed with the entry, so mirrored
+   * controls can be read back the right way round after analysis
+   */
+  recordTransforms(pseudonym, transforms) {
+    this.assertOpen();
+    const entry = SECRETS.get(this).entries.find(e => e.pseudonym === pseudonym);
+    if (!entry) {
+      throw new Error(`Unknown pseudonym: ${pseudonym}`);
+    }
+    entry.transforms = transforms;
+  }
+
+  /**
+   * Every pseudonym in the vault (safe to hand to the analysis step)
+   */
+  pseudonyms() {
+    this.assertOpen();
+    return SECRETS.get(this).entries.map(entry => entry.pseudonym);
+  }
+
+  /**
+   * Mark analysis as finished; reveal() is refused before this
+   */
+  completeAnalysis() {
+    this.analysisComplete = true;
+  }
+
+  /**
+   * De-anonymize pseudonyms (only after completeAnalysis(); every call is logged in the vault)
+   * @param {string|Array<string>} pseudonyms - One or more pseudonyms (default: all)
+   * @param {string} reason - Why the pairing is needed, recorded with the reveal
+   * @returns {Map<string, Object>} pseudonym -> { pseudonym, symbol, source, ...details }
+   */
+  reveal(pseudonyms = null, reason = 'unspecified') {
+    this.assertOpen();
+    if (!this.analysisComplete) {
+      throw new Error('Vault is sealed until analysis completes. Call completeAnalysis() before reveal().');
+    }
+    const secrets = SECRETS.get(this);
+    const wanted = pseudonyms === null ? null : new Set(Array.isArray(pseudonyms) ? pseudonyms : [pseudonyms]);
+    const revealed = new Map(secrets.entries
+      .filter(entry => !wanted || wanted.has(entry.pseudonym))
+      .map(entry => [entry.pseudonym, { ...entry }]));
+
+    secrets.reveals.push({ at: new Date().toISOString(), reason, count: revealed.size, pseudonyms: wanted ? [...wanted] : 'all' });
+    this.save();
+    return revealed;
+  }
+
+  /**
+   * Move a legacy plaintext mappings.json into the vault
+   * @param {string} filePath - mappings.json ({ pseudonym, symbol, rawPath, finalPath, createdAt }[])
+   * @returns {number} Entries imported
+   */
+  importPlaintext(filePath) {
+    this.assertOpen();
+    const secrets = SECRETS.get(this);
+    const known = new Set(secrets.entries.map(entry => entry.pseudonym));
+    const legacy = JSON.parse(readFileSync(filePath, 'utf8'));
+    let imported = 0;
+    legacy.forEach(({ pseudonym, symbol, rawPath, finalPath, createdAt }) => {
+      if (!pseudonym || known.has(pseudonym)) return;
+      secrets.entries.push({ pseudonym, symbol, source: rawPath, anonPath: finalPath, createdAt: createdAt || new Date().toISOString() });
+      known.add(pseudonym);
+      imported++;
+    });
+    return imported;
+  }
+
+  toJSON() {
+    return { vaultPath: this.config.vaultPath, opened: this.opened, analysisComplete: this.analysisComplete };
+  }
+}
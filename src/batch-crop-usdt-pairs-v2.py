@@ -1,10 +1,12 @@
 #!/usr/bin/env python3
 from PIL import Image
+import json
 import sys
 import os
-from typing import Tuple
+from typing import Optional, Tuple
 
-# Crop rectangle for TradingView 1920x1080 charts
+# Fallback crop rectangle for TradingView 1920x1080 charts, used when the
+# capture recorded no plot area (session metadata/<name>.json, plotArea)
 # Remove UI: left 40, right 440, top 130, bottom 100 -> 1440x850
 CROP = {
     'left': 40,
@@ -16,21 +18,39 @@ CROP = {
 EXPECTED_SIZE: Tuple[int, int] = (1920, 1080)
 
 
+def recorded_plot_area(src_path: str) -> Optional[dict]:
+    # BatchProcessor writes <session>/metadata/<name>.json next to <session>/originals/<name>.png
+    name = os.path.splitext(os.path.basename(src_path))[0]
+    meta_path = os.path.join(os.path.dirname(os.path.abspath(src_path)), '..', 'metadata', f"{name}.json")
+    try:
+        with open(meta_path) as f:
+            return json.load(f).get('plotArea')
+    except (OSError, ValueError):
+        return None
+
+
 def crop_file(src_path: str) -> str:
     base, ext = os.path.splitext(src_path)
     out_path = f"{base}_cropped.png"
     try:
         with Image.open(src_path) as img:
-            if img.size != EXPECTED_SIZE:
-                # Proceed but warn; upstream capture should enforce 1920x1080
-                print(f"WARN: {os.path.basename(src_path)} expected {EXPECTED_SIZE}, got {img.size}")
-            left = CROP['left']
-            top = CROP['top']
-            width = img.width - CROP['left'] - CROP['right']
-            height = img.height - CROP['top'] - CROP['bottom']
+            area = recorded_plot_area(src_path)
+            if area:
+                left, top = area['x'], area['y']
+                width, height = area['width'], area['height']
+                source = f"plot area ({area.get('source', 'metadata')})"
+            else:
+                if img.size != EXPECTED_SIZE:
+                    # Proceed but warn; upstream capture should enforce 1920x1080
+                    print(f"WARN: {os.path.basename(src_path)} expected {EXPECTED_SIZE}, got {img.size}")
+                left = CROP['left']
+                top = CROP['top']
+                width = img.width - CROP['left'] - CROP['right']
+                height = img.height - CROP['top'] - CROP['bottom']
+                source = "fixed crop"
             out = img.crop((left, top, left + width, top + height))
             out.save(out_path)
-        print(f"CROPPED {os.path.basename(src_path)} -> {os.path.basename(out_path)}")
+        print(f"CROPPED {os.path.basename(src_path)} -> {os.path.basename(out_path)} [{source}]")
         return out_path
     except Exception as e:
         print(f"ERROR: {os.path.basename(src_path)} failed: {e}")
@@ -0,0 +1,417 @@
+/**
+ * Ground-truth labeling of trend calls
+ *
+ * Takes past trend-analysis results (trend-analysis-results.json) and the
+ * daily OHLC history recorded after the analysis date, labels every coin
+ * and chart timeframe with its realised forward return and trend class over
+ * each horizon, and scores the calls per provider, prompt version and
+ * timeframe (accuracy, precision/recall per class, Brier score). Returns are
+ * measured from the first price tradable after the analysis: the next
+ * candle's open.
+ *
+ * Usage: node src/evaluation/ground-truth.js <results.json[,more.json]> <ohlc-dir> [output-dir]
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { TRENDS } from '../analysis/ensemble.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_HORIZONS = [7, 30, 90];
+
+// Realised moves smaller than the threshold count as sideways; the 7-day
+// threshold grows with sqrt(horizon) unless overridden per horizon
+export const BASE_THRESHOLD = 0.05;
+
+/**
+ * Sideways band for a horizon
+ * @param {number} horizonDays - Horizon in days
+ * @param {Object} thresholds - Optional { [horizonDays]: threshold } overrides
+ * @returns {number} Absolute return threshold
+ */
+export function thresholdForHorizon(horizonDays, thresholds = {}) {
+  if (thresholds[horizonDays] !== undefined) {
+    return thresholds[horizonDays];
+  }
+  return BASE_THRESHOLD * Math.sqrt(horizonDays / 7);
+}
+
+const toTimestamp = (value) => {
+  if (typeof value === 'number') {
+    // Seconds vs milliseconds
+    return value < 1e12 ? value * 1000 : value;
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+const normalizeCandle = (raw) => {
+  const timestamp = toTimestamp(raw.timestamp ?? raw.time ?? raw.date);
+  const close = Number(raw.close);
+  if (timestamp === null || isNaN(close)) return null;
+  return {
+    timestamp,
+    open: Number(raw.open ?? close),
+    high: Number(raw.high ?? close),
+    low: Number(raw.low ?? close),
+    close
+  };
+};
+
+const parseCandleCsv = (content) => {
+  const [headerLine, ...lines] = content.trim().split(/\r?\n/);
+  const headers = headerLine.split(',').map(h => h.trim().toLowerCase());
+  return lines.filter(Boolean).map(line => {
+    const cells = line.split(',');
+    return Object.fromEntries(headers.map((h, i) => [h, cells[i]]));
+  });
+};
+
+/**
+ * Load daily candles for a symbol
+ *
+ * Looks for <SYMBOL>USDT or <SYMBOL> with a .jsonl, .json or .csv
+ * extension; rows need a timestamp/time/date and a close. The CandleStorage
+ * directory written by download-ohlc-history.js can be passed as-is.
+ * @param {string} ohlcDir - Directory with one file per symbol
+ * @param {string} symbol - Base symbol (e.g. 'BTC') or pair (e.g. 'BTCUSDT')
+ * @returns {Array<Object>|null} Candles sorted by timestamp, or null when no file exists
+ */
+export function loadCandles(ohlcDir, symbol) {
+  const upper = symbol.toUpperCase();
+  const names = upper.endsWith('USDT') ? [upper, upper.slice(0, -4)] : [`${upper}USDT`, upper];
+
+  for (const name of names) {
+    for (const ext of ['jsonl', 'json', 'csv']) {
+      const filePath = join(ohlcDir, `${name}.${ext}`);
+      if (!existsSync(filePath)) continue;
+
+      const content = readFileSync(filePath, 'utf8');
+      let rows;
+      if (ext === 'jsonl') {
+        rows = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      } else if (ext === 'json') {
+        const parsed = JSON.parse(content);
+        rows = Array.isArray(parsed) ? parsed : parsed.candles || [];
+      } else {
+        rows = parseCandleCsv(content);
+      }
+
+      return rows.map(normalizeCandle).filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+    }
+  }
+  return null;
+}
+
+/**
+ * Realised return from the analysis date over a horizon
+ *
+ * Candle timestamps are candle open times (CandleStorage layout). Entry is
+ * the open of the first candle starting at or after the analysis time - the
+ * analysis day's close was already on the chart, so it is not a price a
+ * trade could get. Exit is the close of the candle `horizonDays - 1` days
+ * after the entry candle, i.e. after holding `horizonDays` full candles.
+ * Returns null while the history does not yet cover the full horizon, or
+ * when no candle opens within a day of the analysis.
+ * @param {Array<Object>} candles - Sorted daily candles
+ * @param {number} startMs - Analysis timestamp
+ * @param {number} horizonDays - Horizon in days
+ * @returns {Object|null} { entryDate, entryPrice, exitPrice, forwardReturn }
+ */
+export function forwardReturn(candles, startMs, horizonDays) {
+  const entry = candles.find(c => c.timestamp >= startMs) || null;
+  if (!entry || entry.timestamp - startMs > DAY_MS) {
+    return null;
+  }
+
+  const lastMs = entry.timestamp + (horizonDays - 1) * DAY_MS;
+  let exit = null;
+  for (const candle of candles) {
+    if (candle.timestamp >= entry.timestamp && candle.timestamp <= lastMs) exit = candle;
+  }
+  if (!exit || lastMs - exit.timestamp >= DAY_MS) {
+    return null;
+  }
+
+  return {
+    entryDate: new Date(entry.timestamp).toISOString(),
+    entryPrice: entry.open,
+    exitPrice: exit.close,
+    forwardReturn: exit.close / entry.open - 1
+  };
+}
+
+/**
+ * Map a realised return to a trend class
+ * @param {number} value - Forward return
+ * @param {number} threshold - Sideways band
+ * @returns {string} 'up' | 'down' | 'sideways'
+ */
+export function classifyReturn(value, threshold) {
+  if (value >= threshold) return 'up';
+  if (value <= -threshold) return 'down';
+  return 'sideways';
+}
+
+/**
+ * Trend with the highest confidence
+ * @param {Object} analysis - Trend analysis
+ * @returns {string} 'up' | 'down' | 'sideways'
+ */
+export function predictedTrend(analysis) {
+  return TRENDS.reduce((best, trend) => (analysis[trend].confidence > analysis[best].confidence ? trend : best), TRENDS[0]);
+}
+
+// One scored call per provider: the answering provider, plus each ensemble member
+const collectCalls = (entry) => {
+  const promptVersion = entry.prompt_version || 'default';
+  const calls = [{
+    provider: entry.provider,
+    prompt_version: promptVersion,
+    analysis: entry.analysis,
+    raw_analysis: entry.raw_analysis || entry.analysis
+  }];
+
+  (entry.members || []).filter(m => m.analysis).forEach(member => {
+    calls.push({
+      provider: member.label || member.provider,
+      prompt_version: member.prompt_version || promptVersion,
+      analysis: member.analysis,
+      raw_analysis: member.analysis
+    });
+  });
+  return calls;
+};
+
+/**
+ * Label every call in a results file with realised outcomes
+ *
+ * Multi-timeframe results hold one entry per pair and chart timeframe; each
+ * label carries its entry's `timeframe` (null for single-timeframe runs).
+ * @param {Object} results - Parsed trend-analysis-results.json
+ * @param {Function} getCandles - symbol => candles | null
+ * @param {Object} options - { horizons, thresholds, analysisDate }
+ * @returns {{labels: Array<Object>, pending: Array<Object>, missing: Array<string>}}
+ */
+export function labelResults(results, getCandles, options = {}) {
+  const { horizons = DEFAULT_HORIZONS, thresholds = {} } = options;
+  const analysisDate = options.analysisDate || results.analyzedAt;
+  const startMs = analysisDate ? toTimestamp(analysisDate) : null;
+  if (startMs === null) {
+    throw new Error('Results have no analyzedAt; pass an analysis date');
+  }
+
+  const labels = [];
+  const pending = [];
+  const missing = [];
+
+  (results.analyses || []).forEach(entry => {
+    const candles = getCandles(entry.pair);
+    if (!candles || candles.length === 0) {
+      if (!missing.includes(entry.pair)) missing.push(entry.pair);
+      return;
+    }
+    const timeframe = entry.timeframe || null;
+
+    horizons.forEach(horizon => {
+      const realised = forwardReturn(candles, startMs, horizon);
+      if (!realised) {
+        pending.push({ pair: entry.pair, timeframe, horizon });
+        return;
+      }
+      const threshold = thresholdForHorizon(horizon, thresholds);
+      const realisedTrend = classifyReturn(realised.forwardReturn, threshold);
+
+      collectCalls(entry).forEach(call => {
+        const predicted = predictedTrend(call.analysis);
+        labels.push({
+          pair: entry.pair,
+          id: entry.id,
+          timeframe,
+          provider: call.provider,
+          prompt_version: call.prompt_version,
+          analysis_date: new Date(startMs).toISOString(),
+          entry_date: realised.entryDate,
+          horizon,
+          threshold,
+          predicted,
+          up_c: call.analysis.up.confidence,
+          down_c: call.analysis.down.confidence,
+          sideways_c: call.analysis.sideways.confidence,
+          raw_analysis: call.raw_analysis,
+          entry_price: realised.entryPrice,
+          exit_price: realised.exitPrice,
+          forward_return: realised.forwardReturn,
+          realised: realisedTrend,
+          correct: predicted === realisedTrend
+        });
+      });
+    });
+  });
+
+  return { labels, pending, missing };
+}
+
+// Multi-class Brier score on confidences normalised to sum to 1
+const brierScore = (label) => {
+  const values = TRENDS.map(t => label[`${t}_c`]);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const probabilities = total > 0 ? values.map(v => v / total) : values.map(() => 1 / TRENDS.length);
+  return TRENDS.reduce((sum, trend, i) => sum + (probabilities[i] - (label.realised === trend ? 1 : 0)) ** 2, 0);
+};
+
+/**
+ * Score labeled calls per provider, prompt version, timeframe and horizon
+ * @param {Array<Object>} labels - Rows from labelResults
+ * @returns {Array<Object>} One metrics object per group
+ */
+export function computeMetrics(labels) {
+  const groups = new Map();
+  labels.forEach(label => {
+    const key = `${label.provider}|${label.prompt_version}|${label.timeframe || ''}|${label.horizon}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(label);
+  });
+
+  return [...groups.values()].map(rows => {
+    const classes = {};
+    TRENDS.forEach(trend => {
+      const predicted = rows.filter(r => r.predicted === trend);
+      const actual = rows.filter(r => r.realised === trend);
+      const truePositives = predicted.filter(r => r.realised === trend).length;
+      classes[trend] = {
+        predicted: predicted.length,
+        support: actual.length,
+        precision: predicted.length > 0 ? truePositives / predicted.length : null,
+        recall: actual.length > 0 ? truePositives / actual.length : null,
+        // Average realised return when this class was called — the edge of acting on it
+        mean_forward_return: predicted.length > 0
+          ? predicted.reduce((sum, r) => sum + r.forward_return, 0) / predicted.length
+          : null
+      };
+    });
+
+    return {
+      provider: rows[0].provider,
+      prompt_version: rows[0].prompt_version,
+      timeframe: rows[0].timeframe || null,
+      horizon: rows[0].horizon,
+      count: rows.length,
+      accuracy: rows.filter(r => r.correct).length / rows.length,
+      brier: rows.reduce((sum, r) => sum + brierScore(r), 0) / rows.length,
+      classes
+    };
+  }).sort((a, b) => (a.horizon - b.horizon) ||
+    (a.timeframe || '').localeCompare(b.timeframe || '') ||
+    a.provider.localeCompare(b.provider) ||
+    a.prompt_version.localeCompare(b.prompt_version));
+}
+
+/**
+ * Turn labels into the history format read by src/analysis/calibration.js
+ *
+ * Uses the uncalibrated confidences, the space calibration models are fit in.
+ * @param {Array<Object>} labels - Rows from labelResults (one horizon and timeframe)
+ * @returns {Array<Object>} { trend, confidence, outcome } records
+ */
+export function toCalibrationHistory(labels) {
+  return labels.flatMap(label => TRENDS.map(trend => ({
+    trend,
+    confidence: label.raw_analysis[trend].confidence,
+    outcome: label.realised === trend ? 1 : 0,
+    provider: label.provider,
+    timeframe: label.timeframe,
+    horizon: label.horizon
+  })));
+}
+
+const formatNumber = (value, digits = 6) => (typeof value === 'number' ? value.toFixed(digits) : '');
+
+const toCsv = (headers, rows) => {
+  const lines = [headers.join(',')];
+  rows.forEach(values => {
+    lines.push(values.map(v => {
+      const s = String(v ?? '');
+      return /[,"]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(','));
+  });
+  return lines.join('\n');
+};
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const resultsArg = process.argv[2];
+  const ohlcDir = process.argv[3];
+  const outputDir = process.argv[4] || '.';
+  if (!resultsArg || !ohlcDir) {
+    console.error('Usage: node src/evaluation/ground-truth.js <results.json[,more.json]> <ohlc-dir> [output-dir]');
+    process.exit(1);
+  }
+
+  try {
+    // GROUND_TRUTH_HORIZONS="7,30,90"; GROUND_TRUTH_ANALYSIS_DATE overrides analyzedAt for older results files
+    const horizons = (process.env.GROUND_TRUTH_HORIZONS || DEFAULT_HORIZONS.join(','))
+      .split(',').map(h => parseInt(h.trim(), 10)).filter(h => h > 0);
+    const analysisDate = process.env.GROUND_TRUTH_ANALYSIS_DATE;
+
+    const candleCache = new Map();
+    const getCandles = (symbol) => {
+      if (!candleCache.has(symbol)) candleCache.set(symbol, loadCandles(ohlcDir, symbol));
+      return candleCache.get(symbol);
+    };
+
+    const labels = [];
+    resultsArg.split(',').map(p => p.trim()).filter(Boolean).forEach(resultsPath => {
+      const results = JSON.parse(readFileSync(resultsPath, 'utf8'));
+      const labeled = labelResults(results, getCandles, { horizons, analysisDate });
+      labels.push(...labeled.labels);
+      console.log(`📂 ${resultsPath}: ${labeled.labels.length} labeled calls, ${labeled.pending.length} pending horizons, ${labeled.missing.length} coins without OHLC`);
+      if (labeled.missing.length > 0) {
+        console.warn(`⚠️  No OHLC history for: ${labeled.missing.join(', ')}`);
+      }
+    });
+
+    const metrics = computeMetrics(labels);
+
+    console.log('\n🎯 GROUND TRUTH METRICS');
+    console.log('======================');
+    metrics.forEach(m => {
+      console.log(`${String(m.horizon).padStart(3)}d${m.timeframe ? ` ${m.timeframe}` : ''} | ${m.provider} [${m.prompt_version}] | n=${m.count} | Acc: ${m.accuracy.toFixed(3)} | Brier: ${m.brier.toFixed(3)}`);
+      TRENDS.forEach(trend => {
+        const c = m.classes[trend];
+        console.log(`       ${trend.padEnd(8)} | P: ${formatNumber(c.precision, 3) || '  -  '} | R: ${formatNumber(c.recall, 3) || '  -  '} | Avg fwd: ${formatNumber(c.mean_forward_return, 4) || '-'}`);
+      });
+    });
+
+    if (!existsSync(outputDir)) {
+      mkdirSync(outputDir, { recursive: true });
+    }
+
+    const labelHeaders = ['pair', 'id', 'timeframe', 'provider', 'prompt_version', 'analysis_date', 'entry_date', 'horizon', 'predicted', 'up_c', 'down_c', 'sideways_c', 'entry_price', 'exit_price', 'forward_return', 'realised', 'correct'];
+    const labelRows = labels.map(l => [
+      l.pair, l.id, l.timeframe || '', l.provider, l.prompt_version, l.analysis_date, l.entry_date, l.horizon, l.predicted,
+      formatNumber(l.up_c), formatNumber(l.down_c), formatNumber(l.sideways_c),
+      l.entry_price, l.exit_price, formatNumber(l.forward_return), l.realised, l.correct ? 'Yes' : 'No'
+    ]);
+    writeFileSync(join(outputDir, 'ground-truth-labels.csv'), toCsv(labelHeaders, labelRows), 'utf8');
+    writeFileSync(join(outputDir, 'ground-truth-metrics.json'), JSON.stringify({ generatedAt: new Date().toISOString(), horizons, metrics }, null, 2), 'utf8');
+
+    // One calibration history per horizon and chart timeframe, ready for src/analysis/calibration.js
+    const timeframes = [...new Set(labels.map(l => l.timeframe || null))];
+    horizons.forEach(horizon => {
+      timeframes.forEach(timeframe => {
+        const records = toCalibrationHistory(labels.filter(l => l.horizon === horizon && (l.timeframe || null) === timeframe));
+        if (records.length > 0) {
+          const name = `calibration-history-${horizon}d${timeframe ? `-${timeframe}` : ''}.json`;
+          writeFileSync(join(outputDir, name), JSON.stringify(records, null, 2), 'utf8');
+        }
+      });
+    });
+
+    console.log(`\n💾 Labels, metrics and calibration history saved to ${outputDir}`);
+  } catch (error) {
+    console.error('❌ Ground-truth evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forwardReturn, labelResults, computeMetrics, classifyReturn, thresholdForHorizon, toCalibrationHistory } from './ground-truth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+// Daily candles keyed by open time; each opens 2% above the previous close
+const candles = (closes) => closes.map((close, i) => ({
+  timestamp: START + i * DAY_MS, open: close * 1.02, high: close * 1.03, low: close * 0.97, close
+}));
+
+const analysis = (up, down, sideways) => ({
+  up: { confidence: up }, down: { confidence: down }, sideways: { confidence: sideways }
+});
+
+test('entry is the next candle open, not the close already on the chart', () => {
+  // Analysed at the 2024-01-01 close: the first tradable price is the 2024-01-02 open
+  const history = candles([100, 110, 120, 130]);
+  const realised = forwardReturn(history, START + DAY_MS, 2);
+  assert.equal(realised.entryDate, '2024-01-02T00:00:00.000Z');
+  assert.equal(realised.entryPrice, 110 * 1.02);
+  assert.equal(realised.exitPrice, 120);
+  assert.ok(Math.abs(realised.forwardReturn - (120 / (110 * 1.02) - 1)) < 1e-12);
+});
+
+test('returns null until the full horizon is covered or when no candle follows the analysis', () => {
+  const history = candles([100, 110, 120]);
+  assert.equal(forwardReturn(history, START + DAY_MS, 3), null);
+  assert.ok(forwardReturn(history, START + DAY_MS, 2));
+  assert.equal(forwardReturn(history, START + 5 * DAY_MS, 1), null);
+});
+
+test('labels and metrics are kept apart per chart timeframe', () => {
+  const results = {
+    analyzedAt: new Date(START + DAY_MS).toISOString(),
+    analyses: [
+      { pair: 'BTC', id: 'bitcoin', timeframe: '1D-1Y', provider: 'p', prompt_version: 'v1', analysis: analysis(0.7, 0.2, 0.1) },
+      { pair: 'BTC', id: 'bitcoin', timeframe: '4H-1M', provider: 'p', prompt_version: 'v1', analysis: analysis(0.1, 0.7, 0.2) },
+      { pair: 'ETH', id: 'ethereum', timeframe: '1D-1Y', provider: 'p', prompt_version: 'v1', analysis: analysis(0.6, 0.3, 0.1) }
+    ]
+  };
+  const { labels, pending, missing } = labelResults(results, symbol => (symbol === 'BTC' ? candles([100, 100, 120]) : null), { horizons: [2, 7] });
+
+  assert.deepEqual(labels.map(l => [l.timeframe, l.horizon, l.realised, l.correct]), [['1D-1Y', 2, 'up', true], ['4H-1M', 2, 'up', false]]);
+  assert.deepEqual(pending, [{ pair: 'BTC', timeframe: '1D-1Y', horizon: 7 }, { pair: 'BTC', timeframe: '4H-1M', horizon: 7 }]);
+  assert.deepEqual(missing, ['ETH']);
+
+  const metrics = computeMetrics(labels);
+  assert.deepEqual(metrics.map(m => [m.timeframe, m.count, m.accuracy]), [['1D-1Y', 1, 1], ['4H-1M', 1, 0]]);
+  assert.ok(toCalibrationHistory(labels).every(r => r.timeframe === '1D-1Y' || r.timeframe === '4H-1M'));
+});
+
+test('single-timeframe results label with a null timeframe', () => {
+  const results = {
+    analyzedAt: new Date(START + DAY_MS).toISOString(),
+    analyses: [{ pair: 'BTC', provider: 'p', analysis: analysis(0.2, 0.2, 0.6) }]
+  };
+  const { labels } = labelResults(results, () => candles([100, 100, 100]), { horizons: [2] });
+  assert.equal(labels[0].timeframe, null);
+  assert.equal(labels[0].prompt_version, 'default');
+  assert.equal(computeMetrics(labels)[0].timeframe, null);
+});
+
+test('classifyReturn and thresholdForHorizon', () => {
+  assert.equal(thresholdForHorizon(7), 0.05);
+  assert.ok(Math.abs(thresholdForHorizon(28) - 0.1) < 1e-12);
+  assert.equal(thresholdForHorizon(30, { 30: 0.2 }), 0.2);
+  assert.equal(classifyReturn(0.05, 0.05), 'up');
+  assert.equal(classifyReturn(-0.06, 0.05), 'down');
+  assert.equal(classifyReturn(0.01, 0.05), 'sideways');
+});
@@ -0,0 +1,330 @@
+/**
+ * USDT Pair Discovery
+ *
+ * Builds a verified symbol → exchange map of real USDT spot markets instead
+ * of assuming every top coin trades as SYMBOLUSDT. Market sources sit behind
+ * adapters (Binance exchangeInfo, CoinGecko /coins/{id}/tickers); coins with
+ * no USDT market on a chartable exchange are flagged before Step 2 so the
+ * screenshot batch never requests charts that do not exist.
+ *
+ * CoinGecko's id-keyed adapter runs first. A ticker-only source (Binance) is
+ * consulted only when the id lookup errored, so two coins sharing a ticker
+ * can never borrow each other's market.
+ *
+ * Usage: node src/market/pair-discovery.js [--top=N] [--adapters=coingecko,binance] [--output=usdt-pair-map.json]
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { requestCoinGecko, fetchCoinsBatch, delay, DEFAULT_CONFIG as COINGECKO_CONFIG } from '../../download-usdt-pairs.js';
+
+// CoinGecko market identifiers → TradingView exchange prefixes
+export const TRADINGVIEW_EXCHANGES = {
+  binance: 'BINANCE',
+  bybit_spot: 'BYBIT',
+  okex: 'OKX',
+  kucoin: 'KUCOIN',
+  gate: 'GATEIO',
+  mxc: 'MEXC',
+  bitget: 'BITGET',
+  huobi: 'HTX',
+  gdax: 'COINBASE',
+  kraken: 'KRAKEN',
+  crypto_com: 'CRYPTO',
+  bitstamp: 'BITSTAMP'
+};
+
+// Preferred chart source when a coin trades on several exchanges
+export const DEFAULT_EXCHANGE_PRIORITY = ['BINANCE', 'BYBIT', 'OKX', 'COINBASE', 'KUCOIN', 'GATEIO', 'MEXC', 'BITGET', 'HTX', 'KRAKEN', 'CRYPTO', 'BITSTAMP'];
+
+/**
+ * Base class for market sources
+ *
+ * `findUsdtMarkets(coin)` returns [{ exchange, pair, volumeUsd }] for a
+ * CoinGecko coin ({ id, symbol }); exchange is a TradingView prefix.
+ * Adapters with `matchesById` look the coin up by its CoinGecko id, so an
+ * empty answer from them proves the coin has no market.
+ */
+export class MarketSourceAdapter {
+  constructor(config = {}) {
+    this.config = { ...config };
+    this.name = 'adapter';
+    this.matchesById = false;
+  }
+
+  async findUsdtMarkets(_coin) {
+    throw new Error(`${this.name} adapter does not implement findUsdtMarkets()`);
+  }
+}
+
+/**
+ * Binance spot exchangeInfo: one request covers every coin
+ *
+ * Matches on the ticker symbol, so it cannot tell apart two coins sharing
+ * a ticker; results are marked verifiedBy 'exchange-symbol'.
+ */
+export class BinanceExchangeInfoAdapter extends MarketSourceAdapter {
+  constructor(config = {}) {
+    super({
+      url: 'https://api.binance.com/api/v3/exchangeInfo?permissions=SPOT',
+      timeoutMs: 30000,
+      ...config
+    });
+    this.name = 'binance';
+    this.verifiedBy = 'exchange-symbol';
+    this.markets = null;
+  }
+
+  async loadMarkets() {
+    if (this.markets) return this.markets;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeoutMs);
+    try {
+      const response = await fetch(this.config.url, { signal: controller.signal, headers: { 'Accept': 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`Binance exchangeInfo HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      this.markets = new Map();
+      (data.symbols || [])
+        .filter(s => s.quoteAsset === 'USDT' && s.status === 'TRADING')
+        .forEach(s => this.markets.set(s.baseAsset.toUpperCase(), s.symbol));
+      console.log(`📒 Binance: ${this.markets.size} USDT spot markets`);
+      return this.markets;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Binance exchangeInfo timeout after ${this.config.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async findUsdtMarkets(coin) {
+    const markets = await this.loadMarkets();
+    const pair = markets.get(coin.symbol.toUpperCase());
+    return pair ? [{ exchange: 'BINANCE', pair, volumeUsd: null }] : [];
+  }
+}
+
+/**
+ * CoinGecko /coins/{id}/tickers: keyed by coin id, so ticker collisions
+ * cannot produce false matches (verifiedBy 'coingecko-id')
+ */
+export class CoinGeckoTickersAdapter extends MarketSourceAdapter {
+  constructor(config = {}) {
+    super({
+      ...COINGECKO_CONFIG,
+      delayBetweenRequestsMs: 3000, // ~20 calls/minute on the free tier
+      ...config
+    });
+    this.name = 'coingecko';
+    this.verifiedBy = 'coingecko-id';
+    this.matchesById = true;
+    this.requests = 0;
+  }
+
+  async findUsdtMarkets(coin) {
+    if (this.requests > 0) {
+      await delay(this.config.delayBetweenRequestsMs);
+    }
+    this.requests++;
+
+    const data = await requestCoinGecko(this.config, `/coins/${encodeURIComponent(coin.id)}/tickers?include_exchange_logo=false`, `${coin.id} tickers`);
+    return (data.tickers || [])
+      .filter(t => t.target === 'USDT' && !t.is_stale && !t.is_anomaly)
+      .map(t => ({
+        exchange: TRADINGVIEW_EXCHANGES[t.market?.identifier] || null,
+        market: t.market?.identifier,
+        pair: `${String(t.base).toUpperCase()}USDT`,
+        volumeUsd: t.converted_volume?.usd ?? null
+      }))
+      // DEX tickers use contract addresses as the base; only chartable CEX markets
+      // quoted under the coin's own ticker (what Step 2 requests) count
+      .filter(m => m.exchange && m.pair === `${coin.symbol.toUpperCase()}USDT`);
+  }
+}
+
+const ADAPTERS = {
+  binance: (config) => new BinanceExchangeInfoAdapter(config),
+  coingecko: (config) => new CoinGeckoTickersAdapter(config)
+};
+
+// Id-keyed source first; the ticker-only Binance map is the fallback when it errors
+export const DEFAULT_ADAPTERS = ['coingecko', 'binance'];
+
+/**
+ * Create adapters by name
+ * @param {Array<string>|string} names - e.g. ['coingecko', 'binance'] or "coingecko,binance"
+ * @param {Object} options - Per-adapter config keyed by name
+ * @returns {Array<MarketSourceAdapter>} Adapters in order
+ */
+export function createAdapters(names = DEFAULT_ADAPTERS, options = {}) {
+  const list = Array.isArray(names) ? names : String(names).split(',');
+  return list.map(n => n.trim().toLowerCase()).filter(Boolean).map(name => {
+    if (!ADAPTERS[name]) {
+      throw new Error(`Unsupported pair discovery adapter: ${name} (expected ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return ADAPTERS[name](options[name] || {});
+  });
+}
+
+const pickMarket = (markets, priority) => {
+  const rank = (exchange) => {
+    const index = priority.indexOf(exchange);
+    return index === -1 ? priority.length : index;
+  };
+  return [...markets].sort((a, b) => (rank(a.exchange) - rank(b.exchange)) || ((b.volumeUsd ?? 0) - (a.volumeUsd ?? 0)))[0];
+};
+
+/**
+ * Discover verified USDT markets for a list of CoinGecko coins
+ *
+ * Adapters are tried in order; the first one that finds a USDT market
+ * decides. Once an id-keyed adapter (matchesById) has answered, ticker-only
+ * adapters are skipped: its empty answer means the coin has no market, not
+ * that another coin's ticker should be tried. A coin is only `missing` when
+ * a source that can see every exchange answered; with an id-keyed adapter
+ * configured, a failed id lookup that the fallback cannot resolve lands in
+ * `errors`. Coins verified in `cached`
+ * within `maxAgeHours` are reused; ticker-only entries are re-checked when an
+ * id-keyed adapter is configured.
+ * @param {Array<Object>} coins - CoinGecko market entries ({ id, symbol })
+ * @param {Object} options - { adapters, exchangePriority, cached, maxAgeHours }
+ * @returns {Promise<Object>} { generatedAt, pairs: { SYMBOL: entry }, missing: [...], errors: [...] }
+ */
+export async function discoverUsdtPairs(coins, options = {}) {
+  const {
+    adapters = createAdapters(),
+    exchangePriority = DEFAULT_EXCHANGE_PRIORITY,
+    cached = null,
+    maxAgeHours = 24 * 7
+  } = options;
+
+  const pairs = {};
+  const missing = [];
+  const errors = [];
+  const idAdapter = adapters.find(adapter => adapter.matchesById) || null;
+  const cacheCutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+
+  for (const coin of coins) {
+    const symbol = String(coin.symbol || '').toUpperCase();
+    if (!symbol || !coin.id) continue;
+
+    const cachedEntry = cached?.pairs?.[symbol];
+    const cacheTrusted = !idAdapter || cachedEntry?.verifiedBy === idAdapter.verifiedBy;
+    if (cachedEntry && cacheTrusted && cachedEntry.coinId === coin.id && Date.parse(cachedEntry.verifiedAt) >= cacheCutoff) {
+      pairs[symbol] = cachedEntry;
+      continue;
+    }
+
+    let found = null;
+    let answeredById = false;
+    const failures = [];
+    for (const adapter of adapters) {
+      if (answeredById && !adapter.matchesById) {
+        continue;
+      }
+      try {
+        const markets = await adapter.findUsdtMarkets(coin);
+        answeredById = answeredById || adapter.matchesById;
+        if (markets.length > 0) {
+          const best = pickMarket(markets, exchangePriority);
+          found = {
+            symbol,
+            coinId: coin.id,
+            exchange: best.exchange,
+            pair: best.pair,
+            tradingViewSymbol: `${best.exchange}:${best.pair}`,
+            exchanges: [...new Set(markets.map(m => m.exchange))],
+            source: adapter.name,
+            verifiedBy: adapter.verifiedBy,
+            verifiedAt: new Date().toISOString()
+          };
+          break;
+        }
+      } catch (error) {
+        failures.push(`${adapter.name}: ${error.message}`);
+      }
+    }
+
+    if (found) {
+      // Keep the first (higher-ranked) coin when two coins share a ticker
+      if (pairs[symbol] && pairs[symbol].coinId !== coin.id) {
+        missing.push({ symbol, coinId: coin.id, reason: `ticker already mapped to ${pairs[symbol].coinId}` });
+      } else {
+        pairs[symbol] = found;
+      }
+    } else if (idAdapter ? !answeredById : failures.length === adapters.length) {
+      // Unknown, not proven missing: the id lookup failed (a ticker-only
+      // fallback cannot see every exchange), or every source errored
+      errors.push({ symbol, coinId: coin.id, reason: failures.length > 0 ? failures.join('; ') : 'no id-keyed answer' });
+    } else {
+      missing.push({ symbol, coinId: coin.id, reason: 'no USDT market on a supported exchange' });
+    }
+  }
+
+  return { generatedAt: new Date().toISOString(), pairs, missing, errors };
+}
+
+/**
+ * Map symbol → TradingView exchange prefix for TradingViewCapture / BatchProcessor
+ * @param {Object} discovery - Result of discoverUsdtPairs
+ * @returns {Object} { BTC: 'BINANCE', ... }
+ */
+export function toExchangeMap(discovery) {
+  return Object.fromEntries(Object.entries(discovery.pairs).map(([symbol, entry]) => [symbol, entry.exchange]));
+}
+
+/**
+ * Load a saved pair map (null when missing or unreadable)
+ */
+export function loadPairMap(filePath) {
+  try {
+    if (existsSync(filePath)) {
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not load pair map: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Save a pair map
+ */
+export function savePairMap(filePath, discovery) {
+  writeFileSync(filePath, JSON.stringify(discovery, null, 2), 'utf8');
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const topArg = args.find(arg => arg.startsWith('--top='));
+  const adaptersArg = args.find(arg => arg.startsWith('--adapters='));
+  const outputArg = args.find(arg => arg.startsWith('--output='));
+  const outputPath = outputArg ? outputArg.split('=')[1] : 'usdt-pair-map.json';
+
+  try {
+    const top = topArg ? parseInt(topArg.split('=')[1]) : COINGECKO_CONFIG.perPage;
+    const coins = await fetchCoinsBatch(COINGECKO_CONFIG, 1, top);
+    const discovery = await discoverUsdtPairs(coins, {
+      adapters: createAdapters(adaptersArg ? adaptersArg.split('=')[1] : DEFAULT_ADAPTERS),
+      cached: loadPairMap(outputPath)
+    });
+    savePairMap(outputPath, discovery);
+
+    console.log('\n🔎 USDT PAIR DISCOVERY');
+    console.log('=====================');
+    console.log(`Verified: ${Object.keys(discovery.pairs).length}`);
+    console.log(`No USDT market: ${discovery.missing.length}${discovery.missing.length > 0 ? ` (${discovery.missing.map(m => m.symbol).join(', ')})` : ''}`);
+    if (discovery.errors.length > 0) {
+      console.log(`⚠️  Lookup errors: ${discovery.errors.map(e => e.symbol).join(', ')}`);
+    }
+    console.log(`💾 Pair map saved to ${outputPath}`);
+  } catch (error) {
+    console.error('❌ Pair discovery failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverUsdtPairs, createAdapters, DEFAULT_ADAPTERS, MarketSourceAdapter, toExchangeMap } from './pair-discovery.js';
+
+// Stand-in for CoinGecko tickers: markets keyed by coin id
+class IdAdapter extends MarketSourceAdapter {
+  constructor(byId, { fail = false } = {}) {
+    super();
+    this.name = 'coingecko';
+    this.verifiedBy = 'coingecko-id';
+    this.matchesById = true;
+    this.byId = byId;
+    this.fail = fail;
+  }
+
+  async findUsdtMarkets(coin) {
+    if (this.fail) throw new Error('HTTP 429');
+    return this.byId[coin.id] || [];
+  }
+}
+
+// Stand-in for Binance exchangeInfo: markets keyed by ticker
+class TickerAdapter extends MarketSourceAdapter {
+  constructor(byTicker) {
+    super();
+    this.name = 'binance';
+    this.verifiedBy = 'exchange-symbol';
+    this.byTicker = byTicker;
+    this.calls = 0;
+  }
+
+  async findUsdtMarkets(coin) {
+    this.calls++;
+    return this.byTicker[coin.symbol.toUpperCase()] || [];
+  }
+}
+
+const binanceMarket = (pair) => [{ exchange: 'BINANCE', pair, volumeUsd: null }];
+
+test('the id-keyed adapter is the default first source', () => {
+  assert.deepEqual(DEFAULT_ADAPTERS, ['coingecko', 'binance']);
+  assert.deepEqual(createAdapters().map(a => a.name), ['coingecko', 'binance']);
+  assert.equal(createAdapters('coingecko')[0].matchesById, true);
+  assert.throws(() => createAdapters('kraken'), /Unsupported pair discovery adapter/);
+});
+
+test('a coin the id lookup finds no market for never borrows a ticker match', async () => {
+  const binance = new TickerAdapter({ GAS: binanceMarket('GASUSDT') });
+  const discovery = await discoverUsdtPairs([{ id: 'gas-dao', symbol: 'gas' }], {
+    adapters: [new IdAdapter({}), binance]
+  });
+  assert.deepEqual(discovery.pairs, {});
+  assert.equal(discovery.missing[0].reason, 'no USDT market on a supported exchange');
+  assert.equal(binance.calls, 0);
+});
+
+test('ticker-only sources are the fallback when the id lookup errors', async () => {
+  const discovery = await discoverUsdtPairs([{ id: 'bitcoin', symbol: 'btc' }], {
+    adapters: [new IdAdapter({}, { fail: true }), new TickerAdapter({ BTC: binanceMarket('BTCUSDT') })]
+  });
+  assert.equal(discovery.pairs.BTC.verifiedBy, 'exchange-symbol');
+  assert.deepEqual(toExchangeMap(discovery), { BTC: 'BINANCE' });
+});
+
+test('an id lookup error with no ticker match is reported as an error, not missing', async () => {
+  const discovery = await discoverUsdtPairs([{ id: 'ondo-finance', symbol: 'ondo' }], {
+    adapters: [new IdAdapter({}, { fail: true }), new TickerAdapter({})]
+  });
+  assert.deepEqual(discovery.missing, []);
+  assert.equal(discovery.errors[0].symbol, 'ONDO');
+  assert.match(discovery.errors[0].reason, /coingecko: HTTP 429/);
+});
+
+test('exchange priority picks the chart source and ticker collisions keep the first coin', async () => {
+  const idAdapter = new IdAdapter({
+    'ethereum': [{ exchange: 'OKX', pair: 'ETHUSDT', volumeUsd: 9e9 }, { exchange: 'BINANCE', pair: 'ETHUSDT', volumeUsd: 1e9 }],
+    'ether-clone': [{ exchange: 'MEXC', pair: 'ETHUSDT', volumeUsd: 1e3 }]
+  });
+  const discovery = await discoverUsdtPairs([{ id: 'ethereum', symbol: 'eth' }, { id: 'ether-clone', symbol: 'eth' }], { adapters: [idAdapter] });
+  assert.equal(discovery.pairs.ETH.tradingViewSymbol, 'BINANCE:ETHUSDT');
+  assert.equal(discovery.pairs.ETH.coinId, 'ethereum');
+  assert.equal(discovery.missing[0].reason, 'ticker already mapped to ethereum');
+});
+
+test('cached ticker-only entries are re-verified when an id-keyed adapter is configured', async () => {
+  const verifiedAt = new Date().toISOString();
+  const cached = {
+    pairs: {
+      GAS: { symbol: 'GAS', coinId: 'gas-dao', exchange: 'BINANCE', pair: 'GASUSDT', verifiedBy: 'exchange-symbol', verifiedAt },
+      SOL: { symbol: 'SOL', coinId: 'solana', exchange: 'BYBIT', pair: 'SOLUSDT', verifiedBy: 'coingecko-id', verifiedAt }
+    }
+  };
+  const discovery = await discoverUsdtPairs([{ id: 'gas-dao', symbol: 'gas' }, { id: 'solana', symbol: 'sol' }], {
+    adapters: [new IdAdapter({}), new TickerAdapter({})],
+    cached
+  });
+  assert.equal(discovery.pairs.GAS, undefined);
+  assert.equal(discovery.pairs.SOL.exchange, 'BYBIT');
+});
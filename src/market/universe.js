@@ -0,0 +1,225 @@
+/**
+ * Universe Construction
+ *
+ * Turns a CoinGecko /coins/markets list into the set of coins worth
+ * charting: classifies each coin (stablecoin, wrapped, liquid staking,
+ * commodity-backed, pegged), applies include/exclude lists, then resolves
+ * ticker collisions by CoinGecko id among the coins still eligible, and
+ * records why every dropped coin was dropped so the reason ends up in the
+ * run metadata.
+ */
+
+import { writeFileSync } from 'fs';
+
+// Known ids/symbols per category; heuristics below catch new listings
+export const STABLECOIN_SYMBOLS = new Set([
+  'usdt', 'usdc', 'usd', 'dai', 'busd', 'tusd', 'usdp', 'usdd',
+  'frax', 'lusd', 'susd', 'gusd', 'usds', 'usde', 'usdf', 'usdt0', 'usdtb',
+  'fdusd', 'pyusd', 'usd1', 'rlusd', 'usdx', 'usdb', 'crvusd', 'gho', 'eurc', 'eurs', 'eurt', 'susde', 'bfusd'
+]);
+
+export const WRAPPED_SYMBOLS = new Set([
+  'wbtc', 'weth', 'wbnb', 'wsol', 'wavax', 'wmatic', 'wtrx', 'cbbtc', 'tbtc', 'btcb', 'lbtc', 'solvbtc', 'renbtc', 'hbtc'
+]);
+
+export const LIQUID_STAKING_SYMBOLS = new Set([
+  'steth', 'wsteth', 'reth', 'cbeth', 'wbeth', 'weeth', 'eeth', 'meth', 'ezeth', 'rseth', 'sfrxeth', 'oseth', 'sweth',
+  'jitosol', 'msol', 'bnsol', 'jupsol', 'bsol', 'stsol', 'ankreth', 'lseth'
+]);
+
+export const COMMODITY_SYMBOLS = new Set(['paxg', 'xaut', 'kau', 'kag']);
+
+export const CATEGORIES = ['normal', 'stablecoin', 'wrapped', 'liquid-staking', 'commodity', 'pegged'];
+
+// Categories dropped unless a coin is explicitly included
+export const DEFAULT_EXCLUDED_CATEGORIES = ['stablecoin', 'wrapped', 'liquid-staking', 'commodity', 'pegged'];
+
+/**
+ * Classify a coin by its CoinGecko id, symbol and name
+ * @param {Object} coin - CoinGecko market entry
+ * @returns {string} Category from CATEGORIES
+ */
+export function classifyCoin(coin) {
+  const symbol = String(coin.symbol || '').toLowerCase();
+  const id = String(coin.id || '').toLowerCase();
+  const name = String(coin.name || '').toLowerCase();
+
+  if (STABLECOIN_SYMBOLS.has(symbol)) return 'stablecoin';
+  if (LIQUID_STAKING_SYMBOLS.has(symbol) || /(^|\s)(liquid )?staked\s/.test(name) || id.startsWith('staked-')) return 'liquid-staking';
+  if (WRAPPED_SYMBOLS.has(symbol) || id.startsWith('wrapped-') || name.startsWith('wrapped ') || /\bbridged\b/.test(name)) return 'wrapped';
+  if (COMMODITY_SYMBOLS.has(symbol) || /\b(gold|silver)\b/.test(name)) return 'commodity';
+  if (/\b(usd|euro?) ?(coin|stablecoin)\b/.test(name) || /stablecoin/.test(name)) return 'stablecoin';
+  return 'normal';
+}
+
+/**
+ * Detect assets pegged to USD or to a larger coin from price / volatility
+ *
+ * USD peg: price within `usdTolerance` of 1 and a 24h range (or daily
+ * candle volatility when candles are supplied) below `maxVolatility`.
+ * Asset peg: price within `assetTolerance` of a higher-ranked reference coin.
+ * @param {Object} coin - CoinGecko market entry
+ * @param {Array<Object>} references - Higher-ranked reference coins (e.g. BTC, ETH)
+ * @param {Object} options - { usdTolerance, assetTolerance, maxVolatility, candles }
+ * @returns {string|null} Peg description, or null when not pegged
+ */
+export function detectPeg(coin, references = [], options = {}) {
+  const { usdTolerance = 0.02, assetTolerance = 0.01, maxVolatility = 0.01, candles = null } = options;
+  const price = Number(coin.current_price);
+  if (!(price > 0)) return null;
+
+  let volatility = null;
+  if (candles && candles.length >= 7) {
+    const closes = candles.slice(-30).map(c => c.close);
+    const returns = closes.slice(1).map((c, i) => c / closes[i] - 1);
+    const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+    volatility = Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / returns.length);
+  } else if (Number(coin.high_24h) > 0 && Number(coin.low_24h) > 0) {
+    volatility = (coin.high_24h - coin.low_24h) / price;
+  }
+
+  if (Math.abs(price - 1) <= usdTolerance && volatility !== null && volatility <= maxVolatility) {
+    return 'USD';
+  }
+
+  const reference = references.find(ref =>
+    ref.id !== coin.id &&
+    Number(ref.current_price) > 0 &&
+    Math.abs(price / ref.current_price - 1) <= assetTolerance
+  );
+  return reference ? reference.id : null;
+}
+
+const toSet = (values) => new Set((values || []).map(v => String(v).toLowerCase()));
+
+/**
+ * Build the tradable universe
+ * @param {Array<Object>} coins - CoinGecko /coins/markets entries
+ * @param {Object} options - {
+ *   include, exclude: symbols or CoinGecko ids,
+ *   excludeCategories, preferIds: { SYMBOL: id } collision overrides,
+ *   referenceIds: ids used for asset-peg detection, getCandles: symbol => candles,
+ *   limit }
+ * @returns {Object} { coins, symbols, dropped, metadata }
+ */
+export function buildUniverse(coins, options = {}) {
+  const {
+    excludeCategories = DEFAULT_EXCLUDED_CATEGORIES,
+    preferIds = {},
+    referenceIds = ['bitcoin', 'ethereum', 'binancecoin', 'solana'],
+    getCandles = null,
+    limit = null,
+    pegOptions = {}
+  } = options;
+  const include = toSet(options.include);
+  const exclude = toSet(options.exclude);
+  const excludedCategories = new Set(excludeCategories);
+  const preferred = Object.fromEntries(Object.entries(preferIds).map(([s, id]) => [s.toUpperCase(), id]));
+
+  const references = coins.filter(c => referenceIds.includes(c.id));
+  const listed = (coin) => (set) => set.has(String(coin.symbol || '').toLowerCase()) || set.has(String(coin.id || '').toLowerCase());
+
+  const kept = [];
+  const dropped = [];
+  const drop = (coin, reason, category = null) => {
+    dropped.push({ id: coin.id, symbol: String(coin.symbol || '').toUpperCase(), rank: coin.market_cap_rank ?? null, category, reason });
+  };
+
+  // Lists, categories and pegs first, so a filtered coin never wins a ticker collision
+  const eligible = [];
+  coins.forEach(coin => {
+    const symbol = String(coin.symbol || '').toUpperCase();
+    const isListed = listed(coin);
+    if (!symbol || !coin.id) {
+      drop(coin, 'missing symbol or id');
+      return;
+    }
+    if (isListed(exclude)) {
+      drop(coin, 'exclude list');
+      return;
+    }
+
+    let category = classifyCoin(coin);
+    let peg = null;
+    if (category === 'normal') {
+      peg = detectPeg(coin, references, { ...pegOptions, candles: getCandles ? getCandles(symbol) : null });
+      if (peg) category = 'pegged';
+    }
+
+    if (excludedCategories.has(category) && !isListed(include)) {
+      drop(coin, peg ? `pegged to ${peg}` : category, category);
+      return;
+    }
+    eligible.push({ coin, symbol, category, peg });
+  });
+
+  // Ticker collisions among the remaining coins: keep the preferred id, else the best market cap rank
+  const bySymbol = new Map();
+  eligible.forEach(({ coin, symbol }) => {
+    if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+    bySymbol.get(symbol).push(coin);
+  });
+  const winners = new Map();
+  bySymbol.forEach((group, symbol) => {
+    const sorted = [...group].sort((a, b) =>
+      ((b.id === preferred[symbol]) - (a.id === preferred[symbol])) ||
+      ((a.market_cap_rank || Infinity) - (b.market_cap_rank || Infinity))
+    );
+    winners.set(symbol, sorted[0].id);
+  });
+
+  eligible.forEach(({ coin, symbol, category, peg }) => {
+    if (winners.get(symbol) !== coin.id) {
+      drop(coin, `ticker collision: ${symbol} resolved to ${winners.get(symbol)}`, category);
+      return;
+    }
+    kept.push({ id: coin.id, symbol, name: coin.name, rank: coin.market_cap_rank ?? null, category, ...(peg ? { peg } : {}) });
+  });
+
+  // Include list entries missing from the source are reported, not invented
+  const seen = new Set(coins.flatMap(c => [String(c.symbol || '').toLowerCase(), String(c.id || '').toLowerCase()]));
+  const missingIncludes = [...include].filter(v => !seen.has(v));
+
+  const limited = limit && limit > 0 ? kept.slice(0, limit) : kept;
+  kept.slice(limited.length).forEach(coin => {
+    dropped.push({ id: coin.id, symbol: coin.symbol, rank: coin.rank, category: coin.category, reason: `beyond limit ${limit}` });
+  });
+
+  const reasons = {};
+  dropped.forEach(d => {
+    const key = d.reason.startsWith('ticker collision') ? 'ticker collision' : d.reason.startsWith('pegged to') ? 'pegged' : d.reason;
+    reasons[key] = (reasons[key] || 0) + 1;
+  });
+
+  return {
+    coins: limited,
+    symbols: limited.map(c => c.symbol),
+    dropped,
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      sourceCount: coins.length,
+      keptCount: limited.length,
+      droppedCount: dropped.length,
+      droppedByReason: reasons,
+      excludeCategories: [...excludedCategories],
+      include: [...include],
+      exclude: [...exclude],
+      missingIncludes,
+      limit: limit || null
+    }
+  };
+}
+
+/**
+ * Parse a comma-separated env list (e.g. WF_INCLUDE="bitcoin,SOL")
+ */
+export function parseList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Save universe metadata (kept and dropped coins with reasons)
+ */
+export function saveUniverse(filePath, universe) {
+  writeFileSync(filePath, JSON.stringify({ ...universe.metadata, coins: universe.coins, dropped: universe.dropped }, null, 2), 'utf8');
+}
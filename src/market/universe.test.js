@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUniverse, classifyCoin, detectPeg, parseList } from './universe.js';
+
+const coin = (id, symbol, rank, extra = {}) => ({
+  id, symbol, name: id, market_cap_rank: rank, current_price: 10, high_24h: 11, low_24h: 9, ...extra
+});
+
+test('classifyCoin recognises stablecoins, wrapped, staked and commodity coins', () => {
+  assert.equal(classifyCoin({ id: 'tether', symbol: 'usdt', name: 'Tether' }), 'stablecoin');
+  assert.equal(classifyCoin({ id: 'wrapped-bitcoin', symbol: 'wbtc', name: 'Wrapped Bitcoin' }), 'wrapped');
+  assert.equal(classifyCoin({ id: 'staked-ether', symbol: 'steth', name: 'Lido Staked Ether' }), 'liquid-staking');
+  assert.equal(classifyCoin({ id: 'pax-gold', symbol: 'paxg', name: 'PAX Gold' }), 'commodity');
+  assert.equal(classifyCoin({ id: 'bitcoin', symbol: 'btc', name: 'Bitcoin' }), 'normal');
+});
+
+test('detectPeg flags USD pegs and assets tracking a reference coin', () => {
+  assert.equal(detectPeg(coin('new-usd', 'nusd', 50, { current_price: 1.001, high_24h: 1.002, low_24h: 0.999 })), 'USD');
+  const eth = coin('ethereum', 'eth', 2, { current_price: 3000 });
+  assert.equal(detectPeg(coin('eth-clone', 'xeth', 40, { current_price: 3010 }), [eth]), 'ethereum');
+  assert.equal(detectPeg(coin('solana', 'sol', 5, { current_price: 150 }), [eth]), null);
+});
+
+test('a filtered coin does not win a ticker collision', () => {
+  // The higher-ranked LUM is pegged to USD; the volatile LUM should survive
+  const universe = buildUniverse([
+    coin('lum-dollar', 'lum', 30, { current_price: 1, high_24h: 1.001, low_24h: 0.999 }),
+    coin('lum-network', 'lum', 300)
+  ]);
+  assert.deepEqual(universe.coins.map(c => c.id), ['lum-network']);
+  assert.equal(universe.dropped[0].reason, 'pegged to USD');
+  assert.equal(universe.metadata.droppedByReason['ticker collision'], undefined);
+});
+
+test('an excluded id hands the ticker to the next coin', () => {
+  const universe = buildUniverse([coin('gas-dao', 'gas', 100), coin('neo-gas', 'gas', 200)], { exclude: ['gas-dao'] });
+  assert.deepEqual(universe.coins.map(c => c.id), ['neo-gas']);
+  assert.equal(universe.dropped[0].reason, 'exclude list');
+});
+
+test('collisions between eligible coins keep the preferred id, else the best rank', () => {
+  const coins = [coin('gas-dao', 'gas', 100), coin('neo-gas', 'gas', 200)];
+  const byRank = buildUniverse(coins);
+  assert.deepEqual(byRank.coins.map(c => c.id), ['gas-dao']);
+  assert.equal(byRank.dropped[0].reason, 'ticker collision: GAS resolved to gas-dao');
+  assert.equal(byRank.metadata.droppedByReason['ticker collision'], 1);
+
+  const preferred = buildUniverse(coins, { preferIds: { gas: 'neo-gas' } });
+  assert.deepEqual(preferred.coins.map(c => c.id), ['neo-gas']);
+});
+
+test('include lists keep excluded categories and missing entries are reported', () => {
+  const universe = buildUniverse([coin('tether', 'usdt', 3), coin('bitcoin', 'btc', 1)], { include: ['usdt', 'doge'], limit: 1 });
+  assert.deepEqual(universe.symbols, ['USDT']);
+  assert.deepEqual(universe.metadata.missingIncludes, ['doge']);
+  assert.equal(universe.dropped.find(d => d.id === 'bitcoin').reason, 'beyond limit 1');
+});
+
+test('parseList splits and trims', () => {
+  assert.deepEqual(parseList(' bitcoin, SOL ,,'), ['bitcoin', 'SOL']);
+  assert.deepEqual(parseList(undefined), []);
+});
@@ -2,27 +2,55 @@
  * Enhanced Batch Screenshot Processor
  * 
  * Processes multiple TradingView chart screenshots in batches with
- * configurable settings, quality validation, and progress persistence
+ * configurable settings, quality validation, and progress persistence.
+ * Each batch is drained by a pool of `maxConcurrentBrowsers` workers, each
+ * with its own browser, sharing one (by default adaptive) rate limiter whose
+ * decisions are logged to the progress file.
  */
 
-import { TradingViewCapture } from './tradingview-capture.js';
+import { createCaptureBackend, THROTTLE_SIGNALS, THROTTLED_ERROR_CODE } from './capture-backend.js';
+import { parseTimeframes, chartFileName, DEFAULT_TIMEFRAMES } from './timeframes.js';
+import { RateLimiter, AdaptiveRateLimiter } from './rate-limiter.js';
+import { QualityValidator } from './quality-validator.js';
 import { generateTradingViewUrls } from './url-generator.js';
-import { writeFileSync, readFileSync, existsSync, mkdirSync, statSync } from 'fs';
-import { join } from 'path';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, statSync, renameSync } from 'fs';
+import { join, basename } from 'path';
+
+// Defaults that differ for the local renderer: charts are 1440x850 flat
+// vector renders with no remote site to pace requests against
+const LOCAL_BACKEND_DEFAULTS = {
+  delayBetweenScreenshots: 0,
+  delayBetweenBatches: 0,
+  minFileSizeKB: 5,
+  requiredWidth: 1440,
+  requiredHeight: 850
+};
 
 /**
  * Enhanced Batch Screenshot Processor Class
  */
 export class BatchProcessor {
   constructor(config = {}) {
+    const backendDefaults = config.captureBackend === 'local' ? LOCAL_BACKEND_DEFAULTS : {};
     this.config = {
       // Batch Processing Configuration
       batchSize: 10, // Default: 10 screenshots per batch
-      delayBetweenScreenshots: 8000, // 8 seconds between screenshots
+      delayBetweenScreenshots: 8000, // 8 seconds between screenshots, across all workers
       delayBetweenBatches: 30000, // 30 seconds between batches
-      maxConcurrentBrowsers: 2, // Maximum 2 concurrent browsers
+      maxConcurrentBrowsers: 2, // Capture workers, each with its own browser
       retryFailedScreenshots: 3, // Up to 3 attempts for failed screenshots
       
+      // Per-worker browser restarts (browser backends only)
+      restartBrowserEvery: 3, // Restart after this many symbols (0 disables)
+      restartAfterFailures: 2, // Restart after this many symbols in a row failed (0 disables)
+      restartDelay: 5000, // Pause before relaunching (scaled by rate-limiter backoff)
+      
+      // Adaptive rate limiting (browser backends): delayBetweenScreenshots is the
+      // starting gap; it backs off on throttling signals and recovers when healthy.
+      // Batch delays and restart pauses scale with it.
+      adaptiveRateLimit: true,
+      rateLimit: {}, // AdaptiveRateLimiter options (floorInterval, maxInterval, backoffFactor, ...)
+      
       // Quality Validation
       minFileSizeKB: 100, // Minimum file size: 100KB
       maxFileSizeKB: 5000, // Maximum file size: 5MB
@@ -37,21 +65,52 @@ export class BatchProcessor {
       outputDir: '/Users/jacobuslemmer/Desktop/CLI App testing/screenshots',
       createTimestampedFolders: true,
       
+      // Verified USDT markets (src/market/pair-discovery.js); when set, symbols
+      // without an entry are skipped instead of failing in the browser
+      pairMap: null,
+      
+      // Capture backend (src/screenshot/capture-backend.js): 'puppeteer' or
+      // 'playwright' browser screenshots, or 'local' (candlestick PNGs rendered
+      // from stored OHLC, already anonymized); 'tradingview' = 'puppeteer'
+      captureBackend: 'puppeteer',
+      rendererOptions: {}, // Extra backend config (browser timings, or ohlcDir/endDate for 'local')
+      
+      // Interval/range combinations captured per symbol, e.g.
+      // [{ interval: '1D', timeframe: '12M' }, { interval: '4H', timeframe: '3M' }] or "1D@1Y,4H@3M,1W@5Y"
+      timeframes: DEFAULT_TIMEFRAMES,
+      
+      ...backendDefaults,
       ...config
     };
     
-    this.capture = null;
+    this.timeframes = parseTimeframes(this.config.timeframes);
+    this.qualityValidator = new QualityValidator({
+      minFileSizeKB: this.config.minFileSizeKB,
+      maxFileSizeKB: this.config.maxFileSizeKB,
+      requiredWidth: this.config.requiredWidth,
+      requiredHeight: this.config.requiredHeight
+    });
+    this.workers = [];
+    this.rateLimiter = null;
+    this.progressWrite = Promise.resolve();
     this.results = [];
     this.failedScreenshots = [];
     this.progress = {
       totalSymbols: 0,
+      totalCaptures: 0,
       processedSymbols: 0,
       currentBatch: 0,
       totalBatches: 0,
       startTime: null,
       lastUpdate: null,
       completedBatches: [],
-      failedSymbols: []
+      completedCaptures: [],
+      failedSymbols: [],
+      rateLimiter: {
+        adaptive: false,
+        interval: 0,
+        decisions: []
+      }
     };
   }
 
@@ -67,10 +126,13 @@ export class BatchProcessor {
     console.log(`⏱️  Delay between screenshots: ${this.config.delayBetweenScreenshots / 1000}s`);
     console.log(`🔄 Delay between batches: ${this.config.delayBetweenBatches / 1000}s`);
     console.log(`🌐 Max concurrent browsers: ${this.config.maxConcurrentBrowsers}`);
+    console.log(`🖼️  Capture backend: ${this.config.captureBackend}`);
+    console.log(`🕒 Timeframes: ${this.timeframes.map(tf => tf.key).join(', ')}`);
     console.log(`📁 Output directory: ${this.config.outputDir}`);
 
     // Initialize progress tracking
     this.progress.totalSymbols = symbols.length;
+    this.progress.totalCaptures = symbols.length * this.timeframes.length;
     this.progress.startTime = new Date().toISOString();
     this.progress.totalBatches = Math.ceil(symbols.length / this.config.batchSize);
 
@@ -80,6 +142,25 @@ export class BatchProcessor {
       if (resumed) {
         console.log('📋 Resumed from previous session');
         symbols = this.getRemainingSymbols(symbols);
+        // Remaining symbols are re-batched, so old batch indexes no longer apply
+        this.progress.completedBatches = [];
+      }
+    }
+
+    // Skip symbols with no verified USDT market before launching a browser
+    if (this.config.pairMap && this.config.captureBackend !== 'local') {
+      const unlisted = symbols.filter(symbol => !this.config.pairMap[symbol.toUpperCase()]);
+      if (unlisted.length > 0) {
+        console.log(`⏭️  Skipping ${unlisted.length} symbols with no verified USDT market: ${unlisted.join(', ')}`);
+        unlisted.forEach(symbol => {
+          this.failedScreenshots.push({
+            symbol,
+            error: 'No verified USDT market',
+            skipped: true,
+            timestamp: new Date().toISOString()
+          });
+        });
+        symbols = symbols.filter(symbol => this.config.pairMap[symbol.toUpperCase()]);
       }
     }
 
@@ -87,16 +168,12 @@ export class BatchProcessor {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     const sessionDir = this.createSessionDirectory(timestamp);
 
-    // Initialize capture
-    this.capture = new TradingViewCapture({
-      outputDir: sessionDir
-    });
-
-    const initSuccess = await this.capture.initialize();
-    if (!initSuccess) {
+    // Start the capture workers
+    const workersReady = await this.startWorkers(sessionDir);
+    if (!workersReady) {
       return {
         success: false,
-        error: 'Failed to initialize browser',
+        error: `Failed to initialize ${this.config.captureBackend} capture backend`,
         results: [],
         failed: symbols
       };
@@ -123,7 +200,6 @@ export class BatchProcessor {
       totalProcessed += batchResults.successful;
       totalFailed += batchResults.failed;
       this.progress.currentBatch = batchIndex + 1;
-      this.progress.processedSymbols += batchResults.successful;
       this.progress.completedBatches.push(batchIndex);
       this.progress.lastUpdate = new Date().toISOString();
 
@@ -131,25 +207,30 @@ export class BatchProcessor {
       await this.saveProgress(sessionDir);
 
       // Add delay between batches (except for last batch)
-      if (batchIndex < batches.length - 1) {
-        console.log(`⏳ Waiting ${this.config.delayBetweenBatches / 1000}s before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenBatches));
+      const batchDelay = Math.round(this.config.delayBetweenBatches * this.rateLimiter.pressure());
+      if (batchIndex < batches.length - 1 && batchDelay > 0) {
+        console.log(`⏳ Waiting ${batchDelay / 1000}s before next batch...`);
+        await new Promise(resolve => setTimeout(resolve, batchDelay));
       }
     }
 
-    // Close browser
-    await this.capture.close();
+    // Close browsers
+    await this.stopWorkers();
 
     // Save final processing results
     const summary = await this.saveProcessingSummary(sessionDir, {
       totalSymbols: this.progress.totalSymbols,
       totalProcessed,
       totalFailed,
-      successRate: ((totalProcessed / this.progress.totalSymbols) * 100).toFixed(2)
+      totalCaptures: this.progress.totalCaptures,
+      timeframes: this.timeframes.map(tf => tf.key),
+      workers: this.workers.map(worker => this.workerStatus(worker)),
+      rateLimiter: this.progress.rateLimiter,
+      successRate: ((totalProcessed / this.progress.totalCaptures) * 100).toFixed(2)
     });
 
     console.log('\n🎉 Enhanced batch processing complete!');
-    console.log(`✅ Successfully processed: ${totalProcessed}/${this.progress.totalSymbols} (${summary.successRate}%)`);
+    console.log(`✅ Successfully processed: ${totalProcessed}/${this.progress.totalCaptures} captures (${summary.successRate}%)`);
     console.log(`❌ Failed: ${totalFailed}`);
     console.log(`📁 Results saved to: ${sessionDir}`);
 
@@ -175,75 +256,208 @@ export class BatchProcessor {
       symbols: []
     };
 
-    for (let i = 0; i < batch.length; i++) {
-      const symbol = batch[i];
-      const outputPath = join(sessionDir, 'originals', `${symbol}USDT_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.png`);
+    // Workers pull symbols from a shared queue until it is empty
+    const queue = batch.map((symbol, index) => ({ symbol, index }));
+    await Promise.all(this.workers
+      .filter(worker => worker.alive)
+      .map(worker => this.runWorker(worker, queue, batch.length, sessionDir, batchNumber, batchResults)));
 
-      console.log(`  📸 [${i + 1}/${batch.length}] Capturing ${symbol}USDT...`);
+    // Symbols left over had no live worker to take them
+    queue.splice(0).forEach(({ symbol }) => {
+      this.timeframes.forEach(tf => this.recordFailure(batchResults, symbol, tf, 'No capture worker available', batchNumber));
+    });
 
-      // Restart browser every few screenshots to avoid rate limiting
-      if (i > 0 && i % 3 === 0) {
-        console.log(`    🔄 Restarting browser to avoid rate limiting...`);
-        await this.capture.close();
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        
-        const initSuccess = await this.capture.initialize();
-        if (!initSuccess) {
-          console.log(`    ❌ Failed to restart browser for ${symbol}USDT`);
-          batchResults.failed++;
-          this.failedScreenshots.push({
-            symbol,
-            error: 'Failed to restart browser',
-            attempt: batchNumber,
-            timestamp: new Date().toISOString()
-          });
-          continue;
+    return batchResults;
+  }
+
+  /**
+   * Capture every timeframe of queued symbols on one worker
+   * @param {Object} worker - Worker from startWorkers()
+   * @param {Array} queue - Shared { symbol, index } queue
+   * @param {number} batchSize - Symbols in the batch (for log lines)
+   * @param {string} sessionDir - Session directory path
+   * @param {number} batchNumber - Batch number
+   * @param {Object} batchResults - Shared batch counters
+   */
+  async runWorker(worker, queue, batchSize, sessionDir, batchNumber, batchResults) {
+    while (worker.alive && queue.length > 0) {
+      const { symbol, index } = queue.shift();
+
+      if (this.needsRestart(worker)) {
+        const restarted = await this.restartWorker(worker);
+        if (!restarted) {
+          console.log(`    ❌ [W${worker.id}] Failed to restart browser for ${symbol}USDT; retiring worker`);
+          this.timeframes.forEach(tf => this.recordFailure(batchResults, symbol, tf, 'Failed to restart browser', batchNumber));
+          worker.alive = false;
+          await this.saveProgress(sessionDir);
+          break;
         }
       }
 
-      // Capture screenshot with retry logic
-      const result = await this.captureWithRetry(symbol, outputPath, batchNumber);
-      
-      if (result.success) {
-        // Validate screenshot quality
-        const validation = await this.validateScreenshot(outputPath);
-        if (validation.valid) {
-          batchResults.successful++;
-          this.results.push({
-            ...result,
-            validation,
-            batchNumber
-          });
-          console.log(`    ✅ ${symbol}USDT captured and validated successfully`);
+      let captured = 0;
+      for (const tf of this.timeframes) {
+        // Timeframes captured before a resume are already on disk
+        if (this.progress.completedCaptures.includes(`${symbol}|${tf.key}`)) {
+          continue;
+        }
+        if (!worker.alive) {
+          this.recordFailure(batchResults, symbol, tf, 'Failed to restart browser', batchNumber);
+          continue;
+        }
+        const outputPath = join(sessionDir, 'originals', chartFileName(symbol, tf, new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)));
+
+        console.log(`  📸 [W${worker.id}] [${index + 1}/${batchSize}] Capturing ${symbol}USDT ${tf.key}...`);
+
+        // Capture screenshot with retry logic
+        const result = await this.captureWithRetry(symbol, outputPath, batchNumber, tf, worker);
+        
+        if (result.success) {
+          // Validate screenshot quality
+          const validation = await this.validateScreenshot(outputPath);
+          if (validation.valid) {
+            captured++;
+            batchResults.successful++;
+            const record = {
+              ...result,
+              timeframeKey: tf.key,
+              validation,
+              batchNumber,
+              worker: worker.id
+            };
+            this.results.push(record);
+            this.progress.processedSymbols++;
+            this.progress.completedCaptures.push(`${symbol}|${tf.key}`);
+            this.saveCaptureMetadata(sessionDir, record);
+            console.log(`    ✅ [W${worker.id}] ${symbol}USDT ${tf.key} captured and validated successfully`);
+          } else {
+            this.recordFailure(batchResults, symbol, tf, `Quality validation failed: ${validation.errors.join(', ')}`, batchNumber);
+            console.log(`    ❌ [W${worker.id}] ${symbol}USDT ${tf.key} failed validation: ${validation.errors.join(', ')}`);
+          }
         } else {
-          batchResults.failed++;
-          this.failedScreenshots.push({
-            symbol,
-            error: `Quality validation failed: ${validation.errors.join(', ')}`,
-            attempt: batchNumber,
-            timestamp: new Date().toISOString()
-          });
-          console.log(`    ❌ ${symbol}USDT failed validation: ${validation.errors.join(', ')}`);
+          this.recordFailure(batchResults, symbol, tf, result.error, batchNumber, result.errorCode);
+          console.log(`    ❌ [W${worker.id}] ${symbol}USDT ${tf.key} failed: ${result.error}`);
         }
-      } else {
-        batchResults.failed++;
-        this.failedScreenshots.push({
-          symbol,
-          error: result.error,
-          attempt: batchNumber,
-          timestamp: new Date().toISOString()
-        });
-        console.log(`    ❌ ${symbol}USDT failed: ${result.error}`);
       }
 
-      // Add delay between screenshots (except for last in batch)
-      if (i < batch.length - 1) {
-        console.log(`    ⏳ Waiting ${this.config.delayBetweenScreenshots / 1000}s before next screenshot...`);
-        await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenScreenshots));
+      worker.symbolsSinceRestart++;
+      worker.consecutiveFailures = captured === 0 ? worker.consecutiveFailures + 1 : 0;
+      await this.saveProgress(sessionDir);
+    }
+  }
+
+  /**
+   * Record a failed capture
+   * @param {Object} batchResults - Batch counters
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {Object} timeframe - { interval, timeframe, key }
+   * @param {string} error - Failure reason
+   * @param {number} batchNumber - Batch number
+   * @param {string|null} errorCode - Backend error code, if any
+   */
+  recordFailure(batchResults, symbol, timeframe, error, batchNumber, errorCode = null) {
+    batchResults.failed++;
+    this.failedScreenshots.push({
+      symbol,
+      timeframeKey: timeframe.key,
+      error,
+      errorCode,
+      attempt: batchNumber,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Start `maxConcurrentBrowsers` capture workers, each with its own backend
+   * @param {string} sessionDir - Session directory path
+   * @returns {Promise<boolean>} True if at least one worker is ready
+   */
+  async startWorkers(sessionDir) {
+    const count = Math.max(1, this.config.maxConcurrentBrowsers);
+    const adaptive = this.config.adaptiveRateLimit && this.config.captureBackend !== 'local';
+    this.rateLimiter = adaptive
+      ? new AdaptiveRateLimiter({ ...this.config.rateLimit, minInterval: this.config.delayBetweenScreenshots })
+      : new RateLimiter({ minInterval: this.config.delayBetweenScreenshots });
+    this.progress.rateLimiter = { ...this.progress.rateLimiter, adaptive, interval: this.rateLimiter.interval };
+
+    const workers = await Promise.all(Array.from({ length: count }, async (_, index) => {
+      const capture = await this.createCapture(sessionDir);
+      const ready = await capture.initialize();
+      if (!ready) {
+        await capture.close();
       }
+      return {
+        id: index + 1,
+        capture,
+        alive: ready,
+        throttled: false,
+        symbolsSinceRestart: 0,
+        consecutiveFailures: 0,
+        restarts: 0
+      };
+    }));
+
+    this.workers = workers.filter(worker => worker.alive);
+    console.log(`🌐 Started ${this.workers.length}/${count} capture workers`);
+    return this.workers.length > 0;
+  }
+
+  /**
+   * Whether a worker's browser is due for a restart
+   * @param {Object} worker - Worker from startWorkers()
+   * @returns {boolean} True to restart before the next symbol
+   */
+  needsRestart(worker) {
+    if (this.config.captureBackend === 'local') {
+      return false;
+    }
+    const { restartBrowserEvery, restartAfterFailures } = this.config;
+    return worker.throttled ||
+      (restartBrowserEvery > 0 && worker.symbolsSinceRestart >= restartBrowserEvery) ||
+      (restartAfterFailures > 0 && worker.consecutiveFailures >= restartAfterFailures);
+  }
+
+  /**
+   * Relaunch one worker's browser (a fresh session also clears login walls)
+   * @param {Object} worker - Worker from startWorkers()
+   * @returns {Promise<boolean>} True if the browser came back
+   */
+  async restartWorker(worker) {
+    let reason = 'to avoid rate limiting';
+    if (worker.throttled) {
+      reason = 'after throttling';
+    } else if (this.config.restartAfterFailures > 0 && worker.consecutiveFailures >= this.config.restartAfterFailures) {
+      reason = `${worker.consecutiveFailures} failed symbols in a row`;
     }
+    console.log(`    🔄 [W${worker.id}] Restarting browser ${reason}...`);
+    await worker.capture.close();
+    await new Promise(resolve => setTimeout(resolve, Math.round(this.config.restartDelay * this.rateLimiter.pressure())));
+
+    worker.symbolsSinceRestart = 0;
+    worker.consecutiveFailures = 0;
+    worker.throttled = false;
+    worker.restarts++;
+    return worker.capture.initialize();
+  }
 
-    return batchResults;
+  /**
+   * Close every worker's browser
+   */
+  async stopWorkers() {
+    await Promise.all(this.workers.map(worker => worker.capture.close()));
+  }
+
+  /**
+   * Worker state for progress and summary files
+   * @param {Object} worker - Worker from startWorkers()
+   * @returns {Object} { id, alive, restarts, captures }
+   */
+  workerStatus(worker) {
+    return {
+      id: worker.id,
+      alive: worker.alive,
+      restarts: worker.restarts,
+      captures: this.results.filter(r => r.worker === worker.id).length
+    };
   }
 
   /**
@@ -251,18 +465,40 @@ export class BatchProcessor {
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} outputPath - Output file path
    * @param {number} batchNumber - Batch number
+   * @param {Object} timeframe - { interval, timeframe, key }
+   * @param {Object} worker - Worker whose browser captures the chart
    * @returns {Object} Capture result
    */
-  async captureWithRetry(symbol, outputPath, batchNumber) {
+  async captureWithRetry(symbol, outputPath, batchNumber, timeframe = this.timeframes[0], worker = this.workers[0]) {
     let lastError = null;
+    let lastErrorCode = null;
     
     for (let attempt = 1; attempt <= this.config.retryFailedScreenshots; attempt++) {
       try {
-        const result = await this.capture.captureChartWithRetry(symbol, outputPath);
+        // Every attempt is a request to the chart site; space them across all workers
+        const waited = await this.rateLimiter.acquire();
+        if (waited >= 1000) {
+          console.log(`    ⏳ [W${worker.id}] Waited ${(waited / 1000).toFixed(1)}s for a request slot`);
+        }
+        const result = await worker.capture.captureChartWithRetry(symbol, outputPath, timeframe);
+        const signals = await this.throttleSignals(result, outputPath);
+        this.recordRateDecision(this.rateLimiter.report({ symbol, signals, success: result.success && signals.length === 0 }));
         if (result.success) {
           return result;
         }
         lastError = result.error;
+        lastErrorCode = result.errorCode || null;
+        
+        // Throttled pages persist within a browser session: start a fresh one before retrying.
+        // A browser that does not come back retires the worker; the others drain the queue
+        if (result.errorCode === THROTTLED_ERROR_CODE) {
+          worker.throttled = true;
+          if (attempt < this.config.retryFailedScreenshots && !(await this.restartWorker(worker))) {
+            console.log(`    ❌ [W${worker.id}] Failed to restart browser after throttling; retiring worker`);
+            worker.alive = false;
+            break;
+          }
+        }
         
         if (attempt < this.config.retryFailedScreenshots) {
           console.log(`    🔄 Retry ${attempt}/${this.config.retryFailedScreenshots} for ${symbol}USDT...`);
@@ -280,11 +516,43 @@ export class BatchProcessor {
     return {
       success: false,
       error: lastError || 'Unknown error',
+      errorCode: lastErrorCode,
       symbol,
+      timeframeKey: timeframe.key,
       batchNumber
     };
   }
 
+  /**
+   * Throttling signals for one capture attempt: those the backend saw on the
+   * page, plus SMALL_SCREENSHOT when the file fails the validator's size check
+   * @param {Object} result - Backend capture result
+   * @param {string} outputPath - Screenshot path
+   * @returns {Promise<Array<string>>} THROTTLE_SIGNALS names
+   */
+  async throttleSignals(result, outputPath) {
+    const signals = [...(result.throttleSignals || [])];
+    if (result.success && this.config.captureBackend !== 'local') {
+      const size = await this.qualityValidator.validateFileSize(outputPath);
+      if (size.errors.some(error => /too small/i.test(error))) {
+        signals.push(THROTTLE_SIGNALS.SMALL_SCREENSHOT);
+      }
+    }
+    return signals;
+  }
+
+  /**
+   * Log a rate-limiter decision to the progress file
+   * @param {Object|null} decision - From rateLimiter.report()
+   */
+  recordRateDecision(decision) {
+    if (!decision) {
+      return;
+    }
+    this.progress.rateLimiter.interval = decision.to;
+    this.progress.rateLimiter.decisions.push(decision);
+  }
+
   /**
    * Validate screenshot quality
    * @param {string} filePath - Path to screenshot file
@@ -329,7 +597,7 @@ export class BatchProcessor {
       }
 
       // Check for TradingView loading errors (basic file size check)
-      if (validation.fileSizeKB < 50) {
+      if (this.config.captureBackend !== 'local' && validation.fileSizeKB < 50) {
         validation.valid = false;
         validation.errors.push('File too small, likely TradingView loading error');
       }
@@ -342,6 +610,30 @@ export class BatchProcessor {
     return validation;
   }
 
+  /**
+   * Create the configured capture backend
+   * @param {string} sessionDir - Session directory path
+   * @returns {Promise<Object>} Backend exposing initialize/captureChartWithRetry/close
+   */
+  async createCapture(sessionDir) {
+    if (this.config.captureBackend === 'local') {
+      return createCaptureBackend('local', {
+        ...this.config.rendererOptions,
+        width: this.config.requiredWidth,
+        height: this.config.requiredHeight
+      });
+    }
+    return createCaptureBackend(this.config.captureBackend, {
+      ...this.config.rendererOptions,
+      outputDir: sessionDir,
+      exchangeMap: this.config.pairMap
+        ? Object.fromEntries(Object.entries(this.config.pairMap)
+            .filter(([, entry]) => entry.exchange)
+            .map(([symbol, entry]) => [symbol, entry.exchange]))
+        : {}
+    });
+  }
+
   /**
    * Create session directory with proper structure
    * @param {string} timestamp - Session timestamp
@@ -366,6 +658,30 @@ export class BatchProcessor {
     return sessionDir;
   }
 
+  /**
+   * Write per-capture metadata (symbol, timeframe, verification) next to the originals
+   * @param {string} sessionDir - Session directory
+   * @param {Object} record - Validated capture result
+   */
+  saveCaptureMetadata(sessionDir, record) {
+    const name = basename(record.outputPath).replace(/\.png$/i, '.json');
+    writeFileSync(join(sessionDir, 'metadata', name), JSON.stringify({
+      symbol: record.symbol,
+      file: basename(record.outputPath),
+      interval: record.interval,
+      range: record.range,
+      timeframeKey: record.timeframeKey,
+      backend: record.backend || record.source || this.config.captureBackend,
+      url: record.url || null,
+      timeframeCheck: record.timeframeCheck || null,
+      captureArea: record.captureArea || 'viewport',
+      plotArea: record.plotArea || null, // Main chart pane in this image's pixels; anonymization crops to it
+      capturedAt: new Date().toISOString(),
+      fileSizeKB: record.fileSizeKB,
+      batchNumber: record.batchNumber
+    }, null, 2));
+  }
+
   /**
    * Create batches from symbols array
    * @param {Array} symbols - Array of symbols
@@ -385,8 +701,21 @@ export class BatchProcessor {
    * @param {string} sessionDir - Session directory
    */
   async saveProgress(sessionDir) {
-    const progressPath = join(sessionDir, this.config.progressFile);
-    writeFileSync(progressPath, JSON.stringify(this.progress, null, 2));
+    // Workers save concurrently: chain the writes and swap each file in whole,
+    // so a reader (or a resume after a crash) never sees a half-written file
+    this.progressWrite = this.progressWrite.then(() => {
+      const progressPath = join(sessionDir, this.config.progressFile);
+      const snapshot = {
+        ...this.progress,
+        lastUpdate: new Date().toISOString(),
+        workers: this.workers.map(worker => this.workerStatus(worker))
+      };
+      writeFileSync(`${progressPath}.tmp`, JSON.stringify(snapshot, null, 2));
+      renameSync(`${progressPath}.tmp`, progressPath);
+    }).catch(error => {
+      console.log(`⚠️  Could not save progress: ${error.message}`);
+    });
+    return this.progressWrite;
   }
 
   /**
@@ -433,8 +762,10 @@ export class BatchProcessor {
    * @returns {Array} Remaining symbols
    */
   getRemainingSymbols(symbols) {
-    const processedSymbols = this.results.map(r => r.symbol);
-    return symbols.filter(symbol => !processedSymbols.includes(symbol));
+    // A symbol is done once every configured timeframe has been captured.
+    // Read the persisted progress: this.results only holds this session's captures
+    const captured = new Set(this.progress.completedCaptures || []);
+    return symbols.filter(symbol => this.timeframes.some(tf => !captured.has(`${symbol}|${tf.key}`)));
   }
 
   /**
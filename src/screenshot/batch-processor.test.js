@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { BatchProcessor } from './batch-processor.js';
+import { THROTTLED_ERROR_CODE } from './capture-backend.js';
+
+const processor = () => new BatchProcessor({ timeframes: '1D@12M,4H@3M', resumeOnStart: false });
+
+test('remaining symbols come from the persisted completed captures', () => {
+  const batch = processor();
+  const [daily, fourHour] = batch.timeframes.map(tf => tf.key);
+  // A resumed session: nothing captured yet in this process
+  batch.progress.completedCaptures = [`BTC|${daily}`, `BTC|${fourHour}`, `ETH|${daily}`];
+  assert.equal(batch.results.length, 0);
+  assert.deepEqual(batch.getRemainingSymbols(['BTC', 'ETH', 'SOL']), ['ETH', 'SOL']);
+});
+
+test('without saved progress every symbol remains', () => {
+  const batch = processor();
+  batch.progress.completedCaptures = undefined;
+  assert.deepEqual(batch.getRemainingSymbols(['BTC', 'ETH']), ['BTC', 'ETH']);
+});
+
+// Stand-in backend: throttled pages and a browser that may not come back
+const fakeWorker = (id, { throttled = false, restarts = true } = {}) => ({
+  id,
+  alive: true,
+  throttled: false,
+  symbolsSinceRestart: 0,
+  consecutiveFailures: 0,
+  restarts: 0,
+  capture: {
+    async captureChartWithRetry(symbol, outputPath) {
+      return throttled
+        ? { success: false, error: 'Rate limited', errorCode: THROTTLED_ERROR_CODE }
+        : { success: true, symbol, outputPath, fileSizeKB: 500 };
+    },
+    async initialize() { return restarts; },
+    async close() {}
+  }
+});
+
+test('a worker whose browser does not come back after throttling is retired', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'batch-processor-'));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    mkdirSync(join(dir, 'metadata'));
+    const batch = new BatchProcessor({ timeframes: '1D@12M,4H@3M', restartDelay: 0, resumeOnStart: false });
+    batch.rateLimiter = { acquire: async () => 0, report: () => null, pressure: () => 1 };
+    batch.validateScreenshot = async () => ({ valid: true, errors: [] });
+    const dead = fakeWorker(1, { throttled: true, restarts: false });
+    const healthy = fakeWorker(2);
+    batch.workers = [dead, healthy];
+
+    const queue = ['AAA', 'BBB', 'CCC'].map((symbol, index) => ({ symbol, index }));
+    const batchResults = { successful: 0, failed: 0, symbols: [] };
+    await Promise.all(batch.workers.map(worker => batch.runWorker(worker, queue, 3, dir, 1, batchResults)));
+
+    assert.equal(dead.alive, false);
+    assert.deepEqual(batch.failedScreenshots.map(f => [f.symbol, f.error]), [['AAA', 'Rate limited'], ['AAA', 'Failed to restart browser']]);
+    assert.deepEqual([...new Set(batch.results.map(r => r.symbol))], ['BBB', 'CCC']);
+    assert.equal(batchResults.successful, 4);
+  } finally {
+    console.log = log;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
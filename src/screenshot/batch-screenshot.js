@@ -4,7 +4,7 @@
  * Processes multiple TradingView chart screenshots in batches
  */
 
-import { TradingViewCapture } from './tradingview-capture.js';
+import { createCaptureBackend } from './capture-backend.js';
 import { generateTradingViewUrls } from './url-generator.js';
 import { writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
@@ -19,6 +19,7 @@ export class BatchScreenshotProcessor {
       delayBetweenScreenshots: 15000, // 15 seconds between screenshots
       delayBetweenBatches: 60000, // 60 seconds between batches
       maxConcurrentBrowsers: 1, // Only one browser at a time
+      captureBackend: 'puppeteer', // puppeteer | playwright (src/screenshot/capture-backend.js)
       outputDir: '/Users/jacobuslemmer/Desktop/CLI App testing/screenshots',
       ...config
     };
@@ -41,7 +42,7 @@ export class BatchScreenshotProcessor {
     console.log(`📁 Output directory: ${this.config.outputDir}`);
 
     // Initialize capture
-    this.capture = new TradingViewCapture({
+    this.capture = await createCaptureBackend(this.config.captureBackend, {
       outputDir: this.config.outputDir
     });
 
@@ -166,6 +167,7 @@ export class BatchScreenshotProcessor {
         this.failedScreenshots.push({
           symbol,
           error: result.error,
+          errorCode: result.errorCode || null,
           attempt: batchNumber
         });
         console.log(`    ❌ ${symbol}USDT failed: ${result.error}`);
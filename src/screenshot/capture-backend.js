@@ -0,0 +1,892 @@
+/**
+ * Capture Backend Interface
+ *
+ * One capture flow for every browser stack: navigate, wait for the chart,
+ * dismiss overlays, strictly select and verify the timeframe, screenshot.
+ * Subclasses only supply the browser primitives (launch, newPage, goto,
+ * reload, closePage, close), so overlay and timeframe fixes land once for
+ * the Puppeteer backend (tradingview-capture.js), the Playwright backend
+ * (playwright-capture.js) and every processor or workflow script using them.
+ */
+
+import { existsSync, mkdirSync, statSync } from 'fs';
+import { dirname } from 'path';
+import { generateTradingViewUrl } from './url-generator.js';
+import { TIMEFRAME_LABELS, TIMEFRAME_SPAN_MONTHS, timeframeKey, toTradingViewInterval } from './timeframes.js';
+import { PLOT_AREA_SELECTORS, PLOT_LEGEND_SELECTORS, PLOT_OVERLAY_SELECTORS, locatePlotArea, hidePlotOverlays, detectPlotArea, cropToPlotArea } from './plot-area.js';
+
+export { TIMEFRAME_LABELS, TIMEFRAME_SPAN_MONTHS };
+
+/**
+ * Shared capture configuration (backends override browser-specific timings)
+ */
+export const CAPTURE_CONFIG = {
+  viewport: {
+    width: 1920,
+    height: 1080
+  },
+  headless: true,
+  timeout: 20000, // Navigation timeout
+  retries: 1,
+  // Chart-ready detection (replaces fixed post-navigation sleeps): poll until the
+  // chart canvases stop changing, the price axis is drawn and no spinner shows
+  chartReadyTimeout: 15000, // Give up waiting after this long
+  chartReadyPollInterval: 250,
+  chartReadyStableFrames: 3, // Consecutive unchanged frame hashes that count as settled
+  chartReadyIgnoreRight: 0.08, // Right edge left out of the hash: the live candle keeps ticking there
+  requireChartReady: false, // Fail the capture (CHART_NOT_READY) instead of proceeding on timeout
+  interval: '1D', // Defaults when captureChart() is not given a timeframe (src/screenshot/timeframes.js)
+  timeframe: '12M',
+  strictTimeframe: true, // Fail the capture when the timeframe cannot be selected and verified
+  timeframeCycles: 2, // Reload-and-retry cycles for timeframe selection
+  timeframeVerifyAttempts: 2, // Select + verify rounds before a capture is failed
+  readAxisLabels: null, // Optional async (page) => [labels] when the time axis is canvas-only (e.g. OCR)
+  detectThrottling: true, // Fail captures showing a login wall, rate-limit notice or blank chart
+  captureArea: 'viewport', // 'viewport' (full screenshot) or 'plot' (main chart pane only); the plot box is recorded either way
+  exchangeMap: {}, // Verified symbol -> TradingView exchange prefix (src/market/pair-discovery.js)
+  outputDir: '/Users/jacobuslemmer/Desktop/CLI App testing/screenshots'
+};
+
+// Consent / promo buttons that cover the chart
+export const OVERLAY_TEXTS = [
+  'I understand', 'I Understand', 'Accept all', 'Accept All', 'I agree', 'I Agree',
+  'No thanks', 'No Thanks', 'Got it', 'Got It', 'Maybe later', 'Maybe Later', 'Allow all'
+];
+
+// Error codes set on failed captureChart results
+export const TIMEFRAME_ERROR_CODES = {
+  NOT_SELECTED: 'TIMEFRAME_NOT_SELECTED', // Range control never found/clicked
+  NOT_ACTIVE: 'TIMEFRAME_NOT_ACTIVE', // A different range control is active
+  URL_MISMATCH: 'TIMEFRAME_URL_MISMATCH', // Chart URL reports another interval
+  AXIS_MISMATCH: 'TIMEFRAME_AXIS_MISMATCH', // Date-axis labels span the wrong range
+  UNVERIFIED: 'TIMEFRAME_UNVERIFIED' // Neither the DOM nor the axis could confirm the range
+};
+
+// Error code for captures whose chart never settled (requireChartReady)
+export const CHART_NOT_READY_ERROR_CODE = 'CHART_NOT_READY';
+
+// Loading indicators that mean the chart is still fetching or drawing
+export const SPINNER_SELECTORS = [
+  '[class*="spinner"]',
+  '[class*="loader"]',
+  '[class*="loading"]',
+  '[role="progressbar"]',
+  '[aria-busy="true"]'
+];
+
+// Price-axis containers (labels are DOM text or a canvas, depending on the chart build)
+export const PRICE_AXIS_SELECTORS = [
+  '[data-name="price-axis"]',
+  '.price-axis',
+  '[class*="priceAxis"]'
+];
+
+// Error code for captures blocked by the site (see THROTTLE_SIGNALS)
+export const THROTTLED_ERROR_CODE = 'THROTTLED';
+
+// Signals that the site is throttling or gating us rather than showing a chart
+export const THROTTLE_SIGNALS = {
+  LOGIN_WALL: 'LOGIN_WALL',
+  TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
+  BLANK_CANVAS: 'BLANK_CANVAS',
+  SMALL_SCREENSHOT: 'SMALL_SCREENSHOT' // Reported by BatchProcessor's file-size check
+};
+
+// Visible texts that mark a throttling page (matched case-insensitively)
+export const THROTTLE_TEXTS = {
+  LOGIN_WALL: ['sign in to continue', 'log in to continue', 'sign in to keep using', 'create a free account to continue'],
+  TOO_MANY_REQUESTS: ['too many requests', 'rate limit exceeded', 'you have been rate limited', 'please try again later']
+};
+
+// Date-axis label containers (TradingView draws most axes on canvas; readAxisLabels covers that case)
+export const TIME_AXIS_SELECTORS = [
+  '[data-name="time-axis"]',
+  '.chart-markup-table .time-axis',
+  '[class*="timeAxis"]'
+];
+
+// Toolbars holding the date-range controls; searched before the rest of the page
+export const TIMEFRAME_TOOLBAR_SELECTORS = [
+  '[data-name="timeframes-toolbar"]',
+  '[data-name="date-ranges-tabs"]',
+  '[data-name="date-range-tabs"]'
+];
+
+/**
+ * In-page: centers of visible elements whose text exactly matches one of `texts`
+ * (passed to page.evaluate, so it must be self-contained)
+ */
+function findOverlayButtons(texts) {
+  const wanted = new Set(texts);
+  return Array.from(document.querySelectorAll('button, [role="button"], a, div, span'))
+    .filter(el => wanted.has((el.textContent || '').trim()) && el.children.length === 0)
+    .map(el => el.getBoundingClientRect())
+    .filter(r => r.width > 0 && r.height > 0)
+    .map(r => ({ x: r.x + r.width / 2, y: r.y + r.height / 2 }));
+}
+
+/**
+ * In-page: locate the date-range control labelled exactly `label`
+ * (one argument object: Playwright's evaluate passes a single argument)
+ *
+ * Strict: only interactive elements (buttons, tabs) whose text, aria-label,
+ * title or data-value equals the label; toolbars are searched first.
+ * Returns { x, y, inToolbar, active } or null.
+ */
+function findTimeframeControl({ label, toolbarSelectors }) {
+  const interactive = 'button, [role="tab"], [role="button"], [data-value]';
+  const matches = (el) => [el.textContent, el.getAttribute('aria-label'), el.getAttribute('title'), el.getAttribute('data-value')]
+    .some(value => value && value.trim() === label);
+  const visible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const describe = (el, inToolbar) => {
+    const rect = el.getBoundingClientRect();
+    const active = el.getAttribute('aria-pressed') === 'true' ||
+      el.getAttribute('aria-selected') === 'true' ||
+      el.getAttribute('aria-checked') === 'true' ||
+      /(^|\s|-)(active|selected|isActive|checked)/i.test(el.className || '');
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2, inToolbar, active };
+  };
+
+  for (const selector of toolbarSelectors) {
+    for (const toolbar of document.querySelectorAll(selector)) {
+      const control = Array.from(toolbar.querySelectorAll(interactive)).find(el => matches(el) && visible(el));
+      if (control) return describe(control, true);
+    }
+  }
+  const control = Array.from(document.querySelectorAll(interactive)).find(el => matches(el) && visible(el));
+  return control ? describe(control, false) : null;
+}
+
+/**
+ * In-page: candidate labels of each active range control, the chart URL and
+ * any date-axis label texts rendered in the DOM
+ *
+ * A control's candidates are the same texts findTimeframeControl matches on
+ * (text, aria-label, title, data-value), so a control found by its title is
+ * also recognised as active by its title.
+ */
+function readTimeframeState({ toolbarSelectors, axisSelectors }) {
+  const isActive = (el) => el.getAttribute('aria-pressed') === 'true' ||
+    el.getAttribute('aria-selected') === 'true' ||
+    el.getAttribute('aria-checked') === 'true' ||
+    /(^|\s|-)(active|selected|isActive|checked)/i.test(el.className || '');
+  const candidates = (el) => [...new Set([el.textContent, el.getAttribute('aria-label'), el.getAttribute('title'), el.getAttribute('data-value')]
+    .map(value => (value || '').trim())
+    .filter(Boolean))];
+  const activeControls = [];
+  toolbarSelectors.forEach(selector => {
+    document.querySelectorAll(selector).forEach(toolbar => {
+      toolbar.querySelectorAll('button, [role="tab"], [role="button"], [data-value]').forEach(el => {
+        const labels = isActive(el) ? candidates(el) : [];
+        if (labels.length > 0) activeControls.push(labels);
+      });
+    });
+  });
+  const axisLabels = [];
+  axisSelectors.forEach(selector => {
+    document.querySelectorAll(selector).forEach(axis => {
+      axis.querySelectorAll('*').forEach(el => {
+        const text = el.children.length === 0 ? (el.textContent || '').trim() : '';
+        if (text) axisLabels.push(text);
+      });
+    });
+  });
+  return { activeControls, axisLabels, url: window.location.href };
+}
+
+/**
+ * In-page: throttling signals on the current page
+ *
+ * Checks visible dialog / overlay texts for login walls and rate-limit
+ * notices, and samples the largest canvases for a single flat colour.
+ * Returns an array of THROTTLE_SIGNALS names.
+ */
+function detectThrottleSignals({ texts, gridSize }) {
+  const signals = [];
+  const visibleText = Array.from(document.querySelectorAll('[role="dialog"], [class*="dialog"], [class*="modal"], [class*="overlay"], h1, h2, p'))
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    })
+    .map(el => (el.textContent || '').toLowerCase())
+    .join(' ');
+  Object.entries(texts).forEach(([signal, phrases]) => {
+    if (phrases.some(phrase => visibleText.includes(phrase))) signals.push(signal);
+  });
+
+  // Charts stack same-size canvases (main pane + transparent overlay): blank only if all are flat
+  const canvases = Array.from(document.querySelectorAll('canvas')).filter(c => c.width > 0 && c.height > 0);
+  const largestArea = Math.max(0, ...canvases.map(c => c.width * c.height));
+  const flat = (canvas) => {
+    try {
+      const context = canvas.getContext('2d');
+      const colours = new Set();
+      for (let gx = 1; gx < gridSize; gx++) {
+        for (let gy = 1; gy < gridSize; gy++) {
+          const [r, g, b, a] = context.getImageData(Math.floor(canvas.width * gx / gridSize), Math.floor(canvas.height * gy / gridSize), 1, 1).data;
+          colours.add(`${r},${g},${b},${a}`);
+        }
+      }
+      return colours.size <= 1;
+    } catch {
+      return false; // WebGL or tainted canvas: cannot sample, assume drawn
+    }
+  };
+  if (largestArea === 0 || canvases.filter(c => c.width * c.height === largestArea).every(flat)) {
+    signals.push('BLANK_CANVAS');
+  }
+  return signals;
+}
+
+/**
+ * In-page: one readiness sample of the chart
+ *
+ * `hash` fingerprints the largest (stacked) canvases drawn down to a
+ * coarse thumbnail (right edge with the live candle excluded), so
+ * consecutive equal hashes mean the chart stopped changing;
+ * `blank` is true when that thumbnail is a single colour. `priceAxis` is
+ * 'labels' (numeric DOM labels), 'drawn' (non-flat axis canvas), 'empty' or
+ * 'missing' (no axis container found). `spinners` counts visible loaders.
+ */
+function readChartReadiness({ spinnerSelectors, priceAxisSelectors, ignoreRight }) {
+  const visible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+  };
+  const thumbnail = (canvases, width, height) => {
+    const target = document.createElement('canvas');
+    target.width = width;
+    target.height = height;
+    const context = target.getContext('2d');
+    canvases.forEach(canvas => {
+      try {
+        context.drawImage(canvas, 0, 0, width, height);
+      } catch {}
+    });
+    return context.getImageData(0, 0, width, height).data;
+  };
+  const flat = (data) => {
+    for (let i = 4; i < data.length; i += 4) {
+      if (data[i] !== data[0] || data[i + 1] !== data[1] || data[i + 2] !== data[2] || data[i + 3] !== data[3]) return false;
+    }
+    return true;
+  };
+
+  const canvases = Array.from(document.querySelectorAll('canvas')).filter(c => c.width > 0 && c.height > 0);
+  const largestArea = Math.max(0, ...canvases.map(c => c.width * c.height));
+  const layers = canvases.filter(c => c.width * c.height === largestArea);
+  let hash = null;
+  let blank = true;
+  if (layers.length > 0) {
+    const data = thumbnail(layers, 64, 36);
+    const hashedColumns = Math.round(64 * (1 - ignoreRight));
+    let h = 0x811c9dc5; // FNV-1a over colour-quantized pixels
+    for (let i = 0; i < data.length; i++) {
+      if (Math.floor(i / 4) % 64 >= hashedColumns) continue;
+      h ^= data[i] >> 4;
+      h = Math.imul(h, 0x01000193);
+    }
+    hash = `${layers.length}:${largestArea}:${(h >>> 0).toString(16)}`;
+    blank = flat(data);
+  }
+
+  let priceAxis = 'missing';
+  const axes = priceAxisSelectors.flatMap(selector => Array.from(document.querySelectorAll(selector))).filter(visible);
+  if (axes.length > 0) {
+    const labels = axes.flatMap(axis => Array.from(axis.querySelectorAll('*')))
+      .filter(el => el.children.length === 0 && /^[\d\s.,\u2212-]+[KMB]?$/.test((el.textContent || '').trim()));
+    const axisCanvases = axes.flatMap(axis => Array.from(axis.querySelectorAll('canvas'))).filter(c => c.width > 0 && c.height > 0);
+    if (labels.length > 0) {
+      priceAxis = 'labels';
+    } else if (axisCanvases.some(canvas => !flat(thumbnail([canvas], 16, 64)))) {
+      priceAxis = 'drawn';
+    } else {
+      priceAxis = 'empty';
+    }
+  }
+
+  const spinners = spinnerSelectors.flatMap(selector => Array.from(document.querySelectorAll(selector))).filter(visible).length;
+  return { hash, blank, priceAxis, spinners };
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Estimate how many months a set of date-axis labels spans
+ *
+ * TradingView labels a daily 1Y chart with month names and a year at each
+ * January; 3M charts add day numbers between months; multi-year charts
+ * show mostly years. Returns null when the labels contain no dates.
+ * @param {Array<string>} labels - Visible axis label texts
+ * @returns {number|null} Estimated span in months
+ */
+export function estimateAxisSpanMonths(labels) {
+  const months = new Set();
+  const years = new Set();
+  let days = 0;
+  labels.forEach(label => {
+    String(label).split(/[\s,'’]+/).filter(Boolean).forEach(token => {
+      const lower = token.toLowerCase();
+      const month = MONTHS.findIndex(m => lower.startsWith(m));
+      if (month !== -1) {
+        months.add(month);
+      } else if (/^(19|20)\d{2}$/.test(token)) {
+        years.add(Number(token));
+        months.add(0); // A year label marks January
+      } else if (/^\d{1,2}$/.test(token) && Number(token) >= 1 && Number(token) <= 31) {
+        days++;
+      }
+    });
+  });
+  if (months.size === 0 && years.size === 0) return null;
+  if (years.size >= 2 && months.size <= years.size) {
+    return (Math.max(...years) - Math.min(...years) + 1) * 12;
+  }
+  // Day numbers between month labels mean a short range
+  if (days > months.size) return Math.max(1, months.size - 1);
+  return months.size;
+}
+
+/**
+ * Base class for capture backends
+ *
+ * Subclasses implement launch(), newPage(), goto(page, url), reload(page),
+ * closePage(page) and close(). Pages must expose evaluate(), mouse.click()
+ * and screenshot() with the shared Puppeteer/Playwright signatures.
+ */
+export class CaptureBackend {
+  constructor(config = {}) {
+    this.config = { ...CAPTURE_CONFIG, ...config };
+    this.browser = null;
+    this.name = 'backend';
+  }
+
+  async launch() {
+    throw new Error(`${this.name} backend does not implement launch()`);
+  }
+
+  async newPage() {
+    throw new Error(`${this.name} backend does not implement newPage()`);
+  }
+
+  async goto(_page, _url) {
+    throw new Error(`${this.name} backend does not implement goto()`);
+  }
+
+  async reload(_page) {
+    throw new Error(`${this.name} backend does not implement reload()`);
+  }
+
+  async closePage(page) {
+    await page.close();
+  }
+
+  /**
+   * Close browser
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      console.log('🔒 Browser closed');
+    }
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Launch the browser
+   * @returns {boolean} True when the backend is ready
+   */
+  async initialize() {
+    console.log(`🚀 Initializing ${this.name} capture backend...`);
+    try {
+      await this.launch();
+      console.log(`✅ Browser initialized with ${this.config.viewport.width}x${this.config.viewport.height} viewport`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize browser:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Click away consent / promo overlays
+   * @param {Object} page - Browser page
+   * @returns {number} Overlays clicked
+   */
+  async dismissOverlays(page) {
+    let dismissed = 0;
+    try {
+      const targets = await page.evaluate(findOverlayButtons, OVERLAY_TEXTS);
+      for (const target of targets) {
+        await page.mouse.click(target.x, target.y).catch(() => {});
+        await this.wait(300);
+        dismissed++;
+      }
+    } catch {}
+    return dismissed;
+  }
+
+  /**
+   * Look for throttling signals before spending time on the timeframe
+   * @param {Object} page - Browser page
+   * @returns {Array<string>} THROTTLE_SIGNALS names (empty when the chart looks normal)
+   */
+  async detectThrottling(page) {
+    try {
+      return await page.evaluate(detectThrottleSignals, { texts: THROTTLE_TEXTS, gridSize: 12 });
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Wait until the chart has settled instead of sleeping a fixed time
+   *
+   * Ready once `chartReadyStableFrames` consecutive samples share a non-blank
+   * canvas hash, the price axis is not empty and no spinner is visible.
+   * @param {Object} page - Browser page
+   * @param {Object} options - { timeout } override (e.g. shorter after a click)
+   * @returns {Object} { ready, elapsedMs, polls, reason }
+   */
+  async waitForChartReady(page, options = {}) {
+    const timeout = options.timeout ?? this.config.chartReadyTimeout;
+    const started = Date.now();
+    let previous = null;
+    let stable = 0;
+    let polls = 0;
+    let reason = 'no canvas';
+
+    while (Date.now() - started < timeout) {
+      polls++;
+      const sample = await page.evaluate(readChartReadiness, {
+        spinnerSelectors: SPINNER_SELECTORS,
+        priceAxisSelectors: PRICE_AXIS_SELECTORS,
+        ignoreRight: this.config.chartReadyIgnoreRight
+      }).catch(() => null);
+
+      if (sample && sample.hash && !sample.blank) {
+        stable = sample.hash === previous ? stable + 1 : 1;
+        previous = sample.hash;
+        if (sample.spinners > 0) {
+          reason = `${sample.spinners} loading indicator(s) visible`;
+        } else if (sample.priceAxis === 'empty') {
+          reason = 'price axis not drawn';
+        } else if (stable < this.config.chartReadyStableFrames) {
+          reason = 'canvas still changing';
+        } else {
+          return { ready: true, elapsedMs: Date.now() - started, polls, reason: null };
+        }
+      } else {
+        stable = 0;
+        previous = null;
+        reason = sample?.hash ? 'canvas blank' : 'no canvas';
+      }
+      await this.wait(this.config.chartReadyPollInterval);
+    }
+
+    return { ready: false, elapsedMs: Date.now() - started, polls, reason };
+  }
+
+  /**
+   * Bounding box of the main chart pane from the DOM, without the legend
+   * strip and the price axis
+   * @param {Object} page - Browser page
+   * @returns {Object|null} { x, y, width, height, source: 'dom', selector }
+   */
+  async locatePlotArea(page) {
+    try {
+      return await page.evaluate(locatePlotArea, {
+        selectors: PLOT_AREA_SELECTORS,
+        legendSelectors: PLOT_LEGEND_SELECTORS,
+        axisSelectors: PRICE_AXIS_SELECTORS
+      });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Screenshot the chart and find its plot area
+   *
+   * Legend and watermark overlays are hidden in both modes, so neither the
+   * saved image nor a later crop of it shows the ticker. The DOM box is used
+   * when available (an element-level capture in 'plot' mode); otherwise the
+   * full screenshot is searched for the pane's separator lines and, in 'plot'
+   * mode, cropped to what was found.
+   * @param {Object} page - Browser page
+   * @param {string} outputPath - Output file path
+   * @returns {Object} { plotArea, captureArea }: plotArea in the saved image's pixels
+   *   (pageX/pageY keep its page position in 'plot' mode), null when nothing was found
+   */
+  async screenshotChart(page, outputPath) {
+    const plotMode = this.config.captureArea === 'plot';
+    const domArea = await this.locatePlotArea(page);
+    await page.evaluate(hidePlotOverlays, { selectors: PLOT_OVERLAY_SELECTORS }).catch(() => {});
+
+    if (plotMode && domArea) {
+      await page.screenshot({ path: outputPath, type: 'png', clip: { x: domArea.x, y: domArea.y, width: domArea.width, height: domArea.height } });
+      return { plotArea: { ...domArea, x: 0, y: 0, pageX: domArea.x, pageY: domArea.y }, captureArea: 'plot' };
+    }
+
+    await page.screenshot({ path: outputPath, fullPage: false, type: 'png' });
+    if (domArea) {
+      return { plotArea: domArea, captureArea: 'viewport' };
+    }
+
+    const pixelArea = await detectPlotArea(outputPath).catch(() => null);
+    if (!pixelArea) {
+      console.log('⚠️  Plot area not found in DOM or pixels');
+      return { plotArea: null, captureArea: 'viewport' };
+    }
+    console.log(`🔎 Plot area detected from pixels: ${pixelArea.width}x${pixelArea.height} at (${pixelArea.x}, ${pixelArea.y})`);
+    if (plotMode) {
+      await cropToPlotArea(outputPath, pixelArea, outputPath);
+      return { plotArea: { ...pixelArea, x: 0, y: 0, pageX: pixelArea.x, pageY: pixelArea.y }, captureArea: 'plot' };
+    }
+    return { plotArea: pixelArea, captureArea: 'viewport' };
+  }
+
+  findTimeframeControl(page, label) {
+    return page.evaluate(findTimeframeControl, { label, toolbarSelectors: TIMEFRAME_TOOLBAR_SELECTORS });
+  }
+
+  /**
+   * Strictly select the configured timeframe and check the control became active
+   *
+   * Dismisses overlays before each cycle and reloads between cycles;
+   * ensureTimeframe() decides whether a failed selection fails the capture.
+   * @param {Object} page - Browser page
+   * @param {string} symbol - Symbol being processed (for logging)
+   * @param {Object} tf - { interval, timeframe }
+   * @returns {Object} { label, selected, verified }
+   */
+  async selectTimeframe(page, symbol, tf) {
+    const label = TIMEFRAME_LABELS[tf.timeframe] || tf.timeframe;
+    console.log(`📅 Selecting ${label} timeframe for ${symbol}USDT...`);
+
+    for (let cycle = 0; cycle < this.config.timeframeCycles; cycle++) {
+      await this.dismissOverlays(page);
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const control = await this.findTimeframeControl(page, label).catch(() => null);
+        if (control) {
+          await page.mouse.click(control.x, control.y);
+          await this.waitForChartReady(page, { timeout: 5000 });
+          let after = await this.findTimeframeControl(page, label).catch(() => null);
+          if (after && !after.active) {
+            // First click often only focuses the toolbar
+            await page.mouse.click(after.x, after.y);
+            await this.waitForChartReady(page, { timeout: 5000 });
+            after = await this.findTimeframeControl(page, label).catch(() => null);
+          }
+          const verified = Boolean(after?.active);
+          console.log(verified
+            ? `✅ ${label} timeframe selected for ${symbol}USDT`
+            : `⚠️  Clicked ${label} for ${symbol}USDT but the control does not report active`);
+          return { label, selected: true, verified };
+        }
+        await this.wait(800);
+      }
+      if (cycle < this.config.timeframeCycles - 1) {
+        await this.reload(page).catch(() => {});
+        await this.waitForChartReady(page);
+      }
+    }
+
+    console.log(`⚠️  Could not find ${label} button for ${symbol}USDT`);
+    return { label, selected: false, verified: false };
+  }
+
+  /**
+   * Read the active range back from the page and check it matches the config
+   *
+   * Three independent checks, each 'match' | 'mismatch' | 'unknown':
+   * - dom: the active range control(s) in the toolbar, matched on any of
+   *   their labels (text, aria-label, title, data-value)
+   * - url: the interval query parameter of the chart URL
+   * - axis: span of the visible date-axis labels vs the expected span
+   * The range is verified when nothing mismatches and the DOM or the axis matches.
+   * @param {Object} page - Browser page
+   * @param {string} label - Expected range control label (e.g. '1Y')
+   * @param {Object} tf - { interval, timeframe }
+   * @returns {Object} { label, dom, url, axis, activeLabels, axisLabels, estimatedMonths, verified, errorCode }
+   */
+  async verifyTimeframe(page, label, tf) {
+    const state = await page.evaluate(readTimeframeState, {
+      toolbarSelectors: TIMEFRAME_TOOLBAR_SELECTORS,
+      axisSelectors: TIME_AXIS_SELECTORS
+    }).catch(() => ({ activeControls: [], axisLabels: [], url: null }));
+
+    const activeControls = state.activeControls || [];
+    const activeLabels = [...new Set(activeControls.flat())];
+    const dom = activeControls.length === 0 ? 'unknown' : (activeControls.some(labels => labels.includes(label)) ? 'match' : 'mismatch');
+
+    let url = 'unknown';
+    try {
+      const interval = new URL(state.url || page.url()).searchParams.get('interval');
+      if (interval) url = toTradingViewInterval(interval) === toTradingViewInterval(tf.interval) ? 'match' : 'mismatch';
+    } catch {}
+
+    let axisLabels = state.axisLabels;
+    if (axisLabels.length === 0 && typeof this.config.readAxisLabels === 'function') {
+      axisLabels = await Promise.resolve(this.config.readAxisLabels(page)).catch(() => []) || [];
+    }
+    const expectedMonths = TIMEFRAME_SPAN_MONTHS[tf.timeframe] ?? null;
+    const estimatedMonths = estimateAxisSpanMonths(axisLabels);
+    let axis = 'unknown';
+    if (expectedMonths && estimatedMonths) {
+      axis = estimatedMonths >= expectedMonths / 2 && estimatedMonths <= expectedMonths * 2 ? 'match' : 'mismatch';
+    }
+
+    let errorCode = null;
+    if (dom === 'mismatch') errorCode = TIMEFRAME_ERROR_CODES.NOT_ACTIVE;
+    else if (url === 'mismatch') errorCode = TIMEFRAME_ERROR_CODES.URL_MISMATCH;
+    else if (axis === 'mismatch') errorCode = TIMEFRAME_ERROR_CODES.AXIS_MISMATCH;
+    else if (dom !== 'match' && axis !== 'match') errorCode = TIMEFRAME_ERROR_CODES.UNVERIFIED;
+
+    return {
+      label,
+      dom,
+      url,
+      axis,
+      activeLabels,
+      axisLabels: axisLabels.slice(0, 30),
+      expectedMonths,
+      estimatedMonths,
+      verified: errorCode === null,
+      errorCode
+    };
+  }
+
+  /**
+   * Select the timeframe and confirm it on the chart, retrying on mismatch
+   * @param {Object} page - Browser page
+   * @param {string} symbol - Symbol being processed (for logging)
+   * @param {Object} tf - { interval, timeframe }
+   * @returns {Object} Verification record (see verifyTimeframe)
+   * @throws {Error} With `code` from TIMEFRAME_ERROR_CODES when strict and unverified
+   */
+  async ensureTimeframe(page, symbol, tf) {
+    let verification = null;
+    for (let attempt = 1; attempt <= this.config.timeframeVerifyAttempts; attempt++) {
+      const selection = await this.selectTimeframe(page, symbol, tf);
+      if (!selection.selected) {
+        verification = { label: selection.label, verified: false, errorCode: TIMEFRAME_ERROR_CODES.NOT_SELECTED };
+      } else {
+        verification = await this.verifyTimeframe(page, selection.label, tf);
+        if (verification.verified) {
+          console.log(`🔎 ${selection.label} confirmed for ${symbol}USDT (dom ${verification.dom}, url ${verification.url}, axis ${verification.axis})`);
+          return { ...verification, attempts: attempt };
+        }
+      }
+      console.log(`⚠️  Timeframe check ${attempt}/${this.config.timeframeVerifyAttempts} failed for ${symbol}USDT: ${verification.errorCode}`);
+    }
+
+    verification = { ...verification, attempts: this.config.timeframeVerifyAttempts };
+    if (this.config.strictTimeframe) {
+      const error = new Error(`Timeframe ${verification.label} not confirmed for ${symbol}USDT (${verification.errorCode})`);
+      error.code = verification.errorCode;
+      error.timeframeCheck = verification;
+      throw error;
+    }
+    return verification;
+  }
+
+  /**
+   * Capture screenshot of a single TradingView chart
+   * @param {string} symbol - Cryptocurrency symbol (e.g., 'BTC')
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - { interval, timeframe } for this capture (default: config)
+   * @returns {Object} Result object with success status and details
+   */
+  async captureChart(symbol, outputPath, options = {}) {
+    if (!this.browser) {
+      return {
+        success: false,
+        error: 'Browser not initialized. Call initialize() first.',
+        symbol,
+        outputPath
+      };
+    }
+
+    const tf = { interval: options.interval || this.config.interval, timeframe: options.timeframe || this.config.timeframe };
+    const url = generateTradingViewUrl(symbol, tf.interval, tf.timeframe, this.config.exchangeMap[symbol.toUpperCase()] || null);
+    const timeframeFields = { interval: tf.interval, range: tf.timeframe, timeframeKey: timeframeKey(tf) };
+    console.log(`📸 Capturing ${symbol}USDT chart (${timeframeFields.timeframeKey})...`);
+
+    let page = null;
+    try {
+      page = await this.newPage();
+      console.log(`🌐 Navigating to: ${url}`);
+      await this.goto(page, url);
+
+      console.log(`⏳ Waiting for ${symbol}USDT chart to load...`);
+      const loaded = await this.waitForChartReady(page);
+      if (!loaded.ready) {
+        console.log(`⚠️  ${symbol}USDT chart not ready after ${(loaded.elapsedMs / 1000).toFixed(1)}s (${loaded.reason}), proceeding anyway...`);
+      }
+
+      const throttleSignals = this.config.detectThrottling ? await this.detectThrottling(page) : [];
+      if (throttleSignals.length > 0) {
+        console.log(`🚦 ${symbol}USDT looks throttled: ${throttleSignals.join(', ')}`);
+        return {
+          success: false,
+          error: `Throttled by chart site: ${throttleSignals.join(', ')}`,
+          errorCode: THROTTLED_ERROR_CODE,
+          throttleSignals,
+          symbol,
+          outputPath,
+          url,
+          ...timeframeFields
+        };
+      }
+
+      // Never screenshot a chart whose range was not confirmed (strict mode)
+      const timeframeCheck = await this.ensureTimeframe(page, symbol, tf);
+      await this.dismissOverlays(page);
+
+      // Settle again after the range switch so the screenshot is not half-rendered
+      const chartReady = await this.waitForChartReady(page);
+      if (!chartReady.ready) {
+        console.log(`⚠️  ${symbol}USDT chart not settled (${chartReady.reason})`);
+        if (this.config.requireChartReady) {
+          return {
+            success: false,
+            error: `Chart not ready after ${(chartReady.elapsedMs / 1000).toFixed(1)}s: ${chartReady.reason}`,
+            errorCode: CHART_NOT_READY_ERROR_CODE,
+            symbol,
+            outputPath,
+            url,
+            ...timeframeFields,
+            timeframeCheck,
+            chartReady
+          };
+        }
+      }
+
+      const outputDir = dirname(outputPath);
+      if (!existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+      }
+
+      const { plotArea, captureArea } = await this.screenshotChart(page, outputPath);
+
+      if (!existsSync(outputPath)) {
+        return {
+          success: false,
+          error: 'Screenshot file was not created',
+          symbol,
+          outputPath,
+          url,
+          ...timeframeFields
+        };
+      }
+
+      const stats = statSync(outputPath);
+      const fileSizeKB = Math.round(stats.size / 1024);
+      console.log(`✅ Screenshot saved: ${outputPath} (${fileSizeKB} KB)`);
+
+      return {
+        success: true,
+        symbol,
+        outputPath,
+        fileSize: stats.size,
+        fileSizeKB,
+        url,
+        backend: this.name,
+        ...timeframeFields,
+        timeframeCheck,
+        captureArea,
+        plotArea,
+        viewport: this.config.viewport,
+        chartReady: { ready: chartReady.ready, elapsedMs: loaded.elapsedMs + chartReady.elapsedMs, reason: chartReady.reason }
+      };
+    } catch (error) {
+      console.error(`❌ Failed to capture ${symbol}USDT:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        errorCode: error.code || null,
+        symbol,
+        outputPath,
+        url,
+        ...timeframeFields,
+        ...(error.timeframeCheck ? { timeframeCheck: error.timeframeCheck } : {})
+      };
+    } finally {
+      if (page) {
+        await this.closePage(page).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Capture screenshot with retry logic
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - { interval, timeframe } for this capture
+   * @returns {Object} Result object
+   */
+  async captureChartWithRetry(symbol, outputPath, options = {}) {
+    let lastError = null;
+    let lastResult = null;
+
+    for (let attempt = 1; attempt <= this.config.retries; attempt++) {
+      console.log(`🔄 Attempt ${attempt}/${this.config.retries} for ${symbol}USDT`);
+
+      const result = await this.captureChart(symbol, outputPath, options);
+      if (result.success) {
+        return result;
+      }
+      lastError = result.error;
+      lastResult = result;
+
+      if (attempt < this.config.retries) {
+        console.log(`⏳ Retrying ${symbol}USDT in 3 seconds...`);
+        await this.wait(3000);
+      }
+    }
+
+    return {
+      success: false,
+      error: `Failed after ${this.config.retries} attempts: ${lastError}`,
+      errorCode: lastResult?.errorCode || null,
+      ...(lastResult?.throttleSignals ? { throttleSignals: lastResult.throttleSignals } : {}),
+      symbol,
+      outputPath,
+      ...(lastResult?.timeframeCheck ? { timeframeCheck: lastResult.timeframeCheck } : {})
+    };
+  }
+}
+
+// 'tradingview' is the historical name of the Puppeteer backend
+const BACKENDS = {
+  puppeteer: async (config) => new (await import('./tradingview-capture.js')).PuppeteerCaptureBackend(config),
+  tradingview: async (config) => new (await import('./tradingview-capture.js')).PuppeteerCaptureBackend(config),
+  playwright: async (config) => new (await import('./playwright-capture.js')).PlaywrightCaptureBackend(config),
+  local: async (config) => new (await import('./local-chart-renderer.js')).LocalChartRenderer(config)
+};
+
+export const CAPTURE_BACKENDS = Object.keys(BACKENDS);
+
+/**
+ * Create a capture backend by name; only the selected browser library is loaded
+ * @param {string} name - puppeteer | playwright | local (tradingview = puppeteer)
+ * @param {Object} config - Backend config
+ * @returns {Promise<Object>} Backend exposing initialize/captureChart/captureChartWithRetry/close
+ */
+export async function createCaptureBackend(name = 'puppeteer', config = {}) {
+  const factory = BACKENDS[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unsupported capture backend: ${name} (expected ${CAPTURE_BACKENDS.join(', ')})`);
+  }
+  return factory(config);
+}
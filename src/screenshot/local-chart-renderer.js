@@ -0,0 +1,264 @@
+/**
+ * Local Candlestick Chart Renderer
+ *
+ * Draws daily candlestick PNGs straight from stored OHLC history
+ * (src/storage/candle-storage.js) instead of screenshotting TradingView.
+ * Output is 1440x850 — the size the Python cropper produces — and carries
+ * no ticker, axis labels, prices or dates, so it is anonymized by
+ * construction, reproducible for a given data set and works offline.
+ *
+ * Exposes the same initialize / captureChart / captureChartWithRetry / close
+ * interface as the browser backends (capture-backend.js), so BatchProcessor
+ * can use any of them.
+ */
+
+import sharp from 'sharp';
+import { existsSync, mkdirSync, statSync } from 'fs';
+import { dirname } from 'path';
+import { CandleStorage, DAY_MS } from '../storage/candle-storage.js';
+import { TIMEFRAME_SPAN_MONTHS, timeframeKey } from './timeframes.js';
+
+/**
+ * Configuration for local rendering
+ */
+const RENDER_CONFIG = {
+  width: 1440,
+  height: 850,
+  padding: { top: 30, right: 30, bottom: 30, left: 30 },
+  lookbackDays: 365, // Used when a capture has no range; otherwise derived from it (12M -> ~365 days)
+  minCandles: 30, // Refuse to draw a chart from too little history
+  endDate: null, // YYYY-MM-DD: render as of this day (default: latest stored candle)
+  logScale: false,
+  gridLines: 8, // Horizontal grid lines (unlabelled); 0 disables
+  colors: {
+    background: '#ffffff',
+    grid: '#f0f3fa',
+    up: '#26a69a',
+    down: '#ef5350'
+  },
+  ohlcDir: process.env.OHLC_DATA_DIR || './data/ohlc'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Stored history is daily; these are the bar intervals it can be drawn at
+const INTERVAL_DAYS = { '1D': 1, '1W': 7 };
+
+/**
+ * Aggregate daily candles into bars of `days` days (weeks start on Monday, UTC)
+ */
+const aggregateCandles = (candles, days) => {
+  if (days === 1) return candles;
+  const mondayOffset = 4 * DAY_MS; // 1970-01-01 was a Thursday
+  const bars = new Map();
+  candles.forEach(candle => {
+    const start = Math.floor((candle.timestamp - mondayOffset) / (days * DAY_MS)) * days * DAY_MS + mondayOffset;
+    const bar = bars.get(start);
+    if (!bar) {
+      bars.set(start, { ...candle, timestamp: start });
+      return;
+    }
+    bar.high = Math.max(bar.high, candle.high);
+    bar.low = Math.min(bar.low, candle.low);
+    bar.close = candle.close;
+  });
+  return [...bars.values()];
+};
+
+/**
+ * Build the SVG for a candlestick chart
+ * @param {Array<Object>} candles - { timestamp, open, high, low, close } sorted by timestamp
+ * @param {Object} options - width, height, padding, logScale, gridLines, colors
+ * @returns {string} SVG document
+ */
+export function buildCandlestickSvg(candles, options = {}) {
+  const { width, height, padding, logScale, gridLines, colors } = { ...RENDER_CONFIG, ...options };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const scale = logScale ? Math.log : (v) => v;
+  const low = scale(Math.min(...candles.map(c => c.low)));
+  const high = scale(Math.max(...candles.map(c => c.high)));
+  const headroom = (high - low) * 0.05 || Math.abs(high) * 0.05 || 1;
+  const min = low - headroom;
+  const max = high + headroom;
+  const y = (price) => round(padding.top + (max - scale(price)) / (max - min) * plotHeight);
+
+  const slot = plotWidth / candles.length;
+  const bodyWidth = Math.max(1, round(slot * 0.7));
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="${colors.background}"/>`
+  ];
+
+  for (let i = 1; i <= gridLines; i++) {
+    const gy = round(padding.top + plotHeight * i / (gridLines + 1));
+    parts.push(`<line x1="${padding.left}" y1="${gy}" x2="${width - padding.right}" y2="${gy}" stroke="${colors.grid}" stroke-width="1"/>`);
+  }
+
+  candles.forEach((candle, i) => {
+    const color = candle.close >= candle.open ? colors.up : colors.down;
+    const center = round(padding.left + slot * (i + 0.5));
+    const top = y(Math.max(candle.open, candle.close));
+    const bodyHeight = Math.max(1, round(y(Math.min(candle.open, candle.close)) - top));
+    parts.push(`<line x1="${center}" y1="${y(candle.high)}" x2="${center}" y2="${y(candle.low)}" stroke="${color}" stroke-width="1"/>`);
+    parts.push(`<rect x="${round(center - bodyWidth / 2)}" y="${top}" width="${bodyWidth}" height="${bodyHeight}" fill="${color}"/>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Local Chart Renderer Class
+ */
+export class LocalChartRenderer {
+  constructor(config = {}) {
+    this.config = { ...RENDER_CONFIG, ...config };
+    this.storage = null;
+  }
+
+  /**
+   * Open the candle storage (no browser involved)
+   */
+  async initialize() {
+    if (!existsSync(this.config.ohlcDir)) {
+      console.error(`❌ OHLC directory not found: ${this.config.ohlcDir} (run download-ohlc-history.js first)`);
+      return false;
+    }
+    this.storage = new CandleStorage(this.config.ohlcDir);
+    console.log(`✅ Local renderer ready (${this.config.width}x${this.config.height}, candles from ${this.config.ohlcDir})`);
+    return true;
+  }
+
+  /**
+   * Select the candles for one chart: the lookback window ending at endDate
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {number} lookbackDays - Window length in days
+   * @returns {Array<Object>} Candles sorted by timestamp
+   */
+  loadWindow(symbol, lookbackDays = this.config.lookbackDays) {
+    const result = this.storage.readCandles(symbol);
+    if (!result.success) {
+      throw new Error(`Could not read candles for ${symbol}: ${result.error}`);
+    }
+    const candles = [...result.data].sort((a, b) => a.timestamp - b.timestamp);
+    const endMs = this.config.endDate
+      ? Date.parse(`${this.config.endDate}T00:00:00Z`)
+      : (candles.length > 0 ? candles[candles.length - 1].timestamp : 0);
+    const startMs = endMs - (lookbackDays - 1) * DAY_MS;
+    return candles.filter(c => c.timestamp >= startMs && c.timestamp <= endMs);
+  }
+
+  /**
+   * Render a chart for a single symbol
+   * @param {string} symbol - Cryptocurrency symbol (e.g., 'BTC')
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - { interval, timeframe } (1D or 1W bars; range sets the lookback)
+   * @returns {Object} Result object with success status and details
+   */
+  async captureChart(symbol, outputPath, options = {}) {
+    if (!this.storage) {
+      return {
+        success: false,
+        error: 'Renderer not initialized. Call initialize() first.',
+        symbol,
+        outputPath
+      };
+    }
+
+    const interval = String(options.interval || '1D').toUpperCase();
+    const spanMonths = options.timeframe ? TIMEFRAME_SPAN_MONTHS[options.timeframe] : null;
+    const lookbackDays = spanMonths ? Math.round(spanMonths * 30.4375) : this.config.lookbackDays;
+    const timeframeFields = { interval, range: options.timeframe || null, timeframeKey: options.timeframe ? timeframeKey({ interval, timeframe: options.timeframe }) : null };
+    console.log(`🕯️  Rendering ${symbol}USDT chart from local OHLC${timeframeFields.timeframeKey ? ` (${timeframeFields.timeframeKey})` : ''}...`);
+
+    if (!INTERVAL_DAYS[interval]) {
+      return {
+        success: false,
+        error: `Interval ${interval} cannot be rendered from daily candles (supported: ${Object.keys(INTERVAL_DAYS).join(', ')})`,
+        errorCode: 'INTERVAL_UNAVAILABLE',
+        symbol,
+        outputPath,
+        ...timeframeFields
+      };
+    }
+
+    try {
+      const candles = aggregateCandles(this.loadWindow(symbol, lookbackDays), INTERVAL_DAYS[interval]);
+      const minCandles = Math.max(2, Math.floor(this.config.minCandles / INTERVAL_DAYS[interval]));
+      if (candles.length < minCandles) {
+        return {
+          success: false,
+          error: `Not enough candles for ${symbol}: ${candles.length} < ${minCandles}`,
+          symbol,
+          outputPath,
+          ...timeframeFields
+        };
+      }
+
+      const outputDir = dirname(outputPath);
+      if (!existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+      }
+
+      const svg = buildCandlestickSvg(candles, this.config);
+      await sharp(Buffer.from(svg)).png().toFile(outputPath);
+
+      const stats = statSync(outputPath);
+      const fileSizeKB = Math.round(stats.size / 1024);
+      console.log(`✅ Chart rendered: ${outputPath} (${fileSizeKB} KB, ${candles.length} candles)`);
+
+      return {
+        success: true,
+        symbol,
+        outputPath,
+        fileSize: stats.size,
+        fileSizeKB,
+        source: 'local-renderer',
+        ...timeframeFields,
+        captureArea: 'render',
+        plotArea: {
+          x: this.config.padding.left,
+          y: this.config.padding.top,
+          width: this.config.width - this.config.padding.left - this.config.padding.right,
+          height: this.config.height - this.config.padding.top - this.config.padding.bottom,
+          source: 'renderer'
+        },
+        candles: candles.length,
+        dateRange: {
+          from: new Date(candles[0].timestamp).toISOString().slice(0, 10),
+          to: new Date(candles[candles.length - 1].timestamp).toISOString().slice(0, 10)
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Failed to render ${symbol}USDT:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        symbol,
+        outputPath,
+        ...timeframeFields
+      };
+    }
+  }
+
+  /**
+   * Rendering is deterministic; a retry only helps with I/O errors
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - { interval, timeframe }
+   * @returns {Object} Result object
+   */
+  async captureChartWithRetry(symbol, outputPath, options = {}) {
+    return this.captureChart(symbol, outputPath, options);
+  }
+
+  /**
+   * Nothing to release; kept for interface parity with the browser backends
+   */
+  async close() {
+    this.storage = null;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Playwright Screenshot Capture
+ *
+ * Playwright implementation of the capture backend interface
+ * (src/screenshot/capture-backend.js), used by the live-final workflow
+ * scripts. Each capture runs in a fresh browser context.
+ */
+
+import { chromium } from 'playwright';
+import { CaptureBackend } from './capture-backend.js';
+
+/**
+ * Playwright-specific configuration
+ */
+const PLAYWRIGHT_CONFIG = {
+  timeout: 45000, // networkidle waits for the chart data feed
+  chartReadyTimeout: 10000 // networkidle already waited for the data feed
+};
+
+/**
+ * Playwright Capture Backend Class
+ */
+export class PlaywrightCaptureBackend extends CaptureBackend {
+  constructor(config = {}) {
+    super({ ...PLAYWRIGHT_CONFIG, ...config });
+    this.name = 'playwright';
+  }
+
+  async launch() {
+    this.browser = await chromium.launch({ headless: this.config.headless, args: ['--no-sandbox'] });
+  }
+
+  async newPage() {
+    const context = await this.browser.newContext({
+      viewport: { width: this.config.viewport.width, height: this.config.viewport.height },
+      deviceScaleFactor: 1
+    });
+    return context.newPage();
+  }
+
+  async closePage(page) {
+    await page.context().close();
+  }
+
+  async goto(page, url) {
+    await page.goto(url, { waitUntil: 'networkidle', timeout: this.config.timeout });
+  }
+
+  async reload(page) {
+    await page.reload({ waitUntil: 'networkidle', timeout: 30000 });
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Chart Plot-Area Detection
+ *
+ * Finds the main chart pane — candles only, without toolbars, legend, price
+ * axis or time axis — so crops follow the page layout instead of a fixed
+ * rectangle. Capture backends ask the DOM first (locatePlotArea, run in the
+ * page); when that fails, detectPlotArea() finds the pane in the screenshot
+ * itself from the long separator lines around the axes and toolbars.
+ *
+ * A plot area is { x, y, width, height, source } in screenshot pixels, with
+ * source 'dom' | 'pixels' | 'renderer'.
+ */
+
+import sharp from 'sharp';
+import { writeFileSync } from 'fs';
+
+// Main-pane containers, most specific first; the largest visible match wins
+export const PLOT_AREA_SELECTORS = [
+  '.chart-markup-table .chart-gui-wrapper',
+  '.chart-gui-wrapper',
+  '[data-name="pane"]',
+  '[class*="paneWrapper"]'
+];
+
+// Legend drawn over the top of the pane (ticker, interval, OHLC values)
+export const PLOT_LEGEND_SELECTORS = [
+  '[data-name="legend"]',
+  '.pane-legend',
+  '[class*="legend"]'
+];
+
+// DOM overlays drawn on top of the pane (legend with the ticker, watermark)
+export const PLOT_OVERLAY_SELECTORS = [
+  ...PLOT_LEGEND_SELECTORS,
+  '[class*="watermark"]'
+];
+
+/**
+ * Pixel-detection configuration
+ */
+const DETECT_CONFIG = {
+  edgeThreshold: 16, // Luminance step that counts as a separator edge (grid lines stay below)
+  minLineCoverage: 0.6, // Fraction of a row/column that must be edge to count as a separator
+  topBand: 0.3, // Toolbars are searched in the top 30% ...
+  bottomBand: 0.3, // ... the time axis in the bottom 30%
+  leftBand: 0.2, // ... the drawing toolbar in the left 20%
+  minTopInset: 0.025, // The header/legend band above the plot must be at least this share of the height ...
+  minRightInset: 0.025, // ... and the price axis right of it at least this share of the width
+  minAreaRatio: 0.3 // Reject detections smaller than this share of the screenshot
+};
+
+/**
+ * In-page: bounding box of the main chart pane
+ * (passed to page.evaluate, so it must be self-contained)
+ *
+ * Tries `selectors` in order and falls back to the largest canvas; the box is
+ * clipped to the viewport. Legend boxes in the top quarter of the pane
+ * (`legendSelectors`) move its top edge below them and price axes overlapping
+ * its right half (`axisSelectors`) move its right edge left of them, so the
+ * box holds candles only. Returns { x, y, width, height, source, selector } or null.
+ */
+export function locatePlotArea({ selectors, legendSelectors = [], axisSelectors = [] }) {
+  const area = (rect) => rect.width * rect.height;
+  const largest = (rects) => rects.filter(r => r.width > 100 && r.height > 100).sort((a, b) => area(b) - area(a))[0];
+  const rectsOf = (list) => list.flatMap(selector => Array.from(document.querySelectorAll(selector)))
+    .map(el => el.getBoundingClientRect())
+    .filter(r => r.width > 0 && r.height > 0);
+  const clip = (rect, selector) => {
+    const x = Math.max(0, Math.round(rect.x));
+    let y = Math.max(0, Math.round(rect.y));
+    let right = Math.min(window.innerWidth, Math.round(rect.x + rect.width));
+    const bottom = Math.min(window.innerHeight, Math.round(rect.y + rect.height));
+    rectsOf(legendSelectors)
+      .filter(r => r.top < y + (bottom - y) / 4 && r.bottom > y && r.left < right && r.right > x)
+      .forEach(r => { y = Math.max(y, Math.ceil(r.bottom)); });
+    rectsOf(axisSelectors)
+      .filter(r => r.left > x + (right - x) / 2 && r.left < right && r.top < bottom && r.bottom > y)
+      .forEach(r => { right = Math.min(right, Math.floor(r.left)); });
+    return { x, y, width: right - x, height: bottom - y, source: 'dom', selector };
+  };
+
+  for (const selector of selectors) {
+    const rect = largest(Array.from(document.querySelectorAll(selector)).map(el => el.getBoundingClientRect()));
+    if (rect) return clip(rect, selector);
+  }
+  const canvas = largest(Array.from(document.querySelectorAll('canvas')).map(el => el.getBoundingClientRect()));
+  return canvas ? clip(canvas, 'canvas') : null;
+}
+
+/**
+ * In-page: hide legend / watermark overlays before an element capture
+ */
+export function hidePlotOverlays({ selectors }) {
+  const style = document.createElement('style');
+  style.textContent = `${selectors.join(', ')} { visibility: hidden !important; }`;
+  document.head.appendChild(style);
+}
+
+/**
+ * Positions of full-length separator lines along one axis
+ * @param {Function} edgeAt - (i, j) => true when there is an edge at line i, position j
+ * @param {number} lines - Number of lines (rows or columns)
+ * @param {number} from - First position to scan within a line
+ * @param {number} to - Last position (exclusive)
+ * @param {number} minCoverage - Edge fraction a separator needs
+ * @returns {Array<number>} Line indices
+ */
+const findSeparators = (edgeAt, lines, from, to, minCoverage) => {
+  const found = [];
+  for (let i = 1; i < lines; i++) {
+    let edges = 0;
+    for (let j = from; j < to; j++) {
+      if (edgeAt(i, j)) edges++;
+    }
+    if (edges >= (to - from) * minCoverage) found.push(i);
+  }
+  return found;
+};
+
+/**
+ * Detect the plot area in a full screenshot from its separator lines
+ *
+ * The time axis and top toolbar end in horizontal separators, the left
+ * drawing toolbar and price axis in vertical ones; the plot is the region
+ * they enclose. Grid lines are too faint to pass `edgeThreshold`.
+ * A box that keeps the header/legend band or the price axis (no separator
+ * at least minTopInset / minRightInset inside the frame) is rejected, so
+ * callers fall back to a fixed-margin crop instead of an almost full frame.
+ * @param {string|Buffer} input - Image path or buffer
+ * @param {Object} options - Overrides for DETECT_CONFIG
+ * @returns {Promise<Object|null>} { x, y, width, height, source: 'pixels' } or null
+ */
+export async function detectPlotArea(input, options = {}) {
+  const config = { ...DETECT_CONFIG, ...options };
+  const { data, info } = await sharp(input).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  const at = (x, y) => data[(y * width + x) * channels];
+
+  // Horizontal separators: luminance step between row y-1 and row y across the width
+  const rows = findSeparators((y, x) => Math.abs(at(x, y) - at(x, y - 1)) >= config.edgeThreshold, height, 0, width, config.minLineCoverage);
+  const top = Math.max(0, ...rows.filter(y => y < height * config.topBand));
+  const bottom = Math.min(height, ...rows.filter(y => y > height * (1 - config.bottomBand)));
+
+  // Vertical separators, measured only between the horizontal ones
+  const columns = findSeparators((x, y) => Math.abs(at(x, y) - at(x - 1, y)) >= config.edgeThreshold, width, top, bottom, config.minLineCoverage);
+  const left = Math.max(0, ...columns.filter(x => x < width * config.leftBand));
+  const right = Math.min(width, ...columns.filter(x => x > width / 2));
+
+  const box = { x: left, y: top, width: right - left, height: bottom - top, source: 'pixels' };
+  if (top < height * config.minTopInset || width - right < width * config.minRightInset) {
+    return null; // Legend/toolbar band or price axis still inside the box
+  }
+  if (box.width <= 0 || box.height <= 0 || box.width * box.height < width * height * config.minAreaRatio) {
+    return null;
+  }
+  return box;
+}
+
+/**
+ * Crop an image to a plot area
+ * @param {string|Buffer} input - Image path or buffer
+ * @param {Object} box - { x, y, width, height }
+ * @param {string} outputPath - Destination (may equal the input path)
+ * @returns {Promise<Object>} { width, height }
+ */
+export async function cropToPlotArea(input, box, outputPath) {
+  const buffer = await sharp(input)
+    .extract({ left: box.x, top: box.y, width: box.width, height: box.height })
+    .png()
+    .toBuffer();
+  writeFileSync(outputPath, buffer);
+  return { width: box.width, height: box.height };
+}
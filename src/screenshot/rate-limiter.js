@@ -0,0 +1,126 @@
+/**
+ * Global Rate Limiter
+ *
+ * Spaces chart requests from all capture workers at least `minInterval` ms
+ * apart. Slots are reserved synchronously, so concurrent workers queue up in
+ * order instead of all firing together once a shared delay elapses.
+ *
+ * AdaptiveRateLimiter moves that gap with the site's behaviour: it backs off
+ * exponentially on throttling signals (login walls, rate-limit notices, blank
+ * charts, repeated tiny screenshots) and speeds back up after a run of
+ * healthy captures.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Rate Limiter Class
+ */
+export class RateLimiter {
+  constructor(config = {}) {
+    this.config = {
+      minInterval: 8000, // Minimum gap between two requests, across all workers
+      ...config
+    };
+    this.interval = this.config.minInterval;
+    this.nextSlot = 0;
+    this.granted = 0;
+  }
+
+  /**
+   * Wait for the next free request slot
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+    this.granted++;
+
+    const wait = slot - now;
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    return wait;
+  }
+
+  /**
+   * Current gap relative to the configured one (1 = nominal); used to scale
+   * other pauses such as batch delays and browser restarts
+   */
+  pressure() {
+    return this.config.minInterval > 0 ? this.interval / this.config.minInterval : 1;
+  }
+
+  /**
+   * Feed back a capture outcome; the fixed limiter ignores it
+   * @returns {Object|null} Decision, if the limiter changed course
+   */
+  report() {
+    return null;
+  }
+}
+
+/**
+ * Adaptive Rate Limiter Class
+ */
+export class AdaptiveRateLimiter extends RateLimiter {
+  constructor(config = {}) {
+    super({
+      floorInterval: null, // Fastest allowed gap (default: minInterval / 4)
+      maxInterval: 120000, // Slowest gap when backing off
+      backoffFactor: 2, // Gap multiplier per throttling signal
+      recoveryFactor: 0.8, // Gap multiplier after a healthy streak
+      healthyStreak: 5, // Healthy captures in a row before speeding up
+      smallScreenshotStreak: 2, // Tiny screenshots in a row that count as throttling
+      ...config
+    });
+    this.floor = this.config.floorInterval ?? Math.round(this.config.minInterval / 4);
+    this.healthy = 0;
+    this.smallScreenshots = 0;
+    this.decisions = [];
+  }
+
+  /**
+   * Feed back a capture outcome
+   * @param {Object} outcome - { symbol, signals: [THROTTLE_SIGNALS names], success }
+   * @returns {Object|null} Decision { at, action, reason, symbol, from, to } when the gap changed
+   */
+  report({ symbol = null, signals = [], success = false } = {}) {
+    const small = signals.includes('SMALL_SCREENSHOT');
+    this.smallScreenshots = small ? this.smallScreenshots + 1 : 0;
+    const throttling = signals.filter(signal => signal !== 'SMALL_SCREENSHOT');
+    if (small && this.smallScreenshots >= this.config.smallScreenshotStreak) {
+      throttling.push(`SMALL_SCREENSHOT x${this.smallScreenshots}`);
+    }
+
+    if (throttling.length > 0) {
+      this.healthy = 0;
+      const to = Math.min(this.config.maxInterval, Math.max(this.interval, this.floor, 1000) * this.config.backoffFactor);
+      // Hold every worker off for a full gap, not just the next request
+      this.nextSlot = Math.max(this.nextSlot, Date.now() + to);
+      return this.decide('backoff', throttling.join(', '), symbol, to);
+    }
+
+    if (!success) {
+      this.healthy = 0;
+      return null;
+    }
+
+    this.healthy++;
+    if (this.healthy >= this.config.healthyStreak && this.interval > this.floor) {
+      this.healthy = 0;
+      const to = Math.max(this.floor, Math.round(this.interval * this.config.recoveryFactor));
+      return this.decide('speedup', `${this.config.healthyStreak} healthy captures`, symbol, to);
+    }
+    return null;
+  }
+
+  decide(action, reason, symbol, to) {
+    const decision = { at: new Date().toISOString(), action, reason, symbol, from: this.interval, to: Math.round(to) };
+    this.interval = decision.to;
+    this.decisions.push(decision);
+    console.log(`🚦 Rate limiter ${action === 'backoff' ? 'backing off' : 'speeding up'}: ${(decision.from / 1000).toFixed(1)}s -> ${(decision.to / 1000).toFixed(1)}s (${reason})`);
+    return decision;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Chart Timeframes
+ *
+ * A timeframe is a bar interval plus a visible range, e.g. 1D bars over
+ * 1Y (`{ interval: '1D', timeframe: '12M' }`, key '1D-1Y'). Runs may capture
+ * several per symbol; the key goes into file names so capture metadata,
+ * image pairing and the trend table can tell them apart.
+ */
+
+// URL range -> label of the TradingView date-range control
+export const TIMEFRAME_LABELS = {
+  '1D': '1D',
+  '5D': '5D',
+  '1M': '1M',
+  '3M': '3M',
+  '6M': '6M',
+  'YTD': 'YTD',
+  '12M': '1Y',
+  '60M': '5Y',
+  'ALL': 'All'
+};
+
+// Expected visible span per URL range, in months (null: not checkable)
+export const TIMEFRAME_SPAN_MONTHS = {
+  '1D': null,
+  '5D': null,
+  '1M': 1,
+  '3M': 3,
+  '6M': 6,
+  'YTD': null,
+  '12M': 12,
+  '60M': 60,
+  'ALL': null
+};
+
+// Control labels accepted as ranges too ('1Y' -> '12M')
+const RANGE_ALIASES = Object.fromEntries(Object.entries(TIMEFRAME_LABELS).map(([range, label]) => [label.toUpperCase(), range]));
+
+// TradingView URL interval codes for intraday bars
+export const TRADINGVIEW_INTERVALS = {
+  '1H': '60',
+  '2H': '120',
+  '4H': '240'
+};
+
+export const DEFAULT_TIMEFRAMES = [{ interval: '1D', timeframe: '12M' }];
+
+const KEY_PATTERN = /^(\d+[HDWM])-([0-9A-Z]+)$/i;
+
+/**
+ * URL interval code for a bar interval ('4H' -> '240', '1D' -> '1D')
+ */
+export function toTradingViewInterval(interval) {
+  const upper = String(interval).toUpperCase();
+  return TRADINGVIEW_INTERVALS[upper] || upper;
+}
+
+/**
+ * File-name key for a timeframe ('1D-1Y', '4H-3M', '1W-5Y')
+ */
+export function timeframeKey({ interval, timeframe }) {
+  return `${interval}-${TIMEFRAME_LABELS[timeframe] || timeframe}`;
+}
+
+/**
+ * Normalize one timeframe spec
+ * @param {Object|string} spec - { interval, timeframe } or "1D@1Y" / "4H:3M"
+ * @returns {Object} { interval, timeframe, key }
+ */
+export function normalizeTimeframe(spec) {
+  const [rawInterval, rawRange] = typeof spec === 'string' ? spec.split(/[@:]/) : [spec.interval, spec.timeframe];
+  const interval = String(rawInterval || '').trim().toUpperCase();
+  const range = String(rawRange || '').trim().toUpperCase();
+
+  if (!/^\d+[HDWM]$/.test(interval)) {
+    throw new Error(`Unsupported chart interval: ${rawInterval} (expected e.g. 4H, 1D, 1W)`);
+  }
+  const timeframe = TIMEFRAME_LABELS[range] ? range : RANGE_ALIASES[range];
+  if (!timeframe) {
+    throw new Error(`Unsupported chart range: ${rawRange} (expected ${Object.keys(TIMEFRAME_LABELS).join(', ')} or ${Object.values(TIMEFRAME_LABELS).join(', ')})`);
+  }
+  return { interval, timeframe, key: timeframeKey({ interval, timeframe }) };
+}
+
+/**
+ * Parse a run's timeframe list
+ * @param {Array|string|null} value - Specs, or "1D@1Y,4H@3M,1W@5Y"; empty -> DEFAULT_TIMEFRAMES
+ * @returns {Array<Object>} Unique normalized timeframes, in order
+ */
+export function parseTimeframes(value) {
+  const specs = Array.isArray(value)
+    ? value
+    : String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+  const list = (specs.length > 0 ? specs : DEFAULT_TIMEFRAMES).map(normalizeTimeframe);
+  return list.filter((tf, index) => list.findIndex(other => other.key === tf.key) === index);
+}
+
+/**
+ * Chart file name: <SYMBOL>USDT_<key>_<timestamp>.png
+ */
+export function chartFileName(symbol, timeframe, timestamp) {
+  return `${symbol.toUpperCase()}USDT_${timeframeKey(timeframe)}_${timestamp}.png`;
+}
+
+/**
+ * Parse a chart file name (timeframe-aware or legacy <SYMBOL>USDT_<timestamp>.png)
+ * @param {string} fileName - Base name, optionally with _cropped
+ * @returns {Object} { symbol, timeframe } where timeframe is the key or null
+ */
+export function parseChartFileName(fileName) {
+  const [first, second] = fileName.split('_');
+  const token = first.toUpperCase();
+  return {
+    symbol: token.endsWith('USDT') ? token.slice(0, -4) : token.replace(/\.PNG$/, ''),
+    timeframe: second && KEY_PATTERN.test(second) ? second : null
+  };
+}
@@ -4,22 +4,25 @@
  * Generates TradingView chart URLs for cryptocurrency pairs
  */
 
+import { toTradingViewInterval } from './timeframes.js';
+
 /**
  * Generate TradingView URL for a cryptocurrency pair
  * @param {string} symbol - The cryptocurrency symbol (e.g., 'BTC', 'ETH')
- * @param {string} interval - Chart interval (default: '1D' for daily)
+ * @param {string} interval - Chart interval (default: '1D' for daily; '4H' etc. map to minute codes)
  * @param {string} timeframe - Chart timeframe (default: '12M' for 12 months)
+ * @param {string|null} exchange - Verified TradingView exchange prefix (e.g. 'BINANCE')
  * @returns {string} TradingView chart URL
  */
-export function generateTradingViewUrl(symbol, interval = '1D', timeframe = '12M') {
-  // Convert symbol to uppercase and add USDT
-  const pairSymbol = `${symbol.toUpperCase()}USDT`;
+export function generateTradingViewUrl(symbol, interval = '1D', timeframe = '12M', exchange = null) {
+  // Convert symbol to uppercase and add USDT; qualify with the exchange when known
+  const pairSymbol = exchange ? `${exchange}:${symbol.toUpperCase()}USDT` : `${symbol.toUpperCase()}USDT`;
   
   // TradingView URL format
   const baseUrl = 'https://www.tradingview.com/chart/';
   const params = new URLSearchParams({
     symbol: pairSymbol,
-    interval: interval,
+    interval: toTradingViewInterval(interval),
     timeframe: timeframe
   });
   
@@ -70,7 +73,7 @@ export function extractSymbolFromUrl(url) {
     const urlObj = new URL(url);
     const symbol = urlObj.searchParams.get('symbol');
     if (symbol && symbol.endsWith('USDT')) {
-      return symbol.replace('USDT', '');
+      return symbol.replace(/^[A-Z0-9]+:/, '').replace('USDT', '');
     }
     return null;
   } catch (error) {
@@ -0,0 +1,210 @@
+/**
+ * Candle Storage for OHLC history
+ *
+ * Stores daily candles per symbol as append-only JSON Lines files
+ * (<baseDir>/<SYMBOL>.jsonl, one { timestamp, open, high, low, close, volume }
+ * per line) with a metadata file per symbol recording the coin id, range and
+ * detected gaps. Existing lines are never rewritten; updates only append
+ * candles newer than the last stored one.
+ */
+
+import { appendFileSync, readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find missing intervals in a sorted candle series
+ * @param {Array<Object>} candles - Candles sorted by timestamp
+ * @param {number} intervalMs - Expected spacing (daily by default)
+ * @returns {Array<Object>} { from, to, missing } where from/to are the candles around the hole
+ */
+export function detectGaps(candles, intervalMs = DAY_MS) {
+  const gaps = [];
+  for (let i = 1; i < candles.length; i++) {
+    const step = candles[i].timestamp - candles[i - 1].timestamp;
+    if (step > intervalMs * 1.5) {
+      gaps.push({
+        from: new Date(candles[i - 1].timestamp).toISOString(),
+        to: new Date(candles[i].timestamp).toISOString(),
+        missing: Math.round(step / intervalMs) - 1
+      });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Validate a single candle
+ */
+const isValidCandle = (candle) =>
+  candle &&
+  Number.isFinite(candle.timestamp) &&
+  ['open', 'high', 'low', 'close'].every(k => Number.isFinite(candle[k]) && candle[k] > 0) &&
+  candle.high >= candle.low;
+
+/**
+ * Append-only per-symbol candle store
+ */
+export class CandleStorage {
+  constructor(baseDir = './data/ohlc') {
+    this.baseDir = baseDir;
+    this.metadataDir = join(baseDir, 'metadata');
+    this.initializeStorage();
+  }
+
+  /**
+   * Initialize storage directories
+   */
+  initializeStorage() {
+    [this.baseDir, this.metadataDir].forEach(dir => {
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  getCandlePath(symbol) {
+    return join(this.baseDir, `${symbol.toUpperCase()}.jsonl`);
+  }
+
+  getMetadataPath(symbol) {
+    return join(this.metadataDir, `${symbol.toUpperCase()}.json`);
+  }
+
+  /**
+   * Read stored candles for a symbol
+   */
+  readCandles(symbol) {
+    try {
+      const filePath = this.getCandlePath(symbol);
+      if (!existsSync(filePath)) {
+        return { success: true, data: [] };
+      }
+      const candles = readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+      return { success: true, data: candles };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Read the metadata for a symbol (null when nothing is stored yet)
+   */
+  readMetadata(symbol) {
+    const filePath = this.getMetadataPath(symbol);
+    if (!existsSync(filePath)) return null;
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Timestamp of the newest stored candle, or null
+   */
+  getLastTimestamp(symbol) {
+    const metadata = this.readMetadata(symbol);
+    if (metadata?.lastTimestamp) return metadata.lastTimestamp;
+    const result = this.readCandles(symbol);
+    return result.success && result.data.length > 0 ? result.data[result.data.length - 1].timestamp : null;
+  }
+
+  /**
+   * Append candles newer than the last stored one
+   * @param {string} symbol - Coin symbol (file key)
+   * @param {Array<Object>} candles - New candles (any order, may overlap stored data)
+   * @param {Object} info - { coinId, source } recorded in metadata
+   * @returns {Object} { success, appended, skipped, gaps, newGaps }
+   */
+  appendCandles(symbol, candles, info = {}) {
+    try {
+      const metadata = this.readMetadata(symbol);
+      // Two coins can share a ticker; never mix their histories in one file
+      if (metadata?.coinId && info.coinId && metadata.coinId !== info.coinId) {
+        throw new Error(`${symbol} is already stored for ${metadata.coinId}, refusing to append ${info.coinId}`);
+      }
+
+      const existing = this.readCandles(symbol);
+      if (!existing.success) {
+        throw new Error(existing.error);
+      }
+      const stored = existing.data;
+      const lastTimestamp = stored.length > 0 ? stored[stored.length - 1].timestamp : -Infinity;
+
+      // Append-only: drop anything at or before the last stored candle, dedupe, sort
+      const byTimestamp = new Map();
+      let invalid = 0;
+      candles.forEach(candle => {
+        if (!isValidCandle(candle)) {
+          invalid++;
+          return;
+        }
+        if (candle.timestamp > lastTimestamp) {
+          byTimestamp.set(candle.timestamp, candle);
+        }
+      });
+      const fresh = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+      const boundary = stored.length > 0 ? [stored[stored.length - 1], ...fresh] : fresh;
+      const newGaps = detectGaps(boundary);
+
+      if (fresh.length > 0) {
+        const lines = fresh.map(c => JSON.stringify({
+          timestamp: c.timestamp,
+          open: c.open,
+          high: c.high,
+          low: c.low,
+          close: c.close,
+          volume: c.volume ?? null
+        }));
+        appendFileSync(this.getCandlePath(symbol), lines.join('\n') + '\n', 'utf8');
+      }
+
+      const all = [...stored, ...fresh];
+      const updated = {
+        symbol: symbol.toUpperCase(),
+        coinId: metadata?.coinId || info.coinId || null,
+        source: info.source || metadata?.source || null,
+        count: all.length,
+        firstTimestamp: all.length > 0 ? all[0].timestamp : null,
+        lastTimestamp: all.length > 0 ? all[all.length - 1].timestamp : null,
+        gaps: [...(metadata?.gaps || []), ...newGaps],
+        updatedAt: new Date().toISOString()
+      };
+      writeFileSync(this.getMetadataPath(symbol), JSON.stringify(updated, null, 2), 'utf8');
+
+      return {
+        success: true,
+        appended: fresh.length,
+        skipped: candles.length - fresh.length - invalid,
+        invalid,
+        newGaps,
+        gaps: updated.gaps
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get storage statistics
+   */
+  getStorageStats() {
+    try {
+      const files = readdirSync(this.baseDir).filter(f => f.endsWith('.jsonl'));
+      let totalSize = 0;
+      let totalGaps = 0;
+      files.forEach(file => {
+        totalSize += statSync(join(this.baseDir, file)).size;
+        totalGaps += this.readMetadata(file.replace(/\.jsonl$/, ''))?.gaps?.length || 0;
+      });
+      return {
+        success: true,
+        data: { symbols: files.length, totalSize, totalGaps }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,386 @@
+/**
+ * Strategy Backtester (Step 5: Strategy Management)
+ *
+ * Replays a time series of trend-analysis snapshots against daily OHLC
+ * closes: on every rebalance date the strategy picks target positions from
+ * the latest snapshot known at that date, the portfolio is traded to those
+ * weights at the close, and equity is marked to market daily. Position
+ * exits that need no snapshot (stop loss, take profit, max holding period)
+ * are checked at every daily close, not only on rebalance dates. Runs
+ * entirely from local files.
+ *
+ * Usage: node src/strategy/backtester.js <snapshots-dir> <ohlc-dir> [output-dir]
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadSnapshots } from './snapshots.js';
+import { loadStrategy, loadMarketData } from './strategy-dsl.js';
+import { loadCandles } from '../evaluation/ground-truth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * "Long the top-N coin_rank <trend> coins" style strategy
+ * @param {Object} options - { trend, topN, side, minConfidence, excludeHighDisagreement }
+ * @returns {Object} Strategy with select(snapshot) => [{ symbol, weight, side }]
+ */
+export function topNStrategy(options = {}) {
+  const {
+    trend = 'up',
+    topN = 5,
+    side = 'long',
+    minConfidence = 0,
+    excludeHighDisagreement = false
+  } = options;
+
+  return {
+    name: `${side} top-${topN} ${trend}`,
+    select(snapshot) {
+      const picks = snapshot.coins
+        .filter(c => c.trend === trend && c.confidence >= minConfidence)
+        .filter(c => !(excludeHighDisagreement && c.high_disagreement))
+        .sort((a, b) => (a.coin_rank ?? Infinity) - (b.coin_rank ?? Infinity))
+        .slice(0, topN);
+      return picks.map(c => ({ symbol: c.symbol, weight: 1 / picks.length, side }));
+    }
+  };
+}
+
+/**
+ * Backtester Class
+ */
+export class Backtester {
+  constructor(config = {}) {
+    this.config = {
+      initialCapital: 10000,
+      rebalanceDays: 7, // Weekly rebalance
+      feeBps: 10, // 0.10% per side
+      slippageBps: 5,
+      startDate: null, // Defaults to the first snapshot date
+      endDate: null, // Defaults to the last date with any price
+      annualizationDays: 365, // Crypto trades every day
+      ...config
+    };
+  }
+
+  /**
+   * Run a backtest
+   *
+   * `strategy.select(snapshot, context)` receives the open positions in
+   * `context.positions` so rule sets from strategy-dsl.js can apply exits;
+   * `strategy.positionExitReason(position, { date, price })`, when present,
+   * closes positions on any day.
+   * @param {Object} params - { snapshots, getCandles, strategy }
+   * @returns {Object} { equityCurve, trades, metrics, warnings }
+   */
+  run({ snapshots, getCandles, strategy }) {
+    if (!snapshots || snapshots.length === 0) {
+      throw new Error('No snapshots to backtest');
+    }
+
+    // Daily close lookup for every coin that appears in any snapshot
+    const closes = new Map();
+    let lastPriceTimestamp = 0;
+    const symbols = new Set(snapshots.flatMap(s => s.coins.map(c => c.symbol)));
+    symbols.forEach(symbol => {
+      const candles = getCandles(symbol);
+      if (!candles || candles.length === 0) return;
+      closes.set(symbol, new Map(candles.map(c => [toDateKey(c.timestamp), c.close])));
+      lastPriceTimestamp = Math.max(lastPriceTimestamp, candles[candles.length - 1].timestamp);
+    });
+
+    const startMs = this.config.startDate ? Date.parse(`${this.config.startDate}T00:00:00Z`) : snapshots[0].timestamp;
+    const endMs = this.config.endDate ? Date.parse(`${this.config.endDate}T00:00:00Z`) : lastPriceTimestamp;
+    if (!(endMs >= startMs)) {
+      throw new Error('No OHLC data on or after the first snapshot date');
+    }
+
+    let cash = this.config.initialCapital;
+    const positions = new Map(); // symbol -> { quantity (negative = short), avgPrice, entryDate }
+    const lastPrice = new Map();
+    const equityCurve = [];
+    const trades = [];
+    const warnings = new Set();
+    let peak = cash;
+    let tradedNotional = 0;
+    let rebalances = 0;
+
+    const markToMarket = () => {
+      let value = cash;
+      positions.forEach((pos, symbol) => {
+        value += pos.quantity * (lastPrice.get(symbol) ?? pos.avgPrice);
+      });
+      return value;
+    };
+
+    const trade = (date, symbol, quantity, price, reason) => {
+      const slip = price * (this.config.slippageBps / 10000) * Math.sign(quantity);
+      const execPrice = price + slip;
+      const notional = quantity * execPrice;
+      const fee = Math.abs(notional) * (this.config.feeBps / 10000);
+      const pos = positions.get(symbol) || { quantity: 0, avgPrice: 0, entryDate: date };
+
+      // Realised P&L on the part of the trade that reduces an existing position
+      let realisedPnl = 0;
+      if (pos.quantity !== 0 && Math.sign(quantity) !== Math.sign(pos.quantity)) {
+        const closed = Math.min(Math.abs(quantity), Math.abs(pos.quantity));
+        realisedPnl = closed * (execPrice - pos.avgPrice) * Math.sign(pos.quantity);
+      }
+
+      const newQuantity = pos.quantity + quantity;
+      let avgPrice = pos.avgPrice;
+      let entryDate = pos.entryDate;
+      if (Math.abs(newQuantity) < 1e-12) {
+        positions.delete(symbol);
+      } else {
+        if (Math.sign(newQuantity) !== Math.sign(pos.quantity)) {
+          avgPrice = execPrice; // Opened or flipped
+          entryDate = date;
+        } else if (Math.abs(newQuantity) > Math.abs(pos.quantity)) {
+          avgPrice = (pos.avgPrice * pos.quantity + execPrice * quantity) / newQuantity;
+        }
+        positions.set(symbol, { quantity: newQuantity, avgPrice, entryDate });
+      }
+
+      cash -= notional + fee;
+      tradedNotional += Math.abs(notional);
+      trades.push({
+        date,
+        symbol,
+        action: quantity > 0 ? 'buy' : 'sell',
+        quantity,
+        price: execPrice,
+        notional,
+        fee,
+        realised_pnl: realisedPnl - fee,
+        position_after: newQuantity,
+        reason
+      });
+    };
+
+    // Strategy files may pin their own rebalance cadence
+    const rebalanceDays = strategy.rebalanceDays || this.config.rebalanceDays;
+    let snapshotIndex = -1;
+    for (let dayMs = startMs, dayNumber = 0; dayMs <= endMs; dayMs += DAY_MS, dayNumber++) {
+      const date = toDateKey(dayMs);
+      closes.forEach((byDate, symbol) => {
+        if (byDate.has(date)) lastPrice.set(symbol, byDate.get(date));
+      });
+
+      // Stops, targets and holding limits trigger on any day at the close
+      if (typeof strategy.positionExitReason === 'function') {
+        [...positions.entries()].forEach(([symbol, pos]) => {
+          const price = closes.get(symbol)?.get(date);
+          const reason = price ? strategy.positionExitReason(pos, { date, price }) : null;
+          if (reason) trade(date, symbol, -pos.quantity, price, reason);
+        });
+      }
+
+      // Only snapshots published on or before today are visible
+      while (snapshotIndex + 1 < snapshots.length && snapshots[snapshotIndex + 1].timestamp <= dayMs) {
+        snapshotIndex++;
+      }
+
+      if (dayNumber % rebalanceDays === 0 && snapshotIndex >= 0) {
+        const snapshot = snapshots[snapshotIndex];
+        const openPositions = [...positions.entries()].map(([symbol, pos]) => ({ symbol, ...pos, price: lastPrice.get(symbol) }));
+        const targets = strategy.select(snapshot, { date, positions: openPositions });
+        // Leave room for trading costs so full-weight targets don't overdraw cash
+        const investable = markToMarket() / (1 + (this.config.feeBps + this.config.slippageBps) / 10000);
+        const targetQuantities = new Map();
+
+        targets.forEach(target => {
+          const price = lastPrice.get(target.symbol);
+          if (!price) {
+            warnings.add(`No price for ${target.symbol} on ${date}; target skipped`);
+            return;
+          }
+          const sign = target.side === 'short' ? -1 : 1;
+          targetQuantities.set(target.symbol, (sign * target.weight * investable) / price);
+        });
+
+        const touched = new Set([...positions.keys(), ...targetQuantities.keys()]);
+        touched.forEach(symbol => {
+          const price = lastPrice.get(symbol);
+          if (!price) {
+            warnings.add(`No price for held ${symbol} on ${date}; position carried`);
+            return;
+          }
+          const current = positions.get(symbol)?.quantity || 0;
+          const target = targetQuantities.get(symbol) || 0;
+          const delta = target - current;
+          if (Math.abs(delta * price) < 0.01) return;
+          const reason = target === 0 ? 'exit' : current === 0 ? 'entry' : 'rebalance';
+          trade(date, symbol, delta, price, reason);
+        });
+        rebalances++;
+      }
+
+      const equity = markToMarket();
+      peak = Math.max(peak, equity);
+      const previous = equityCurve[equityCurve.length - 1];
+      equityCurve.push({
+        date,
+        equity,
+        cash,
+        positions: positions.size,
+        gross_exposure: [...positions.entries()].reduce((sum, [symbol, pos]) => sum + Math.abs(pos.quantity * (lastPrice.get(symbol) ?? pos.avgPrice)), 0),
+        daily_return: previous ? equity / previous.equity - 1 : 0,
+        drawdown: peak > 0 ? equity / peak - 1 : 0
+      });
+    }
+
+    return {
+      strategy: strategy.name,
+      strategyDefinition: strategy.definition || null,
+      config: { ...this.config, rebalanceDays },
+      equityCurve,
+      trades,
+      metrics: this.computeMetrics(equityCurve, trades, tradedNotional, rebalances),
+      warnings: [...warnings]
+    };
+  }
+
+  /**
+   * Summary statistics for an equity curve
+   * @param {Array<Object>} equityCurve - Daily points
+   * @param {Array<Object>} trades - Trade log
+   * @param {number} tradedNotional - Sum of absolute traded notional
+   * @param {number} rebalances - Number of rebalance events
+   * @returns {Object} Metrics
+   */
+  computeMetrics(equityCurve, trades, tradedNotional, rebalances) {
+    const { initialCapital, annualizationDays } = this.config;
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+    const days = equityCurve.length;
+    const returns = equityCurve.slice(1).map(p => p.daily_return);
+
+    const meanReturn = returns.length > 0 ? returns.reduce((s, r) => s + r, 0) / returns.length : 0;
+    const variance = returns.length > 1
+      ? returns.reduce((s, r) => s + (r - meanReturn) ** 2, 0) / (returns.length - 1)
+      : 0;
+    const stdReturn = Math.sqrt(variance);
+
+    const worst = equityCurve.reduce((min, p) => (p.drawdown < min.drawdown ? p : min), equityCurve[0]);
+    const averageEquity = equityCurve.reduce((s, p) => s + p.equity, 0) / days;
+    const years = days / annualizationDays;
+
+    return {
+      start_date: equityCurve[0].date,
+      end_date: equityCurve[equityCurve.length - 1].date,
+      days,
+      initial_capital: initialCapital,
+      final_equity: finalEquity,
+      total_return: finalEquity / initialCapital - 1,
+      cagr: years > 0 && finalEquity > 0 ? Math.pow(finalEquity / initialCapital, 1 / years) - 1 : null,
+      volatility: stdReturn * Math.sqrt(annualizationDays),
+      sharpe: stdReturn > 0 ? (meanReturn / stdReturn) * Math.sqrt(annualizationDays) : null,
+      max_drawdown: worst.drawdown,
+      max_drawdown_date: worst.date,
+      // Turnover: traded notional relative to average equity
+      turnover: tradedNotional / averageEquity,
+      annual_turnover: years > 0 ? tradedNotional / averageEquity / years : null,
+      rebalances,
+      trade_count: trades.length,
+      total_fees: trades.reduce((s, t) => s + t.fee, 0)
+    };
+  }
+}
+
+const toCsv = (headers, rows) => {
+  const lines = [headers.join(',')];
+  rows.forEach(row => {
+    lines.push(headers.map(h => {
+      const v = row[h];
+      const s = typeof v === 'number' ? String(Number(v.toFixed(8))) : String(v ?? '');
+      return /[,"]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(','));
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Write equity curve, trade log and summary files
+ * @param {Object} result - Backtester.run result
+ * @param {string} outputDir - Output directory
+ * @returns {Object} Written file paths
+ */
+export function saveBacktestResults(result, outputDir) {
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+  const files = {
+    equity: join(outputDir, 'backtest-equity.csv'),
+    trades: join(outputDir, 'backtest-trades.csv'),
+    summary: join(outputDir, 'backtest-summary.json')
+  };
+  writeFileSync(files.equity, toCsv(['date', 'equity', 'cash', 'positions', 'gross_exposure', 'daily_return', 'drawdown'], result.equityCurve), 'utf8');
+  writeFileSync(files.trades, toCsv(['date', 'symbol', 'action', 'quantity', 'price', 'notional', 'fee', 'realised_pnl', 'position_after', 'reason'], result.trades), 'utf8');
+  writeFileSync(files.summary, JSON.stringify({
+    strategy: result.strategy,
+    strategyDefinition: result.strategyDefinition,
+    config: result.config,
+    metrics: result.metrics,
+    warnings: result.warnings
+  }, null, 2), 'utf8');
+  return files;
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const snapshotsDir = process.argv[2];
+  const ohlcDir = process.argv[3];
+  const outputDir = process.argv[4] || 'backtest-results';
+  if (!snapshotsDir || !ohlcDir) {
+    console.error('Usage: node src/strategy/backtester.js <snapshots-dir> <ohlc-dir> [output-dir]');
+    process.exit(1);
+  }
+
+  try {
+    // BACKTEST_TREND / BACKTEST_TOP_N / BACKTEST_SIDE pick the rule; BACKTEST_REBALANCE_DAYS,
+    // BACKTEST_FEE_BPS, BACKTEST_SLIPPAGE_BPS and BACKTEST_INITIAL_CAPITAL tune the simulation
+    // BACKTEST_STRATEGY=<file.json|yaml> runs a declarative strategy (strategy-dsl.js) instead;
+    // BACKTEST_MARKET_DATA=<usdt-trading-pairs.csv> feeds its rank / volume universe filters
+    const marketData = process.env.BACKTEST_MARKET_DATA ? loadMarketData(process.env.BACKTEST_MARKET_DATA) : null;
+    const strategy = process.env.BACKTEST_STRATEGY ? await loadStrategy(process.env.BACKTEST_STRATEGY, { marketData }) : topNStrategy({
+      trend: (process.env.BACKTEST_TREND || 'up').toLowerCase(),
+      topN: parseInt(process.env.BACKTEST_TOP_N || '5', 10),
+      side: process.env.BACKTEST_SIDE || 'long',
+      minConfidence: Number(process.env.BACKTEST_MIN_CONFIDENCE || '0'),
+      excludeHighDisagreement: process.env.BACKTEST_EXCLUDE_DISAGREEMENT === '1'
+    });
+    const backtester = new Backtester({
+      rebalanceDays: parseInt(process.env.BACKTEST_REBALANCE_DAYS || '7', 10),
+      feeBps: Number(process.env.BACKTEST_FEE_BPS || '10'),
+      slippageBps: Number(process.env.BACKTEST_SLIPPAGE_BPS || '5'),
+      initialCapital: Number(process.env.BACKTEST_INITIAL_CAPITAL || '10000'),
+      startDate: process.env.BACKTEST_START_DATE || null,
+      endDate: process.env.BACKTEST_END_DATE || null
+    });
+
+    const snapshots = loadSnapshots(snapshotsDir);
+    console.log(`📂 Loaded ${snapshots.length} snapshots (${snapshots[0]?.date ?? '-'} → ${snapshots[snapshots.length - 1]?.date ?? '-'})`);
+    console.log(`📐 Strategy: ${strategy.name}, rebalance every ${strategy.rebalanceDays || backtester.config.rebalanceDays}d`);
+
+    const result = backtester.run({ snapshots, getCandles: (symbol) => loadCandles(ohlcDir, symbol), strategy });
+    const m = result.metrics;
+
+    console.log('\n📊 BACKTEST RESULTS');
+    console.log('===================');
+    console.log(`Period:        ${m.start_date} → ${m.end_date} (${m.days} days)`);
+    console.log(`Final equity:  ${m.final_equity.toFixed(2)} (${(m.total_return * 100).toFixed(2)}%)`);
+    console.log(`Sharpe:        ${m.sharpe === null ? '-' : m.sharpe.toFixed(3)}`);
+    console.log(`Max drawdown:  ${(m.max_drawdown * 100).toFixed(2)}% on ${m.max_drawdown_date}`);
+    console.log(`Turnover:      ${m.turnover.toFixed(2)}x (${m.trade_count} trades, fees ${m.total_fees.toFixed(2)})`);
+    result.warnings.slice(0, 10).forEach(w => console.warn(`⚠️  ${w}`));
+
+    const files = saveBacktestResults(result, outputDir);
+    console.log(`\n💾 Results saved to ${files.equity}, ${files.trades} and ${files.summary}`);
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Backtester, topNStrategy } from './backtester.js';
+import { compileStrategy } from './strategy-dsl.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+const candles = (closes) => closes.map((close, i) => ({ timestamp: START + i * DAY_MS, open: close, high: close, low: close, close }));
+
+const snapshot = (day, coins) => ({
+  timestamp: START + day * DAY_MS,
+  coins: coins.map(([symbol, trend, confidence, rank]) => ({
+    symbol, trend, confidence, coin_rank: rank, trends: { [trend]: { rank } }
+  }))
+});
+
+const strategy = (exit) => compileStrategy({
+  name: 'long-up',
+  version: '1.0.0',
+  rebalanceDays: 7,
+  entry: { field: 'trend', op: 'eq', value: 'Up' },
+  exit,
+  sizing: { method: 'equal', maxPositions: 1 }
+});
+
+const noCosts = { feeBps: 0, slippageBps: 0, initialCapital: 1000 };
+
+test('stop loss triggers on the day it is hit, between rebalances', () => {
+  const result = new Backtester(noCosts).run({
+    snapshots: [snapshot(0, [['AAA', 'up', 0.8, 1]])],
+    getCandles: () => candles([100, 95, 85, 80, 90, 100, 110, 120]),
+    strategy: strategy({ stopLoss: 0.1 })
+  });
+  const exit = result.trades.find(t => t.reason === 'stop loss');
+  assert.ok(exit, 'stop loss trade');
+  assert.equal(exit.date, '2024-01-03');
+  assert.equal(result.equityCurve.find(p => p.date === '2024-01-04').positions, 0);
+  assert.ok(Math.abs(result.equityCurve.find(p => p.date === '2024-01-04').equity - 850) < 1e-6);
+});
+
+test('take profit closes the position at that close', () => {
+  const result = new Backtester(noCosts).run({
+    snapshots: [snapshot(0, [['AAA', 'up', 0.8, 1]])],
+    getCandles: () => candles([100, 110, 125, 130]),
+    strategy: strategy({ takeProfit: 0.2 })
+  });
+  const exit = result.trades.find(t => t.reason === 'take profit');
+  assert.equal(exit.date, '2024-01-03');
+  assert.ok(Math.abs(result.equityCurve[result.equityCurve.length - 1].equity - 1250) < 1e-6);
+});
+
+test('rebalances only on the cadence without position exits', () => {
+  const result = new Backtester(noCosts).run({
+    snapshots: [snapshot(0, [['AAA', 'up', 0.8, 1]]), snapshot(3, [['AAA', 'down', 0.8, 1]])],
+    getCandles: () => candles([100, 100, 100, 100, 100, 100, 100, 100]),
+    strategy: topNStrategy({ topN: 1 })
+  });
+  assert.deepEqual(result.trades.map(t => [t.date, t.reason]), [['2024-01-01', 'entry'], ['2024-01-08', 'exit']]);
+  assert.equal(result.metrics.start_date, '2024-01-01');
+});
+
+test('run needs snapshots', () => {
+  assert.throws(() => new Backtester().run({ snapshots: [], getCandles: () => [], strategy: topNStrategy() }), /No snapshots/);
+});
@@ -0,0 +1,200 @@
+/**
+ * Trend-analysis snapshot loading
+ *
+ * Reads a time series of trend-analysis-table.csv (trend-analysis-v3.js) or
+ * ai-analysis-rankings.csv (analyze-pseudonyms.ts) files and normalizes
+ * each into one record per coin, so strategies see the same shape
+ * regardless of which pipeline produced the snapshot. A sibling
+ * trend-analysis-details.csv (extended schema) adds pattern and level
+ * detail to each coin as `details`.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { dirname, join, relative, basename } from 'path';
+import { TRENDS } from '../analysis/ensemble.js';
+
+export const SNAPSHOT_FILES = ['trend-analysis-table.csv', 'ai-analysis-rankings.csv'];
+
+export const DETAIL_FILE = 'trend-analysis-details.csv';
+
+/**
+ * Parse CSV text (double-quoted fields with "" escapes, as written by the pipeline)
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} Rows keyed by header
+ */
+export function parseCsv(content) {
+  const records = [];
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (inQuotes) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers, ...rows] = records.filter(r => r.length > 1 || r[0] !== '');
+  if (!headers) return [];
+  return rows.map(cells => Object.fromEntries(headers.map((h, i) => [h.trim(), cells[i] ?? ''])));
+}
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return value === '' || value === undefined || isNaN(n) ? null : n;
+};
+
+const dominantTrend = (trends) =>
+  TRENDS.reduce((best, t) => ((trends[t]?.confidence ?? -1) > (trends[best]?.confidence ?? -1) ? t : best), TRENDS[0]);
+
+const toList = (value) => String(value ?? '').split(';').map(v => v.trim()).filter(Boolean);
+
+// Detail file for a trend table (same name with -details instead of -table, so dated
+// copies pair up): pair -> { strength, volatility, patterns, top_pattern, ..., support, resistance }
+const loadDetails = (tablePath, primaryTimeframe) => {
+  const detailPath = join(dirname(tablePath), basename(tablePath).replace('trend-analysis-table', DETAIL_FILE.replace(/\.csv$/, '')));
+  if (detailPath === tablePath || !existsSync(detailPath)) return new Map();
+  const rows = parseCsv(readFileSync(detailPath, 'utf8'))
+    .filter(row => primaryTimeframe === undefined || row.timeframe === undefined || row.timeframe === primaryTimeframe);
+  return new Map(rows.map(row => [row.pair, {
+    strength: row.strength || null,
+    volatility: row.volatility || null,
+    patterns: toList(row.patterns),
+    top_pattern: row.top_pattern || null,
+    top_pattern_bias: row.top_pattern_bias || null,
+    top_pattern_c: toNumber(row.top_pattern_c),
+    support: toList(row.support).map(Number),
+    resistance: toList(row.resistance).map(Number)
+  }]));
+};
+
+// trend-analysis-table.csv: three rows per coin (Up / Down / Sideways); multi-timeframe
+// tables repeat them per timeframe, and only the first (primary) timeframe is kept
+const coinsFromTrendTable = (rows, details = new Map()) => {
+  const primaryTimeframe = rows[0].timeframe;
+  const byPair = new Map();
+  rows.forEach(row => {
+    const trend = String(row.trend).toLowerCase();
+    if (!TRENDS.includes(trend)) return;
+    if (primaryTimeframe !== undefined && row.timeframe !== primaryTimeframe) return;
+    if (!byPair.has(row.pair)) {
+      byPair.set(row.pair, {
+        symbol: row.pair,
+        id: row.id,
+        coin_rank: toNumber(row.coin_rank),
+        high_disagreement: row.high_disagreement === 'Yes',
+        ...(primaryTimeframe !== undefined ? { timeframe: primaryTimeframe, tf_trends: row.tf_trends || null } : {}),
+        ...(details.has(row.pair) ? { details: details.get(row.pair) } : {}),
+        trends: {}
+      });
+    }
+    byPair.get(row.pair).trends[trend] = {
+      confidence: toNumber(row.trend_c) ?? 0,
+      countertrend: row.countertrend || null,
+      counter_conf: toNumber(row.countertrend_c),
+      rank: toNumber(row.rank),
+      ...(primaryTimeframe !== undefined ? { tf_alignment: toNumber(row.tf_alignment) } : {})
+    };
+  });
+
+  return [...byPair.values()].map(coin => {
+    const trend = dominantTrend(coin.trends);
+    return { ...coin, trend, confidence: coin.trends[trend].confidence };
+  });
+};
+
+// ai-analysis-rankings.csv: one row per coin, already ranked by coin_score
+const coinsFromRankings = (rows) => rows.map(row => {
+  const trends = {
+    up: { confidence: toNumber(row.up_conf) ?? 0 },
+    down: { confidence: toNumber(row.down_conf) ?? 0 },
+    sideways: { confidence: toNumber(row.sideways_conf) ?? 0 }
+  };
+  const trend = dominantTrend(trends);
+  return {
+    symbol: String(row.symbol).toUpperCase().replace(/USDT$/, ''),
+    id: row.pseudonym,
+    coin_rank: toNumber(row.rank),
+    high_disagreement: false,
+    trends,
+    trend,
+    confidence: trends[trend].confidence
+  };
+});
+
+/**
+ * Parse one snapshot file into per-coin records
+ * @param {string} filePath - trend-analysis-table.csv or ai-analysis-rankings.csv
+ * @returns {Array<Object>} { symbol, id, coin_rank, trend, confidence, trends, high_disagreement, details? }
+ */
+export function parseSnapshotFile(filePath) {
+  const rows = parseCsv(readFileSync(filePath, 'utf8'));
+  if (rows.length === 0) return [];
+  if ('pair' in rows[0] && 'trend' in rows[0]) {
+    return coinsFromTrendTable(rows, loadDetails(filePath, rows[0].timeframe));
+  }
+  if ('symbol' in rows[0] && 'up_conf' in rows[0]) {
+    return coinsFromRankings(rows);
+  }
+  throw new Error(`Unrecognized snapshot format: ${filePath}`);
+}
+
+const walk = (dir) => readdirSync(dir).flatMap(name => {
+  const fullPath = join(dir, name);
+  return statSync(fullPath).isDirectory() ? walk(fullPath) : [fullPath];
+});
+
+/**
+ * Load every dated snapshot under a directory
+ *
+ * The snapshot date is the first YYYY-MM-DD found in the path relative to
+ * `snapshotsDir`, e.g. 2025-01-06/trend-analysis-table.csv or
+ * ai-analysis-rankings_2025-01-06.csv. Undated files are skipped.
+ * @param {string} snapshotsDir - Root directory
+ * @returns {Array<Object>} { date, timestamp, source, coins } sorted by date
+ */
+export function loadSnapshots(snapshotsDir) {
+  const snapshots = [];
+  walk(snapshotsDir).forEach(filePath => {
+    const name = basename(filePath);
+    if (!SNAPSHOT_FILES.some(f => name.startsWith(f.replace(/\.csv$/, '')) && name.endsWith('.csv'))) return;
+
+    const match = relative(snapshotsDir, filePath).match(/(\d{4}-\d{2}-\d{2})/);
+    if (!match) {
+      console.warn(`⚠️  Skipping undated snapshot ${filePath}`);
+      return;
+    }
+    snapshots.push({
+      date: match[1],
+      timestamp: Date.parse(`${match[1]}T00:00:00Z`),
+      source: filePath,
+      coins: parseSnapshotFile(filePath)
+    });
+  });
+  return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+}
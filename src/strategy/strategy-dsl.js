@@ -0,0 +1,545 @@
+/**
+ * Declarative strategy definitions
+ *
+ * Strategies are versioned JSON/YAML files instead of ad-hoc scripts. A
+ * definition is validated strictly against STRATEGY_SCHEMA (unknown keys,
+ * fields and operators are rejected) and compiled into an executable rule
+ * set that the backtester can run.
+ *
+ * Example (YAML):
+ *
+ *   name: long-top5-up
+ *   version: 1.0.0
+ *   side: long
+ *   rebalanceDays: 7
+ *   universe:
+ *     maxRank: 100            # USDTPair.rank (market cap rank)
+ *     minVolume24h: 10000000  # USDTPair.volume24h
+ *     exclude: [USDC, FDUSD]
+ *   entry:
+ *     all:
+ *       - { field: trend, op: eq, value: Up }
+ *       - { field: trend_c, op: gte, value: 0.6 }
+ *       - { field: coin_rank, op: lte, value: 20 }
+ *   exit:
+ *     any:
+ *       - { field: trend, op: neq, value: Up }
+ *     stopLoss: 0.15
+ *     maxHoldingDays: 60
+ *   sizing:
+ *     method: confidence
+ *     maxPositions: 5
+ *     maxWeight: 0.3
+ *
+ * stopLoss, takeProfit and maxHoldingDays only need the position and the
+ * day's price, so the backtester checks them every day (positionExitReason);
+ * the other exit rules are applied when the strategy rebalances.
+ *
+ * JSON definitions need nothing beyond Node; YAML files need the optional
+ * `yaml` package (npm install yaml).
+ *
+ * Snapshots with a trend-analysis-details.csv (extended schema) also expose
+ * pattern fields, e.g. { field: patterns, op: has, value: double_bottom } or
+ * { field: strength, op: in, value: [moderate, strong] }.
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parseCsv } from './snapshots.js';
+
+// Trend table columns a condition may reference
+export const CONDITION_FIELDS = {
+  trend: 'string',
+  trend_c: 'number',
+  countertrend: 'string',
+  counter_conf: 'number',
+  rank: 'number',
+  coin_rank: 'number',
+  strength: 'string',
+  volatility: 'string',
+  patterns: 'list',
+  top_pattern: 'string',
+  top_pattern_bias: 'string',
+  top_pattern_c: 'number'
+};
+
+export const CONDITION_OPERATORS = {
+  eq: ['string', 'number'],
+  neq: ['string', 'number'],
+  gt: ['number'],
+  gte: ['number'],
+  lt: ['number'],
+  lte: ['number'],
+  in: ['string', 'number'],
+  has: ['list'] // list field contains the (string) value
+};
+
+export const SIZING_METHODS = ['equal', 'confidence', 'fixed'];
+
+const CONDITION_SCHEMA = { type: 'condition' };
+
+// Strategy schema (same dialect as TREND_ANALYSIS_SCHEMA plus arrays, booleans and conditions)
+export const STRATEGY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'version', 'entry', 'sizing'],
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z0-9._-]+$' },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    description: { type: 'string' },
+    side: { type: 'string', enum: ['long', 'short'] },
+    rebalanceDays: { type: 'number', integer: true, minimum: 1 },
+    universe: {
+      type: 'object',
+      properties: {
+        maxRank: { type: 'number', integer: true, minimum: 1 },
+        minVolume24h: { type: 'number', minimum: 0 },
+        minMarketCap: { type: 'number', minimum: 0 },
+        include: { type: 'array', items: { type: 'string' } },
+        exclude: { type: 'array', items: { type: 'string' } },
+        excludeHighDisagreement: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    entry: CONDITION_SCHEMA,
+    exit: {
+      type: 'object',
+      properties: {
+        all: { type: 'array', minItems: 1, items: CONDITION_SCHEMA },
+        any: { type: 'array', minItems: 1, items: CONDITION_SCHEMA },
+        stopLoss: { type: 'number', minimum: 0, maximum: 1 },
+        takeProfit: { type: 'number', minimum: 0 },
+        maxHoldingDays: { type: 'number', integer: true, minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    sizing: {
+      type: 'object',
+      required: ['method', 'maxPositions'],
+      properties: {
+        method: { type: 'string', enum: SIZING_METHODS },
+        maxPositions: { type: 'number', integer: true, minimum: 1 },
+        weight: { type: 'number', minimum: 0, maximum: 1 },
+        maxWeight: { type: 'number', minimum: 0, maximum: 1 },
+        grossExposure: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Condition nodes: { all: [...] } | { any: [...] } | { not: {...} } | { field, op, value }
+function validateCondition(node, path) {
+  if (typeOf(node) !== 'object') {
+    throw new Error(`Expected condition object at ${path}, got ${typeOf(node)}`);
+  }
+  const keys = Object.keys(node);
+
+  for (const group of ['all', 'any']) {
+    if (group in node) {
+      if (keys.length !== 1) {
+        throw new Error(`Condition group '${group}' cannot be combined with other keys at ${path}`);
+      }
+      if (!Array.isArray(node[group]) || node[group].length === 0) {
+        throw new Error(`Expected non-empty array at ${path}.${group}`);
+      }
+      node[group].forEach((child, i) => validateCondition(child, `${path}.${group}[${i}]`));
+      return;
+    }
+  }
+
+  if ('not' in node) {
+    if (keys.length !== 1) {
+      throw new Error(`Condition 'not' cannot be combined with other keys at ${path}`);
+    }
+    validateCondition(node.not, `${path}.not`);
+    return;
+  }
+
+  for (const prop of keys) {
+    if (!['field', 'op', 'value'].includes(prop)) {
+      throw new Error(`Additional property '${prop}' not allowed at ${path}`);
+    }
+  }
+  for (const prop of ['field', 'op', 'value']) {
+    if (!(prop in node)) {
+      throw new Error(`Missing required property '${prop}' at ${path}`);
+    }
+  }
+
+  const fieldType = CONDITION_FIELDS[node.field];
+  if (!fieldType) {
+    throw new Error(`Unknown field '${node.field}' at ${path}.field (allowed: ${Object.keys(CONDITION_FIELDS).join(', ')})`);
+  }
+  const operandTypes = CONDITION_OPERATORS[node.op];
+  if (!operandTypes) {
+    throw new Error(`Unknown operator '${node.op}' at ${path}.op (allowed: ${Object.keys(CONDITION_OPERATORS).join(', ')})`);
+  }
+  if (!operandTypes.includes(fieldType)) {
+    throw new Error(`Operator '${node.op}' cannot be applied to ${fieldType} field '${node.field}' at ${path}`);
+  }
+
+  const valueType = fieldType === 'list' ? 'string' : fieldType;
+  const values = node.op === 'in' ? node.value : [node.value];
+  if (node.op === 'in' && (!Array.isArray(values) || values.length === 0)) {
+    throw new Error(`Operator 'in' needs a non-empty array at ${path}.value`);
+  }
+  values.forEach((v, i) => {
+    if (typeOf(v) !== valueType) {
+      throw new Error(`Expected ${valueType} at ${path}.value${node.op === 'in' ? `[${i}]` : ''}, got ${typeOf(v)}`);
+    }
+  });
+}
+
+/**
+ * Strict validator for strategy definitions (throws on the first violation)
+ * @param {Object} data - Parsed strategy definition
+ * @param {Object} schema - Schema (defaults to STRATEGY_SCHEMA)
+ * @returns {boolean} true when valid
+ */
+export function validateStrategyDefinition(data, schema = STRATEGY_SCHEMA) {
+  function validate(obj, schemaObj, path = '') {
+    if (schemaObj.type === 'condition') {
+      validateCondition(obj, path);
+    } else if (schemaObj.type === 'object') {
+      if (typeOf(obj) !== 'object') {
+        throw new Error(`Expected object at ${path}, got ${typeOf(obj)}`);
+      }
+
+      // Check required properties
+      if (schemaObj.required) {
+        for (const prop of schemaObj.required) {
+          if (!(prop in obj)) {
+            throw new Error(`Missing required property '${prop}' at ${path}`);
+          }
+        }
+      }
+
+      // Validate properties
+      if (schemaObj.properties) {
+        for (const [prop, propSchema] of Object.entries(schemaObj.properties)) {
+          if (prop in obj) {
+            validate(obj[prop], propSchema, `${path}.${prop}`);
+          }
+        }
+      }
+
+      // Check for additional properties
+      if (schemaObj.additionalProperties === false) {
+        const allowedProps = new Set(Object.keys(schemaObj.properties || {}));
+        for (const prop of Object.keys(obj)) {
+          if (!allowedProps.has(prop)) {
+            throw new Error(`Additional property '${prop}' not allowed at ${path}`);
+          }
+        }
+      }
+    } else if (schemaObj.type === 'array') {
+      if (!Array.isArray(obj)) {
+        throw new Error(`Expected array at ${path}, got ${typeOf(obj)}`);
+      }
+      if (schemaObj.minItems !== undefined && obj.length < schemaObj.minItems) {
+        throw new Error(`Array at ${path} needs at least ${schemaObj.minItems} item(s)`);
+      }
+      if (schemaObj.items) {
+        obj.forEach((item, i) => validate(item, schemaObj.items, `${path}[${i}]`));
+      }
+    } else if (schemaObj.type === 'number') {
+      if (typeof obj !== 'number' || isNaN(obj)) {
+        throw new Error(`Expected number at ${path}, got ${typeOf(obj)}`);
+      }
+      if (schemaObj.integer && !Number.isInteger(obj)) {
+        throw new Error(`Expected integer at ${path}, got ${obj}`);
+      }
+      if (schemaObj.minimum !== undefined && obj < schemaObj.minimum) {
+        throw new Error(`Number ${obj} below minimum ${schemaObj.minimum} at ${path}`);
+      }
+      if (schemaObj.maximum !== undefined && obj > schemaObj.maximum) {
+        throw new Error(`Number ${obj} above maximum ${schemaObj.maximum} at ${path}`);
+      }
+    } else if (schemaObj.type === 'string') {
+      if (typeof obj !== 'string') {
+        throw new Error(`Expected string at ${path}, got ${typeOf(obj)}`);
+      }
+      if (schemaObj.enum && !schemaObj.enum.includes(obj)) {
+        throw new Error(`String '${obj}' not in allowed values [${schemaObj.enum.join(', ')}] at ${path}`);
+      }
+      if (schemaObj.pattern && !new RegExp(schemaObj.pattern).test(obj)) {
+        throw new Error(`String '${obj}' does not match ${schemaObj.pattern} at ${path}`);
+      }
+    } else if (schemaObj.type === 'boolean') {
+      if (typeof obj !== 'boolean') {
+        throw new Error(`Expected boolean at ${path}, got ${typeOf(obj)}`);
+      }
+    }
+  }
+
+  validate(data, schema);
+
+  // Cross-field rules the schema dialect cannot express
+  if (data.exit && data.exit.all && data.exit.any) {
+    throw new Error("Exit may use 'all' or 'any', not both, at .exit");
+  }
+  if (data.sizing.method === 'fixed' && data.sizing.weight === undefined) {
+    throw new Error("Sizing method 'fixed' requires 'weight' at .sizing");
+  }
+  return true;
+}
+
+const compare = (actual, op, expected) => {
+  const norm = (v) => (typeof v === 'string' ? v.toLowerCase() : v);
+  switch (op) {
+    case 'eq': return norm(actual) === norm(expected);
+    case 'neq': return norm(actual) !== norm(expected);
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'in': return expected.some(v => norm(v) === norm(actual));
+    case 'has': return actual.some(v => norm(v) === norm(expected));
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a condition tree against one trend-table row
+ * String comparisons are case-insensitive ('Up' matches 'up'); a missing
+ * field never satisfies a leaf condition.
+ * @param {Object} node - Validated condition
+ * @param {Object} row - { trend, trend_c, countertrend, counter_conf, rank, coin_rank, ...pattern fields }
+ * @returns {boolean} Whether the row matches
+ */
+export function evaluateCondition(node, row) {
+  if (node.all) return node.all.every(child => evaluateCondition(child, row));
+  if (node.any) return node.any.some(child => evaluateCondition(child, row));
+  if (node.not) return !evaluateCondition(node.not, row);
+  const actual = row[node.field];
+  if (actual === null || actual === undefined) return false;
+  return compare(actual, node.op, node.value);
+}
+
+// Snapshot coin (src/strategy/snapshots.js) -> trend-table row for its dominant trend
+const toConditionRow = (coin) => {
+  const block = coin.trends[coin.trend] || {};
+  return {
+    trend: coin.trend.charAt(0).toUpperCase() + coin.trend.slice(1),
+    trend_c: coin.confidence,
+    countertrend: block.countertrend ?? null,
+    counter_conf: block.counter_conf ?? null,
+    rank: block.rank ?? null,
+    coin_rank: coin.coin_rank,
+    ...(coin.details ? {
+      strength: coin.details.strength,
+      volatility: coin.details.volatility,
+      patterns: coin.details.patterns,
+      top_pattern: coin.details.top_pattern,
+      top_pattern_bias: coin.details.top_pattern_bias,
+      top_pattern_c: coin.details.top_pattern_c
+    } : {})
+  };
+};
+
+/**
+ * Load USDTPair market data from a download-usdt-pairs.js CSV
+ * @param {string} csvPath - usdt-trading-pairs_*.csv
+ * @returns {Map<string, Object>} symbol -> { symbol, rank, volume24h, marketCap }
+ */
+export function loadMarketData(csvPath) {
+  const rows = parseCsv(readFileSync(csvPath, 'utf8'));
+  return new Map(rows.map(row => {
+    const symbol = String(row.Symbol).toUpperCase();
+    return [symbol, {
+      symbol,
+      rank: Number(row.Rank) || 0,
+      volume24h: Number(row['24h Volume']) || 0,
+      marketCap: Number(row['Market Cap']) || 0
+    }];
+  }));
+}
+
+/**
+ * Compile a validated definition into an executable rule set
+ *
+ * The rule set implements the backtester strategy interface: held coins
+ * stay until an exit fires, free slots are filled with the best-ranked
+ * coins passing the universe and entry rules.
+ * @param {Object} definition - Strategy definition
+ * @param {Object} options - { marketData: Map<symbol, USDTPair-like> }
+ * @returns {Object} { name, version, definition, rebalanceDays, inUniverse, matchesEntry, exitReason, select }
+ */
+export function compileStrategy(definition, options = {}) {
+  validateStrategyDefinition(definition);
+  const { marketData = null } = options;
+  const side = definition.side || 'long';
+  const universe = definition.universe || {};
+  const exit = definition.exit || {};
+  const sizing = { grossExposure: 1, ...definition.sizing };
+  const include = new Set((universe.include || []).map(s => s.toUpperCase()));
+  const exclude = new Set((universe.exclude || []).map(s => s.toUpperCase()));
+  const needsMarketData = ['maxRank', 'minVolume24h', 'minMarketCap'].some(k => universe[k] !== undefined);
+
+  if (needsMarketData && !marketData) {
+    throw new Error(`Strategy ${definition.name} filters on market data; pass marketData (USDTPair rank / volume24h)`);
+  }
+
+  // Returns null when the coin is tradable, otherwise the reason it is not
+  const universeReason = (coin) => {
+    const symbol = coin.symbol.toUpperCase();
+    if (include.size > 0 && !include.has(symbol)) return 'not in include list';
+    if (exclude.has(symbol)) return 'excluded';
+    if (universe.excludeHighDisagreement && coin.high_disagreement) return 'high model disagreement';
+    if (needsMarketData) {
+      const pair = marketData.get(symbol);
+      if (!pair) return 'no market data';
+      if (universe.maxRank !== undefined && (!pair.rank || pair.rank > universe.maxRank)) return `rank ${pair.rank} > ${universe.maxRank}`;
+      if (universe.minVolume24h !== undefined && pair.volume24h < universe.minVolume24h) return `volume24h ${pair.volume24h} < ${universe.minVolume24h}`;
+      if (universe.minMarketCap !== undefined && pair.marketCap < universe.minMarketCap) return `marketCap ${pair.marketCap} < ${universe.minMarketCap}`;
+    }
+    return null;
+  };
+
+  const exitCondition = exit.all ? { all: exit.all } : exit.any ? { any: exit.any } : null;
+
+  // Exits that depend only on the position, the day's price and the date
+  const positionExitReason = (position, context) => {
+    if (context.price) {
+      const change = (context.price / position.avgPrice - 1) * (side === 'short' ? -1 : 1);
+      if (exit.stopLoss !== undefined && change <= -exit.stopLoss) return 'stop loss';
+      if (exit.takeProfit !== undefined && change >= exit.takeProfit) return 'take profit';
+    }
+    if (exit.maxHoldingDays !== undefined && position.entryDate) {
+      const heldDays = (Date.parse(context.date) - Date.parse(position.entryDate)) / (24 * 60 * 60 * 1000);
+      if (heldDays >= exit.maxHoldingDays) return 'max holding period';
+    }
+    return null;
+  };
+
+  const exitReason = (coin, position, context) => {
+    if (!coin) return 'dropped from snapshot';
+    if (universeReason(coin)) return `universe: ${universeReason(coin)}`;
+    if (exitCondition && evaluateCondition(exitCondition, toConditionRow(coin))) return 'exit rule';
+    return position ? positionExitReason(position, context) : null;
+  };
+
+  const weightsFor = (coins) => {
+    let weights;
+    if (sizing.method === 'fixed') {
+      weights = coins.map(() => sizing.weight);
+    } else if (sizing.method === 'confidence') {
+      const total = coins.reduce((sum, c) => sum + c.confidence, 0);
+      weights = coins.map(c => (total > 0 ? (c.confidence / total) * sizing.grossExposure : 0));
+    } else {
+      weights = coins.map(() => sizing.grossExposure / coins.length);
+    }
+    if (sizing.maxWeight !== undefined) {
+      weights = weights.map(w => Math.min(w, sizing.maxWeight));
+    }
+    // Never exceed the gross exposure budget
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return total > sizing.grossExposure ? weights.map(w => (w / total) * sizing.grossExposure) : weights;
+  };
+
+  return {
+    name: `${definition.name}@${definition.version}`,
+    version: definition.version,
+    definition,
+    rebalanceDays: definition.rebalanceDays,
+    inUniverse: (coin) => universeReason(coin) === null,
+    universeReason,
+    matchesEntry: (coin) => evaluateCondition(definition.entry, toConditionRow(coin)),
+    exitReason,
+    /**
+     * @param {Object} position - { avgPrice, entryDate }
+     * @param {Object} context - { date, price }
+     * @returns {string|null} 'stop loss' | 'take profit' | 'max holding period' | null
+     */
+    positionExitReason,
+    /**
+     * @param {Object} snapshot - { coins } from loadSnapshots
+     * @param {Object} context - { date, positions: [{ symbol, avgPrice, entryDate, price }] }
+     * @returns {Array<Object>} [{ symbol, weight, side, reason }]
+     */
+    select(snapshot, context = {}) {
+      const bySymbol = new Map(snapshot.coins.map(c => [c.symbol, c]));
+      const held = (context.positions || []).filter(position =>
+        !exitReason(bySymbol.get(position.symbol), position, { date: context.date, price: position.price })
+      );
+      const heldSymbols = new Set(held.map(p => p.symbol));
+
+      const candidates = snapshot.coins
+        .filter(c => !heldSymbols.has(c.symbol))
+        .filter(c => universeReason(c) === null && evaluateCondition(definition.entry, toConditionRow(c)))
+        .sort((a, b) => (a.coin_rank ?? Infinity) - (b.coin_rank ?? Infinity));
+
+      const chosen = [
+        ...held.map(p => bySymbol.get(p.symbol)),
+        ...candidates
+      ].slice(0, sizing.maxPositions);
+
+      const weights = weightsFor(chosen);
+      return chosen.map((coin, i) => ({ symbol: coin.symbol, weight: weights[i], side }));
+    }
+  };
+}
+
+/**
+ * Parse a strategy file (.json, .yaml or .yml)
+ * @param {string} filePath - Strategy file
+ * @returns {Promise<Object>} Parsed (unvalidated) definition
+ */
+export async function readStrategyFile(filePath) {
+  const content = readFileSync(filePath, 'utf8');
+  const ext = extname(filePath).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    let parse;
+    try {
+      ({ parse } = await import('yaml'));
+    } catch (e) {
+      if (e.code !== 'ERR_MODULE_NOT_FOUND') throw e;
+      throw new Error(`YAML strategy ${filePath} needs the optional 'yaml' package (npm install yaml); JSON strategy files need no extra packages`);
+    }
+    return parse(content);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Invalid JSON in strategy file ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Load, validate and compile a strategy file
+ * @param {string} filePath - Strategy file
+ * @param {Object} options - Passed to compileStrategy
+ * @returns {Promise<Object>} Executable rule set
+ */
+export async function loadStrategy(filePath, options = {}) {
+  const definition = await readStrategyFile(filePath);
+  try {
+    return compileStrategy(definition, options);
+  } catch (e) {
+    throw new Error(`Strategy validation failed for ${filePath}: ${e.message}`);
+  }
+}
+
+// CLI usage: validate strategy files
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    console.error('Usage: node src/strategy/strategy-dsl.js <strategy.json|yaml> [...]');
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    try {
+      validateStrategyDefinition(await readStrategyFile(file));
+      console.log(`✅ ${file}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${file}: ${error.message}`);
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
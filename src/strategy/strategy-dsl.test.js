@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { compileStrategy, evaluateCondition, validateStrategyDefinition, readStrategyFile } from './strategy-dsl.js';
+
+const definition = (overrides = {}) => ({
+  name: 'long-up',
+  version: '1.0.0',
+  side: 'long',
+  entry: { all: [{ field: 'trend', op: 'eq', value: 'Up' }, { field: 'trend_c', op: 'gte', value: 0.6 }] },
+  exit: { any: [{ field: 'trend', op: 'neq', value: 'Up' }], stopLoss: 0.1, takeProfit: 0.2, maxHoldingDays: 30 },
+  sizing: { method: 'equal', maxPositions: 2 },
+  ...overrides
+});
+
+const coin = (symbol, trend, confidence, coinRank) => ({
+  symbol,
+  trend,
+  confidence,
+  coin_rank: coinRank,
+  trends: { [trend]: { rank: coinRank, countertrend: null, counter_conf: null } }
+});
+
+test('validation rejects unknown fields, operators and keys', () => {
+  assert.throws(() => validateStrategyDefinition(definition({ entry: { field: 'price', op: 'gt', value: 1 } })), /Unknown field 'price'/);
+  assert.throws(() => validateStrategyDefinition(definition({ entry: { field: 'trend_c', op: 'has', value: 'x' } })), /cannot be applied/);
+  assert.throws(() => validateStrategyDefinition(definition({ leverage: 2 })), /leverage/);
+  assert.equal(validateStrategyDefinition(definition()), true);
+});
+
+test('conditions compare strings case-insensitively and never match missing fields', () => {
+  const row = { trend: 'Up', trend_c: 0.7, patterns: ['double_bottom'] };
+  assert.equal(evaluateCondition({ field: 'trend', op: 'eq', value: 'up' }, row), true);
+  assert.equal(evaluateCondition({ field: 'patterns', op: 'has', value: 'DOUBLE_BOTTOM' }, row), true);
+  assert.equal(evaluateCondition({ not: { field: 'trend_c', op: 'lt', value: 0.5 } }, row), true);
+  assert.equal(evaluateCondition({ field: 'coin_rank', op: 'lte', value: 10 }, row), false);
+});
+
+test('positionExitReason applies stop loss, take profit and holding limits', () => {
+  const strategy = compileStrategy(definition());
+  const position = { avgPrice: 100, entryDate: '2024-01-01' };
+  assert.equal(strategy.positionExitReason(position, { date: '2024-01-05', price: 89 }), 'stop loss');
+  assert.equal(strategy.positionExitReason(position, { date: '2024-01-05', price: 121 }), 'take profit');
+  assert.equal(strategy.positionExitReason(position, { date: '2024-01-31', price: 105 }), 'max holding period');
+  assert.equal(strategy.positionExitReason(position, { date: '2024-01-05', price: 105 }), null);
+});
+
+test('short strategies invert stop loss and take profit', () => {
+  const strategy = compileStrategy(definition({ side: 'short' }));
+  const position = { avgPrice: 100, entryDate: '2024-01-01' };
+  assert.equal(strategy.positionExitReason(position, { date: '2024-01-02', price: 111 }), 'stop loss');
+  assert.equal(strategy.positionExitReason(position, { date: '2024-01-02', price: 79 }), 'take profit');
+});
+
+test('select keeps held coins, drops exits and fills by coin rank', () => {
+  const strategy = compileStrategy(definition());
+  const snapshot = { coins: [coin('AAA', 'up', 0.8, 3), coin('BBB', 'up', 0.9, 1), coin('CCC', 'down', 0.9, 2), coin('DDD', 'up', 0.7, 2)] };
+  const picks = strategy.select(snapshot, {
+    date: '2024-01-08',
+    positions: [
+      { symbol: 'AAA', avgPrice: 100, entryDate: '2024-01-01', price: 101 },
+      { symbol: 'CCC', avgPrice: 100, entryDate: '2024-01-01', price: 101 }
+    ]
+  });
+  assert.deepEqual(picks.map(p => p.symbol), ['AAA', 'BBB']);
+  assert.ok(picks.every(p => p.weight === 0.5 && p.side === 'long'));
+});
+
+test('YAML files without the yaml package fail with an install hint', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'strategy-dsl-'));
+  try {
+    const file = join(dir, 'strategy.yaml');
+    writeFileSync(file, 'name: x\n');
+    const parsed = await readStrategyFile(file).catch(error => error);
+    if (parsed instanceof Error) {
+      assert.match(parsed.message, /npm install yaml/);
+    } else {
+      assert.deepEqual(parsed, { name: 'x' });
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -5,224 +5,15 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-
-// JSON Schema for strict validation (non-negotiable format)
-const TREND_ANALYSIS_SCHEMA = {
-  type: 'object',
-  required: ['up', 'down', 'sideways'],
-  properties: {
-    up: {
-      type: 'object',
-      required: ['confidence', 'countertrend', 'counter_conf'],
-      properties: {
-        confidence: { type: 'number', minimum: 0, maximum: 1 },
-        countertrend: { type: 'string', enum: ['Yes', 'No', 'Low'] },
-        counter_conf: { type: 'number', minimum: 0, maximum: 1 }
-      },
-      additionalProperties: false
-    },
-    down: {
-      type: 'object',
-      required: ['confidence', 'countertrend', 'counter_conf'],
-      properties: {
-        confidence: { type: 'number', minimum: 0, maximum: 1 },
-        countertrend: { type: 'string', enum: ['Yes', 'No', 'Low'] },
-        counter_conf: { type: 'number', minimum: 0, maximum: 1 }
-      },
-      additionalProperties: false
-    },
-    sideways: {
-      type: 'object',
-      required: ['confidence', 'countertrend', 'counter_conf'],
-      properties: {
-        confidence: { type: 'number', minimum: 0, maximum: 1 },
-        countertrend: { type: 'string', enum: ['Yes', 'No', 'Low'] },
-        counter_conf: { type: 'number', minimum: 0, maximum: 1 }
-      },
-      additionalProperties: false
-    }
-  },
-  additionalProperties: false
-};
-
-// Simple JSON schema validator
-function validateSchema(data, schema) {
-  function validate(obj, schemaObj, path = '') {
-    if (schemaObj.type === 'object') {
-      if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
-        throw new Error(`Expected object at ${path}, got ${typeof obj}`);
-      }
-      
-      // Check required properties
-      if (schemaObj.required) {
-        for (const prop of schemaObj.required) {
-          if (!(prop in obj)) {
-            throw new Error(`Missing required property '${prop}' at ${path}`);
-          }
-        }
-      }
-      
-      // Validate properties
-      if (schemaObj.properties) {
-        for (const [prop, propSchema] of Object.entries(schemaObj.properties)) {
-          if (prop in obj) {
-            validate(obj[prop], propSchema, `${path}.${prop}`);
-          }
-        }
-      }
-      
-      // Check for additional properties
-      if (schemaObj.additionalProperties === false) {
-        const allowedProps = new Set(Object.keys(schemaObj.properties || {}));
-        for (const prop of Object.keys(obj)) {
-          if (!allowedProps.has(prop)) {
-            throw new Error(`Additional property '${prop}' not allowed at ${path}`);
-          }
-        }
-      }
-    } else if (schemaObj.type === 'number') {
-      if (typeof obj !== 'number' || isNaN(obj)) {
-        throw new Error(`Expected number at ${path}, got ${typeof obj}`);
-      }
-      if (schemaObj.minimum !== undefined && obj < schemaObj.minimum) {
-        throw new Error(`Number ${obj} below minimum ${schemaObj.minimum} at ${path}`);
-      }
-      if (schemaObj.maximum !== undefined && obj > schemaObj.maximum) {
-        throw new Error(`Number ${obj} above maximum ${schemaObj.maximum} at ${path}`);
-      }
-    } else if (schemaObj.type === 'string') {
-      if (typeof obj !== 'string') {
-        throw new Error(`Expected string at ${path}, got ${typeof obj}`);
-      }
-      if (schemaObj.enum && !schemaObj.enum.includes(obj)) {
-        throw new Error(`String '${obj}' not in allowed values [${schemaObj.enum.join(', ')}] at ${path}`);
-      }
-    }
-  }
-  
-  validate(data, schema);
-  return true;
-}
-
-// Helper function to create the prompt for trend analysis
-const createTrendAnalysisPrompt = () => `
-Analyze the attached chart screenshot for trends without knowing the asset or time details. Use technical patterns to determine confidences:
-- For uptrend: Look for Higher Highs (HH) and Higher Lows (HL); more consistent HH/HL increases confidence.
-- For downtrend: Look for Lower Highs (LH) and Lower Lows (LL); more consistent LH/LL increases confidence.
-- For sideways/range: Look for lack of consistent HH/HL or LH/LL, or alternating/mixed patterns; bounded oscillations increase confidence.
-
-Precision requirements:
-- Provide fine-grained probabilities that reflect subtle pattern nuances.
-- Use at least 3 decimal places (3–6 decimals) for ALL numeric confidences (e.g., 0.526 not 0.5).
-- Avoid repeated coarse values like 0.6, 0.3 across different images unless they are visually identical.
-- Do not round to a single decimal place.
-
-Respond ONLY with valid JSON (no other text, no markdown, no explanations) in this exact format:
-{
-  "up": {
-    "confidence": <number between 0 and 1 for uptrend confidence based on HH/HL patterns>,
-    "countertrend": <"Yes" | "No" | "Low">,
-    "counter_conf": <number between 0 and 1 for countertrend confidence>
-  },
-  "down": {
-    "confidence": <number between 0 and 1 for downtrend confidence based on LH/LL patterns>,
-    "countertrend": <"Yes" | "No" | "Low">,
-    "counter_conf": <number between 0 and 1 for countertrend confidence>
-  },
-  "sideways": {
-    "confidence": <number between 0 and 1 for sideways confidence based on mixed/bounded patterns>,
-    "countertrend": <"Yes" | "No" | "Low">,
-    "counter_conf": <number between 0 and 1 for countertrend confidence>
-  }
-}
-Base the output strictly on the patterns observed in the chart.
-`;
-
-// Gemini API provider
-class GeminiProvider {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-  }
-
-  async analyze(imageBase64) {
-    const prompt = createTrendAnalysisPrompt();
-    
-    // Convert data URL to just base64 if needed
-    let base64Data = imageBase64;
-    if (imageBase64.startsWith('data:')) {
-      base64Data = imageBase64.split(',')[1];
-    }
-
-    const payload = {
-      contents: [{
-        parts: [
-          { text: prompt },
-          {
-            inline_data: {
-              mime_type: 'image/png',
-              data: base64Data
-            }
-          }
-        ]
-      }],
-      generationConfig: {
-        temperature: 0.1,
-        topP: 0.8,
-        topK: 10,
-        maxOutputTokens: 1000,
-        response_mime_type: 'application/json'
-      }
-    };
-
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': this.apiKey
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API error ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response structure from Gemini API');
-    }
-
-    let content = data.candidates[0].content.parts[0].text;
-    
-    // Clean up markdown formatting if present
-    content = content.trim();
-    if (content.startsWith('```json')) {
-      content = content.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (content.startsWith('```')) {
-      content = content.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-    
-    // Parse JSON and validate strictly
-    let parsedJson;
-    try {
-      parsedJson = JSON.parse(content);
-    } catch (e) {
-      throw new Error(`Invalid JSON response from AI: ${e.message}. Raw content: ${content.substring(0, 200)}...`);
-    }
-
-    // Strict schema validation - reject any deviation
-    try {
-      validateSchema(parsedJson, TREND_ANALYSIS_SCHEMA);
-    } catch (e) {
-      throw new Error(`Schema validation failed: ${e.message}`);
-    }
-
-    return parsedJson;
-  }
-}
+import { resolveProvider, hashImage } from './analysis/providers.js';
+import { applyCassette } from './analysis/cassette.js';
+import { EnsembleProvider, findHighDisagreementPairs } from './analysis/ensemble.js';
+import { resolveCalibration, calibrateAnalysis } from './analysis/calibration.js';
+import { resolvePrompt } from './analysis/prompt-registry.js';
+import { resolveSchemaVersion } from './analysis/trend-schema.js';
+import { assignPromptVariant, comparePromptVersions, formatExperimentReport } from './analysis/prompt-experiment.js';
+import { parseChartFileName } from './screenshot/timeframes.js';
+import { loadAugmentationMapping, invertAnalysis, isMirrored } from './anonymization/augmentation.js';
 
 // Convert image file to base64
 async function imageToBase64(filePath) {
@@ -230,41 +21,49 @@ async function imageToBase64(filePath) {
   return `data:image/png;base64,${buffer.toString('base64')}`;
 }
 
-// Pair anonymized images with their originals
+// Pair anonymized images with their originals (same symbol and timeframe key);
+// transforms recorded by the augmenter (augmentations.json) ride along, and
+// mirrored controls share the coinId of the image they were made from
 async function pairImages(trendsDir) {
   const files = await fs.readdir(trendsDir);
+  const augmentations = loadAugmentationMapping(trendsDir).images;
   const pairs = [];
   
   // Find all cropped/anonymized images
   const croppedFiles = files.filter(f => f.toLowerCase().includes('_cropped'));
   
   for (const croppedFile of croppedFiles) {
-    // Extract symbol robustly from filenames like BTCUSDT_..._cropped.png or ADA_cropped.png
-    const firstToken = croppedFile.split('_')[0].toUpperCase();
-    const symbol = firstToken.endsWith('USDT') ? firstToken.slice(0, -4) : firstToken;
+    // Extract symbol and timeframe from filenames like BTCUSDT_1D-1Y_..._cropped.png,
+    // BTCUSDT_..._cropped.png or ADA_cropped.png
+    const { symbol, timeframe } = parseChartFileName(croppedFile);
     
-    // Find matching original: SYMBOLUSDT_*.png
-    const originalFile = files.find(f => {
-      if (f === croppedFile) return false;
-      const upperF = f.toUpperCase();
-      return upperF.startsWith(symbol + 'USDT_') && upperF.endsWith('.PNG');
-    }) || files.find(f => {
-      if (f === croppedFile) return false;
-      const upperF = f.toUpperCase();
-      return upperF.startsWith(symbol + 'USDT_');
+    // Find matching original: SYMBOLUSDT_[<timeframe>_]*.png
+    const candidates = files.filter(f => {
+      if (f === croppedFile || f.toLowerCase().includes('_cropped')) return false;
+      const parsed = parseChartFileName(f);
+      return f.toUpperCase().startsWith(symbol + 'USDT_') && parsed.timeframe === timeframe;
     });
+    const originalFile = candidates.find(f => f.toUpperCase().endsWith('.PNG')) || candidates[0];
     
     if (originalFile) {
+      const augmentation = augmentations[croppedFile];
       pairs.push({
         symbol,
+        timeframe,
         original: path.join(trendsDir, originalFile),
         anonymized: path.join(trendsDir, croppedFile),
-        coinId: `coin${pairs.length + 1}`
+        coinId: `coin${pairs.length + 1}`,
+        ...(augmentation ? { transforms: augmentation.transforms, controlOf: augmentation.controlOf } : {})
       });
     } else {
       console.warn(`No original found for ${croppedFile}`);
     }
   }
+
+  const idByFile = new Map(pairs.map(pair => [path.basename(pair.anonymized), pair.coinId]));
+  pairs.forEach(pair => {
+    if (pair.controlOf) pair.coinId = idByFile.get(pair.controlOf) || pair.coinId;
+  });
   
   return pairs;
 }
@@ -343,10 +142,88 @@ const computeCoinRanks = (entries) => {
   return coinRankMap;
 };
 
+// Ensemble disagreement columns for one trend (single-model rows: 1 model, no spread)
+const disagreementFields = (ensemble, trend) => ({
+  model_count: ensemble ? ensemble.model_count : 1,
+  trend_std: ensemble ? ensemble[trend].std : 0,
+  trend_spread: ensemble ? ensemble[trend].spread : 0,
+});
+
+// Multi-timeframe alignment columns: how many of a coin's timeframes have this trend dominant
+const alignmentFields = (entries) => {
+  const dominant = new Map(); // pair -> [{ timeframe, trend }]
+  const byImage = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.pair}|${entry.timeframe}`;
+    const best = byImage.get(key);
+    if (!best || entry.trend_c > best.trend_c) byImage.set(key, entry);
+  });
+  byImage.forEach(entry => {
+    if (!dominant.has(entry.pair)) dominant.set(entry.pair, []);
+    dominant.get(entry.pair).push({ timeframe: entry.timeframe, trend: entry.trend });
+  });
+
+  return entries.map(entry => {
+    const calls = dominant.get(entry.pair);
+    const agree = calls.filter(call => call.trend === entry.trend).length;
+    return {
+      ...entry,
+      tf_count: calls.length,
+      tf_agree: agree,
+      tf_alignment: agree / calls.length,
+      tf_trends: calls.map(call => `${call.timeframe}:${call.trend}`).join('|'),
+    };
+  });
+};
+
+// Mirrored-control columns: the control's confidence for the same trend, read back
+// through invertAnalysis (a price-mirrored chart swaps up and down), and the gap to
+// the primary call. An unbiased model gives control_gap ~ 0. Called per timeframe.
+const controlFields = (entries, controls) => {
+  if (controls.length === 0) return entries;
+  const byPair = new Map(controls.map(control => [
+    control.pair,
+    isMirrored(control.transforms) ? invertAnalysis(control.analysis) : control.analysis
+  ]));
+  return entries.map(entry => {
+    const control = byPair.get(entry.pair);
+    if (!control) return { ...entry, control_c: null, control_gap: null };
+    const controlC = control[entry.trend.toLowerCase()].confidence;
+    return { ...entry, control_c: controlC, control_gap: entry.trend_c - controlC };
+  });
+};
+
+// Directional bias over primary/control pairs: mean of (up - down) on the primary plus
+// (up - down) on the raw mirrored control. The two cancel for an unbiased model;
+// a positive value means the model leans bullish regardless of the chart
+export const controlBias = (pairAnalyses) => {
+  const primaries = new Map(pairAnalyses.filter(a => !a.control).map(a => [`${a.pair}|${a.timeframe || ''}`, a]));
+  const lean = (analysis) => analysis.up.confidence - analysis.down.confidence;
+  const samples = pairAnalyses
+    .filter(a => a.control && isMirrored(a.transforms) && primaries.has(`${a.pair}|${a.timeframe || ''}`))
+    .map(control => (lean(primaries.get(`${control.pair}|${control.timeframe || ''}`).analysis) + lean(control.analysis)) / 2);
+  return {
+    pairs: samples.length,
+    bullish_bias: samples.length > 0 ? samples.reduce((sum, v) => sum + v, 0) / samples.length : null
+  };
+};
+
 // Function to process multiple AI responses and build table data (from original code)
-const buildTrendTable = (pairAnalyses) => {
+// Multi-timeframe runs are ranked within each timeframe and gain tf_* alignment columns.
+// Control analyses (control: true) are not ranked; they fill control_c / control_gap
+export const buildTrendTable = (allAnalyses) => {
+  const pairAnalyses = allAnalyses.filter(a => !a.control);
+  const controls = allAnalyses.filter(a => a.control);
+  const timeframes = [...new Set(pairAnalyses.map(a => a.timeframe || null))];
+  if (timeframes.length > 1) {
+    const rows = timeframes.flatMap(timeframe =>
+      buildTrendTable(allAnalyses.filter(a => (a.timeframe || null) === timeframe))
+        .map(row => ({ ...row, timeframe: timeframe || '' })));
+    return alignmentFields(rows);
+  }
+
   // Flatten to entries like in the table (using 'Up' for High, 'Down' for Low)
-  const flatEntries = pairAnalyses.flatMap(({ pair, id, analysis }) => [
+  const flatEntries = pairAnalyses.flatMap(({ pair, id, analysis, ensemble }) => [
     {
       pair,
       id,
@@ -354,6 +231,7 @@ const buildTrendTable = (pairAnalyses) => {
       trend_c: analysis.up.confidence,
       countertrend: analysis.up.countertrend,
       countertrend_c: analysis.up.counter_conf,
+      ...disagreementFields(ensemble, 'up'),
     },
     {
       pair,
@@ -362,6 +240,7 @@ const buildTrendTable = (pairAnalyses) => {
       trend_c: analysis.down.confidence,
       countertrend: analysis.down.countertrend,
       countertrend_c: analysis.down.counter_conf,
+      ...disagreementFields(ensemble, 'down'),
     },
     {
       pair,
@@ -370,6 +249,7 @@ const buildTrendTable = (pairAnalyses) => {
       trend_c: analysis.sideways.confidence,
       countertrend: analysis.sideways.countertrend,
       countertrend_c: analysis.sideways.counter_conf,
+      ...disagreementFields(ensemble, 'sideways'),
     },
   ]);
 
@@ -380,66 +260,169 @@ const buildTrendTable = (pairAnalyses) => {
   const coinRankMap = computeCoinRanks(flatEntries);
 
   // Add coin_rank to each entry
-  return withRanks.map(entry => ({
+  return controlFields(withRanks.map(entry => ({
     ...entry,
     coin_rank: coinRankMap.get(entry.pair),
-  }));
+  })), controls);
+};
+
+// Extended-schema detail per image (patterns, levels, regime labels, rationale) for
+// trend-analysis-details.csv; multi-value cells are ';'-joined, levels are fractions of
+// the plot height. Controls and analyses without extended fields are skipped
+export const buildDetailTable = (allAnalyses) => {
+  const fixed = (value) => Number(value).toFixed(4);
+  return allAnalyses
+    .filter(a => !a.control && Array.isArray(a.analysis.patterns))
+    .map(({ pair, id, timeframe, analysis, prompt_version }) => {
+      const patterns = [...analysis.patterns].sort((a, b) => b.confidence - a.confidence);
+      const top = patterns[0];
+      return {
+        pair,
+        ...(timeframe ? { timeframe } : {}),
+        id,
+        strength: analysis.strength,
+        volatility: analysis.volatility,
+        pattern_count: patterns.length,
+        patterns: patterns.map(p => p.name).join(';'),
+        top_pattern: top?.name ?? '',
+        top_pattern_bias: top?.bias ?? '',
+        top_pattern_c: top ? top.confidence : null,
+        support: [...analysis.levels.support].sort((a, b) => b - a).map(fixed).join(';'),
+        resistance: [...analysis.levels.resistance].sort((a, b) => a - b).map(fixed).join(';'),
+        rationale: analysis.rationale,
+        prompt_version: prompt_version || ''
+      };
+    })
+    .sort((a, b) => a.pair.localeCompare(b.pair) || String(a.timeframe || '').localeCompare(String(b.timeframe || '')));
 };
 
 // Main analysis function
+// `provider` may be a registered name, a comma-separated failover chain
+// ("gemini,openai") or a provider instance; `apiKey` is the Gemini key and
+// other vendors read theirs from `providerOptions` or their env vars.
+// `cassette` ({ mode: 'record' | 'replay', dir }) records or replays raw responses.
+// `ensemble` ({ members, method, trimRatio, minMembers }) scores each chart with several
+// providers / prompt variants; members are names or { provider, prompt, label }.
+// `calibration` ({ normalize, temperature, modelPath | historyPath | model }) post-processes
+// confidences; the uncalibrated values are kept as `raw_analysis`.
+// `prompt` is a prompt registry ref ("trend-detailed@1") or literal text, rendered with
+// `promptVariables`; every analysis records its prompt_version and prompt_hash.
+// `schema: 'extended'` validates against TREND_ANALYSIS_SCHEMA_EXTENDED (default prompt
+// trend-extended@1) and adds `detailTable` (buildDetailTable) to the results.
+// `repair: true` fixes (and logs) formatting slips in answers instead of rejecting them.
+// `experiment` ({ prompts: [refs], split: 'alternate' | 'hash', baseline }) splits the images
+// across prompt versions and adds a `promptExperiment` comparison report.
 export async function analyzeTrendImages(trendsDir, apiKey, options = {}) {
-  const { provider = 'gemini', maxConcurrency = 2 } = options;
+  const { provider = 'gemini', providerOptions = {}, cassette = {}, ensemble = null, calibration = {}, maxConcurrency = 2, schema = 'basic', repair = false, prompt, promptVariables = {}, experiment = null } = options;
+  const calibrationConfig = resolveCalibration(calibration);
+  const basePrompt = resolvePrompt(prompt || resolveSchemaVersion(schema).prompt, promptVariables);
+  const promptVariants = experiment ? experiment.prompts.map(ref => resolvePrompt(ref, promptVariables)) : null;
+  if (promptVariants && promptVariants.length < 2) {
+    throw new Error('A prompt experiment needs at least two prompt versions');
+  }
+  // Forward-return evaluation (src/evaluation/ground-truth.js) measures from this date
+  const analyzedAt = new Date().toISOString();
   
   console.log('🔍 Pairing images...');
   const imagePairs = await pairImages(trendsDir);
   console.log(`Found ${imagePairs.length} image pairs`);
   
   // Initialize provider
+  const resolvedOptions = {
+    ...providerOptions,
+    gemini: { ...(apiKey ? { apiKey } : {}), ...(providerOptions.gemini || {}) }
+  };
+  const buildProvider = (spec) => applyCassette(resolveProvider(spec, resolvedOptions), cassette);
   let aiProvider;
-  if (provider === 'gemini') {
-    aiProvider = new GeminiProvider(apiKey);
+  if (ensemble) {
+    const members = ensemble.members.map((member, index) => {
+      const spec = typeof member === 'object' && !member.analyze ? member : { provider: member };
+      const memberProvider = buildProvider(spec.provider);
+      const memberPrompt = spec.prompt ? resolvePrompt(spec.prompt, promptVariables) : null;
+      return {
+        label: spec.label || (spec.prompt ? `${memberProvider.name}#${index + 1}` : memberProvider.name),
+        provider: memberProvider,
+        ...(memberPrompt ? { prompt: memberPrompt.text, promptVersion: memberPrompt.ref, promptHash: memberPrompt.hash } : {})
+      };
+    });
+    aiProvider = new EnsembleProvider(members, ensemble);
   } else {
-    throw new Error(`Unsupported provider: ${provider}`);
+    aiProvider = buildProvider(provider);
   }
+  console.log(`🤖 Using AI provider: ${aiProvider.name}${cassette.mode && cassette.mode !== 'off' ? ` (cassette ${cassette.mode}: ${cassette.dir})` : ''}`);
+  console.log(promptVariants
+    ? `🧪 Prompt experiment: ${promptVariants.map(p => p.ref).join(' vs ')} (${experiment.split || 'alternate'} split)`
+    : `📝 Prompt: ${basePrompt.ref} (sha256 ${basePrompt.hash.slice(0, 12)})`);
   
   console.log('🤖 Analyzing images with AI...');
   const analyses = [];
+  const promptByFile = new Map();
   
   // Process images with simple rate limiting
   for (let i = 0; i < imagePairs.length; i++) {
     const pair = imagePairs[i];
-    console.log(`Analyzing ${pair.symbol} (${i + 1}/${imagePairs.length})...`);
+    console.log(`Analyzing ${pair.symbol}${pair.timeframe ? ` ${pair.timeframe}` : ''}${pair.controlOf ? ' (control)' : ''} (${i + 1}/${imagePairs.length})...`);
     
     try {
       const imageBase64 = await imageToBase64(pair.anonymized);
-      const analysis = await aiProvider.analyze(imageBase64);
+      // Mirrored controls reuse their primary's prompt so the bias check compares like with like
+      const promptUsed = !promptVariants
+        ? basePrompt
+        : promptByFile.get(pair.controlOf) || assignPromptVariant(promptVariants, { index: i, imageHash: hashImage(imageBase64) }, experiment.split);
+      promptByFile.set(path.basename(pair.anonymized), promptUsed);
+      const rawAnalysis = await aiProvider.analyze(imageBase64, { prompt: promptUsed.text, schema, repair });
+      const analysis = calibrationConfig ? calibrateAnalysis(rawAnalysis, calibrationConfig) : rawAnalysis;
       
       analyses.push({
         pair: pair.symbol,
         id: pair.coinId,
+        ...(pair.timeframe ? { timeframe: pair.timeframe } : {}),
+        provider: aiProvider.lastProviderName || aiProvider.name,
+        prompt_version: promptUsed.ref,
+        prompt_hash: promptUsed.hash,
         analysis,
+        ...(calibrationConfig ? { raw_analysis: rawAnalysis } : {}),
+        ...(ensemble ? { ensemble: aiProvider.lastStats, members: aiProvider.lastMemberResults } : {}),
+        ...(pair.transforms ? { transforms: pair.transforms } : {}),
+        ...(pair.controlOf ? { control: true } : {}),
         original: pair.original,
         anonymized: pair.anonymized
       });
       
-      console.log(`✅ ${pair.symbol}: Up=${analysis.up.confidence.toFixed(3)}, Down=${analysis.down.confidence.toFixed(3)}, Sideways=${analysis.sideways.confidence.toFixed(3)}`);
+      console.log(`✅ ${pair.symbol}${pair.timeframe ? ` ${pair.timeframe}` : ''}${pair.controlOf ? ' (control)' : ''}: Up=${analysis.up.confidence.toFixed(3)}, Down=${analysis.down.confidence.toFixed(3)}, Sideways=${analysis.sideways.confidence.toFixed(3)}${ensemble ? ` (${aiProvider.lastStats.model_count} models)` : ''}`);
       
-      // Simple rate limiting
-      if (i < imagePairs.length - 1) {
+      // Simple rate limiting (offline providers need none)
+      if (i < imagePairs.length - 1 && !aiProvider.offline) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     } catch (error) {
-      console.error(`❌ Failed to analyze ${pair.symbol}: ${error.message}`);
+      console.error(`❌ Failed to analyze ${pair.symbol}${pair.timeframe ? ` ${pair.timeframe}` : ''}: ${error.message}`);
     }
   }
   
   console.log('📊 Computing rankings...');
   const tableData = buildTrendTable(analyses);
+  // Controls stay out of `analyses`, so evaluation and snapshots only see real calls
+  const controls = analyses.filter(a => a.control);
+  const promptExperiment = promptVariants
+    ? comparePromptVersions(analyses.filter(a => !a.control), { baseline: experiment.baseline && resolvePrompt(experiment.baseline, promptVariables).ref })
+    : null;
   
   return {
-    analyses,
+    analyzedAt,
+    analyses: analyses.filter(a => !a.control),
     tableData,
-    imagePairs
+    imagePairs,
+    ...(controls.length > 0 ? { controls, controlBias: controlBias(analyses) } : {}),
+    ...(promptExperiment ? { promptExperiment } : {}),
+    ...(schema === 'extended' ? { schema, detailTable: buildDetailTable(analyses) } : {}),
+    ...(calibrationConfig ? {
+      calibration: {
+        normalize: calibrationConfig.normalize,
+        temperature: calibrationConfig.temperature,
+        model: calibrationConfig.model ? { type: calibrationConfig.model.type, fittedAt: calibrationConfig.model.fittedAt, samples: calibrationConfig.model.samples } : null
+      }
+    } : {})
   };
 }
 
@@ -455,7 +438,44 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const trendsDir = process.argv[2] || '/Users/jacobuslemmer/Desktop/TrendAnalyses';
   
   try {
-    const results = await analyzeTrendImages(trendsDir, apiKey);
+    // TREND_PROVIDERS selects the provider or failover chain, e.g. "gemini,anthropic,ollama"
+    // TREND_CASSETTE_MODE=record|replay with TREND_CASSETTE_DIR enables offline runs
+    // TREND_ENSEMBLE="gemini,openai,anthropic" scores each chart with every listed provider,
+    // aggregated by TREND_ENSEMBLE_METHOD (mean | median | trimmed)
+    const provider = process.env.TREND_PROVIDERS || 'gemini';
+    const cassette = { mode: process.env.TREND_CASSETTE_MODE || 'off', dir: process.env.TREND_CASSETTE_DIR || 'cassettes' };
+    const ensemble = process.env.TREND_ENSEMBLE
+      ? {
+          members: process.env.TREND_ENSEMBLE.split(',').map(m => m.trim()).filter(Boolean),
+          method: process.env.TREND_ENSEMBLE_METHOD || 'mean'
+        }
+      : null;
+    const disagreementThreshold = Number(process.env.TREND_DISAGREEMENT_THRESHOLD || '0.25');
+    // TREND_NORMALIZE (none | sum | softmax), TREND_TEMPERATURE and TREND_CALIBRATION_MODEL /
+    // TREND_CALIBRATION_HISTORY make trend_c comparable from one run to the next
+    const calibration = {
+      normalize: process.env.TREND_NORMALIZE || 'none',
+      temperature: Number(process.env.TREND_TEMPERATURE || '1'),
+      modelPath: process.env.TREND_CALIBRATION_MODEL,
+      historyPath: process.env.TREND_CALIBRATION_HISTORY
+    };
+    // TREND_SCHEMA=extended adds patterns, support/resistance and regime labels, written to
+    // trend-analysis-details.csv next to the trend table; TREND_SCHEMA_REPAIR=1 repairs
+    // answers with formatting slips instead of rejecting them
+    // TREND_PROMPT picks a prompt registry template (default: the schema's prompt, trend-detailed@1);
+    // TREND_PROMPT_EXPERIMENT="trend-detailed@1,trend-compact@1" splits the images across
+    // versions (TREND_PROMPT_SPLIT=alternate | hash) and writes prompt-experiment-report.json
+    const schema = process.env.TREND_SCHEMA || 'basic';
+    const repair = process.env.TREND_SCHEMA_REPAIR === '1';
+    const prompt = process.env.TREND_PROMPT || undefined;
+    const experiment = process.env.TREND_PROMPT_EXPERIMENT
+      ? {
+          prompts: process.env.TREND_PROMPT_EXPERIMENT.split(',').map(p => p.trim()).filter(Boolean),
+          split: process.env.TREND_PROMPT_SPLIT || 'alternate'
+        }
+      : null;
+    const results = await analyzeTrendImages(trendsDir, apiKey, { provider, cassette, ensemble, calibration, schema, repair, prompt, experiment });
+    const highDisagreement = findHighDisagreementPairs(results.tableData, disagreementThreshold);
     
     console.log('\n📈 TREND ANALYSIS RESULTS');
     console.log('========================');
@@ -473,11 +493,14 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     const sortedCoins = [...byCoin.entries()].sort((a, b) => a[1][0].coin_rank - b[1][0].coin_rank);
     
     sortedCoins.forEach(([symbol, entries]) => {
-      console.log(`\n${symbol} (Coin Rank: ${entries[0].coin_rank})`);
+      const flag = highDisagreement.has(symbol) ? ' ⚠️  HIGH MODEL DISAGREEMENT' : '';
+      console.log(`\n${symbol} (Coin Rank: ${entries[0].coin_rank})${flag}`);
       entries.forEach(entry => {
         const trendConf = entry.trend_c ? entry.trend_c.toFixed(3) : '0.000';
         const counterConf = entry.countertrend_c ? entry.countertrend_c.toFixed(3) : '0.000';
-        console.log(`  ${entry.trend.padEnd(8)} | Conf: ${trendConf} | CT: ${entry.countertrend.padEnd(3)} (${counterConf}) | Rank: ${entry.rank}`);
+        const timeframe = entry.timeframe ? `${entry.timeframe.padEnd(6)} | ` : '';
+        const alignment = entry.tf_count ? ` | TF agree: ${entry.tf_agree}/${entry.tf_count}` : '';
+        console.log(`  ${timeframe}${entry.trend.padEnd(8)} | Conf: ${trendConf} | CT: ${entry.countertrend.padEnd(3)} (${counterConf}) | Rank: ${entry.rank}${alignment}`);
       });
     });
     
@@ -487,8 +510,11 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log(`\n💾 Detailed results saved to ${outputFile}`);
 
     // Save CSV table to the TrendAnalyses folder alongside images
+    const multiTimeframe = results.tableData.some(row => 'tf_count' in row);
+    const hasControls = results.tableData.some(row => 'control_c' in row);
     const csvHeaders = [
       'pair',
+      ...(multiTimeframe ? ['timeframe'] : []),
       'id',
       'trend',
       'trend_c',
@@ -499,21 +525,33 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       'rank_sum',
       'rank',
       'coin_rank',
+      'model_count',
+      'trend_std',
+      'trend_spread',
+      'high_disagreement',
+      ...(multiTimeframe ? ['tf_count', 'tf_agree', 'tf_alignment', 'tf_trends'] : []),
+      ...(hasControls ? ['control_c', 'control_gap'] : []),
       'original_path',
       'anonymized_path'
     ];
 
-    // Build a quick lookup from pair -> paths
+    // Build a quick lookup from pair (+ timeframe) -> paths
     const pairToPaths = new Map();
     results.analyses.forEach(a => {
-      pairToPaths.set(a.pair, { original: a.original, anonymized: a.anonymized });
+      pairToPaths.set(`${a.pair}|${a.timeframe || ''}`, { original: a.original, anonymized: a.anonymized });
     });
 
+    const escapeCsv = (values) => values.map(v => {
+      const s = String(v ?? '');
+      return /[,"\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(',');
+
     const csvRows = [csvHeaders.join(',')];
     results.tableData.forEach(row => {
-      const paths = pairToPaths.get(row.pair) || { original: '', anonymized: '' };
+      const paths = pairToPaths.get(`${row.pair}|${row.timeframe || ''}`) || { original: '', anonymized: '' };
       const values = [
         row.pair,
+        ...(multiTimeframe ? [row.timeframe] : []),
         row.id,
         row.trend,
         typeof row.trend_c === 'number' ? row.trend_c.toFixed(6) : '',
@@ -524,19 +562,52 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         row.rank_sum,
         row.rank,
         row.coin_rank,
+        row.model_count,
+        typeof row.trend_std === 'number' ? row.trend_std.toFixed(6) : '',
+        typeof row.trend_spread === 'number' ? row.trend_spread.toFixed(6) : '',
+        highDisagreement.has(row.pair) ? 'Yes' : 'No',
+        ...(multiTimeframe ? [row.tf_count, row.tf_agree, row.tf_alignment.toFixed(4), row.tf_trends] : []),
+        ...(hasControls ? [typeof row.control_c === 'number' ? row.control_c.toFixed(6) : '', typeof row.control_gap === 'number' ? row.control_gap.toFixed(6) : ''] : []),
         paths.original,
         paths.anonymized
       ];
-      const escaped = values.map(v => {
-        const s = String(v ?? '');
-        return /[,"]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
-      });
-      csvRows.push(escaped.join(','));
+      csvRows.push(escapeCsv(values));
     });
 
     const csvOutputPath = path.join(trendsDir, 'trend-analysis-table.csv');
     await fs.writeFile(csvOutputPath, csvRows.join('\n'));
     console.log(`💾 CSV table saved to ${csvOutputPath}`);
+
+    if (results.detailTable) {
+      const detailHeaders = [
+        'pair',
+        ...(multiTimeframe ? ['timeframe'] : []),
+        'id', 'strength', 'volatility', 'pattern_count', 'patterns', 'top_pattern', 'top_pattern_bias', 'top_pattern_c',
+        'support', 'resistance', 'rationale', 'prompt_version'
+      ];
+      const detailRows = [detailHeaders.join(',')];
+      results.detailTable.forEach(row => {
+        detailRows.push(escapeCsv(detailHeaders.map(header => (
+          header === 'top_pattern_c' && typeof row.top_pattern_c === 'number' ? row.top_pattern_c.toFixed(6) : row[header]
+        ))));
+      });
+      const detailOutputPath = path.join(trendsDir, 'trend-analysis-details.csv');
+      await fs.writeFile(detailOutputPath, detailRows.join('\n'));
+      console.log(`💾 Detail table saved to ${detailOutputPath}`);
+    }
+    if (results.promptExperiment) {
+      const reportPath = path.join(trendsDir, 'prompt-experiment-report.json');
+      await fs.writeFile(reportPath, JSON.stringify(results.promptExperiment, null, 2));
+      console.log('\n🧪 PROMPT EXPERIMENT');
+      formatExperimentReport(results.promptExperiment).forEach(line => console.log(line));
+      console.log(`💾 Experiment report saved to ${reportPath}`);
+    }
+    if (results.controlBias) {
+      console.log(`🪞 Mirrored controls: ${results.controlBias.pairs} pair(s), bullish bias ${results.controlBias.bullish_bias?.toFixed(4) ?? 'n/a'} (0 = unbiased)`);
+    }
+    if (highDisagreement.size > 0) {
+      console.log(`⚠️  ${highDisagreement.size} coin(s) with model spread >= ${disagreementThreshold}: ${[...highDisagreement].join(', ')}`);
+    }
     
   } catch (error) {
     console.error('❌ Analysis failed:', error.message);
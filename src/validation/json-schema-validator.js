@@ -0,0 +1,565 @@
+/**
+ * JSON Schema validator (draft 2020-12)
+ *
+ * Validates the structured answers the AI providers return. Every error is
+ * collected (not just the first) with the JSON pointer of the offending
+ * value and the schema keyword that rejected it.
+ *
+ * Supported keywords: type, enum, const, $ref / $defs / $anchor (local
+ * pointers and schemas registered with addSchema), allOf / anyOf / oneOf /
+ * not / if-then-else, properties, patternProperties, additionalProperties,
+ * required, propertyNames, min/maxProperties, dependentRequired,
+ * dependentSchemas, prefixItems, items, contains / min/maxContains,
+ * min/maxItems, uniqueItems, minimum / maximum / exclusive*, multipleOf,
+ * min/maxLength, pattern and default. `format` is an annotation (as in
+ * 2020-12) and unevaluated* keywords are not supported.
+ *
+ * Repair mode fixes the formatting slips models make - numeric or percent
+ * strings, enum casing ("yes" for "Yes"), JSON-encoded strings, a single
+ * value where a list is expected, wrapper keys around the answer and extra
+ * properties - and logs each repair. Validation runs on a copy; the
+ * (repaired, defaulted) copy is returned as `data`.
+ */
+
+/**
+ * Validator configuration
+ */
+const VALIDATOR_CONFIG = {
+  repair: false, // Fix common LLM deviations before rejecting a value
+  useDefaults: true, // Fill missing properties from `default`
+  logRepairs: true // console.warn each repair that was kept
+};
+
+const NUMERIC_STRING = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const PERCENT_STRING = /^([-+]?(\d+\.?\d*|\.\d+))\s*%$/;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const typeName = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'string': return typeof value === 'string';
+    default: throw new Error(`Unknown JSON Schema type: ${type}`);
+  }
+};
+
+/**
+ * Structural equality for enum / const / uniqueItems (key order ignored)
+ */
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Escape one JSON pointer segment (RFC 6901)
+ */
+export const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unescapePointer = (segment) => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const preview = (value) => {
+  if (value === undefined) return 'removed';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+// Enum comparison for repairs: case, surrounding space and -/_/space separators ignored
+const looseKey = (value) => String(value).trim().toLowerCase().replace(/[\s_-]+/g, '_');
+
+/**
+ * Render errors as "pointer: message" lines joined by '; '
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {string} Summary
+ */
+export function formatErrors(errors) {
+  return errors.map(error => `${error.instancePath || '(root)'}: ${error.message}`).join('; ');
+}
+
+/**
+ * Draft 2020-12 validator with error collection and optional repairs
+ */
+export class JsonSchemaValidator {
+  constructor(config = {}) {
+    this.config = { ...VALIDATOR_CONFIG, ...config };
+    this.schemas = new Map(); // $id -> schema, for cross-document $ref
+  }
+
+  /**
+   * Register a schema (and any nested $id) for $ref lookups
+   * @param {Object} schema - Schema with an $id, or pass `id`
+   * @param {string} id - Identifier to register under
+   * @returns {JsonSchemaValidator} this
+   */
+  addSchema(schema, id = schema?.$id) {
+    if (!id) {
+      throw new Error('addSchema needs a schema $id or an explicit id');
+    }
+    this.schemas.set(id.replace(/#$/, ''), schema);
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+      } else if (isObject(node)) {
+        if (node !== schema && typeof node.$id === 'string') this.schemas.set(node.$id.replace(/#$/, ''), node);
+        Object.values(node).forEach(visit);
+      }
+    };
+    visit(schema);
+    return this;
+  }
+
+  /**
+   * Validate data against a schema
+   * @param {*} data - Instance (not modified)
+   * @param {Object|boolean} schema - JSON Schema
+   * @param {Object} options - Overrides for the validator config ({ repair, useDefaults, logRepairs })
+   * @returns {Object} { isValid, errors: [{ instancePath, schemaPath, keyword, message }], repairs, data }
+   */
+  validate(data, schema, options = {}) {
+    const config = { ...this.config, ...options };
+    const state = { config, errors: [], repairs: [] };
+    const holder = { value: clone(data) };
+
+    this.validateNode(holder, 'value', schema, { instancePath: '', schemaPath: '#', root: schema, state, refs: new Set() });
+
+    if (config.logRepairs) {
+      state.repairs.forEach(repair => {
+        console.warn(`🔧 Repaired ${repair.instancePath || '(root)'}: ${preview(repair.from)} → ${preview(repair.to)} (${repair.message})`);
+      });
+    }
+    return { isValid: state.errors.length === 0, errors: state.errors, repairs: state.repairs, data: holder.value };
+  }
+
+  // --- Traversal helpers ---
+
+  sub(at, segment, ...schemaSegments) {
+    return {
+      ...at,
+      instancePath: segment === null ? at.instancePath : `${at.instancePath}/${escapePointer(segment)}`,
+      schemaPath: [at.schemaPath, ...schemaSegments.map(escapePointer)].join('/')
+    };
+  }
+
+  fail(at, keyword, message, params = {}) {
+    at.state.errors.push({ instancePath: at.instancePath, schemaPath: `${at.schemaPath}/${keyword}`, keyword, message, params });
+  }
+
+  // `from` is cloned: later repairs mutate the value in place
+  recordRepair(at, from, to, message) {
+    at.state.repairs.push({ instancePath: at.instancePath, from: clone(from), to, message });
+  }
+
+  /**
+   * Validate a copy of `value` in isolation (combinator branches, contains, if)
+   * @returns {Object} { valid, value, errors, repairs }
+   */
+  trial(value, schema, at, repair) {
+    const state = { config: { ...at.state.config, repair }, errors: [], repairs: [] };
+    const holder = { value: clone(value) };
+    this.validateNode(holder, 'value', schema, { ...at, state });
+    return { valid: state.errors.length === 0, value: holder.value, errors: state.errors, repairs: state.repairs };
+  }
+
+  // Keep a branch's result: its (repaired) value replaces the original
+  commit(holder, key, result, at) {
+    holder[key] = result.value;
+    at.state.repairs.push(...result.repairs);
+  }
+
+  resolveRef(ref, at) {
+    const [base, fragment = ''] = ref.split('#');
+    const root = base ? this.schemas.get(base) : at.root;
+    if (root === undefined) {
+      throw new Error(`Cannot resolve $ref '${ref}' (unknown schema '${base}')`);
+    }
+
+    let target = root;
+    if (fragment.startsWith('/')) {
+      fragment.slice(1).split('/').map(unescapePointer).forEach(segment => {
+        target = target === undefined || target === null ? undefined : target[segment];
+      });
+    } else if (fragment) {
+      const findAnchor = (node) => {
+        if (!isObject(node) && !Array.isArray(node)) return undefined;
+        if (isObject(node) && node.$anchor === fragment) return node;
+        for (const child of Object.values(node)) {
+          const found = findAnchor(child);
+          if (found !== undefined) return found;
+        }
+        return undefined;
+      };
+      target = findAnchor(root);
+    }
+
+    if (target === undefined) {
+      throw new Error(`Cannot resolve $ref '${ref}'`);
+    }
+    return { schema: target, root };
+  }
+
+  // --- Repairs ---
+
+  repairValue(holder, key, schema, at) {
+    const value = holder[key];
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+    const set = (next, message) => {
+      holder[key] = next;
+      this.recordRepair(at, value, next, message);
+    };
+
+    // {"analysis": {...}} around an object that should be the answer itself
+    if (isObject(value) && types?.includes('object') && Array.isArray(schema.required) && schema.required.some(prop => !(prop in value))) {
+      const wrappers = Object.keys(value).filter(prop => isObject(value[prop]) && schema.required.every(req => req in value[prop]));
+      if (wrappers.length === 1) {
+        set(value[wrappers[0]], `unwrapped '${wrappers[0]}' wrapper`);
+        return;
+      }
+    }
+
+    if (types && !types.some(type => matchesType(value, type))) {
+      if (typeof value === 'string') {
+        const text = value.trim();
+        if (types.includes('number') || types.includes('integer')) {
+          const percent = text.match(PERCENT_STRING);
+          const number = percent ? Number(percent[1]) / 100 : NUMERIC_STRING.test(text) ? Number(text) : NaN;
+          if (Number.isFinite(number) && (types.includes('number') || Number.isInteger(number))) {
+            set(number, percent ? 'percent string to number' : 'numeric string to number');
+            return;
+          }
+        }
+        if (types.includes('boolean') && /^(true|false)$/i.test(text)) {
+          set(text.toLowerCase() === 'true', 'boolean string to boolean');
+          return;
+        }
+        if ((types.includes('array') && text.startsWith('[')) || (types.includes('object') && text.startsWith('{'))) {
+          try {
+            const parsed = JSON.parse(text);
+            if (types.some(type => matchesType(parsed, type))) {
+              set(parsed, 'parsed JSON-encoded string');
+              return;
+            }
+          } catch {
+            // Not JSON: leave it for the type check to report
+          }
+        }
+      }
+      if (types.includes('array') && value !== null && value !== undefined && !Array.isArray(value)) {
+        set([value], 'wrapped single value in a list');
+        return;
+      }
+    }
+
+    // Enum casing / separators ("yes" -> "Yes", "Head and Shoulders" -> head_and_shoulders)
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+      const candidates = typeof value === 'boolean'
+        ? (value ? ['yes', 'true'] : ['no', 'false'])
+        : typeof value === 'string' || typeof value === 'number' ? [String(value)] : [];
+      for (const candidate of candidates) {
+        const match = schema.enum.find(option => typeof option === 'string' && looseKey(option) === looseKey(candidate));
+        if (match !== undefined) {
+          set(match, 'matched enum value');
+          return;
+        }
+      }
+    }
+
+    if (types?.includes('string') && !types.some(type => matchesType(value, type)) && (typeof value === 'number' || typeof value === 'boolean')) {
+      set(String(value), 'converted to string');
+    }
+  }
+
+  // --- Validation ---
+
+  validateNode(holder, key, schema, at) {
+    if (schema === true) return;
+    if (schema === false) {
+      this.fail(at, 'false', 'No value is allowed here');
+      return;
+    }
+    if (!isObject(schema)) {
+      throw new Error(`Invalid schema at ${at.schemaPath}`);
+    }
+
+    if (at.state.config.repair) this.repairValue(holder, key, schema, at);
+
+    if (schema.$ref !== undefined) {
+      // Guard against $ref cycles that never descend into the data
+      const marker = `${schema.$ref}@${at.instancePath}`;
+      if (at.refs.has(marker)) {
+        throw new Error(`Circular $ref '${schema.$ref}' at ${at.instancePath || '(root)'}`);
+      }
+      const { schema: target, root } = this.resolveRef(schema.$ref, at);
+      this.validateNode(holder, key, target, { ...at, root, schemaPath: `${at.schemaPath}/$ref`, refs: new Set([...at.refs, marker]) });
+    }
+
+    const value = holder[key];
+    const descend = { ...at, refs: new Set() };
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        this.fail(at, 'type', `Expected ${types.join(' or ')}, got ${typeName(value)}`, { type: schema.type });
+        return; // Further keywords on a value of the wrong type only add noise
+      }
+    }
+    if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+      this.fail(at, 'const', `Value must be ${JSON.stringify(schema.const)}`, { const: schema.const });
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+      this.fail(at, 'enum', `${typeof value === 'string' ? 'String' : 'Value'} ${JSON.stringify(value)} not in allowed values [${schema.enum.join(', ')}]`, { allowed: schema.enum });
+    }
+
+    if (typeof value === 'number') this.checkNumber(value, schema, at);
+    if (typeof value === 'string') this.checkString(value, schema, at);
+    if (Array.isArray(value)) this.checkArray(value, schema, descend);
+    if (isObject(value)) this.checkObject(holder, key, schema, descend);
+
+    this.checkCombinators(holder, key, schema, at);
+  }
+
+  checkNumber(value, schema, at) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this.fail(at, 'minimum', `Number ${value} below minimum ${schema.minimum}`, { limit: schema.minimum });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      this.fail(at, 'maximum', `Number ${value} above maximum ${schema.maximum}`, { limit: schema.maximum });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      this.fail(at, 'exclusiveMinimum', `Number ${value} must be greater than ${schema.exclusiveMinimum}`, { limit: schema.exclusiveMinimum });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      this.fail(at, 'exclusiveMaximum', `Number ${value} must be less than ${schema.exclusiveMaximum}`, { limit: schema.exclusiveMaximum });
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        this.fail(at, 'multipleOf', `Number ${value} is not a multiple of ${schema.multipleOf}`, { multipleOf: schema.multipleOf });
+      }
+    }
+  }
+
+  checkString(value, schema, at) {
+    const length = [...value].length; // Code points, as the spec counts them
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      this.fail(at, 'minLength', `String shorter than ${schema.minLength} characters`, { limit: schema.minLength });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      this.fail(at, 'maxLength', `String longer than ${schema.maxLength} characters`, { limit: schema.maxLength });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      this.fail(at, 'pattern', `String ${JSON.stringify(value)} does not match ${schema.pattern}`, { pattern: schema.pattern });
+    }
+  }
+
+  checkArray(items, schema, at) {
+    if (schema.minItems !== undefined && items.length < schema.minItems) {
+      this.fail(at, 'minItems', `Array needs at least ${schema.minItems} item(s)`, { limit: schema.minItems });
+    }
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+      this.fail(at, 'maxItems', `Array allows at most ${schema.maxItems} item(s)`, { limit: schema.maxItems });
+    }
+
+    const prefixItems = schema.prefixItems || [];
+    items.forEach((_, i) => {
+      if (i < prefixItems.length) {
+        this.validateNode(items, i, prefixItems[i], this.sub(at, i, 'prefixItems', i));
+      } else if (schema.items !== undefined) {
+        this.validateNode(items, i, schema.items, this.sub(at, i, 'items'));
+      }
+    });
+
+    if (schema.uniqueItems) {
+      for (let i = 0; i < items.length; i++) {
+        const j = items.findIndex((item, index) => index > i && deepEqual(item, items[i]));
+        if (j !== -1) {
+          this.fail(at, 'uniqueItems', `Items ${i} and ${j} are identical`, { i, j });
+          break;
+        }
+      }
+    }
+
+    if (schema.contains !== undefined) {
+      const matches = items.filter((item, i) => this.trial(item, schema.contains, this.sub(at, i, 'contains'), false).valid).length;
+      const min = schema.minContains ?? 1;
+      if (matches < min) {
+        this.fail(at, 'contains', `Array needs at least ${min} item(s) matching 'contains', found ${matches}`, { min, matches });
+      }
+      if (schema.maxContains !== undefined && matches > schema.maxContains) {
+        this.fail(at, 'maxContains', `Array allows at most ${schema.maxContains} item(s) matching 'contains', found ${matches}`, { limit: schema.maxContains });
+      }
+    }
+  }
+
+  checkObject(holder, key, schema, at) {
+    const obj = holder[key];
+    const { config } = at.state;
+    const properties = schema.properties || {};
+
+    // Defaults first, so they count towards `required`; in repair mode null stands in for missing
+    if (config.useDefaults) {
+      Object.entries(properties).forEach(([prop, propSchema]) => {
+        if (!isObject(propSchema) || propSchema.default === undefined) return;
+        if (!(prop in obj)) {
+          obj[prop] = clone(propSchema.default);
+        } else if (config.repair && obj[prop] === null && ![].concat(propSchema.type ?? []).includes('null')) {
+          obj[prop] = clone(propSchema.default);
+          this.recordRepair(this.sub(at, prop), null, obj[prop], 'null replaced by default');
+        }
+      });
+    }
+
+    (schema.required || []).forEach(prop => {
+      if (!(prop in obj)) {
+        this.fail(at, 'required', `Missing required property '${prop}'`, { missingProperty: prop });
+      }
+    });
+
+    const count = Object.keys(obj).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      this.fail(at, 'minProperties', `Object needs at least ${schema.minProperties} properties`, { limit: schema.minProperties });
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      this.fail(at, 'maxProperties', `Object allows at most ${schema.maxProperties} properties`, { limit: schema.maxProperties });
+    }
+
+    Object.entries(schema.dependentRequired || {}).forEach(([prop, needed]) => {
+      if (!(prop in obj)) return;
+      needed.filter(other => !(other in obj)).forEach(other => {
+        this.fail(at, 'dependentRequired', `Property '${other}' is required when '${prop}' is present`, { property: prop, missingProperty: other });
+      });
+    });
+
+    Object.keys(obj).forEach(prop => {
+      let evaluated = false;
+      if (Object.prototype.hasOwnProperty.call(properties, prop)) {
+        evaluated = true;
+        this.validateNode(obj, prop, properties[prop], this.sub(at, prop, 'properties', prop));
+      }
+      Object.entries(schema.patternProperties || {}).forEach(([pattern, propSchema]) => {
+        if (new RegExp(pattern, 'u').test(prop)) {
+          evaluated = true;
+          this.validateNode(obj, prop, propSchema, this.sub(at, prop, 'patternProperties', pattern));
+        }
+      });
+
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          if (config.repair) {
+            this.recordRepair(this.sub(at, prop), obj[prop], undefined, 'removed extra property');
+            delete obj[prop];
+          } else {
+            this.fail(this.sub(at, prop), 'additionalProperties', `Additional property '${prop}' not allowed`, { additionalProperty: prop });
+          }
+        } else {
+          this.validateNode(obj, prop, schema.additionalProperties, this.sub(at, prop, 'additionalProperties'));
+        }
+      }
+
+      if (schema.propertyNames !== undefined) {
+        const names = this.trial(prop, schema.propertyNames, this.sub(at, prop, 'propertyNames'), false);
+        if (!names.valid) {
+          this.fail(this.sub(at, prop), 'propertyNames', `Property name '${prop}' is invalid: ${formatErrors(names.errors)}`, { propertyName: prop });
+        }
+      }
+    });
+
+    Object.entries(schema.dependentSchemas || {}).forEach(([prop, dependent]) => {
+      if (prop in holder[key]) {
+        this.validateNode(holder, key, dependent, this.sub(at, null, 'dependentSchemas', prop));
+      }
+    });
+  }
+
+  // Branch errors of the closest alternative, so a failed anyOf / oneOf stays actionable
+  failAlternatives(at, keyword, message, results) {
+    this.fail(at, keyword, message);
+    const closest = [...results].sort((a, b) => a.errors.length - b.errors.length)[0];
+    if (closest) at.state.errors.push(...closest.errors);
+  }
+
+  checkCombinators(holder, key, schema, at) {
+    const { repair } = at.state.config;
+
+    (schema.allOf || []).forEach((branch, i) => {
+      this.validateNode(holder, key, branch, this.sub(at, null, 'allOf', i));
+    });
+
+    if (schema.anyOf) {
+      const branchAt = (i) => this.sub(at, null, 'anyOf', i);
+      let results = schema.anyOf.map((branch, i) => this.trial(holder[key], branch, branchAt(i), false));
+      let match = results.find(result => result.valid);
+      if (!match && repair) {
+        results = schema.anyOf.map((branch, i) => this.trial(holder[key], branch, branchAt(i), true));
+        match = results.find(result => result.valid);
+      }
+      if (match) {
+        this.commit(holder, key, match, at);
+      } else {
+        this.failAlternatives(at, 'anyOf', `Value does not match any of the ${schema.anyOf.length} anyOf alternatives`, results);
+      }
+    }
+
+    if (schema.oneOf) {
+      const branchAt = (i) => this.sub(at, null, 'oneOf', i);
+      let results = schema.oneOf.map((branch, i) => this.trial(holder[key], branch, branchAt(i), false));
+      let matches = results.filter(result => result.valid);
+      if (matches.length === 0 && repair) {
+        results = schema.oneOf.map((branch, i) => this.trial(holder[key], branch, branchAt(i), true));
+        matches = results.filter(result => result.valid);
+      }
+      if (matches.length === 1) {
+        this.commit(holder, key, matches[0], at);
+      } else if (matches.length > 1) {
+        this.fail(at, 'oneOf', `Value matches ${matches.length} oneOf alternatives (expected exactly one)`, { matches: matches.length });
+      } else {
+        this.failAlternatives(at, 'oneOf', `Value does not match any of the ${schema.oneOf.length} oneOf alternatives`, results);
+      }
+    }
+
+    if (schema.not !== undefined && this.trial(holder[key], schema.not, this.sub(at, null, 'not'), false).valid) {
+      this.fail(at, 'not', "Value must not match the 'not' schema");
+    }
+
+    if (schema.if !== undefined) {
+      const condition = this.trial(holder[key], schema.if, this.sub(at, null, 'if'), false).valid;
+      const branch = condition ? 'then' : 'else';
+      if (schema[branch] !== undefined) {
+        this.validateNode(holder, key, schema[branch], this.sub(at, null, branch));
+      }
+    }
+  }
+}
+
+const defaultValidator = new JsonSchemaValidator();
+
+/**
+ * Validate with the shared validator (see JsonSchemaValidator.validate)
+ * @param {*} data - Instance
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {Object} options - { repair, useDefaults, logRepairs }
+ * @returns {Object} { isValid, errors, repairs, data }
+ */
+export function validateJsonSchema(data, schema, options = {}) {
+  return defaultValidator.validate(data, schema, options);
+}
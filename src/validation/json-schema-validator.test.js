@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JsonSchemaValidator, validateJsonSchema, formatErrors, deepEqual } from './json-schema-validator.js';
+import { parseTrendAnalysisResponse, TREND_ANALYSIS_SCHEMA } from '../analysis/trend-schema.js';
+
+const quiet = { logRepairs: false };
+
+const point = {
+  type: 'object',
+  required: ['x', 'flag'],
+  properties: {
+    x: { type: 'number', minimum: 0 },
+    flag: { type: 'string', enum: ['Yes', 'No'] }
+  },
+  additionalProperties: false
+};
+
+test('collects every error with its pointer and keyword', () => {
+  const result = validateJsonSchema({ x: -1, flag: 'maybe', extra: 1 }, point, quiet);
+  assert.equal(result.isValid, false);
+  assert.deepEqual(result.errors.map(e => [e.instancePath, e.keyword]).sort(), [['/extra', 'additionalProperties'], ['/flag', 'enum'], ['/x', 'minimum']]);
+  assert.match(formatErrors(result.errors), /\/x/);
+});
+
+test('repair is off unless requested', () => {
+  const strict = validateJsonSchema({ x: '2', flag: 'yes' }, point, quiet);
+  assert.equal(strict.isValid, false);
+  assert.deepEqual(strict.repairs, []);
+
+  const repaired = validateJsonSchema({ x: '2', flag: 'yes' }, point, { ...quiet, repair: true });
+  assert.equal(repaired.isValid, true);
+  assert.deepEqual(repaired.data, { x: 2, flag: 'Yes' });
+  assert.deepEqual(repaired.repairs.map(r => r.instancePath).sort(), ['/flag', '/x']);
+});
+
+test('repair log keeps the original value even after nested repairs', () => {
+  const input = { answer: { x: '50%', flag: 'no' } };
+  const result = validateJsonSchema(input, point, { ...quiet, repair: true });
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.data, { x: 0.5, flag: 'No' });
+  const unwrap = result.repairs.find(r => r.instancePath === '');
+  assert.deepEqual(unwrap.from, { answer: { x: '50%', flag: 'no' } });
+  assert.deepEqual(input, { answer: { x: '50%', flag: 'no' } }, 'input is never mutated');
+});
+
+test('removed extra properties are logged with their value', () => {
+  const result = validateJsonSchema({ x: 1, flag: 'Yes', notes: { text: 'n/a' } }, point, { ...quiet, repair: true });
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.repairs, [{ instancePath: '/notes', from: { text: 'n/a' }, to: undefined, message: 'removed extra property' }]);
+});
+
+test('refs, defaults and oneOf', () => {
+  const validator = new JsonSchemaValidator(quiet);
+  validator.addSchema({ $id: 'https://example.test/level', type: 'number', minimum: 0, maximum: 1 });
+  const schema = {
+    type: 'object',
+    properties: {
+      level: { $ref: 'https://example.test/level' },
+      mode: { type: 'string', default: 'auto' },
+      value: { oneOf: [{ type: 'string' }, { type: 'integer' }] }
+    }
+  };
+  const result = validator.validate({ level: 0.5, value: 3 }, schema);
+  assert.equal(result.isValid, true);
+  assert.equal(result.data.mode, 'auto');
+  const invalid = validator.validate({ level: 2, value: 1.5 }, schema);
+  assert.ok(invalid.errors.some(e => e.instancePath === '/level' && e.keyword === 'maximum'));
+  assert.ok(invalid.errors.some(e => e.instancePath === '/value' && e.keyword === 'oneOf'));
+});
+
+test('deepEqual ignores key order', () => {
+  assert.equal(deepEqual({ a: [1, { b: 2 }], c: 3 }, { c: 3, a: [1, { b: 2 }] }), true);
+  assert.equal(deepEqual([1, 2], [2, 1]), false);
+});
+
+test('parseTrendAnalysisResponse is strict unless the caller opts into repair', () => {
+  const block = { confidence: '0.6', countertrend: 'no', counter_conf: 0.2 };
+  const answer = '```json\n' + JSON.stringify({ up: block, down: { ...block, confidence: 0.3 }, sideways: { ...block, confidence: 0.1 } }) + '\n```';
+  assert.throws(() => parseTrendAnalysisResponse(answer, TREND_ANALYSIS_SCHEMA), /Schema validation failed/);
+  const parsed = parseTrendAnalysisResponse(answer, TREND_ANALYSIS_SCHEMA, { repair: true });
+  assert.equal(parsed.up.confidence, 0.6);
+  assert.equal(parsed.up.countertrend, 'No');
+});
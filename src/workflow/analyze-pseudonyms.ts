@@ -2,15 +2,42 @@
  Pipeline:
  1) Discover final cropped images (*USDT_*_v1.png) in ~/Desktop/CLI App testing
  2) Create anonymized copies with pseudonym filenames into ~/Desktop/CLI App testing/anonymized
- 3) Maintain mappings.json linking pseudonym -> original
- 4) Send anonymized images to Gemini and collect JSON analyses
- 5) Produce a ranked CSV/JSON table on Desktop for strategy work
+ 3) Keep the pseudonym -> original pairing in the encrypted pseudonym vault (src/anonymization/pseudonym-vault.js)
+ 4) Send anonymized images to the configured AI provider (Gemini by default) and collect JSON analyses
+ 5) Reveal the pairing (only once every image has a result) and produce a ranked CSV/JSON table on Desktop for strategy work
+ ANALYZE_AUGMENT=1 disguises new anonymized copies (src/anonymization/augmentation.js); with
+ ANALYZE_MIRROR_CONTROLS=1 each also gets a mirrored control under its own pseudonym, scored
+ for model bias (ai-analysis-controls.csv) and kept out of the rankings
+ Prompts come from the prompt registry (src/analysis/prompts); each result records the
+ prompt_version and prompt_hash it was produced with
+ TREND_SCHEMA_REPAIR=1 fixes (and logs) formatting slips in answers instead of rejecting them
 */
 
 import { join, basename } from 'path';
-import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, copyFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, copyFileSync, unlinkSync } from 'fs';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { resolveProvider } from '../analysis/providers.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { applyCassette } from '../analysis/cassette.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { resolvePrompt } from '../analysis/prompt-registry.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { assignPromptVariant, comparePromptVersions, formatExperimentReport } from '../analysis/prompt-experiment.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { PseudonymVault, loadWordLists } from '../anonymization/pseudonym-vault.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { Augmenter, invertAnalysis, isMirrored } from '../anonymization/augmentation.js';
 
 function getDesktopDir(): string {
+  // ANALYZE_BASE_DIR lets CI point the pipeline at a fixture folder
+  if (process.env.ANALYZE_BASE_DIR) return process.env.ANALYZE_BASE_DIR;
   const home = process.env.HOME || process.cwd();
   return join(home, 'Desktop', 'CLI App testing');
 }
@@ -25,34 +52,32 @@ function listFinals(dir: string): string[] {
     .map(f => join(dir, f));
 }
 
-function makePseudonym(): string {
-  const adj = ['amber', 'ivory', 'crimson', 'jade', 'onyx', 'brisk', 'lunar', 'raven', 'atlas', 'ember'];
-  const noun = ['harbor', 'ridge', 'sparrow', 'citadel', 'prairie', 'constellation', 'horizon', 'mesa', 'voyager', 'solstice'];
-  const a = adj[Math.floor(Math.random() * adj.length)];
-  const n = noun[Math.floor(Math.random() * noun.length)];
-  const d = Math.floor(Math.random() * 90 + 10); // 10..99
-  return `${a}-${n}-${d}`;
-}
-
-type Mapping = {
-  pseudonym: string;
-  symbol: string;
-  rawPath: string;
-  finalPath: string;
-  createdAt: string;
-};
+// --- Pseudonym vault ---
+// PSEUDONYM_VAULT_PATH (default <baseDir>/pseudonym-vault.enc), key from PSEUDONYM_VAULT_KEY or
+// PSEUDONYM_VAULT_KEY_FILE (default ~/.crypto-strategy-builder/vault.key); PSEUDONYM_WORDLISTS=<json file>
+function openVault(baseDir: string): any {
+  const vault = new PseudonymVault({
+    vaultPath: process.env.PSEUDONYM_VAULT_PATH || join(baseDir, 'pseudonym-vault.enc'),
+    ...(process.env.PSEUDONYM_WORDLISTS ? { wordLists: loadWordLists(process.env.PSEUDONYM_WORDLISTS) } : {})
+  }).open();
 
-function loadMappings(file: string): Mapping[] {
-  if (!existsSync(file)) return [];
-  try {
-    return JSON.parse(readFileSync(file, 'utf8')) as Mapping[];
-  } catch {
-    return [];
+  // One-time migration of the old plaintext mapping file. The plaintext copy is deleted once
+  // the saved vault holds every pseudonym from it; otherwise it stays for another attempt
+  const legacyFile = join(baseDir, 'mappings.json');
+  if (existsSync(legacyFile)) {
+    const imported = vault.importPlaintext(legacyFile);
+    vault.save();
+    const legacy: { pseudonym?: string }[] = JSON.parse(readFileSync(legacyFile, 'utf8'));
+    const known = new Set(vault.pseudonyms());
+    const unmatched = legacy.filter(m => m.pseudonym && !known.has(m.pseudonym)).length;
+    if (unmatched === 0) {
+      unlinkSync(legacyFile);
+      console.log(`Imported ${imported} mapping(s) from ${legacyFile} into the vault and deleted the plaintext file.`);
+    } else {
+      console.log(`Imported ${imported} mapping(s) from ${legacyFile}, but ${unmatched} are missing from the vault; kept the plaintext file.`);
+    }
   }
-}
-
-function saveMappings(file: string, mappings: Mapping[]): void {
-  writeFileSync(file, JSON.stringify(mappings, null, 2), 'utf8');
+  return vault;
 }
 
 const REQUEST_TIMEOUT_MS = Number(process.env.ANALYZE_TIMEOUT_MS || '60000');
@@ -60,48 +85,32 @@ const MAX_RETRIES_PER_ITEM = Number(process.env.ANALYZE_MAX_RETRIES || '2');
 const RETRY_BACKOFF_MS = Number(process.env.ANALYZE_RETRY_BACKOFF_MS || '5000');
 const MAX_ANALYZE = Number(process.env.MAX_ANALYZE || '0');
 const FLUSH_EVERY = Number(process.env.ANALYZE_FLUSH_EVERY || '5');
+const SCHEMA_REPAIR = process.env.TREND_SCHEMA_REPAIR === '1';
 
-// --- Gemini client (with timeout and rate-limit handling) ---
-async function analyzeWithGemini(base64png: string): Promise<any> {
-  const apiKey = process.env.GEMINI_API_KEY || 'AIzaSyC5qPVs-DEV-PLACEHOLDER-ONLY';
-  const endpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-
-  const prompt = `Analyze the attached chart screenshot for trends without knowing the asset or time details. Use technical patterns to determine confidences with 3-6 decimals.
-Respond ONLY with valid JSON in this exact shape:
-{
-  "up": {"confidence": <0..1>, "countertrend": "Yes|No|Low", "counter_conf": <0..1>},
-  "down": {"confidence": <0..1>, "countertrend": "Yes|No|Low", "counter_conf": <0..1>},
-  "sideways": {"confidence": <0..1>, "countertrend": "Yes|No|Low", "counter_conf": <0..1>}
-}`;
+// --- Prompt (src/analysis/prompt-registry.js) ---
+// ANALYZE_PROMPT: registry ref (default trend-compact@1). ANALYZE_PROMPT_EXPERIMENT="trend-compact@1,trend-detailed@1"
+// splits the images across versions by a hash of the primary pseudonym, so resumed runs keep
+// each image (and its mirrored control) on the same version, and writes prompt-experiment-report.json
+const PROMPT_REF = process.env.ANALYZE_PROMPT || 'trend-compact@1';
+const PROMPT_EXPERIMENT = (process.env.ANALYZE_PROMPT_EXPERIMENT || '').split(',').map(p => p.trim()).filter(Boolean);
 
-  const payload = {
-    contents: [{
-      parts: [
-        { text: prompt },
-        { inline_data: { mime_type: 'image/png', data: base64png } }
-      ]
-    }],
-    generationConfig: { temperature: 0.1, topP: 0.8, topK: 10, maxOutputTokens: 1000, response_mime_type: 'application/json' }
-  };
+// --- AI provider (registry + optional cassette record/replay) ---
+// ANALYZE_PROVIDER: provider name or failover chain (default gemini; "synthetic" needs no network)
+// ANALYZE_CASSETTE_MODE=record|replay with ANALYZE_CASSETTE_DIR (default <baseDir>/cassettes)
+function createAnalyzer(baseDir: string): { name: string; offline?: boolean; analyze: (b64: string, options?: { prompt?: string; repair?: boolean }) => Promise<any> } {
+  const provider = resolveProvider(process.env.ANALYZE_PROVIDER || 'gemini', {
+    gemini: { apiKey: process.env.GEMINI_API_KEY || 'AIzaSyC5qPVs-DEV-PLACEHOLDER-ONLY', timeoutMs: REQUEST_TIMEOUT_MS },
+    openai: { timeoutMs: REQUEST_TIMEOUT_MS },
+    anthropic: { timeoutMs: REQUEST_TIMEOUT_MS }
+  });
+  return applyCassette(provider, {
+    mode: process.env.ANALYZE_CASSETTE_MODE || 'off',
+    dir: process.env.ANALYZE_CASSETTE_DIR || join(baseDir, 'cassettes')
+  });
+}
 
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-  const res = await fetch(endpoint, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'X-goog-api-key': apiKey },
-    body: JSON.stringify(payload),
-    signal: controller.signal
-  }).catch((e: any) => { throw new Error(`Gemini request failed: ${e?.message || e}`); });
-  clearTimeout(timer);
-  if (!res.ok) {
-    if (res.status === 429) throw new Error('RATE_LIMIT');
-    throw new Error(`Gemini API error ${res.status}`);
-  }
-  const data = await res.json();
-  let content = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  content = content.trim();
-  if (content.startsWith('```')) content = content.replace(/^```json?\s*/i, '').replace(/\s*```$/, '');
-  return JSON.parse(content);
+function isRateLimitError(msg: string): boolean {
+  return msg.includes('RATE_LIMIT') || / API error 429\b/.test(msg);
 }
 
 async function fileToBase64(path: string): Promise<string> {
@@ -113,48 +122,63 @@ async function main(): Promise<void> {
   const baseDir = getDesktopDir();
   const anonDir = join(baseDir, 'anonymized');
   ensureDir(anonDir);
-  const mapFile = join(baseDir, 'mappings.json');
-  const mappings = loadMappings(mapFile);
+  const vault = openVault(baseDir);
   const existingResultsPath = join(baseDir, 'ai-analysis-results.json');
-  const existingResults: { pseudonym: string; symbol: string; result: any }[] = existsSync(existingResultsPath)
+  const existingResults: { pseudonym: string; symbol?: string; prompt_version?: string; prompt_hash?: string; result: any }[] = existsSync(existingResultsPath)
     ? JSON.parse(readFileSync(existingResultsPath, 'utf8'))
     : [];
+  // Results from before the vault stored the symbol next to the pseudonym; every rewrite of
+  // this file keeps pseudonyms only
+  existingResults.forEach(r => { delete r.symbol; });
   const donePseudos = new Set(existingResults.map(r => r.pseudonym));
-  const rawToPseudo = new Map<string, { pseudonym: string; anonPath: string; symbol: string }>();
-  for (const m of mappings) {
-    rawToPseudo.set(m.rawPath, { pseudonym: m.pseudonym, anonPath: m.finalPath, symbol: m.symbol });
-  }
 
   // Step 1: collect finals
   const finals = listFinals(baseDir);
   if (finals.length === 0) throw new Error('No final *_v1.png found to anonymize');
 
-  // Step 2: anonymize filenames and copy (dedupe by rawPath)
-  const work: { pseudonym: string; finalPath: string; anonPath: string; symbol: string }[] = [];
+  // Step 2: anonymize filenames and copy (the vault dedupes by source path).
+  // Work items carry no symbol: the analysis step only sees pseudonyms.
+  // New copies are augmented once; transforms go into the vault entries
+  const augmenter = process.env.ANALYZE_AUGMENT === '1'
+    ? new Augmenter({ mirrorControls: process.env.ANALYZE_MIRROR_CONTROLS === '1' })
+    : null;
+  const work: { pseudonym: string; anonPath: string; splitKey: string }[] = [];
   for (const f of finals) {
     const bn = basename(f); // e.g., ADAUSDT_..._v1.png
     const symbol = bn.split('USDT_')[0].toUpperCase();
-    const existing = rawToPseudo.get(f);
-    if (existing) {
-      // ensure anonymized file exists
-      if (!existsSync(existing.anonPath)) copyFileSync(f, existing.anonPath);
-      work.push({ pseudonym: existing.pseudonym, finalPath: f, anonPath: existing.anonPath, symbol });
-      continue;
+    const { pseudonym } = vault.assign({ source: f, symbol });
+    const anonPath = join(anonDir, `${pseudonym}.png`);
+    const controlSource = `${f}#mirror-control`;
+    if (!existsSync(anonPath)) {
+      copyFileSync(f, anonPath);
+      if (augmenter) {
+        // The control gets an unrelated pseudonym, so the model cannot link it to its source
+        const controlPseudonym = augmenter.config.mirrorControls
+          ? vault.assign({ source: controlSource, symbol, controlOf: pseudonym }).pseudonym
+          : null;
+        const augmented = await augmenter.augmentFile(anonPath, controlPseudonym ? { controlOutput: join(anonDir, `${controlPseudonym}.png`) } : {});
+        if (augmented.success) {
+          vault.recordTransforms(pseudonym, augmented.transforms);
+          if (augmented.control) vault.recordTransforms(controlPseudonym, augmented.control.transforms);
+        } else {
+          console.log(`Augmentation failed for ${pseudonym}: ${augmented.error}`);
+        }
+      }
     }
-    let pseudonym = makePseudonym();
-    while (mappings.some(m => m.pseudonym === pseudonym) || work.some(w => w.pseudonym === pseudonym)) {
-      pseudonym = makePseudonym();
+    work.push({ pseudonym, anonPath, splitKey: pseudonym });
+    const controlPseudonym = vault.pseudonymFor(controlSource);
+    if (controlPseudonym && existsSync(join(anonDir, `${controlPseudonym}.png`))) {
+      work.push({ pseudonym: controlPseudonym, anonPath: join(anonDir, `${controlPseudonym}.png`), splitKey: pseudonym });
     }
-    const anonPath = join(anonDir, `${pseudonym}.png`);
-    copyFileSync(f, anonPath);
-    mappings.push({ pseudonym, symbol, rawPath: f, finalPath: anonPath, createdAt: new Date().toISOString() });
-    rawToPseudo.set(f, { pseudonym, anonPath, symbol });
-    work.push({ pseudonym, finalPath: f, anonPath, symbol });
   }
-  saveMappings(mapFile, mappings);
+  vault.save();
 
   // Step 3: analyze anonymized images
-  const analyses: { pseudonym: string; symbol: string; result: any }[] = [];
+  const analyzer = createAnalyzer(baseDir);
+  console.log(`Analyzing with provider: ${analyzer.name}`);
+  const prompts = (PROMPT_EXPERIMENT.length > 1 ? PROMPT_EXPERIMENT : [PROMPT_REF]).map(ref => resolvePrompt(ref));
+  console.log(`Prompt${prompts.length > 1 ? ' experiment' : ''}: ${prompts.map((p: any) => `${p.ref} (sha256 ${p.hash.slice(0, 12)})`).join(' vs ')}`);
+  const analyses: { pseudonym: string; prompt_version: string; prompt_hash: string; result: any }[] = [];
   let processed = 0;
   for (let i = 0; i < work.length; i++) {
     if (MAX_ANALYZE > 0 && processed >= MAX_ANALYZE) {
@@ -169,18 +193,20 @@ async function main(): Promise<void> {
       attempt++;
       try {
         const b64 = await fileToBase64(w.anonPath);
-        const result = await analyzeWithGemini(b64);
-        analyses.push({ pseudonym: w.pseudonym, symbol: w.symbol, result });
-        existingResults.push({ pseudonym: w.pseudonym, symbol: w.symbol, result });
+        const prompt = assignPromptVariant(prompts, { imageHash: createHash('sha256').update(w.splitKey).digest('hex') }, 'hash');
+        const result = await analyzer.analyze(b64, { prompt: prompt.text, repair: SCHEMA_REPAIR });
+        const entry = { pseudonym: w.pseudonym, prompt_version: prompt.ref, prompt_hash: prompt.hash, result };
+        analyses.push(entry);
+        existingResults.push(entry);
         processed++;
         success = true;
         if (processed % FLUSH_EVERY === 0) {
           writeFileSync(existingResultsPath, JSON.stringify(existingResults, null, 2), 'utf8');
         }
-        await new Promise(r => setTimeout(r, 800));
+        if (!analyzer.offline) await new Promise(r => setTimeout(r, 800));
       } catch (e: any) {
         const msg = e?.message || String(e);
-        if (msg.includes('RATE_LIMIT')) {
+        if (isRateLimitError(msg)) {
           console.log('Rate limit detected. Stopping further analysis to avoid hangs.');
           // Flush partial results
           writeFileSync(existingResultsPath, JSON.stringify(existingResults, null, 2), 'utf8');
@@ -198,30 +224,48 @@ async function main(): Promise<void> {
     }
   }
 
-  // Step 4: build ranking CSV
+  // The vault stays sealed until every image has a result (MAX_ANALYZE cap, rate limit or
+  // failed items leave some for the next run, which skips the ones already analysed)
+  const analysed = new Set(existingResults.map(r => r.pseudonym));
+  const remaining = work.filter(w => !analysed.has(w.pseudonym)).length;
+  if (remaining > 0) {
+    writeFileSync(existingResultsPath, JSON.stringify(existingResults, null, 2), 'utf8');
+    console.log(`${remaining} of ${work.length} image(s) still need an analysis; the vault stays sealed. Re-run to continue.`);
+    console.log('JSON:', existingResultsPath);
+    return;
+  }
+
+  // Analysis is over: only now may pseudonyms be mapped back to symbols
+  vault.completeAnalysis();
+  const revealed = vault.reveal(existingResults.map(r => r.pseudonym), 'analyze-pseudonyms ranking tables');
+  const symbolOf = (pseudonym: string): string => revealed.get(pseudonym)?.symbol ?? '';
+  const isControl = (pseudonym: string): boolean => Boolean(revealed.get(pseudonym)?.controlOf);
+
+  // Step 4: build ranking CSV (controls are reported separately below)
   const rows: string[] = [];
   rows.push(['pseudonym', 'symbol', 'trend', 'trend_c', 'countertrend', 'counter_conf'].join(','));
-  analyses.forEach(a => {
+  analyses.filter(a => !isControl(a.pseudonym)).forEach(a => {
     const r = a.result;
-    rows.push([a.pseudonym, a.symbol, 'Up', Number(r?.up?.confidence ?? 0).toFixed(6), r?.up?.countertrend ?? '', Number(r?.up?.counter_conf ?? 0).toFixed(6)].join(','));
-    rows.push([a.pseudonym, a.symbol, 'Down', Number(r?.down?.confidence ?? 0).toFixed(6), r?.down?.countertrend ?? '', Number(r?.down?.counter_conf ?? 0).toFixed(6)].join(','));
-    rows.push([a.pseudonym, a.symbol, 'Sideways', Number(r?.sideways?.confidence ?? 0).toFixed(6), r?.sideways?.countertrend ?? '', Number(r?.sideways?.counter_conf ?? 0).toFixed(6)].join(','));
+    const symbol = symbolOf(a.pseudonym);
+    rows.push([a.pseudonym, symbol, 'Up', Number(r?.up?.confidence ?? 0).toFixed(6), r?.up?.countertrend ?? '', Number(r?.up?.counter_conf ?? 0).toFixed(6)].join(','));
+    rows.push([a.pseudonym, symbol, 'Down', Number(r?.down?.confidence ?? 0).toFixed(6), r?.down?.countertrend ?? '', Number(r?.down?.counter_conf ?? 0).toFixed(6)].join(','));
+    rows.push([a.pseudonym, symbol, 'Sideways', Number(r?.sideways?.confidence ?? 0).toFixed(6), r?.sideways?.countertrend ?? '', Number(r?.sideways?.counter_conf ?? 0).toFixed(6)].join(','));
   });
   const csvPath = join(baseDir, 'ai-analysis-table.csv');
   writeFileSync(csvPath, rows.join('\n'), 'utf8');
 
-  // Save raw analyses as JSON
+  // Save raw analyses as JSON (pseudonyms only; the pairing stays in the vault)
   const jsonPath = existingResultsPath;
   writeFileSync(jsonPath, JSON.stringify(existingResults, null, 2), 'utf8');
 
   // Step 5: coin-level rankings (per-anonymized image)
   const rankingSource = existingResults.length > 0 ? existingResults : analyses;
-  const rankingEntries = rankingSource.map(a => {
+  const rankingEntries = rankingSource.filter(a => !isControl(a.pseudonym)).map(a => {
     const up = Number(a.result?.up?.confidence ?? 0);
     const down = Number(a.result?.down?.confidence ?? 0);
     const sideways = Number(a.result?.sideways?.confidence ?? 0);
     const coinScore = Math.max(up, down, sideways);
-    return { pseudonym: a.pseudonym, symbol: a.symbol, up, down, sideways, coin_score: coinScore };
+    return { pseudonym: a.pseudonym, symbol: symbolOf(a.pseudonym), up, down, sideways, coin_score: coinScore };
   }).sort((a, b) => b.coin_score - a.coin_score);
 
   const rankingsCsv: string[] = [];
@@ -243,11 +287,50 @@ async function main(): Promise<void> {
   const tableRankedPath = join(baseDir, 'ai-analysis-table-ranked.csv');
   writeFileSync(tableRankedPath, tableRankedCsv.join('\n'), 'utf8');
 
-  console.log('Mappings:', mapFile);
+  // Step 6: mirrored controls, read back through invertAnalysis; bias is the mean of
+  // (up - down) on primary and raw control, which cancel for an unbiased model
+  const resultOf = new Map(rankingSource.map(a => [a.pseudonym, a.result]));
+  const controlPairs = [...revealed.values()]
+    .filter((entry: any) => entry.controlOf && resultOf.has(entry.pseudonym) && resultOf.has(entry.controlOf) && isMirrored(entry.transforms));
+  let controlsPath = '';
+  let experimentPath = '';
+  if (controlPairs.length > 0) {
+    const lean = (r: any): number => Number(r?.up?.confidence ?? 0) - Number(r?.down?.confidence ?? 0);
+    const controlsCsv: string[] = [['pseudonym', 'control_pseudonym', 'symbol', 'up_conf', 'down_conf', 'control_up_conf', 'control_down_conf', 'up_gap', 'bias'].join(',')];
+    let biasSum = 0;
+    controlPairs.forEach((entry: any) => {
+      const primary = resultOf.get(entry.controlOf);
+      const rawControl = resultOf.get(entry.pseudonym);
+      const control = invertAnalysis(rawControl);
+      const up = Number(primary?.up?.confidence ?? 0);
+      const controlUp = Number(control?.up?.confidence ?? 0);
+      const bias = (lean(primary) + lean(rawControl)) / 2;
+      biasSum += bias;
+      controlsCsv.push([entry.controlOf, entry.pseudonym, entry.symbol, up.toFixed(6), Number(primary?.down?.confidence ?? 0).toFixed(6), controlUp.toFixed(6), Number(control?.down?.confidence ?? 0).toFixed(6), (up - controlUp).toFixed(6), bias.toFixed(6)].join(','));
+    });
+    controlsPath = join(baseDir, 'ai-analysis-controls.csv');
+    writeFileSync(controlsPath, controlsCsv.join('\n'), 'utf8');
+    console.log(`Mirrored controls: ${controlPairs.length} pair(s), bullish bias ${(biasSum / controlPairs.length).toFixed(4)} (0 = unbiased)`);
+  }
+
+  // Step 7: prompt experiment report (primaries only)
+  if (prompts.length > 1) {
+    const report = comparePromptVersions(
+      rankingSource.filter(a => !isControl(a.pseudonym)).map(a => ({ prompt_version: a.prompt_version, prompt_hash: a.prompt_hash, analysis: a.result })),
+      { baseline: prompts[0].ref }
+    );
+    experimentPath = join(baseDir, 'prompt-experiment-report.json');
+    writeFileSync(experimentPath, JSON.stringify(report, null, 2), 'utf8');
+    formatExperimentReport(report).forEach((line: string) => console.log(line));
+  }
+
+  console.log('Vault:', vault.config.vaultPath);
   console.log('CSV:', csvPath);
   console.log('JSON:', jsonPath);
   console.log('Rankings:', rankingsPath);
   console.log('TableRanked:', tableRankedPath);
+  if (controlsPath) console.log('Controls:', controlsPath);
+  if (experimentPath) console.log('Experiment:', experimentPath);
 }
 
 main().catch(err => {
@@ -1,6 +1,7 @@
 /*
  End-to-end stress test for 250 pairs:
- - Fetch ~300 coins (3 pages) and pick first 250 non-stable symbols
+ - Fetch ~300 coins (3 pages) and pick the first 250 from the filtered universe
+   (no stablecoins, wrapped/staked/pegged assets or ticker collisions; BTC/ETH excluded)
  - Capture TradingView with strict 1Y click, 1920x1080
  - Single-step final crop to 1440x850 into ~/Desktop/CLI App testing
  - Run analyzer script to generate rankings
@@ -10,81 +11,25 @@
 import { join } from 'path';
 import { existsSync, mkdirSync, copyFileSync } from 'fs';
 import sharp from 'sharp';
-import { chromium } from 'playwright';
 import { spawn } from 'child_process';
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import { fetchAllCoinBatches, DEFAULT_CONFIG } from '../../download-usdt-pairs.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { PlaywrightCaptureBackend } from '../screenshot/playwright-capture.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { buildUniverse, saveUniverse } from '../market/universe.js';
 
 function ensureDir(dirPath: string): void {
   if (!existsSync(dirPath)) mkdirSync(dirPath, { recursive: true });
 }
 
-async function dismissOverlays(page: import('playwright').Page): Promise<void> {
-  const overlayTexts = [
-    'I understand','I Understand','Accept all','Accept All','I agree','I Agree',
-    'No thanks','No Thanks','Got it','Got It','Maybe later','Maybe Later','Allow all'
-  ];
-  for (const text of overlayTexts) {
-    try {
-      const loc = page.getByText(text, { exact: true }).first();
-      if (await loc.count().catch(() => 0)) {
-        await loc.click({ timeout: 1000 }).catch(() => {});
-        await page.waitForTimeout(300);
-      }
-    } catch {}
-  }
-}
-
-async function clickOneYearStrict(page: import('playwright').Page): Promise<void> {
-  const candidateLocators = async () => [
-    page.getByRole('button', { name: '1Y' }).first(),
-    page.locator('button[aria-label="1Y"]').first(),
-    page.locator('button[title="1Y"]').first(),
-    page.locator('div[aria-label="1Y"]').first(),
-    page.locator('[data-name="timeframes-toolbar"] button:has-text("1Y")').first(),
-    page.locator('[data-name="timeframes-toolbar"] :text("1Y")').first(),
-    page.locator('div[role="tab"]:has-text("1Y")').first(),
-    page.locator(':text("1Y")').first()
-  ];
-
-  for (let cycle = 0; cycle < 2; cycle++) {
-    await dismissOverlays(page).catch(() => {});
-    for (let attempt = 0; attempt < 3; attempt++) {
-      const locs = await candidateLocators();
-      for (const loc of locs) {
-        try {
-          if (await loc.count().catch(() => 0)) {
-            await loc.scrollIntoViewIfNeeded().catch(() => {});
-            await loc.click({ timeout: 3000 }).catch(() => {});
-            await page.waitForTimeout(900);
-            await loc.click({ timeout: 1500 }).catch(() => {});
-            await page.waitForTimeout(600);
-            return;
-          }
-        } catch {}
-      }
-      await page.waitForTimeout(800);
-    }
-    await page.reload({ waitUntil: 'networkidle', timeout: 30000 }).catch(() => {});
-    await page.waitForTimeout(1500);
-  }
-  throw new Error('Failed to click 1Y timeframe control');
-}
-
-async function captureStrict(browser: import('playwright').Browser, symbol: string, destPath: string): Promise<void> {
-  const url = `https://www.tradingview.com/chart/?symbol=${symbol}USDT&interval=1D`;
-  const context = await browser.newContext({ viewport: { width: 1920, height: 1080 }, deviceScaleFactor: 1 });
-  const page = await context.newPage();
-  try {
-    await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
-    await page.waitForTimeout(2000);
-    await clickOneYearStrict(page);
-    await page.waitForTimeout(1000);
-    await page.screenshot({ path: destPath, fullPage: false, type: 'png' });
-  } finally {
-    await context.close();
-  }
+async function captureStrict(backend: any, symbol: string, destPath: string): Promise<void> {
+  // Shared capture flow: overlay dismissal + strict, verified 1Y selection (src/screenshot/capture-backend.js)
+  const result = await backend.captureChart(symbol, destPath);
+  if (!result.success) throw new Error(result.error);
 }
 
 async function cropFinal1440x850(srcPath: string): Promise<string> {
@@ -107,11 +52,6 @@ function getFinalTableDir(): string {
   return join(getDesktopDir(), 'final table');
 }
 
-function isStable(symbol: string): boolean {
-  const s = symbol.toLowerCase();
-  return ['usdt','usdc','usd','dai','busd','tusd','usdp','usdd','frax','lusd','susd','gusd','usds','usde','usdf','usdt0','usdtb'].includes(s);
-}
-
 function runCmd(command: string, args: string[], env?: NodeJS.ProcessEnv): Promise<number> {
   return new Promise((resolve) => {
     const child = spawn(command, args, { stdio: 'inherit', env: env || process.env });
@@ -128,12 +68,14 @@ async function main(): Promise<void> {
   // Fetch ~300 coins (3 pages)
   const cfg = { ...DEFAULT_CONFIG, maxPages: 3, perPage: 100 };
   const coins = await fetchAllCoinBatches(cfg);
-  const pool = Array.from(new Set(coins.map((c: any) => (c?.symbol ?? '').toString().toUpperCase())))
-    .filter(sym => sym && !isStable(sym) && sym !== 'BTC' && sym !== 'ETH');
-  const symbols = pool.slice(0, 250);
+  const universe = buildUniverse(coins, { exclude: ['bitcoin', 'ethereum'], limit: 250 });
+  saveUniverse(join(finalTableDir, `universe_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.json`), universe);
+  console.log(`Universe: ${universe.symbols.length} symbols, dropped ${universe.dropped.length} (${Object.entries(universe.metadata.droppedByReason).map(([r, n]) => `${r} ${n}`).join(', ')})`);
+  const symbols: string[] = universe.symbols;
   if (symbols.length < 250) throw new Error(`Only ${symbols.length} eligible symbols available`);
 
-  const browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
+  const backend = new PlaywrightCaptureBackend();
+  if (!(await backend.initialize())) throw new Error('Failed to launch browser');
   try {
     for (let i = 0; i < symbols.length; i++) {
       const symbol = symbols[i];
@@ -141,7 +83,7 @@ async function main(): Promise<void> {
       const rawPath = join(desktopDir, `${symbol}USDT_${ts}.png`);
       console.log(`[${i + 1}/${symbols.length}] ${symbol} -> ${rawPath}`);
       try {
-        await captureStrict(browser, symbol, rawPath);
+        await captureStrict(backend, symbol, rawPath);
         await cropFinal1440x850(rawPath);
       } catch (e: any) {
         console.log(`Capture/crop failed for ${symbol}: ${e?.message || e}`);
@@ -150,7 +92,7 @@ async function main(): Promise<void> {
       if (i < symbols.length - 1) await new Promise(r => setTimeout(r, 700));
     }
   } finally {
-    await browser.close();
+    await backend.close();
   }
 
   // Analyze with existing analyzer script (expects GEMINI_API_KEY in env)
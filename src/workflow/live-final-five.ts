@@ -7,80 +7,26 @@
 import { join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
 import sharp from 'sharp';
-import { chromium } from 'playwright';
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import { fetchAllCoinBatches, DEFAULT_CONFIG } from '../../download-usdt-pairs.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { PlaywrightCaptureBackend } from '../screenshot/playwright-capture.js';
 
 function ensureDir(dirPath: string): void {
   if (!existsSync(dirPath)) mkdirSync(dirPath, { recursive: true });
 }
 
-async function dismissOverlays(page: import('playwright').Page): Promise<void> {
-  const overlayTexts = [
-    'I understand', 'I Understand', 'Accept all', 'Accept All', 'I agree', 'I Agree',
-    'No thanks', 'No Thanks', 'Got it', 'Got It', 'Maybe later', 'Maybe Later', 'Allow all'
-  ];
-  for (const text of overlayTexts) {
-    try {
-      const loc = page.getByText(text, { exact: true }).first();
-      if (await loc.count().catch(() => 0)) {
-        await loc.click({ timeout: 1000 }).catch(() => {});
-        await page.waitForTimeout(300);
-      }
-    } catch {}
-  }
-}
-
-async function clickOneYearStrict(page: import('playwright').Page): Promise<void> {
-  const candidateLocators = async () => [
-    page.getByRole('button', { name: '1Y' }).first(),
-    page.locator('button[aria-label="1Y"]').first(),
-    page.locator('button[title="1Y"]').first(),
-    page.locator('div[aria-label="1Y"]').first(),
-    page.locator('[data-name="timeframes-toolbar"] button:has-text("1Y")').first(),
-    page.locator('[data-name="timeframes-toolbar"] :text("1Y")').first(),
-    page.locator('div[role="tab"]:has-text("1Y")').first(),
-    page.locator(':text("1Y")').first()
-  ];
-
-  for (let cycle = 0; cycle < 2; cycle++) {
-    await dismissOverlays(page).catch(() => {});
-    for (let attempt = 0; attempt < 3; attempt++) {
-      const locs = await candidateLocators();
-      for (const loc of locs) {
-        try {
-          if (await loc.count().catch(() => 0)) {
-            await loc.scrollIntoViewIfNeeded().catch(() => {});
-            await loc.click({ timeout: 3000 }).catch(() => {});
-            await page.waitForTimeout(900);
-            await loc.click({ timeout: 1500 }).catch(() => {});
-            await page.waitForTimeout(600);
-            return;
-          }
-        } catch {}
-      }
-      await page.waitForTimeout(800);
-    }
-    await page.reload({ waitUntil: 'networkidle', timeout: 30000 }).catch(() => {});
-    await page.waitForTimeout(1500);
-  }
-  throw new Error('Failed to click 1Y timeframe control');
-}
-
 async function captureStrict(symbol: string, destPath: string): Promise<void> {
-  const url = `https://www.tradingview.com/chart/?symbol=${symbol}USDT&interval=1D`;
-  const browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
+  // Shared capture flow: overlay dismissal + strict, verified 1Y selection (src/screenshot/capture-backend.js)
+  const backend = new PlaywrightCaptureBackend();
+  if (!(await backend.initialize())) throw new Error('Failed to launch browser');
   try {
-    const context = await browser.newContext({ viewport: { width: 1920, height: 1080 }, deviceScaleFactor: 1 });
-    const page = await context.newPage();
-    await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
-    await page.waitForTimeout(2000);
-    await clickOneYearStrict(page);
-    await page.waitForTimeout(1000);
-    await page.screenshot({ path: destPath, fullPage: false, type: 'png' });
+    const result = await backend.captureChart(symbol, destPath);
+    if (!result.success) throw new Error(result.error);
   } finally {
-    await browser.close();
+    await backend.close();
   }
 }
 
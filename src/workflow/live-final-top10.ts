@@ -7,16 +7,18 @@
    * Single-step final crop to 1440x850 (top130, bottom100, left40, right440)
    * Save RAW and final v1 to ~/Desktop/CLI App testing
 
- Standalone: no shared local imports.
+ Capture uses the shared Playwright backend (src/screenshot/playwright-capture.js).
 */
 
 import { join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
 import sharp from 'sharp';
-import { chromium } from 'playwright';
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import { fetchAllCoinBatches, DEFAULT_CONFIG } from '../../download-usdt-pairs.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { PlaywrightCaptureBackend } from '../screenshot/playwright-capture.js';
 
 function ensureDir(dirPath: string): void {
   if (!existsSync(dirPath)) mkdirSync(dirPath, { recursive: true });
@@ -40,43 +42,15 @@ function pickSymbols(rawCoins: any[], count: number): string[] {
   return unique;
 }
 
-async function clickOneYearStrict(page: import('playwright').Page): Promise<void> {
-  const candidates = [
-    'button:has-text("1Y")',
-    'div[role="button"]:has-text("1Y")',
-    '[data-name="timeframes-toolbar"] :text("1Y")',
-    'text=1Y'
-  ];
-  for (let attempt = 0; attempt < 3; attempt++) {
-    for (const sel of candidates) {
-      const locator = page.locator(sel).first();
-      if (await locator.count().catch(() => 0)) {
-        await locator.scrollIntoViewIfNeeded().catch(() => {});
-        await locator.click({ timeout: 3000 }).catch(() => {});
-        await page.waitForTimeout(1000);
-        await locator.click({ timeout: 1500 }).catch(() => {});
-        await page.waitForTimeout(800);
-        return;
-      }
-    }
-    await page.waitForTimeout(1000);
-  }
-  throw new Error('Failed to click 1Y timeframe control');
-}
-
 async function captureStrict(symbol: string, destPath: string): Promise<void> {
-  const url = `https://www.tradingview.com/chart/?symbol=${symbol}USDT&interval=1D`;
-  const browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
+  // Shared capture flow: overlay dismissal + strict, verified 1Y selection (src/screenshot/capture-backend.js)
+  const backend = new PlaywrightCaptureBackend();
+  if (!(await backend.initialize())) throw new Error('Failed to launch browser');
   try {
-    const context = await browser.newContext({ viewport: { width: 1920, height: 1080 }, deviceScaleFactor: 1 });
-    const page = await context.newPage();
-    await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
-    await page.waitForTimeout(2500);
-    await clickOneYearStrict(page);
-    await page.waitForTimeout(1200);
-    await page.screenshot({ path: destPath, fullPage: false, type: 'png' });
+    const result = await backend.captureChart(symbol, destPath);
+    if (!result.success) throw new Error(result.error);
   } finally {
-    await browser.close();
+    await backend.close();
   }
 }
 
@@ -15,8 +15,10 @@ import sharp from 'sharp';
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import { fetchAllCoinBatches, DEFAULT_CONFIG } from '../../download-usdt-pairs.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { PlaywrightCaptureBackend } from '../screenshot/playwright-capture.js';
 
-import { chromium } from 'playwright';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -37,50 +39,15 @@ function pickNonStableSymbol(rawCoins: any[]): string {
   throw new Error('No non-stable symbols found');
 }
 
-async function clickOneYearStrict(page: import('playwright').Page): Promise<void> {
-  // Try a set of resilient selectors, multiple attempts, no alternatives
-  const candidates = [
-    'button:has-text("1Y")',
-    'div[role="button"]:has-text("1Y")',
-    '[data-name="timeframes-toolbar"] :text("1Y")',
-    'text=1Y'
-  ];
-  for (let attempt = 0; attempt < 3; attempt++) {
-    for (const sel of candidates) {
-      const locator = page.locator(sel).first();
-      if (await locator.count().catch(() => 0)) {
-        await locator.scrollIntoViewIfNeeded().catch(() => {});
-        await locator.click({ timeout: 3000 }).catch(() => {});
-        await page.waitForTimeout(1000);
-        // Best-effort: click again to ensure activation
-        await locator.click({ timeout: 1500 }).catch(() => {});
-        await page.waitForTimeout(800);
-        return;
-      }
-    }
-    await page.waitForTimeout(1000);
-  }
-  // If we got here, we still didn't find/click 1Y – fail fast to respect the requirement
-  throw new Error('Failed to click 1Y timeframe control');
-}
-
 async function captureTradingView(symbol: string, destPath: string): Promise<void> {
-  const url = `https://www.tradingview.com/chart/?symbol=${symbol}USDT&interval=1D`;
-  const browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
+  // Shared capture flow: overlay dismissal + strict, verified 1Y selection (src/screenshot/capture-backend.js)
+  const backend = new PlaywrightCaptureBackend();
+  if (!(await backend.initialize())) throw new Error('Failed to launch browser');
   try {
-    const context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      deviceScaleFactor: 1,
-    });
-    const page = await context.newPage();
-    await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
-    await page.waitForTimeout(2000);
-    // Strictly enforce clicking 1Y; no alternatives
-    await clickOneYearStrict(page);
-    await page.waitForTimeout(1000);
-    await page.screenshot({ path: destPath, fullPage: false, type: 'png' });
+    const result = await backend.captureChart(symbol, destPath);
+    if (!result.success) throw new Error(result.error);
   } finally {
-    await browser.close();
+    await backend.close();
   }
 }
 
@@ -2,27 +2,44 @@
  Single-run orchestrator that wires Steps 1–4 using existing modules.
  - Step 1: Fetch top 100 coins (CoinGecko) using download-usdt-pairs.js exports
  - Step 2: Capture TradingView screenshots via BatchProcessor (1920x1080)
- - Step 3: Anonymize charts via Python cropper (runs in the originals folder)
+ - Step 3: Anonymize charts via the sharp anonymizer (src/anonymization/anonymizer.js, crops next to the originals),
+   then OCR-audit the crops for residual text and quarantine leaks (src/anonymization/leakage-auditor.js)
+   and optionally augment them (src/anonymization/augmentation.js: jitter, rescale, palette, mirrored controls)
  - Step 4: Run Gemini AI analysis on anonymized images and save results
 
- Cloud constraints: This workflow uses Playwright/Puppeteer-like browser automation and Python.
+ Cloud constraints: This workflow uses Playwright/Puppeteer-like browser automation and native sharp.
  It is not suitable for Cloudflare Workers runtime. Deploy orchestration to a server/runner; expose
  a Cloudflare Pages/Worker frontend that triggers this workflow externally if needed.
 */
 
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { join } from 'path';
 import { existsSync, mkdirSync, writeFileSync, readdirSync, statSync, copyFileSync } from 'fs';
-import { spawn } from 'child_process';
 
 // Step 1: CoinGecko fetch utilities (ESM JS module)
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import { fetchAllCoinBatches, DEFAULT_CONFIG } from '../../download-usdt-pairs.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { discoverUsdtPairs, createAdapters, loadPairMap, savePairMap, DEFAULT_ADAPTERS } from '../market/pair-discovery.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { buildUniverse, saveUniverse, parseList } from '../market/universe.js';
 
 // Step 2: Screenshot batch processor
 import { BatchProcessor } from '../screenshot/batch-processor.js';
 
+// Step 3: Anonymization (sharp crop profiles)
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { Anonymizer } from '../anonymization/anonymizer.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { LeakageAuditor } from '../anonymization/leakage-auditor.js';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { Augmenter } from '../anonymization/augmentation.js';
+
 // Step 4: AI analysis (Gemini)
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
@@ -32,57 +49,72 @@ type WorkflowResult = {
   symbols: string[];
   screenshotsDir: string;
   anonymizedCount: number;
+  leakage: Record<string, any> | null;
   aiSummaryPath: string;
+  universe: Record<string, any>;
 };
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-async function runCommand(command: string, args: string[], options: { cwd?: string } = {}): Promise<{ code: number }> {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      stdio: 'inherit',
-      cwd: options.cwd,
-      env: process.env,
-    });
-    child.on('error', reject);
-    child.on('close', code => resolve({ code: code ?? 1 }));
-  });
-}
-
 function ensureDir(dirPath: string): void {
   if (!existsSync(dirPath)) {
     mkdirSync(dirPath, { recursive: true });
   }
 }
 
-function toPairSymbolsFromCoins(rawCoins: any[]): string[] {
-  // Use the coin symbol as the base (e.g., btc -> BTC). We'll pass base symbol to BatchProcessor which appends USDT.
-  const excluded = new Set([
-    'usdt', 'usdc', 'usd', 'dai', 'busd', 'tusd', 'usdp', 'usdd',
-    'frax', 'lusd', 'susd', 'gusd', 'usds', 'usde', 'usdf', 'usdt0', 'usdtb'
-  ]);
-  const symbols: string[] = [];
-  for (const c of rawCoins) {
-    const sym = (c?.symbol ?? '').toString().trim().toLowerCase();
-    if (!sym || excluded.has(sym)) continue;
-    symbols.push(sym.toUpperCase());
-  }
+function universeOptionsFromEnv(): Record<string, any> {
+  // WF_INCLUDE / WF_EXCLUDE take symbols or CoinGecko ids; WF_PREFER_IDS resolves ticker collisions (SYMBOL:id,...)
   const envLimit = Number.parseInt(process.env.WF_LIMIT || '0', 10);
-  const limit = Number.isFinite(envLimit) && envLimit > 0 ? envLimit : 100;
-  return symbols.slice(0, limit);
+  const preferIds = Object.fromEntries(
+    parseList(process.env.WF_PREFER_IDS).map((entry: string) => entry.split(':')).filter((pair: string[]) => pair.length === 2)
+  );
+  return {
+    include: parseList(process.env.WF_INCLUDE),
+    exclude: parseList(process.env.WF_EXCLUDE),
+    preferIds,
+    limit: Number.isFinite(envLimit) && envLimit > 0 ? envLimit : 100
+  };
 }
 
-async function step1_fetchTopCoins(): Promise<string[]> {
+async function step1_fetchTopCoins(sessionRoot: string): Promise<{ symbols: string[]; coins: any[]; universe: any }> {
   // Use DEFAULT_CONFIG which already contains a development fallback API key
   // Env var COINGECKO_API_KEY will be used by download-usdt-pairs.js if provided
   // Single batch mode already set in DEFAULT_CONFIG
-  const coins = await fetchAllCoinBatches(DEFAULT_CONFIG);
-  const symbols = toPairSymbolsFromCoins(coins);
-  if (symbols.length === 0) {
+  const rawCoins = await fetchAllCoinBatches(DEFAULT_CONFIG);
+  // Drops stablecoins, wrapped/staked/pegged assets and ticker collisions; reasons go to the run metadata
+  const universe = buildUniverse(rawCoins, universeOptionsFromEnv());
+  saveUniverse(join(sessionRoot, 'universe.json'), universe);
+  if (universe.symbols.length === 0) {
     throw new Error('No symbols derived from CoinGecko response');
   }
-  return symbols;
+  return { symbols: universe.symbols, coins: universe.coins, universe };
+}
+
+async function step1_verifyUsdtPairs(symbols: string[], coins: any[], sessionRoot: string): Promise<{ symbols: string[]; pairMap: Record<string, any> | null; missing: any[] }> {
+  // WF_PAIR_DISCOVERY=off restores the old "assume SYMBOLUSDT exists" behaviour
+  if (process.env.WF_PAIR_DISCOVERY === 'off') {
+    return { symbols, pairMap: null, missing: [] };
+  }
+  // Verified pairs are cached across runs (WF_PAIR_MAP, default ./usdt-pair-map.json)
+  const cachePath = process.env.WF_PAIR_MAP || join(process.cwd(), 'usdt-pair-map.json');
+  const wanted = new Set(symbols);
+  // Universe coins are already de-duplicated by CoinGecko id
+  const candidates = coins.filter(c => wanted.has(String(c?.symbol ?? '').toUpperCase()));
+  const discovery = await discoverUsdtPairs(candidates, {
+    adapters: createAdapters(process.env.WF_PAIR_ADAPTERS || DEFAULT_ADAPTERS),
+    cached: loadPairMap(cachePath)
+  });
+  savePairMap(cachePath, discovery);
+  writeFileSync(join(sessionRoot, 'usdt-pair-map.json'), JSON.stringify(discovery, null, 2), 'utf8');
+
+  const verified = symbols.filter(s => discovery.pairs[s]);
+  // Lookup errors are not proof of absence; keep those symbols (unqualified) and let Step 2 try them
+  const unverified = symbols.filter(s => !discovery.pairs[s] && discovery.errors.some((e: any) => e.symbol === s));
+  const pairMap: Record<string, any> = { ...discovery.pairs };
+  unverified.forEach(s => { pairMap[s] = { symbol: s, exchange: null, unverified: true }; });
+  return {
+    symbols: [...verified, ...unverified],
+    pairMap,
+    missing: discovery.missing
+  };
 }
 
 function findLatestSessionDir(baseDir: string): string | null {
@@ -95,17 +127,30 @@ function findLatestSessionDir(baseDir: string): string | null {
   return sessionDirs.length > 0 ? join(baseDir, sessionDirs[0].name) : null;
 }
 
-async function step2_captureScreenshots(symbols: string[], sessionRoot: string): Promise<string> {
+async function step2_captureScreenshots(symbols: string[], sessionRoot: string, pairMap: Record<string, any> | null = null): Promise<string> {
   const screenshotsDir = join(sessionRoot, 'screenshots');
   ensureDir(screenshotsDir);
 
-  const processor = new BatchProcessor({
-    outputDir: screenshotsDir,
-    batchSize: 10,
-    delayBetweenScreenshots: 8000,
-    delayBetweenBatches: 30000,
-    maxConcurrentBrowsers: 2,
-  });
+  // WF_CAPTURE_BACKEND: puppeteer (default) | playwright | local (renders from stored OHLC in OHLC_DATA_DIR)
+  // WF_TIMEFRAMES: interval@range list captured per symbol, e.g. "1D@1Y,4H@3M,1W@5Y" (default 1D@1Y)
+  const timeframes = process.env.WF_TIMEFRAMES || undefined;
+  const processor = new BatchProcessor(captureBackend() === 'local'
+    ? {
+        outputDir: screenshotsDir,
+        captureBackend: 'local',
+        timeframes,
+        rendererOptions: { ohlcDir: process.env.OHLC_DATA_DIR || './data/ohlc', endDate: process.env.WF_RENDER_END_DATE || null },
+      }
+    : {
+        outputDir: screenshotsDir,
+        batchSize: 10,
+        delayBetweenScreenshots: 8000,
+        delayBetweenBatches: 30000,
+        maxConcurrentBrowsers: 2,
+        captureBackend: captureBackend(),
+        timeframes,
+        pairMap,
+      });
   const result = await processor.processScreenshots(symbols);
   if (!result.success) {
     console.log('Proceeding despite some screenshot failures');
@@ -118,26 +163,74 @@ async function step2_captureScreenshots(symbols: string[], sessionRoot: string):
   return latestSession;
 }
 
-async function step3_anonymizePython(originalsDir: string): Promise<number> {
-  // Run the Python cropper inside the originals folder so outputs land alongside inputs
-  const pyPath = join(__dirname, '..', 'batch-crop-usdt-pairs-v2.py');
-  const { code } = await runCommand('python3', [pyPath, '.',], { cwd: originalsDir });
-  if (code !== 0) {
-    console.warn('Anonymization step exited with non-zero code; check logs');
+function captureBackend(): string {
+  return process.env.WF_CAPTURE_BACKEND || 'puppeteer';
+}
+
+async function step3_anonymize(originalsDir: string): Promise<number> {
+  // Crops land alongside the originals as *_cropped.png, which Step 4 pairs on.
+  // Local renders carry no UI, ticker or dates and are copied as-is; screenshots
+  // use WF_CROP_PROFILE (default tradingview-1920 margins; plot-area opts into recorded boxes)
+  const profile = captureBackend() === 'local' ? 'local-render' : (process.env.WF_CROP_PROFILE || 'tradingview-1920');
+  const anonymizer = new Anonymizer({ profile });
+  const result = await anonymizer.anonymize(originalsDir);
+  if (!result.success) {
+    console.warn(`Anonymization failed for ${result.failed} file(s); check logs`);
   }
-  // Count anonymized files by suffix "_cropped.png"
-  try {
-    const files = readdirSync(originalsDir);
-    return files.filter(f => f.toLowerCase().endsWith('_cropped.png')).length;
-  } catch {
-    return 0;
+  return result.processed + result.skipped;
+}
+
+function leakageAuditEnabled(): boolean {
+  // WF_LEAKAGE_AUDIT=1/0 forces the audit on/off; by default only screenshots are audited
+  const setting = process.env.WF_LEAKAGE_AUDIT;
+  return setting ? setting !== '0' : captureBackend() !== 'local';
+}
+
+async function step3_auditLeakage(originalsDir: string, symbols: string[]): Promise<Record<string, any>> {
+  // Leaking and unreadable crops move to <session>/failed, so Step 4 no longer pairs them.
+  // Without OCR nothing is verified: the batch is quarantined and the run stops here
+  const auditor = new LeakageAuditor({ symbols });
+  const summary = await auditor.audit(originalsDir);
+  if (summary.error) {
+    throw new Error(`Leakage audit unavailable (${summary.error}); ${summary.quarantined} chart(s) quarantined, stopping before Step 4. Set TESSDATA_DIR to local traineddata, or WF_LEAKAGE_AUDIT=0 to skip the audit`);
+  }
+  return summary;
+}
+
+async function step3_augment(originalsDir: string): Promise<Record<string, any>> {
+  // WF_AUGMENT=1 disguises the crops in place; WF_MIRROR_CONTROLS=1 adds a mirrored control
+  // per chart, which Step 4 scores without ranking it (control_c / control_gap, bias summary)
+  const augmenter = new Augmenter({ mirrorControls: process.env.WF_MIRROR_CONTROLS === '1' });
+  const summary = await augmenter.augment(originalsDir);
+  if (!summary.success) {
+    console.warn(`Augmentation failed for ${summary.failed} file(s); check logs`);
   }
+  return summary;
 }
 
 async function step4_aiAnalyze(anonymizedDir: string, outputDir: string): Promise<string> {
   // Development fallback for UAT (env first)
   const geminiKey = process.env.GEMINI_API_KEY || 'AIzaSyC5qPVs-DEV-PLACEHOLDER-ONLY';
-  const results = await analyzeTrendImages(anonymizedDir, geminiKey, { provider: 'gemini', maxConcurrency: 2 });
+  // TREND_PROVIDERS selects a provider or failover chain (e.g. "gemini,openai")
+  // TREND_CASSETTE_MODE=replay (or TREND_PROVIDERS=synthetic) runs Step 4 with no network
+  const provider = process.env.TREND_PROVIDERS || 'gemini';
+  const cassette = { mode: process.env.TREND_CASSETTE_MODE || 'off', dir: process.env.TREND_CASSETTE_DIR || 'cassettes' };
+  const calibration = {
+    normalize: process.env.TREND_NORMALIZE || 'none',
+    temperature: Number(process.env.TREND_TEMPERATURE || '1'),
+    modelPath: process.env.TREND_CALIBRATION_MODEL,
+    historyPath: process.env.TREND_CALIBRATION_HISTORY
+  };
+  // TREND_PROMPT / TREND_PROMPT_EXPERIMENT select registry prompts and TREND_SCHEMA=extended
+  // adds pattern / level detail (results.detailTable), as in the trend-analysis CLI;
+  // TREND_SCHEMA_REPAIR=1 fixes (and logs) formatting slips instead of rejecting the answer
+  const schema = process.env.TREND_SCHEMA || 'basic';
+  const repair = process.env.TREND_SCHEMA_REPAIR === '1';
+  const prompt = process.env.TREND_PROMPT || undefined;
+  const experiment = process.env.TREND_PROMPT_EXPERIMENT
+    ? { prompts: process.env.TREND_PROMPT_EXPERIMENT.split(',').map(p => p.trim()).filter(Boolean), split: process.env.TREND_PROMPT_SPLIT || 'alternate' }
+    : null;
+  const results = await analyzeTrendImages(anonymizedDir, geminiKey, { provider, cassette, calibration, schema, repair, prompt, experiment, maxConcurrency: 2 });
   const outPath = join(outputDir, 'workflow-trend-results.json');
   writeFileSync(outPath, JSON.stringify(results, null, 2));
   return outPath;
@@ -156,20 +249,31 @@ async function main(): Promise<void> {
 
   // Step 1
   console.log('\n[Step 1] Fetching top coins from CoinGecko...');
-  const symbols = await step1_fetchTopCoins();
-  console.log(`[Step 1] Derived ${symbols.length} symbols`);
+  const fetched = await step1_fetchTopCoins(sessionRoot);
+  const { droppedByReason } = fetched.universe.metadata;
+  console.log(`[Step 1] Derived ${fetched.symbols.length} symbols (dropped ${fetched.universe.dropped.length}: ${Object.entries(droppedByReason).map(([r, n]) => `${r} ${n}`).join(', ') || 'none'})`);
+  const { symbols, pairMap, missing } = await step1_verifyUsdtPairs(fetched.symbols, fetched.coins, sessionRoot);
+  if (missing.length > 0) {
+    console.log(`[Step 1] ⚠️  ${missing.length} coins have no USDT market and will not be captured: ${missing.map((m: any) => m.symbol).join(', ')}`);
+  }
   // Save Step 1 summary
   const step1Txt = [
     'Step 1: CoinGecko Top Symbols',
     `Count: ${symbols.length}`,
+    `Dropped from universe: ${fetched.universe.dropped.length}`,
+    ...fetched.universe.dropped.filter((d: any) => !d.reason.startsWith('beyond limit')).map((d: any) => `  ${d.symbol} (${d.id}): ${d.reason}`),
+    `No USDT market: ${missing.length}`,
+    ...missing.map((m: any) => `  ${m.symbol} (${m.coinId}): ${m.reason}`),
     '',
     ...symbols.slice(0, 50)
   ].join('\n');
   writeFileSync(join(humanDir, `step1_symbols_${timestamp}.txt`), step1Txt, 'utf8');
 
   // Step 2
-  console.log('\n[Step 2] Capturing TradingView screenshots (1920x1080)...');
-  const latestSessionDir = await step2_captureScreenshots(symbols, sessionRoot);
+  console.log(captureBackend() === 'local'
+    ? '\n[Step 2] Rendering charts from local OHLC (1440x850)...'
+    : '\n[Step 2] Capturing TradingView screenshots (1920x1080)...');
+  const latestSessionDir = await step2_captureScreenshots(symbols, sessionRoot, pairMap);
   // Originals live at <session>/originals
   const originalsPath = join(latestSessionDir, 'originals');
   // Save Step 2 summary
@@ -188,15 +292,27 @@ async function main(): Promise<void> {
     }
   } catch {}
 
-  console.log('\n[Step 3] Anonymizing charts with Python cropper...');
-  const anonCount = await step3_anonymizePython(originalsPath);
-  console.log(`[Step 3] Anonymization invoked (cropped files saved alongside originals)`);
+  console.log(captureBackend() === 'local'
+    ? '\n[Step 3] Local renders are anonymized by construction; marking them for analysis...'
+    : '\n[Step 3] Anonymizing charts...');
+  let anonCount = await step3_anonymize(originalsPath);
+  console.log(`[Step 3] Anonymized ${anonCount} chart(s) (cropped files saved alongside originals)`);
+  const leakage = leakageAuditEnabled() ? await step3_auditLeakage(originalsPath, symbols) : null;
+  if (leakage) {
+    anonCount -= leakage.quarantined;
+    console.log(`[Step 3] Leakage audit: ${leakage.clean} clean, ${leakage.leaking} leaking, ${leakage.failed} unreadable (${leakage.quarantined} quarantined)${leakage.reportPath ? `, report ${leakage.reportPath}` : ''}`);
+  }
+  if (process.env.WF_AUGMENT === '1') {
+    const augmentation = await step3_augment(originalsPath);
+    console.log(`[Step 3] Augmented ${augmentation.augmented} chart(s), ${augmentation.controls} mirrored control(s)`);
+  }
   // Save Step 3 summary
   try {
     const cropped = readdirSync(originalsPath).filter(f => f.toLowerCase().includes('_cropped'));
     const step3Txt = [
       'Step 3: Anonymized Charts (cropped)',
       `Cropped: ${cropped.length}`,
+      ...(leakage ? [`Leaking or unreadable (quarantined to failed/): ${leakage.quarantined}`, `Leakage report: ${leakage.reportPath || 'none'}`] : []),
       '',
       ...cropped.slice(0, 50)
     ].join('\n');
@@ -223,7 +339,7 @@ async function main(): Promise<void> {
     if (json && json.tableData && Array.isArray(json.tableData)) {
       const top = json.tableData.slice(0, 15);
       top.forEach((row: any) => {
-        lines.push(`${row.pair} | ${row.trend} ${typeof row.trend_c==='number'?row.trend_c.toFixed(3):row.trend_c} | Rank ${row.rank}`);
+        lines.push(`${row.pair}${row.timeframe ? ` ${row.timeframe}` : ''} | ${row.trend} ${typeof row.trend_c==='number'?row.trend_c.toFixed(3):row.trend_c} | Rank ${row.rank}`);
       });
     } else {
       lines.push('No tableData found (possibly zero pairs analyzed).');
@@ -235,7 +351,9 @@ async function main(): Promise<void> {
     symbols,
     screenshotsDir: originalsPath,
     anonymizedCount: anonCount,
+    leakage: leakage && { audited: leakage.audited, leaking: leakage.leaking, quarantined: leakage.quarantined, byType: leakage.byType, reportPath: leakage.reportPath },
     aiSummaryPath,
+    universe: { ...fetched.universe.metadata, dropped: fetched.universe.dropped },
   };
   const summaryPath = join(sessionRoot, 'workflow-summary.json');
   writeFileSync(summaryPath, JSON.stringify(summary, null, 2));